@@ -7,6 +7,13 @@ module.exports = {
     secret: process.env.JWT_SECRET || 'default_secret_key_change_in_production',
     expiresIn: '24h'
   },
+  auth: {
+    // Cuentas de servicio (emails) que pueden actuar en nombre de otros usuarios
+    serviceAccounts: (process.env.SERVICE_ACCOUNTS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean)
+  },
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
     port: process.env.REDIS_PORT || 6379
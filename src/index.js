@@ -5,7 +5,16 @@ const compression = require("compression");
 const path = require("path");
 const config = require("./config/config");
 const logger = require("./utils/logger");
-const { authenticateSocket } = require("./middleware/auth");
+const { personalRoom } = require("./utils/rooms");
+const {
+  authenticateSocket,
+  authenticateRequest,
+  parseDevelopmentToken,
+} = require("./middleware/auth");
+const {
+  negotiateProtocol,
+  installProtocols,
+} = require("./middleware/protocol");
 const redisService = require("./services/redis");
 const metricsService = require("./services/metrics");
 
@@ -15,6 +24,11 @@ const CollectionHandler = require("./modules/collection/collection.handler");
 const ChatHandler = require("./modules/chat/chat.handler");
 const NoteHandler = require("./modules/note/note.handler");
 const TaskHandler = require("./modules/task/task.handler");
+const ConversationHandler = require("./modules/conversation/conversation.handler");
+const RetentionHandler = require("./modules/retention/retention.handler");
+const RetentionPolicies = require("./modules/retention/retention.policies");
+const { LEGACY_ENCODERS } = require("./modules/chat/chat.codec");
+const { contentDisposition } = require("./modules/chat/chat.export");
 
 // Crear aplicación Express
 const app = express();
@@ -155,8 +169,7 @@ if (config.environment === "production") {
       try {
         // En un entorno real, aquí verificaríamos el token
         // Para desarrollo, simplemente extraemos la información del usuario
-        const [userId, email, name] = token.split(".");
-        socket.user = { id: userId, email, name };
+        socket.user = parseDevelopmentToken(token);
       } catch (error) {
         logger.warn(
           { error: error.message },
@@ -170,12 +183,248 @@ if (config.environment === "production") {
   });
 }
 
+// Negociar el protocolo de cada cliente (JSON, esquema compacto o MessagePack)
+io.use(negotiateProtocol);
+installProtocols(io, { legacyEncoders: LEGACY_ENCODERS });
+
 // Crear instancias de handlers
 const workspaceHandler = new WorkspaceHandler(io);
 const collectionHandler = new CollectionHandler(io);
-const chatHandler = new ChatHandler(io);
-const noteHandler = new NoteHandler(io);
+const retentionPolicies = new RetentionPolicies();
+const noteHandler = new NoteHandler(io, { retentionPolicies });
 const taskHandler = new TaskHandler(io);
+const chatHandler = new ChatHandler(io, {
+  workspaceHandler,
+  taskHandler,
+  noteHandler,
+  retentionPolicies,
+});
+const conversationHandler = new ConversationHandler(io, { workspaceHandler });
+const retentionHandler = new RetentionHandler(io, {
+  policies: retentionPolicies,
+  purgers: {
+    chat: (workspaceId, policy) => chatHandler.purgeHistory(workspaceId, policy),
+    notes: (workspaceId, policy) => noteHandler.applyRetention(workspaceId, policy),
+    activity: (workspaceId, policy) =>
+      chatHandler.moderation.purgeLog(workspaceId, policy),
+  },
+});
+
+// Middleware para autenticación de la API HTTP (mismo criterio que los sockets)
+const authenticateApiRequest =
+  config.environment === "production"
+    ? authenticateRequest
+    : (req, res, next) => {
+        const token = req.headers.authorization?.split(" ")[1];
+        if (!token) {
+          return res.status(401).json({ error: "Autenticación requerida" });
+        }
+        req.user = parseDevelopmentToken(token);
+        next();
+      };
+
+// Ruta para buscar en el historial del chat de un workspace
+app.get(
+  "/workspaces/:workspaceId/chat/search",
+  authenticateApiRequest,
+  async (req, res) => {
+    try {
+      const { error, result } = await chatHandler.searchMessages(req.user, {
+        ...req.query,
+        query: req.query.q,
+        workspaceId: req.params.workspaceId,
+      });
+
+      if (error) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      metricsService.messageProcessed("search_messages_http");
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al buscar mensajes"
+      );
+      res.status(500).json({ error: "Error al buscar mensajes" });
+    }
+  }
+);
+
+// Envía la respuesta de un método de un handler que devuelve { result } o { error }
+const sendHandlerResponse = (res, { error, result }) => {
+  if (error) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  res.status(200).json(result);
+};
+
+// Rutas para administrar la moderación del chat de un workspace
+app.get(
+  "/workspaces/:workspaceId/chat/moderation",
+  authenticateApiRequest,
+  async (req, res) => {
+    try {
+      sendHandlerResponse(
+        res,
+        await chatHandler.getModerationConfig(req.user, req.params.workspaceId)
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al obtener la moderación del chat"
+      );
+      res.status(500).json({ error: "Error al obtener la moderación del chat" });
+    }
+  }
+);
+
+app.put(
+  "/workspaces/:workspaceId/chat/moderation",
+  authenticateApiRequest,
+  express.json(),
+  async (req, res) => {
+    try {
+      sendHandlerResponse(
+        res,
+        await chatHandler.updateModerationConfig(
+          req.user,
+          req.params.workspaceId,
+          req.body?.rules
+        )
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al actualizar la moderación del chat"
+      );
+      res.status(500).json({ error: "Error al actualizar la moderación del chat" });
+    }
+  }
+);
+
+app.get(
+  "/workspaces/:workspaceId/chat/moderation/log",
+  authenticateApiRequest,
+  async (req, res) => {
+    try {
+      sendHandlerResponse(
+        res,
+        await chatHandler.getModerationLog(
+          req.user,
+          req.params.workspaceId,
+          req.query
+        )
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al obtener el registro de moderación"
+      );
+      res.status(500).json({ error: "Error al obtener el registro de moderación" });
+    }
+  }
+);
+
+// Rutas para administrar las políticas de retención de datos de un workspace
+app.get(
+  "/workspaces/:workspaceId/retention",
+  authenticateApiRequest,
+  async (req, res) => {
+    try {
+      sendHandlerResponse(
+        res,
+        await retentionHandler.getPolicies(req.user, req.params.workspaceId)
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al obtener las políticas de retención"
+      );
+      res.status(500).json({ error: "Error al obtener las políticas de retención" });
+    }
+  }
+);
+
+app.put(
+  "/workspaces/:workspaceId/retention",
+  authenticateApiRequest,
+  express.json(),
+  async (req, res) => {
+    try {
+      sendHandlerResponse(
+        res,
+        await retentionHandler.updatePolicies(
+          req.user,
+          req.params.workspaceId,
+          req.body
+        )
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al actualizar las políticas de retención"
+      );
+      res.status(500).json({ error: "Error al actualizar las políticas de retención" });
+    }
+  }
+);
+
+// Espera a que se vacíe el buffer de la respuesta (o a que se cierre la conexión)
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Ruta para exportar el historial del chat de un workspace (solo administradores)
+// La exportación se envía en streaming, respetando la contrapresión de la conexión
+app.get(
+  "/workspaces/:workspaceId/chat/export",
+  authenticateApiRequest,
+  async (req, res) => {
+    try {
+      const { error, result } = await chatHandler.exportChat(req.user, {
+        ...req.query,
+        workspaceId: req.params.workspaceId,
+      });
+
+      if (error) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+
+      res.status(200);
+      res.setHeader("Content-Type", result.contentType);
+      res.setHeader("Content-Disposition", contentDisposition(result.filename));
+
+      for await (const chunk of result.chunks) {
+        if (res.destroyed) {
+          // El cliente cerró la conexión: se deja de leer el historial
+          return;
+        }
+        if (chunk && !res.write(chunk)) {
+          await waitForDrain(res);
+        }
+      }
+      res.end();
+    } catch (error) {
+      logger.error(
+        { error: error.message, workspaceId: req.params.workspaceId },
+        "Error al exportar el chat"
+      );
+      if (res.headersSent) {
+        // La respuesta ya está a medias: se corta para que el cliente no la dé por completa
+        return res.destroy(error);
+      }
+      res.status(500).json({ error: "Error al exportar el chat" });
+    }
+  }
+);
 
 // Manejar conexiones de sockets
 io.on("connection", (socket) => {
@@ -193,12 +442,20 @@ io.on("connection", (socket) => {
   // Registrar métricas de conexión
   metricsService.connectionCreated(socket.id, socket.user);
 
+  // Unir el socket a la sala personal del usuario para notificaciones dirigidas
+  // (es el único punto donde se entra en ella, siempre con el email del token)
+  if (socket.user?.email) {
+    socket.join(personalRoom(socket.user.email));
+  }
+
   // Registrar handlers para cada módulo
   workspaceHandler.registerHandlers(socket);
   collectionHandler.registerHandlers(socket);
   chatHandler.registerHandlers(socket);
   noteHandler.registerHandlers(socket);
   taskHandler.registerHandlers(socket);
+  conversationHandler.registerHandlers(socket);
+  retentionHandler.registerHandlers(socket);
 
   // Manejar desconexión
   socket.on("disconnect", () => {
@@ -54,6 +54,33 @@ const isTokenBlacklisted = async (token) => {
   }
 };
 
+/**
+ * Verifica un token JWT: lista negra, firma, expiración y datos requeridos
+ * Los errores de firma y expiración se propagan como excepciones de jsonwebtoken.
+ * @param {string} token - Token JWT
+ * @returns {Promise<{decoded?: Object, error?: string}>} - Claims del token o motivo del rechazo
+ */
+const verifyToken = async (token) => {
+  // Verificar si el token está en la lista negra
+  const blacklisted = await isTokenBlacklisted(token);
+  if (blacklisted) {
+    return { error: 'Token revocado' };
+  }
+
+  // Verificar token
+  const decoded = jwt.verify(token, config.jwt.secret, {
+    algorithms: ['HS256'], // Especificar algoritmos permitidos
+    maxAge: '1h' // Verificar que el token no haya expirado
+  });
+  
+  // Validar datos requeridos en el token
+  if (!decoded.id || !decoded.email) {
+    return { error: 'Token inválido' };
+  }
+
+  return { decoded };
+};
+
 /**
  * Middleware para verificar tokens JWT en las conexiones WebSocket
  * @param {Object} socket - Socket de conexión
@@ -80,23 +107,10 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Autenticación requerida'));
     }
     
-    // Verificar si el token está en la lista negra
-    const blacklisted = await isTokenBlacklisted(token);
-    if (blacklisted) {
-      logger.warn({ socketId: socket.id, ip: clientIp }, 'Intento de uso de token revocado');
-      return next(new Error('Token revocado'));
-    }
-
-    // Verificar token
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      algorithms: ['HS256'], // Especificar algoritmos permitidos
-      maxAge: '1h' // Verificar que el token no haya expirado
-    });
-    
-    // Validar datos requeridos en el token
-    if (!decoded.id || !decoded.email) {
-      logger.warn({ socketId: socket.id, ip: clientIp }, 'Token con datos incompletos');
-      return next(new Error('Token inválido'));
+    const { decoded, error } = await verifyToken(token);
+    if (error) {
+      logger.warn({ socketId: socket.id, ip: clientIp, error }, 'Token rechazado');
+      return next(new Error(error));
     }
     
     // Guardar información del usuario y metadatos en el objeto socket
@@ -128,6 +142,37 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+/**
+ * Middleware de Express para verificar tokens JWT en las rutas HTTP
+ * El token se envía en la cabecera `Authorization: Bearer <token>` y los claims
+ * quedan en `req.user`, igual que `socket.user` en los sockets.
+ * @param {Object} req - Petición HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Función para continuar con la petición
+ */
+const authenticateRequest = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ error: 'Autenticación requerida' });
+  }
+  
+  try {
+    const { decoded, error } = await verifyToken(token);
+    if (error) {
+      logger.warn({ ip: req.ip, path: req.path, error }, 'Token rechazado');
+      return res.status(401).json({ error });
+    }
+    
+    req.user = decoded;
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido';
+    logger.warn({ ip: req.ip, path: req.path, error: error.message }, 'Error de autenticación');
+    res.status(401).json({ error: message });
+  }
+};
+
 /**
  * Añade un token a la lista negra
  * @param {string} token - Token JWT a revocar
@@ -152,6 +197,129 @@ const blacklistToken = async (token, expiry = 3600) => {
   }
 };
 
+/**
+ * Comprueba si el usuario autenticado es administrador de un workspace
+ * El rol se toma de los claims del token: `role` para administradores globales
+ * y `workspaceRoles[workspaceId]` para el rol dentro de cada workspace.
+ * @param {Object} user - Usuario autenticado (socket.user)
+ * @param {string} workspaceId - ID del workspace
+ * @returns {boolean} - true si el usuario puede administrar el workspace
+ */
+const isWorkspaceAdmin = (user, workspaceId) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const workspaceRole = user.workspaceRoles?.[workspaceId];
+  return ['ADMIN', 'OWNER'].includes(String(workspaceRole).toUpperCase());
+};
+
+/**
+ * Comprueba si el usuario autenticado pertenece a un workspace
+ * La pertenencia se toma de los claims del token (un rol en `workspaceRoles`
+ * o el rol global `admin`), nunca de que el usuario haya entrado antes.
+ * @param {Object} user - Usuario autenticado (socket.user)
+ * @param {string} workspaceId - ID del workspace
+ * @returns {boolean} - true si el usuario es miembro del workspace
+ */
+const isWorkspaceMember = (user, workspaceId) =>
+  isWorkspaceAdmin(user, workspaceId) || Boolean(user?.workspaceRoles?.[workspaceId]);
+
+// Roles de un usuario de desarrollo sin workspaces en el token: es miembro de todos
+const DEVELOPMENT_WORKSPACE_ROLES = new Proxy({}, {
+  get: (roles, workspaceId) => (typeof workspaceId === 'string' ? 'MEMBER' : undefined)
+});
+
+/**
+ * Obtiene el usuario de un token de desarrollo, sin verificarlo
+ * Admite el formato "<id>.<email>.<nombre>" o un JWT con sus claims. Si el token
+ * no incluye `workspaceRoles`, el usuario es miembro (no administrador) de
+ * cualquier workspace, para que en desarrollo se pueda entrar sin configurar roles.
+ * @param {string} token - Token enviado por el cliente
+ * @returns {Object} - Usuario (id, email, name, workspaceRoles...)
+ */
+const parseDevelopmentToken = (token) => {
+  const claims = jwt.decode(token);
+  // El email puede llevar puntos: es todo lo que hay entre el primer y el último
+  const parts = token.split('.');
+  const user = claims && typeof claims === 'object'
+    ? claims
+    : { id: parts[0], email: parts.slice(1, -1).join('.'), name: parts[parts.length - 1] };
+
+  return user.workspaceRoles ? user : { ...user, workspaceRoles: DEVELOPMENT_WORKSPACE_ROLES };
+};
+
+/**
+ * Comprueba si el usuario autenticado es una cuenta de servicio autorizada
+ * Requiere el claim `serviceAccount: true` en el token y que su email esté en
+ * la lista SERVICE_ACCOUNTS de la configuración.
+ * @param {Object} user - Usuario autenticado (socket.user)
+ * @returns {boolean} - true si puede actuar en nombre de otros usuarios
+ */
+const isServiceAccount = (user) =>
+  Boolean(user?.serviceAccount) && config.auth.serviceAccounts.includes(user.email);
+
+/**
+ * Obtiene la identidad con la que actúa un socket a partir del usuario autenticado
+ *
+ * El id y el email se toman siempre del token; el resto de datos enviados por el
+ * cliente (nombre, imagen...) se conservan si el token no los incluye. Si el
+ * cliente envía un id o email distinto se rechaza el evento, salvo para las
+ * cuentas de servicio, cuya suplantación queda registrada en el log de auditoría.
+ * @param {Object} socket - Socket de conexión (con socket.user)
+ * @param {Object} [claimed] - Datos de usuario enviados por el cliente
+ * @param {string} event - Evento que se está procesando
+ * @returns {Object|null} - Datos de usuario de confianza o null si se rechaza (se emite error al socket)
+ */
+const resolveIdentity = (socket, claimed, event) => {
+  const user = socket.user;
+  if (!user?.email) {
+    socket.emit('error', { message: 'Autenticación requerida', code: 'AUTH_REQUIRED' });
+    return null;
+  }
+  
+  const payload = claimed && typeof claimed === 'object' ? claimed : {};
+  const mismatch = (payload.email && payload.email !== user.email) ||
+    (payload.id && String(payload.id) !== String(user.id));
+  
+  if (!mismatch) {
+    return {
+      ...payload,
+      id: user.id,
+      email: user.email,
+      name: user.name || payload.name,
+      image: user.image || payload.image
+    };
+  }
+  
+  if (isServiceAccount(user) && payload.email) {
+    logger.warn({
+      audit: true,
+      event,
+      socketId: socket.id,
+      serviceAccount: user.email,
+      actingAs: payload.email,
+      ip: socket.clientIp
+    }, 'Cuenta de servicio actuando en nombre de otro usuario');
+    
+    return { ...payload, actedBy: user.email };
+  }
+  
+  logger.warn({
+    event,
+    socketId: socket.id,
+    email: user.email,
+    claimedEmail: payload.email,
+    claimedId: payload.id,
+    ip: socket.clientIp
+  }, 'Identidad del evento no coincide con el usuario autenticado');
+  
+  socket.emit('error', {
+    message: 'La identidad enviada no coincide con el usuario autenticado',
+    code: 'IDENTITY_MISMATCH'
+  });
+  return null;
+};
+
 // Limpiar el mapa de rate limiting periódicamente
 setInterval(() => {
   const now = Date.now();
@@ -164,5 +332,11 @@ setInterval(() => {
 
 module.exports = {
   authenticateSocket,
-  blacklistToken
+  authenticateRequest,
+  blacklistToken,
+  isWorkspaceAdmin,
+  isWorkspaceMember,
+  isServiceAccount,
+  parseDevelopmentToken,
+  resolveIdentity
 };
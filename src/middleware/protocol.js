@@ -0,0 +1,321 @@
+const notepack = require('notepack.io');
+const logger = require('../utils/logger');
+const metricsService = require('../services/metrics');
+
+// Tipos de paquete de Socket.IO que llevan datos de la aplicación
+const EVENT_PACKET = 2;
+const ACK_PACKET = 3;
+
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Protocolos que un cliente puede negociar en el handshake
+ * - json: JSON con los nombres de campo completos en todos los eventos
+ * - compact: JSON con los nombres de campo acortados según SHORT_KEYS
+ * - msgpack: como compact, pero cada argumento se envía codificado en MessagePack
+ * Los clientes que no negocian protocolo usan `legacy`: JSON completo salvo los
+ * mensajes de chat, que se envían comprimidos como siempre.
+ */
+const PROTOCOLS = ['json', 'compact', 'msgpack'];
+const LEGACY_PROTOCOL = 'legacy';
+const DEFAULT_PROTOCOL = 'json';
+
+/**
+ * Nombres de campo cortos del esquema compacto, comunes a todos los módulos
+ * Los campos que no aparecen aquí se envían con su nombre completo.
+ */
+const SHORT_KEYS = {
+  id: 'i',
+  type: 'ty',
+  workspaceId: 'w',
+  channelId: 'ch',
+  conversationId: 'cv',
+  collectionId: 'cl',
+  noteId: 'nt',
+  taskId: 'tk',
+  threadId: 'th',
+  parentId: 'p',
+  messageId: 'mi',
+  senderEmail: 'se',
+  senderName: 'sn',
+  senderImage: 'si',
+  email: 'e',
+  name: 'n',
+  content: 'c',
+  clientMessageId: 'cid',
+  scheduledId: 'sc',
+  timestamp: 't',
+  replyCount: 'rc',
+  lastReplyAt: 'lr',
+  mentions: 'm',
+  reactions: 'rx',
+  editedAt: 'ed',
+  editedBy: 'eb',
+  system: 'sy',
+  deleted: 'd',
+  messages: 'ms',
+  message: 'mg',
+  hasMore: 'hm',
+  cursors: 'cu',
+  before: 'bf',
+  after: 'af',
+  users: 'us',
+  user: 'u',
+  userId: 'ui',
+  unreadCount: 'uc',
+  lastReadId: 'lri',
+  createdAt: 'ca',
+  updatedAt: 'ua',
+  createdBy: 'cb',
+  updatedBy: 'ub',
+  title: 'ti',
+  description: 'de',
+  status: 'st',
+  participants: 'pa',
+  lastMessage: 'lm',
+  pins: 'pn',
+  pinnedAt: 'pt',
+  pinnedBy: 'pb',
+  poll: 'pl',
+  optionIds: 'oi',
+  cursor: 'cr',
+  position: 'po',
+  revision: 'rv',
+  operation: 'o',
+  author: 'au',
+  results: 'rs',
+  total: 'to',
+  count: 'ct',
+  code: 'cd',
+  details: 'dt',
+  data: 'da',
+  emoji: 'em',
+  options: 'op',
+  text: 'tx'
+};
+
+const shortKeys = new Map(Object.entries(SHORT_KEYS));
+const longKeys = new Map(Object.entries(SHORT_KEYS).map(([long, short]) => [short, long]));
+
+// Los campos propios que coinciden con un nombre corto (o empiezan por `~`) se
+// envían con el prefijo `~`, para que el cliente no los confunda al expandirlos
+const ESCAPE = '~';
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Recorre un payload cambiando los nombres de sus campos
+ * Los valores con toJSON (fechas) se convierten como lo haría JSON.
+ * @private
+ */
+const mapKeys = (value, rename) => {
+  if (Array.isArray(value)) return value.map(item => mapKeys(item, rename));
+  if (value && typeof value.toJSON === 'function' && !Buffer.isBuffer(value)) {
+    return mapKeys(value.toJSON(), rename);
+  }
+  if (!isPlainObject(value)) return value;
+
+  const mapped = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    mapped[rename(key)] = mapKeys(item, rename);
+  }
+  return mapped;
+};
+
+/**
+ * Convierte un payload al esquema compacto
+ * @param {*} payload - Payload con los nombres de campo completos
+ * @returns {*} Payload con los nombres de campo cortos
+ */
+const compactPayload = (payload) => mapKeys(payload, (key) => {
+  if (shortKeys.has(key)) return shortKeys.get(key);
+  return longKeys.has(key) || key.startsWith(ESCAPE) ? ESCAPE + key : key;
+});
+
+/**
+ * Convierte un payload del esquema compacto a los nombres de campo completos
+ * @param {*} payload - Payload compacto
+ * @returns {*} Payload con los nombres de campo completos
+ */
+const expandPayload = (payload) => mapKeys(payload, (key) => {
+  if (key.startsWith(ESCAPE)) return key.slice(ESCAPE.length);
+  return longKeys.get(key) || key;
+});
+
+const jsonBytes = (value) => Buffer.byteLength(JSON.stringify(value) || '');
+
+/**
+ * Codifica los argumentos de un evento según el protocolo de los destinatarios
+ * Registra en métricas el tamaño codificado frente al JSON completo.
+ * @param {string} protocol - Protocolo de los destinatarios
+ * @param {string|null} event - Nombre del evento (null en las respuestas de ack)
+ * @param {Array} args - Argumentos con los nombres de campo completos
+ * @param {Object} [options] - Opciones
+ * @param {Object<string, Function>} [options.legacyEncoders] - Conversión de cada evento para `legacy`
+ * @param {number} [options.recipients=1] - Sockets a los que se envía
+ * @returns {Array} Argumentos codificados
+ */
+const encodeArgs = (protocol, event, args, { legacyEncoders = {}, recipients = 1 } = {}) => {
+  let encoded;
+  let encodedBytes;
+
+  if (protocol === 'compact') {
+    encoded = args.map(compactPayload);
+    encodedBytes = jsonBytes(encoded);
+  } else if (protocol === 'msgpack') {
+    encoded = args.map(arg => notepack.encode(compactPayload(arg)));
+    encodedBytes = encoded.reduce((total, buffer) => total + buffer.length, 0);
+  } else if (protocol === LEGACY_PROTOCOL && event && legacyEncoders[event]) {
+    encoded = [legacyEncoders[event](args[0]), ...args.slice(1)];
+    encodedBytes = jsonBytes(encoded);
+  } else {
+    // JSON completo: no hay nada que medir
+    return args;
+  }
+
+  metricsService.payloadEncoded(protocol, jsonBytes(args), encodedBytes, recipients);
+  return encoded;
+};
+
+/**
+ * Decodifica los argumentos de un evento recibido de un cliente
+ * Las funciones de ack se mantienen tal cual.
+ * @param {string} protocol - Protocolo del cliente
+ * @param {Array} args - Argumentos recibidos
+ * @returns {Array} Argumentos con los nombres de campo completos
+ * @throws {Error} Si un argumento no es MessagePack válido
+ */
+const decodeArgs = (protocol, args) => {
+  if (protocol !== 'compact' && protocol !== 'msgpack') return args;
+
+  return args.map((arg) => {
+    if (typeof arg === 'function') return arg;
+    const value = protocol === 'msgpack' && Buffer.isBuffer(arg) ? notepack.decode(arg) : arg;
+    return expandPayload(value);
+  });
+};
+
+/**
+ * Middleware de Socket.IO que negocia el protocolo en el handshake
+ * El cliente lo pide con `auth.protocol` o con el parámetro `protocol` de la
+ * query. Si pide uno que no existe se usa `json`; si no pide ninguno, `legacy`.
+ * @param {Object} socket - Socket de conexión
+ * @param {Function} next - Función para continuar
+ */
+const negotiateProtocol = (socket, next) => {
+  const requested = socket.handshake.auth?.protocol || socket.handshake.query?.protocol;
+
+  if (!requested) {
+    socket.data.protocol = LEGACY_PROTOCOL;
+  } else if (PROTOCOLS.includes(requested)) {
+    socket.data.protocol = requested;
+  } else {
+    logger.warn({ socketId: socket.id, requested }, 'Protocolo no soportado, se usa JSON');
+    socket.data.protocol = DEFAULT_PROTOCOL;
+  }
+
+  next();
+};
+
+/**
+ * Aplica el protocolo negociado a todo lo que se envía y se recibe por los sockets
+ *
+ * Los handlers emiten siempre los payloads con los nombres de campo completos.
+ * Los envíos a un socket y las respuestas de ack se codifican en el propio
+ * socket; las emisiones a salas se agrupan por protocolo y cada grupo se
+ * codifica una sola vez. Mientras no haya clientes con protocolo negociado, las
+ * emisiones a salas siguen el camino habitual del adapter.
+ * @param {Object} io - Instancia de Socket.IO (con negotiateProtocol registrado)
+ * @param {Object} [options] - Opciones
+ * @param {Object<string, Function>} [options.legacyEncoders] - Conversión de cada evento
+ *   para los clientes sin protocolo negociado (ver LEGACY_ENCODERS del chat)
+ */
+const installProtocols = (io, { legacyEncoders = {} } = {}) => {
+  const namespace = io.of('/');
+  const adapter = namespace.adapter;
+  const broadcast = adapter.broadcast.bind(adapter);
+  let negotiated = 0;
+
+  const encodePacket = (packet, protocol, recipients) => {
+    const [event, ...args] = packet.data;
+    return { ...packet, data: [event, ...encodeArgs(protocol, event, args, { legacyEncoders, recipients })] };
+  };
+
+  adapter.broadcast = (packet, opts) => {
+    if (packet.type !== EVENT_PACKET) return broadcast(packet, opts);
+    if (negotiated === 0) {
+      return broadcast(encodePacket(packet, LEGACY_PROTOCOL, 1), opts);
+    }
+
+    const groups = new Map(); // protocolo -> sockets
+    adapter.apply(opts, (socket) => {
+      const protocol = socket.data.protocol || LEGACY_PROTOCOL;
+      if (!groups.has(protocol)) groups.set(protocol, []);
+      groups.get(protocol).push(socket);
+    });
+
+    const flags = opts.flags || {};
+    packet.nsp = namespace.name;
+
+    for (const [protocol, sockets] of groups) {
+      const encodedPackets = adapter.encoder.encode(encodePacket(packet, protocol, sockets.length));
+      const packetOpts = { preEncoded: true, volatile: flags.volatile, compress: flags.compress };
+
+      for (const socket of sockets) {
+        if (typeof socket.notifyOutgoingListeners === 'function') {
+          socket.notifyOutgoingListeners(packet);
+        }
+        socket.client.writeToEngine(encodedPackets, packetOpts);
+      }
+    }
+  };
+
+  namespace.on('connection', (socket) => {
+    const protocol = socket.data.protocol || LEGACY_PROTOCOL;
+
+    if (protocol !== LEGACY_PROTOCOL) {
+      negotiated++;
+      socket.once('disconnect', () => negotiated--);
+
+      // La confirmación va siempre en JSON completo para que el cliente pueda leerla
+      socket.emit('protocol', { protocol, version: PROTOCOL_VERSION, keys: SHORT_KEYS });
+
+      socket.use((packet, next) => {
+        try {
+          packet.splice(1, packet.length - 1, ...decodeArgs(protocol, packet.slice(1)));
+          next();
+        } catch (error) {
+          logger.warn({ socketId: socket.id, protocol, error: error.message }, 'Payload no válido para el protocolo');
+          socket.emit('error', { message: 'Payload no válido para el protocolo', code: 'INVALID_PAYLOAD' });
+        }
+      });
+    }
+
+    const send = socket.packet.bind(socket);
+    socket.packet = (packet, opts) => {
+      if (packet.type === EVENT_PACKET) {
+        return send(encodePacket(packet, protocol, 1), opts);
+      }
+      if (packet.type === ACK_PACKET) {
+        return send({ ...packet, data: encodeArgs(protocol, null, packet.data, { legacyEncoders }) }, opts);
+      }
+      return send(packet, opts);
+    };
+  });
+};
+
+module.exports = {
+  PROTOCOLS,
+  SHORT_KEYS,
+  compactPayload,
+  expandPayload,
+  encodeArgs,
+  decodeArgs,
+  negotiateProtocol,
+  installProtocols
+};
@@ -0,0 +1,223 @@
+const redisService = require('../../services/redis');
+
+const DEFAULT_CHANNEL = 'general';
+const MAX_CHANNEL_NAME_LENGTH = 80;
+
+/**
+ * Normaliza el nombre de un canal para usarlo como identificador
+ * "#Exam Prep" -> "exam-prep". Solo se conservan letras, números, "-" y "_".
+ * @param {string} name - Nombre introducido por el usuario
+ * @returns {string|null} Nombre normalizado o null si no es válido
+ */
+const normalizeChannelName = (name) => {
+  if (typeof name !== 'string') return null;
+
+  const normalized = name
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!normalized || normalized.length > MAX_CHANNEL_NAME_LENGTH) return null;
+  return normalized;
+};
+
+/**
+ * Almacén de canales de chat de un workspace
+ *
+ * Los metadatos de los canales de un workspace se guardan en un hash y los
+ * miembros de cada canal en un conjunto. El canal por defecto existe siempre,
+ * no se guarda y todos los miembros del workspace pertenecen a él. Se mantiene
+ * una copia local para seguir funcionando sin Redis.
+ */
+class ChannelStore {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "chat:")
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localChannels = new Map(); // workspaceId -> Map(channelId -> channel)
+    this.localMembers = new Map(); // `${workspaceId}:${channelId}` -> Set<email>
+  }
+
+  /**
+   * Devuelve la clave del hash con los canales de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {string} Clave de Redis
+   */
+  channelsKey(workspaceId) {
+    return `${this.prefix}${workspaceId}:channels`;
+  }
+
+  /**
+   * Devuelve la clave del conjunto de miembros de un canal
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @returns {string} Clave de Redis
+   */
+  membersKey(workspaceId, channelId) {
+    return `${this.prefix}${workspaceId}:channel:${channelId}:members`;
+  }
+
+  /**
+   * Indica si un canal es el canal por defecto del workspace
+   * @param {string} channelId - ID del canal
+   * @returns {boolean}
+   */
+  isDefault(channelId) {
+    return channelId === DEFAULT_CHANNEL;
+  }
+
+  /**
+   * Devuelve los datos del canal por defecto de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Object} Canal por defecto
+   */
+  defaultChannel(workspaceId) {
+    return {
+      id: DEFAULT_CHANNEL,
+      workspaceId,
+      name: DEFAULT_CHANNEL,
+      topic: null,
+      isDefault: true,
+      archived: false
+    };
+  }
+
+  /**
+   * Crea un canal si no existe otro con el mismo ID
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} channel - Datos del canal (debe incluir `id`)
+   * @returns {Promise<boolean>} true si se creó, false si ya existía
+   */
+  async create(workspaceId, channel) {
+    if (this.isDefault(channel.id)) return false;
+
+    const created = await redisService.hSetNX(this.channelsKey(workspaceId), channel.id, channel);
+    const local = this._localChannelsFor(workspaceId);
+
+    if (created === null) {
+      if (local.has(channel.id)) return false;
+    } else if (!created) {
+      return false;
+    }
+
+    local.set(channel.id, channel);
+    return true;
+  }
+
+  /**
+   * Guarda los datos actualizados de un canal existente
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} channel - Datos del canal
+   * @returns {Promise<Object>} Canal guardado
+   */
+  async save(workspaceId, channel) {
+    this._localChannelsFor(workspaceId).set(channel.id, channel);
+    await redisService.hSet(this.channelsKey(workspaceId), channel.id, channel);
+    return channel;
+  }
+
+  /**
+   * Obtiene un canal
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @returns {Promise<Object|null>} Canal o null si no existe
+   */
+  async get(workspaceId, channelId) {
+    if (this.isDefault(channelId)) return this.defaultChannel(workspaceId);
+
+    const channel = await redisService.hGet(this.channelsKey(workspaceId), channelId);
+    return channel || this.localChannels.get(workspaceId)?.get(channelId) || null;
+  }
+
+  /**
+   * Lista los canales de un workspace, con el canal por defecto en primer lugar
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.includeArchived=false] - Incluir canales archivados
+   * @returns {Promise<Object[]>} Canales ordenados por nombre
+   */
+  async list(workspaceId, { includeArchived = false } = {}) {
+    const stored = await redisService.hGetAll(this.channelsKey(workspaceId));
+    const channels = stored
+      ? Object.values(stored)
+      : Array.from(this.localChannels.get(workspaceId)?.values() || []);
+
+    return [
+      this.defaultChannel(workspaceId),
+      ...channels
+        .filter(channel => includeArchived || !channel.archived)
+        .sort((a, b) => a.name.localeCompare(b.name))
+    ];
+  }
+
+  /**
+   * Añade un miembro a un canal
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>} true si no era miembro
+   */
+  async addMember(workspaceId, channelId, email) {
+    if (this.isDefault(channelId)) return false;
+
+    const localKey = `${workspaceId}:${channelId}`;
+    if (!this.localMembers.has(localKey)) {
+      this.localMembers.set(localKey, new Set());
+    }
+    const localMembers = this.localMembers.get(localKey);
+    const wasLocalMember = localMembers.has(email);
+    localMembers.add(email);
+
+    const added = await redisService.sAdd(this.membersKey(workspaceId, channelId), email);
+    return added === null ? !wasLocalMember : added > 0;
+  }
+
+  /**
+   * Obtiene los miembros de un canal (vacío para el canal por defecto)
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @returns {Promise<string[]>} Emails de los miembros
+   */
+  async getMembers(workspaceId, channelId) {
+    if (this.isDefault(channelId)) return [];
+
+    const members = await redisService.sMembers(this.membersKey(workspaceId, channelId));
+    return members || Array.from(this.localMembers.get(`${workspaceId}:${channelId}`) || []);
+  }
+
+  /**
+   * Comprueba si un usuario es miembro de un canal
+   * Todos los usuarios pertenecen al canal por defecto.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>}
+   */
+  async isMember(workspaceId, channelId, email) {
+    if (this.isDefault(channelId)) return true;
+    if (!email) return false;
+
+    const members = await this.getMembers(workspaceId, channelId);
+    return members.includes(email);
+  }
+
+  /**
+   * Obtiene (creándolo si no existe) el mapa local de canales de un workspace
+   * @private
+   */
+  _localChannelsFor(workspaceId) {
+    if (!this.localChannels.has(workspaceId)) {
+      this.localChannels.set(workspaceId, new Map());
+    }
+    return this.localChannels.get(workspaceId);
+  }
+}
+
+module.exports = ChannelStore;
+module.exports.DEFAULT_CHANNEL = DEFAULT_CHANNEL;
+module.exports.normalizeChannelName = normalizeChannelName;
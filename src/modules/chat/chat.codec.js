@@ -0,0 +1,71 @@
+/**
+ * Comprime un mensaje de chat para reducir el tamaño del payload
+ * Los nombres de campo se acortan y los campos opcionales solo se incluyen si
+ * tienen valor. Se comparte entre el chat de workspace y las conversaciones directas.
+ * @param {Object} message - Mensaje original
+ * @returns {Object} Mensaje comprimido
+ */
+const compressMessage = (message) => {
+  // Implementación simple de compresión de mensajes
+  // En una implementación real, se podría usar una biblioteca de compresión
+  // o estrategias más avanzadas como enviar solo los campos necesarios
+  
+  const compressed = {
+    i: message.id,
+    ...(message.type && message.type !== 'message' && { ty: message.type }),
+    w: message.workspaceId,
+    ...(message.conversationId && { cv: message.conversationId }),
+    ...(message.channelId && { ch: message.channelId }),
+    e: message.senderEmail,
+    n: message.senderName,
+    // Solo incluir imagen si existe y no es una URL muy larga
+    ...(message.senderImage && message.senderImage.length < 200 && { img: message.senderImage }),
+    c: message.content,
+    ...(message.clientMessageId && { cid: message.clientMessageId }),
+    ...(message.scheduledId && { sc: message.scheduledId }),
+    t: message.timestamp,
+    ...(message.parentId && { p: message.parentId }),
+    ...(message.replyCount && { rc: message.replyCount, lr: message.lastReplyAt }),
+    ...(message.mentions && { m: message.mentions.map(mention => ({ e: mention.email, n: mention.name })) }),
+    ...(message.reactions && { rx: message.reactions }),
+    ...(message.editedAt && { ed: message.editedAt }),
+    ...(message.system && { sy: message.system }),
+    ...(message.poll && { pl: message.poll }),
+    ...(message.deleted && { d: true })
+  };
+  
+  return compressed;
+};
+
+const compressAll = (messages) => messages.map(message => compressMessage(message));
+const compressPins = (payload) => ({
+  ...payload,
+  pins: payload.pins.map(pin => ({ ...pin, message: compressMessage(pin.message) }))
+});
+
+/**
+ * Formato de los eventos con mensajes para los clientes sin protocolo negociado
+ * Los handlers emiten los mensajes completos; a los clientes que no negocian
+ * protocolo se les siguen enviando comprimidos, como antes de la negociación.
+ * Evento -> función que convierte su payload.
+ */
+const LEGACY_ENCODERS = {
+  new_message: compressMessage,
+  message_edited: compressMessage,
+  direct_message: compressMessage,
+  thread_reply: (payload) => ({ ...payload, message: compressMessage(payload.message) }),
+  thread_messages: (payload) => ({
+    ...payload,
+    parent: compressMessage(payload.parent),
+    messages: compressAll(payload.messages)
+  }),
+  message_history: (payload) => ({ ...payload, messages: compressAll(payload.messages) }),
+  conversation_history: (payload) => ({ ...payload, messages: compressAll(payload.messages) }),
+  pinned_messages: compressPins,
+  pins_updated: compressPins
+};
+
+module.exports = {
+  compressMessage,
+  LEGACY_ENCODERS
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { MAX_POLL_OPTIONS } = require('./chat.polls');
+
+const MAX_TITLE_LENGTH = 200;
+
+// Nombres de los días de la semana (domingo = 0) en inglés y español
+const WEEKDAYS = [
+  ['sunday', 'sun', 'domingo', 'dom'],
+  ['monday', 'mon', 'lunes', 'lun'],
+  ['tuesday', 'tue', 'martes', 'mar'],
+  ['wednesday', 'wed', 'miercoles', 'mié', 'mie', 'miércoles'],
+  ['thursday', 'thu', 'jueves', 'jue'],
+  ['friday', 'fri', 'viernes', 'vie'],
+  ['saturday', 'sat', 'sabado', 'sábado', 'sab', 'sáb']
+];
+
+/**
+ * Detecta un comando al principio de un mensaje ("/task Repasar tema 3")
+ * Los mensajes que empiezan por "//" no son comandos (ver ChatHandler).
+ * @param {string} content - Contenido del mensaje
+ * @returns {{name: string, args: string}|null} Comando y texto de sus argumentos
+ */
+const parseCommand = (content) => {
+  const match = typeof content === 'string' && content.match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Divide los argumentos de un comando respetando las comillas
+ * `"Which day?" Mon Tue` -> ["Which day?", "Mon", "Tue"]
+ * @param {string} args - Texto de los argumentos
+ * @returns {string[]} Argumentos
+ */
+const splitArguments = (args) =>
+  Array.from(args.matchAll(/"([^"]*)"|“([^”]*)”|'([^']*)'|(\S+)/g))
+    .map(match => (match[1] ?? match[2] ?? match[3] ?? match[4]).trim())
+    .filter(Boolean);
+
+/**
+ * Convierte la fecha de vencimiento de un comando en una fecha YYYY-MM-DD
+ * Admite "today"/"hoy", "tomorrow"/"mañana", días de la semana (el próximo,
+ * incluido hoy), YYYY-MM-DD y DD/MM/YYYY.
+ * @param {string} value - Valor escrito por el usuario
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {string|null} Fecha o null si no se reconoce
+ */
+const parseDueDate = (value, now = new Date()) => {
+  const text = String(value).trim().toLowerCase();
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const weekday = WEEKDAYS.findIndex(names => names.includes(text));
+
+  if (['tomorrow', 'mañana', 'manana'].includes(text)) {
+    date.setDate(date.getDate() + 1);
+  } else if (weekday >= 0) {
+    date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7));
+  } else if (!['today', 'hoy'].includes(text)) {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const european = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const [year, month, day] = iso
+      ? [iso[1], iso[2], iso[3]]
+      : european ? [european[3], european[2], european[1]] : [];
+    if (!year) return null;
+
+    date.setFullYear(Number(year), Number(month) - 1, Number(day));
+    if (date.getDate() !== Number(day)) return null;
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const commandError = (message) => ({ error: { code: 'INVALID_COMMAND', message } });
+
+/**
+ * Registro de comandos del chat
+ *
+ * Cada comando define `usage`, `description` y `execute(context)`, que recibe
+ * `{ workspaceId, channelId, user, args }` y devuelve `{ content, data }` para
+ * el mensaje de sistema que se publica en el canal, o `{ error: { code, message } }`.
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // nombre -> definición
+  }
+
+  /**
+   * Registra (o sustituye) un comando
+   * @param {string} name - Nombre del comando, sin "/"
+   * @param {Object} definition - Definición ({ usage, description, execute })
+   */
+  register(name, definition) {
+    this.commands.set(name.toLowerCase(), { name: name.toLowerCase(), ...definition });
+  }
+
+  /**
+   * Obtiene un comando
+   * @param {string} name - Nombre del comando
+   * @returns {Object|null} Definición del comando o null si no existe
+   */
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  /**
+   * Lista los comandos disponibles
+   * @returns {Array<{name: string, usage: string, description: string}>}
+   */
+  list() {
+    return Array.from(this.commands.values())
+      .map(({ name, usage, description }) => ({ name, usage, description }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+/**
+ * Registra los comandos incluidos por defecto
+ * @param {CommandRegistry} registry - Registro de comandos
+ * @param {Object} handlers - Handlers de los módulos sobre los que actúan
+ * @param {Object} [handlers.taskHandler] - Handler de tareas
+ * @param {Object} [handlers.noteHandler] - Handler de notas
+ */
+const registerDefaultCommands = (registry, { taskHandler, noteHandler } = {}) => {
+  if (taskHandler) {
+    registry.register('task', {
+      usage: '/task <título> [due:<fecha>]',
+      description: 'Crea una tarea en la agenda del workspace',
+      execute({ workspaceId, user, args }) {
+        let dueDate = null;
+        const dueMatch = args.match(/(?:^|\s)due:(\S+)/i);
+        if (dueMatch) {
+          dueDate = parseDueDate(dueMatch[1]);
+          if (!dueDate) return commandError(`Fecha no reconocida: ${dueMatch[1]}`);
+        }
+
+        const title = args.replace(/(?:^|\s)due:\S+/i, ' ').replace(/\s+/g, ' ').trim();
+        if (!title || title.length > MAX_TITLE_LENGTH) {
+          return commandError('Uso: /task <título> [due:<fecha>]');
+        }
+
+        const task = {
+          id: crypto.randomUUID(),
+          workspaceId,
+          title,
+          status: 'TODO',
+          dueDate,
+          createdBy: user.email,
+          createdAt: new Date().toISOString()
+        };
+        taskHandler.broadcastTaskCreated(workspaceId, task, user);
+
+        return {
+          content: `${user.name || user.email} ha creado la tarea "${title}"${dueDate ? ` para el ${dueDate}` : ''}`,
+          data: { taskId: task.id, title, dueDate }
+        };
+      }
+    });
+  }
+
+  if (noteHandler) {
+    registry.register('note', {
+      usage: '/note <título>',
+      description: 'Crea una nota colaborativa',
+      async execute({ workspaceId, user, args }) {
+        if (!args || args.length > MAX_TITLE_LENGTH) {
+          return commandError('Uso: /note <título>');
+        }
+
+        const note = await noteHandler.createNote(workspaceId, { title: args }, user);
+        return {
+          content: `${user.name || user.email} ha creado la nota "${note.title}"`,
+          data: { noteId: note.id, title: note.title }
+        };
+      }
+    });
+  }
+
+  registry.register('poll', {
+    usage: '/poll "<pregunta>" <opción> <opción> ...',
+    description: 'Publica una encuesta en el canal',
+    execute({ user, args }) {
+      const [question, ...options] = splitArguments(args);
+      const uniqueOptions = Array.from(new Set(options));
+
+      if (!question || uniqueOptions.length < 2 || uniqueOptions.length > MAX_POLL_OPTIONS) {
+        return commandError(`Uso: /poll "<pregunta>" <opción> <opción> ... (de 2 a ${MAX_POLL_OPTIONS} opciones)`);
+      }
+
+      return {
+        content: `${user.name || user.email} ha creado una encuesta: ${question}`,
+        data: {
+          poll: {
+            id: crypto.randomUUID(),
+            question,
+            options: uniqueOptions.map((text, index) => ({ id: String(index + 1), text }))
+          }
+        }
+      };
+    }
+  });
+};
+
+module.exports = {
+  CommandRegistry,
+  registerDefaultCommands,
+  parseCommand,
+  splitArguments,
+  parseDueDate
+};
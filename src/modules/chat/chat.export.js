@@ -0,0 +1,201 @@
+/**
+ * Formatos de exportación del historial del chat
+ *
+ * Cada formateador convierte los mensajes en trozos de texto a medida que se
+ * leen, para que la exportación se pueda enviar en streaming sin guardar el
+ * historial completo en memoria. Se llama a start(), después a channel() al
+ * empezar cada canal y a message() por cada mensaje (las respuestas justo
+ * después de su mensaje padre), y por último a end().
+ */
+
+const FORMATS = ['json', 'md', 'csv'];
+
+const CSV_COLUMNS = [
+  'channel',
+  'id',
+  'parent_id',
+  'timestamp',
+  'sender_email',
+  'sender_name',
+  'content',
+  'edited_at',
+  'edit_history',
+  'deleted'
+];
+
+/**
+ * Obtiene los datos exportables de un mensaje
+ * @param {string} channelId - ID del canal
+ * @param {Object} message - Mensaje almacenado
+ * @returns {Object} Mensaje exportado
+ */
+const toExportedMessage = (channelId, message) => ({
+  id: message.id,
+  channelId,
+  parentId: message.parentId || null,
+  type: message.type || 'message',
+  senderEmail: message.senderEmail || null,
+  senderName: message.senderName || null,
+  content: message.deleted ? '' : message.content,
+  timestamp: message.timestamp,
+  editedAt: message.editedAt || null,
+  editHistory: message.deleted ? [] : (message.editHistory || []),
+  deleted: Boolean(message.deleted)
+});
+
+/**
+ * Escapa un valor para una celda CSV
+ * Los valores que empiezan por =, +, - o @ se prefijan con ' para que las hojas
+ * de cálculo no los interpreten como fórmulas.
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Convierte un texto de varias líneas en el contenido de un elemento de lista Markdown
+ * @param {string} text - Texto
+ * @param {string} indent - Sangría de las líneas siguientes
+ * @returns {string} Texto con las líneas sangradas
+ */
+const mdLines = (text, indent) => String(text || '').split(/\r?\n/).join(`\n${indent}`);
+
+const createJsonFormatter = ({ workspaceId, from, to, exportedAt }) => {
+  let first = true;
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start() {
+      const header = JSON.stringify({ workspaceId, exportedAt, from, to });
+      return `${header.slice(0, -1)},"messages":[`;
+    },
+    channel() {
+      return '';
+    },
+    message(channelId, message) {
+      const chunk = `${first ? '\n' : ',\n'}${JSON.stringify(toExportedMessage(channelId, message))}`;
+      first = false;
+      return chunk;
+    },
+    end() {
+      return `${first ? '' : '\n'}]}\n`;
+    }
+  };
+};
+
+const createMarkdownFormatter = ({ workspaceId, from, to, exportedAt }) => ({
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  start() {
+    const range = from || to ? `\n\nMensajes desde ${from || 'el inicio'} hasta ${to || 'hoy'}.` : '';
+    return `# Chat del workspace ${workspaceId}\n\nExportado el ${exportedAt}.${range}\n`;
+  },
+  channel(channel) {
+    return `\n## #${channel.name || channel.id}\n\n`;
+  },
+  message(channelId, message) {
+    const exported = toExportedMessage(channelId, message);
+    const indent = exported.parentId ? '  ' : '';
+    const sender = exported.type === 'system'
+      ? 'Sistema'
+      : `${exported.senderName || exported.senderEmail} (${exported.senderEmail})`;
+
+    if (exported.deleted) {
+      return `${indent}- **[${exported.timestamp}] ${sender}:** _Mensaje borrado_\n`;
+    }
+
+    let chunk = `${indent}- **[${exported.timestamp}] ${sender}:** ${mdLines(exported.content, `${indent}  `)}\n`;
+    if (exported.editedAt) {
+      chunk += `${indent}  - _Editado el ${exported.editedAt}. Versiones anteriores:_\n`;
+      for (const edit of exported.editHistory) {
+        chunk += `${indent}    - [${edit.editedAt}] ${mdLines(edit.content, `${indent}      `)}\n`;
+      }
+    }
+    return chunk;
+  },
+  end() {
+    return '';
+  }
+});
+
+const createCsvFormatter = () => ({
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  start() {
+    return csvRow(CSV_COLUMNS);
+  },
+  channel() {
+    return '';
+  },
+  message(channelId, message) {
+    const exported = toExportedMessage(channelId, message);
+    return csvRow([
+      channelId,
+      exported.id,
+      exported.parentId,
+      exported.timestamp,
+      exported.senderEmail,
+      exported.senderName,
+      exported.content,
+      exported.editedAt,
+      exported.editHistory.length > 0 ? JSON.stringify(exported.editHistory) : '',
+      exported.deleted
+    ]);
+  },
+  end() {
+    return '';
+  }
+});
+
+/**
+ * Crea el formateador de un formato de exportación
+ * @param {string} format - "json", "md" o "csv"
+ * @param {Object} meta - Datos de la exportación
+ * @param {string} meta.workspaceId - ID del workspace
+ * @param {string} meta.exportedAt - Fecha de la exportación (ISO 8601)
+ * @param {string|null} [meta.from] - Fecha mínima de los mensajes (ISO 8601)
+ * @param {string|null} [meta.to] - Fecha máxima de los mensajes (ISO 8601)
+ * @returns {Object|null} Formateador ({ contentType, extension, start, channel, message, end })
+ *   o null si el formato no existe
+ */
+const createExportFormatter = (format, meta) => {
+  switch (format) {
+    case 'json':
+      return createJsonFormatter(meta);
+    case 'md':
+      return createMarkdownFormatter(meta);
+    case 'csv':
+      return createCsvFormatter(meta);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Cabecera Content-Disposition para descargar una exportación
+ * El nombre lleva el ID del workspace, que llega en la URL: `filename` lleva una
+ * versión solo con caracteres seguros y `filename*` el nombre completo en UTF-8.
+ * @param {string} filename - Nombre del archivo
+ * @returns {string} Valor de la cabecera
+ */
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\w.-]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  FORMATS,
+  createExportFormatter,
+  toExportedMessage,
+  contentDisposition
+};
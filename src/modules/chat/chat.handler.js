@@ -1,10 +1,27 @@
 const logger = require('../../utils/logger');
 const metricsService = require('../../services/metrics');
 const redisService = require('../../services/redis');
+const { isWorkspaceAdmin, isWorkspaceMember, resolveIdentity } = require('../../middleware/auth');
+const { personalRoom } = require('../../utils/rooms');
+const ChatStore = require('./chat.store');
+const { isStreamId } = ChatStore;
+const { compareStreamIds } = ChatStore;
+const ChannelStore = require('./channel.store');
+const { DEFAULT_CHANNEL, normalizeChannelName } = ChannelStore;
+const { parseMentions } = require('./mentions');
+const ChatSearchIndex = require('./chat.search');
+const ChatModeration = require('./chat.moderation');
+const MessageScheduler = require('./chat.scheduler');
+const TypingTracker = require('./chat.typing');
+const { CommandRegistry, registerDefaultCommands, parseCommand } = require('./chat.commands');
+const { FORMATS: EXPORT_FORMATS, createExportFormatter } = require('./chat.export');
+const { normalizePoll, getPoll, isPollClosed, validateVote, tallyVotes } = require('./chat.polls');
 
 // Almacenamiento en memoria (se reemplazará gradualmente por Redis)
-const workspaceMessages = new Map(); // workspaceId -> Array<Message>
-const typingUsers = new Map(); // workspaceId -> Map(userId -> {name, timestamp})
+const threadFollowers = new Map(); // `${streamId}:${parentId}` -> Set<email>
+const readPointers = new Map(); // streamId -> Map(email -> último messageId leído)
+const pendingMentions = new Map(); // `${workspaceId}:${email}` -> Array<Notification>
+const clientMessages = new Map(); // clave de clientMessageId -> { result, expiresAt } (sin Redis)
 
 /**
  * Clase para manejar eventos relacionados con el chat
@@ -13,15 +30,65 @@ class ChatHandler {
   /**
    * Inicializa el handler con la instancia de socket.io
    * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} [options] - Dependencias de otros módulos
+   * @param {Object} [options.workspaceHandler] - Handler de workspaces (miembros y pertenencia)
+   * @param {Object} [options.taskHandler] - Handler de tareas (comando /task)
+   * @param {Object} [options.noteHandler] - Handler de notas (comando /note)
+   * @param {Object} [options.retentionPolicies] - Políticas de retención de cada workspace
    */
-  constructor(io) {
+  constructor(io, { workspaceHandler, taskHandler, noteHandler, retentionPolicies } = {}) {
     this.io = io;
+    this.workspaceHandler = workspaceHandler;
     this.REDIS_PREFIX = 'chat:';
-    this.MESSAGE_LIMIT = 100; // Número máximo de mensajes a almacenar por workspace
+    this.HISTORY_PAGE_SIZE = 50; // Mensajes por página de historial por defecto
+    this.HISTORY_MAX_PAGE_SIZE = 100; // Tamaño máximo de página que puede pedir un cliente
     this.TYPING_TIMEOUT = 5000; // Tiempo en ms para considerar que un usuario dejó de escribir
+    this.TYPING_THROTTLE = 2000; // Tiempo mínimo en ms entre dos notificaciones de que un usuario escribe
+    this.EDIT_HISTORY_LIMIT = 20; // Versiones anteriores a conservar por mensaje
+    this.MAX_EMOJI_LENGTH = 32; // Longitud máxima del identificador de una reacción
+    this.PINS_LIMIT = 50; // Mensajes fijados como máximo por canal
+    this.SCHEDULE_MAX_DELAY = 30 * 24 * 60 * 60 * 1000; // Antelación máxima en ms de un mensaje programado
+    this.SCHEDULED_PER_USER_LIMIT = 25; // Mensajes programados pendientes por usuario y workspace
+    this.UNREAD_COUNT_CAP = 100; // A partir de aquí el contador de no leídos se muestra como "100+"
+    this.PENDING_MENTIONS_TTL = 30 * 24 * 60 * 60; // Segundos que se guardan las menciones no entregadas
+    this.CLIENT_MESSAGE_ID_MAX_LENGTH = 64; // Longitud máxima de un clientMessageId
+    this.CLIENT_MESSAGE_TTL = 24 * 60 * 60; // Segundos durante los que se detectan reenvíos de un mensaje
+    this.CLIENT_MESSAGE_PENDING_TTL = 30; // Segundos que dura la reserva de un mensaje en proceso
+    this.SEARCH_MIN_QUERY_LENGTH = 2; // Longitud mínima de una consulta de búsqueda
+    this.SEARCH_PAGE_SIZE = 20; // Resultados por página de búsqueda por defecto
+    this.SEARCH_MAX_PAGE_SIZE = 50; // Tamaño máximo de página de búsqueda
+    this.MODERATION_LOG_PAGE_SIZE = 50; // Entradas por página del registro de moderación
+    this.POLL_UPDATE_THROTTLE = 1000; // Tiempo mínimo en ms entre dos recuentos de una misma encuesta
     
-    // Iniciar limpieza periódica de estados de escritura
-    this._startTypingCleanup();
+    // Historial append-only en Redis Streams
+    this.store = new ChatStore(this.REDIS_PREFIX);
+    // Canales de cada workspace y sus miembros
+    this.channels = new ChannelStore(this.REDIS_PREFIX);
+    // Índice de búsqueda de texto completo, actualizado al guardar cada mensaje
+    this.searchIndex = new ChatSearchIndex(this.REDIS_PREFIX, {
+      backfill: (workspaceId) => this._searchBackfill(workspaceId)
+    });
+    // Reglas de moderación de cada workspace y registro de sus acciones
+    this.moderation = new ChatModeration(this.REDIS_PREFIX, { retentionPolicies });
+    // Comandos del chat ("/task", "/note", "/poll"); se pueden registrar más con this.commands.register
+    this.commands = new CommandRegistry();
+    registerDefaultCommands(this.commands, { taskHandler, noteHandler });
+    // Mensajes programados: cola durable en Redis compartida por todas las instancias
+    this.scheduler = new MessageScheduler(this.REDIS_PREFIX, {
+      deliver: (item, options) => this._deliverScheduledMessage(item, options)
+    });
+    this.scheduler.start();
+    
+    // Estado de "escribiendo": en memoria, con notificaciones limitadas y reenviadas a otras instancias
+    this.typing = new TypingTracker(io, {
+      channel: `${this.REDIS_PREFIX}typing`,
+      ttl: this.TYPING_TIMEOUT,
+      throttle: this.TYPING_THROTTLE
+    });
+    this.typing.start();
+    
+    // Envíos pendientes del recuento de cada encuesta (`${streamId}:${messageId}` -> timer)
+    this.pollUpdateTimers = new Map();
   }
 
   /**
@@ -29,82 +96,208 @@ class ChatHandler {
    * @param {Object} socket - Socket de conexión
    */
   registerHandlers(socket) {
-    socket.on('new_message', (messageData) => this.handleNewMessage(socket, messageData));
+    socket.on('new_message', (messageData, ack) => this.handleNewMessage(socket, messageData, ack));
     socket.on('user_typing', (data) => this.handleUserTyping(socket, data));
     socket.on('user_stop_typing', (data) => this.handleUserStopTyping(socket, data));
+    socket.on('get_message_history', (params) => this.getMessageHistory(socket, params));
+    socket.on('edit_message', (data) => this.handleEditMessage(socket, data));
+    socket.on('delete_message', (data) => this.handleDeleteMessage(socket, data));
+    socket.on('get_message_edits', (data) => this.getMessageEdits(socket, data));
+    socket.on('get_thread', (params) => this.getThread(socket, params));
+    socket.on('follow_thread', (data) => this.handleFollowThread(socket, data, true));
+    socket.on('unfollow_thread', (data) => this.handleFollowThread(socket, data, false));
+    socket.on('add_reaction', (data) => this.handleReaction(socket, data, true));
+    socket.on('remove_reaction', (data) => this.handleReaction(socket, data, false));
+    socket.on('schedule_message', (data, ack) => this.handleScheduleMessage(socket, data, ack));
+    socket.on('cancel_scheduled_message', (data) => this.handleCancelScheduledMessage(socket, data));
+    socket.on('list_scheduled_messages', (params) => this.listScheduledMessages(socket, params));
+    socket.on('pin_message', (data) => this.handlePin(socket, data, true));
+    socket.on('unpin_message', (data) => this.handlePin(socket, data, false));
+    socket.on('get_pinned_messages', (params) => this.getPinnedMessages(socket, params));
+    socket.on('create_poll', (data, ack) => this.handleCreatePoll(socket, data, ack));
+    socket.on('vote_poll', (data, ack) => this.handleVotePoll(socket, data, ack));
+    socket.on('get_poll_results', (params) => this.getPollResults(socket, params));
+    socket.on('mark_read', (data) => this.handleMarkRead(socket, data));
+    socket.on('get_unread_counts', () => this.getUnreadCounts(socket));
+    socket.on('create_channel', (data) => this.handleCreateChannel(socket, data));
+    socket.on('archive_channel', (data) => this.handleArchiveChannel(socket, data));
+    socket.on('list_channels', (data) => this.listChannels(socket, data));
+    socket.on('join_channel', (data) => this.handleJoinChannel(socket, data));
+    socket.on('search_messages', (params) => this.handleSearchMessages(socket, params));
+    socket.on('get_moderation_config', (data) => this.handleModerationRequest(socket, 'get_moderation_config', data));
+    socket.on('update_moderation_config', (data) => this.handleModerationRequest(socket, 'update_moderation_config', data));
+    socket.on('get_moderation_log', (data) => this.handleModerationRequest(socket, 'get_moderation_log', data));
+    socket.on('list_commands', () => socket.emit('commands', { commands: this.commands.list() }));
+    // Al entrar en un workspace se entregan las menciones recibidas estando offline
+    socket.on('join_workspace', (workspaceId) =>
+      this.deliverPendingMentions(socket, workspaceId)
+    );
   }
 
   /**
    * Maneja el evento de nuevo mensaje
+   * Sin channelId el mensaje va al canal por defecto del workspace. El remitente
+   * es siempre el usuario autenticado del socket.
+   *
+   * Si el cliente envía un `clientMessageId`, los reenvíos del mismo mensaje no
+   * se vuelven a publicar: se responde con el ID asignado la primera vez. El
+   * resultado se confirma por el callback de acknowledgement de Socket.IO.
    * @param {Object} socket - Socket de conexión
    * @param {Object} messageData - Datos del mensaje
+   * @param {Function} [ack] - Callback de confirmación ({ ok, id, timestamp } o { ok: false, error })
    */
-  async handleNewMessage(socket, messageData) {
+  async handleNewMessage(socket, messageData, ack) {
     const startTime = Date.now();
+    let clientMessageKey = null;
     
     try {
-      const { workspaceId, senderEmail, senderName, senderImage, content } = messageData;
+      const { workspaceId, channelId, content, parentId, clientMessageId } = messageData || {};
       
-      if (!workspaceId || !content || !senderEmail) {
+      if (!workspaceId || !content) {
         logger.warn({
           socketId: socket.id,
           messageData
         }, 'Mensaje inválido recibido');
         
-        socket.emit('error', { message: 'Datos de mensaje incompletos' });
+        this._emitError(socket, ack, 'INVALID_MESSAGE', 'Datos de mensaje incompletos');
+        return;
+      }
+      
+      if (clientMessageId !== undefined &&
+        (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > this.CLIENT_MESSAGE_ID_MAX_LENGTH)) {
+        this._emitError(socket, ack, 'INVALID_MESSAGE', 'clientMessageId no válido');
+        return;
+      }
+      
+      const sender = resolveIdentity(socket, {
+        email: messageData.senderEmail,
+        name: messageData.senderName,
+        image: messageData.senderImage
+      }, 'new_message');
+      if (!sender) {
+        this._ack(ack, {
+          ok: false,
+          error: socket.user?.email
+            ? { code: 'IDENTITY_MISMATCH', message: 'La identidad enviada no coincide con el usuario autenticado' }
+            : { code: 'AUTH_REQUIRED', message: 'Autenticación requerida' }
+        });
         return;
       }
       
+      const { email: senderEmail, name: senderName, image: senderImage } = sender;
+      
       logger.info({
         socketId: socket.id,
         workspaceId,
         senderEmail,
-        contentLength: content.length
+        channelId,
+        clientMessageId,
+        contentLength: content.length,
+        parentId
       }, 'Nuevo mensaje recibido');
 
-      // Crear objeto de mensaje
-      const newMessage = {
-        id: Date.now().toString(),
+      if (clientMessageId) {
+        clientMessageKey = `${this.REDIS_PREFIX}client:${senderEmail}:${clientMessageId}`;
+        const previous = await this._reserveClientMessage(clientMessageKey);
+        
+        if (previous) {
+          clientMessageKey = null; // La reserva pertenece al primer envío
+          
+          if (previous.id) {
+            logger.info({
+              socketId: socket.id,
+              clientMessageId,
+              messageId: previous.id
+            }, 'Mensaje duplicado descartado');
+            
+            metricsService.messageProcessed('new_message_duplicate');
+            this._ack(ack, { ok: true, duplicate: true, clientMessageId, ...previous });
+          } else {
+            this._emitError(socket, ack, 'DUPLICATE_IN_PROGRESS', 'El mensaje ya se está procesando');
+          }
+          return;
+        }
+      }
+
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true, ack });
+      if (!scope) {
+        await this._releaseClientMessage(clientMessageKey);
+        return;
+      }
+
+      const moderated = await this._moderateContent(scope, content, { senderEmail, event: 'new_message' });
+      if (moderated.rejected) {
+        await this._releaseClientMessage(clientMessageKey);
+        this._emitError(socket, ack, moderated.rejected.code, moderated.rejected.message);
+        return;
+      }
+
+      const command = parseCommand(moderated.content);
+      if (command) {
+        const systemMessage = await this._runCommand(socket, scope, sender, command, ack);
+        if (!systemMessage) {
+          await this._releaseClientMessage(clientMessageKey);
+          return;
+        }
+        
+        await this._completeClientMessage(clientMessageKey, systemMessage);
+        this._ack(ack, {
+          ok: true,
+          id: systemMessage.id,
+          timestamp: systemMessage.timestamp,
+          command: command.name,
+          ...(clientMessageId && { clientMessageId })
+        });
+        return;
+      }
+      
+      // Un mensaje que empieza por "//" se publica como texto que empieza por "/"
+      const messageContent = moderated.content.startsWith('//') ? moderated.content.slice(1) : moderated.content;
+
+      // Las respuestas siempre cuelgan del mensaje raíz del hilo
+      let threadId = null;
+      if (parentId) {
+        const parentMessage = await this.store.getMessage(scope.streamId, parentId);
+        if (!parentMessage || parentMessage.deleted) {
+          await this._releaseClientMessage(clientMessageKey);
+          this._emitError(socket, ack, 'PARENT_NOT_FOUND', 'Mensaje padre no encontrado');
+          return;
+        }
+        threadId = parentMessage.parentId || parentMessage.id;
+      }
+
+      const mentions = await this._resolveMentions(workspaceId, messageContent);
+
+      // Guardar mensaje en el stream del canal (el ID lo asigna Redis)
+      const newMessage = await this.store.append(scope.streamId, {
         workspaceId,
+        channelId: scope.channelId,
         senderEmail,
         senderName,
         senderImage,
-        content,
+        content: messageContent,
+        ...(clientMessageId && { clientMessageId }),
+        ...(threadId && { parentId: threadId }),
+        ...(mentions.length > 0 && { mentions }),
+        ...(sender.actedBy && { actedBy: sender.actedBy }),
         timestamp: new Date().toISOString()
-      };
-      
-      // Guardar mensaje en memoria local
-      if (!workspaceMessages.has(workspaceId)) {
-        workspaceMessages.set(workspaceId, []);
-      }
-      workspaceMessages.get(workspaceId).push(newMessage);
-      
-      // Limitar la cantidad de mensajes almacenados
-      const messages = workspaceMessages.get(workspaceId);
-      if (messages.length > this.MESSAGE_LIMIT) {
-        workspaceMessages.set(workspaceId, messages.slice(-this.MESSAGE_LIMIT));
-      }
-      
-      // Guardar mensaje en Redis
-      const redisKey = `${this.REDIS_PREFIX}${workspaceId}:messages`;
-      const redisMessages = await redisService.get(redisKey) || [];
-      redisMessages.push(newMessage);
-      
-      // Limitar la cantidad de mensajes en Redis
-      if (redisMessages.length > this.MESSAGE_LIMIT) {
-        redisMessages.splice(0, redisMessages.length - this.MESSAGE_LIMIT);
-      }
+      }, { threadId });
       
-      await redisService.set(redisKey, redisMessages);
+      // A partir de aquí el mensaje existe: un reenvío debe recibir este mismo ID
+      await this._completeClientMessage(clientMessageKey, newMessage);
+      clientMessageKey = null;
       
-      // Comprimir el mensaje antes de enviarlo (implementación de compresión de mensajes)
-      const compressedMessage = this._compressMessage(newMessage);
+      this._ack(ack, {
+        ok: true,
+        id: newMessage.id,
+        timestamp: newMessage.timestamp,
+        ...(clientMessageId && { clientMessageId })
+      });
       
-      // Emitir mensaje a todos los usuarios en el workspace
-      this.io.to(workspaceId).emit('new_message', compressedMessage);
+      await this._broadcastNewMessage(scope, newMessage, { threadId, mentions });
       
       // Limpiar estado de "escribiendo" para el usuario que envió el mensaje
-      this.handleUserStopTyping(socket, { workspaceId, email: senderEmail, name: senderName });
+      this.typing.stopTyping(scope, { email: senderEmail, name: senderName });
       
       metricsService.messageProcessed('new_message', Date.now() - startTime);
       
@@ -112,6 +305,7 @@ class ChatHandler {
         socketId: socket.id,
         messageId: newMessage.id,
         workspaceId,
+        channelId: scope.channelId,
         senderEmail
       }, 'Mensaje enviado correctamente');
     } catch (error) {
@@ -125,226 +319,2779 @@ class ChatHandler {
         error: error.message 
       });
       
-      socket.emit('error', { message: 'Error al enviar mensaje', details: error.message });
+      // Si el mensaje no llegó a guardarse, permitir que el cliente lo reintente
+      await this._releaseClientMessage(clientMessageKey).catch(() => {});
+      
+      this._emitError(socket, ack, 'INTERNAL_ERROR', 'Error al enviar mensaje', error.message);
     }
   }
 
   /**
-   * Maneja el evento de usuario escribiendo
+   * Maneja la programación de un mensaje para enviarlo más adelante
+   * El mensaje pasa la moderación al programarse y se publica desde el
+   * planificador con el remitente original. Responde con `message_scheduled`
+   * y por el acknowledgement si el cliente lo envía.
    * @param {Object} socket - Socket de conexión
-   * @param {Object} data - Datos del evento
+   * @param {Object} data - Datos ({ workspaceId, channelId, content, sendAt })
+   * @param {Function} [ack] - Callback de confirmación
    */
-  async handleUserTyping(socket, data) {
+  async handleScheduleMessage(socket, data, ack) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, content, sendAt } = data || {};
+    
     try {
-      const { workspaceId, email, name } = data;
+      if (!workspaceId || typeof content !== 'string' || !content.trim()) {
+        this._emitError(socket, ack, 'INVALID_MESSAGE', 'Datos de mensaje incompletos');
+        return;
+      }
       
-      if (!workspaceId || !email) return;
+      if (parseCommand(content)) {
+        this._emitError(socket, ack, 'INVALID_MESSAGE', 'Los comandos no se pueden programar');
+        return;
+      }
       
-      logger.debug({
-        socketId: socket.id,
-        workspaceId,
-        email
-      }, 'Usuario escribiendo');
+      const sendAtMs = this._parseSearchDate(sendAt);
+      const now = Date.now();
+      if (!sendAtMs || Number.isNaN(sendAtMs) || sendAtMs <= now || sendAtMs - now > this.SCHEDULE_MAX_DELAY) {
+        this._emitError(socket, ack, 'INVALID_SEND_TIME', 'La fecha de envío debe ser futura y como máximo dentro de 30 días');
+        return;
+      }
+      
+      const sender = resolveIdentity(socket, {
+        email: data.senderEmail,
+        name: data.senderName,
+        image: data.senderImage
+      }, 'schedule_message');
+      if (!sender) {
+        this._ack(ack, {
+          ok: false,
+          error: socket.user?.email
+            ? { code: 'IDENTITY_MISMATCH', message: 'La identidad enviada no coincide con el usuario autenticado' }
+            : { code: 'AUTH_REQUIRED', message: 'Autenticación requerida' }
+        });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true, ack });
+      if (!scope) return;
+      
+      const pending = await this.scheduler.list(workspaceId);
+      if (pending.filter(item => item.senderEmail === sender.email).length >= this.SCHEDULED_PER_USER_LIMIT) {
+        this._emitError(socket, ack, 'SCHEDULE_LIMIT_REACHED',
+          `No puedes tener más de ${this.SCHEDULED_PER_USER_LIMIT} mensajes programados en este workspace`);
+        return;
+      }
       
-      // Actualizar estado en memoria local
-      if (!typingUsers.has(workspaceId)) {
-        typingUsers.set(workspaceId, new Map());
+      const moderated = await this._moderateContent(scope, content, {
+        senderEmail: sender.email,
+        event: 'schedule_message'
+      });
+      if (moderated.rejected) {
+        this._emitError(socket, ack, moderated.rejected.code, moderated.rejected.message);
+        return;
       }
       
-      const workspaceTypingUsers = typingUsers.get(workspaceId);
-      workspaceTypingUsers.set(email, { name, timestamp: Date.now() });
+      const scheduled = await this.scheduler.schedule({
+        workspaceId,
+        channelId: scope.channelId,
+        senderEmail: sender.email,
+        senderName: sender.name,
+        senderImage: sender.image,
+        ...(sender.actedBy && { actedBy: sender.actedBy }),
+        content: moderated.content.startsWith('//') ? moderated.content.slice(1) : moderated.content,
+        sendAt: new Date(sendAtMs).toISOString()
+      });
       
-      // Actualizar estado en Redis
-      const redisKey = `${this.REDIS_PREFIX}${workspaceId}:typing`;
-      const redisTypingUsers = await redisService.get(redisKey) || {};
-      redisTypingUsers[email] = { name, timestamp: Date.now() };
-      await redisService.set(redisKey, redisTypingUsers, 10); // TTL de 10 segundos
+      socket.emit('message_scheduled', { scheduled });
+      this._ack(ack, { ok: true, id: scheduled.id, sendAt: scheduled.sendAt });
       
-      // Notificar a todos los usuarios del workspace
-      this.io.to(workspaceId).emit('user_typing', { email, name });
+      metricsService.messageProcessed('schedule_message', Date.now() - startTime);
       
-      metricsService.messageProcessed('user_typing');
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId: scope.channelId,
+        scheduledId: scheduled.id,
+        sendAt: scheduled.sendAt,
+        senderEmail: sender.email
+      }, 'Mensaje programado');
     } catch (error) {
       logger.error({
         error: error.message,
-        socketId: socket.id
-      }, 'Error al procesar evento de usuario escribiendo');
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al programar mensaje');
       
-      metricsService.errorOccurred('user_typing', { 
+      metricsService.errorOccurred('schedule_message', { 
         socketId: socket.id, 
         error: error.message 
       });
+      
+      this._emitError(socket, ack, 'INTERNAL_ERROR', 'Error al programar mensaje', error.message);
     }
   }
 
   /**
-   * Maneja el evento de usuario que deja de escribir
+   * Cancela un mensaje programado (solo su autor o un administrador)
+   * Responde con `scheduled_message_cancelled`.
    * @param {Object} socket - Socket de conexión
-   * @param {Object} data - Datos del evento
+   * @param {Object} data - Datos ({ workspaceId, scheduledId })
    */
-  async handleUserStopTyping(socket, data) {
+  async handleCancelScheduledMessage(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, scheduledId } = data || {};
+    
     try {
-      const { workspaceId, email, name } = data;
+      if (!workspaceId || !scheduledId) {
+        socket.emit('error', { message: 'Datos de cancelación incompletos' });
+        return;
+      }
       
-      if (!workspaceId || !email) return;
+      if (!socket.user?.email) {
+        socket.emit('error', { message: 'Autenticación requerida', code: 'AUTH_REQUIRED' });
+        return;
+      }
+      
+      const scheduled = await this.scheduler.get(scheduledId);
+      if (!scheduled || scheduled.workspaceId !== workspaceId) {
+        socket.emit('error', { message: 'Mensaje programado no encontrado', code: 'SCHEDULED_MESSAGE_NOT_FOUND' });
+        return;
+      }
+      
+      if (scheduled.senderEmail !== socket.user.email && !isWorkspaceAdmin(socket.user, workspaceId)) {
+        socket.emit('error', { message: 'No tienes permiso para cancelar este mensaje', code: 'FORBIDDEN' });
+        return;
+      }
       
-      logger.debug({
+      const result = await this.scheduler.cancel(scheduledId);
+      if (result === 'sending') {
+        socket.emit('error', { message: 'El mensaje ya se está enviando', code: 'SCHEDULED_MESSAGE_SENDING' });
+        return;
+      }
+      if (result === 'not_found') {
+        socket.emit('error', { message: 'Mensaje programado no encontrado', code: 'SCHEDULED_MESSAGE_NOT_FOUND' });
+        return;
+      }
+      
+      socket.emit('scheduled_message_cancelled', { workspaceId, scheduledId });
+      
+      metricsService.messageProcessed('cancel_scheduled_message', Date.now() - startTime);
+      
+      logger.info({
         socketId: socket.id,
         workspaceId,
-        email
-      }, 'Usuario dejó de escribir');
+        scheduledId,
+        cancelledBy: socket.user.email
+      }, 'Mensaje programado cancelado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        scheduledId
+      }, 'Error al cancelar mensaje programado');
+      
+      metricsService.errorOccurred('cancel_scheduled_message', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
       
-      // Actualizar estado en memoria local
-      if (typingUsers.has(workspaceId)) {
-        const workspaceTypingUsers = typingUsers.get(workspaceId);
-        workspaceTypingUsers.delete(email);
+      socket.emit('error', { message: 'Error al cancelar mensaje programado', details: error.message });
+    }
+  }
+
+  /**
+   * Lista los mensajes programados pendientes, responde con `scheduled_messages`
+   * Cada usuario ve los suyos; los administradores ven todos los del workspace.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros ({ workspaceId, channelId })
+   */
+  async listScheduledMessages(socket, params) {
+    const startTime = Date.now();
+    const { workspaceId, channelId } = params || {};
+    
+    try {
+      if (!workspaceId || !socket.user?.email) {
+        socket.emit('error', { message: 'Se requiere workspaceId' });
+        return;
       }
       
-      // Actualizar estado en Redis
-      const redisKey = `${this.REDIS_PREFIX}${workspaceId}:typing`;
-      const redisTypingUsers = await redisService.get(redisKey) || {};
-      delete redisTypingUsers[email];
-      await redisService.set(redisKey, redisTypingUsers, 10); // TTL de 10 segundos
+      const isAdmin = isWorkspaceAdmin(socket.user, workspaceId);
+      const scheduled = (await this.scheduler.list(workspaceId)).filter(item =>
+        (isAdmin || item.senderEmail === socket.user.email) &&
+        (!channelId || item.channelId === channelId)
+      );
       
-      // Notificar a todos los usuarios del workspace
-      this.io.to(workspaceId).emit('user_stop_typing', { email, name });
+      socket.emit('scheduled_messages', { workspaceId, channelId: channelId || null, scheduled });
       
-      metricsService.messageProcessed('user_stop_typing');
+      metricsService.messageProcessed('list_scheduled_messages', Date.now() - startTime);
     } catch (error) {
       logger.error({
         error: error.message,
-        socketId: socket.id
-      }, 'Error al procesar evento de usuario que deja de escribir');
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al listar mensajes programados');
       
-      metricsService.errorOccurred('user_stop_typing', { 
+      metricsService.errorOccurred('list_scheduled_messages', { 
         socketId: socket.id, 
         error: error.message 
       });
+      
+      socket.emit('error', { message: 'Error al listar mensajes programados', details: error.message });
     }
   }
 
   /**
-   * Inicia la limpieza periódica de estados de escritura
+   * Publica un mensaje programado cuando llega su hora (lo llama el planificador)
+   * Si el canal ya no existe o está archivado, el mensaje se descarta y se
+   * avisa al autor con `scheduled_message_failed`.
+   * @param {Object} item - Mensaje programado
+   * @param {Object} options - Opciones del planificador
+   * @param {boolean} options.retry - Un intento anterior quedó a medias
+   * @param {Function} options.markPublished - Guarda el ID del mensaje publicado en el programado
+   * @returns {Promise<Object|null>} Mensaje publicado o null si se descartó
    * @private
    */
-  _startTypingCleanup() {
-    setInterval(async () => {
-      const now = Date.now();
-      
-      // Limpiar estados de escritura en memoria local
-      typingUsers.forEach((workspaceTypingUsers, workspaceId) => {
-        workspaceTypingUsers.forEach((userData, email) => {
-          if (now - userData.timestamp > this.TYPING_TIMEOUT) {
-            workspaceTypingUsers.delete(email);
-            this.io.to(workspaceId).emit('user_stop_typing', { 
-              email, 
-              name: userData.name 
-            });
-          }
-        });
+  async _deliverScheduledMessage(item, { retry, markPublished }) {
+    const { workspaceId, channelId, senderEmail } = item;
+    const scope = { channelId, ...this._channelScope(workspaceId, channelId) };
+    const userRoom = personalRoom(senderEmail);
+    
+    // Si el intento anterior llegó a publicar el mensaje no se vuelve a publicar,
+    // pero sí se difunde, porque la instancia pudo caer antes de hacerlo
+    if (retry) {
+      const published = item.messageId
+        ? await this.store.getMessage(scope.streamId, item.messageId)
+        : await this._findScheduledMessage(scope.streamId, item);
+      if (published) {
+        await this._announceScheduledMessage(scope, item, published);
+        return published;
+      }
+    }
+    
+    const channel = await this.channels.get(workspaceId, channelId);
+    if (!channel || channel.archived) {
+      this.io.to(userRoom).emit('scheduled_message_failed', {
+        workspaceId,
+        channelId,
+        scheduledId: item.id,
+        reason: channel ? 'CHANNEL_ARCHIVED' : 'CHANNEL_NOT_FOUND'
       });
+      return null;
+    }
+    
+    const mentions = await this._resolveMentions(workspaceId, item.content);
+    const message = await this.store.append(scope.streamId, {
+      workspaceId,
+      channelId,
+      senderEmail,
+      senderName: item.senderName,
+      senderImage: item.senderImage,
+      content: item.content,
+      scheduledId: item.id,
+      ...(mentions.length > 0 && { mentions }),
+      ...(item.actedBy && { actedBy: item.actedBy }),
+      timestamp: new Date().toISOString()
+    });
+    
+    await markPublished(message.id);
+    await this._announceScheduledMessage(scope, item, message);
+    
+    return message;
+  }
+
+  /**
+   * Busca un mensaje programado que un intento anterior publicó sin llegar a
+   * anotar su ID (la instancia cayó entre el guardado y markPublished)
+   * Solo se recorren los mensajes posteriores al primer intento de envío.
+   * @param {string} streamId - Stream del canal
+   * @param {Object} item - Mensaje programado
+   * @returns {Promise<Object|null>} Mensaje publicado o null
+   * @private
+   */
+  async _findScheduledMessage(streamId, item) {
+    const from = Date.parse(item.sendingSince || item.sendAt);
+    for await (const message of this.store.iterate(streamId, { from })) {
+      if (message.scheduledId === item.id) return message;
+    }
+    return null;
+  }
+
+  /**
+   * Difunde un mensaje programado ya guardado y avisa a su autor
+   * @param {Object} scope - Canal del mensaje
+   * @param {Object} item - Mensaje programado
+   * @param {Object} message - Mensaje publicado
+   * @private
+   */
+  async _announceScheduledMessage(scope, item, message) {
+    await this._broadcastNewMessage(scope, message, { mentions: message.mentions });
+    
+    this.io.to(personalRoom(item.senderEmail)).emit('scheduled_message_sent', {
+      workspaceId: item.workspaceId,
+      channelId: item.channelId,
+      scheduledId: item.id,
+      messageId: message.id
+    });
+    
+    metricsService.messageProcessed('scheduled_message_sent', Date.now() - Date.parse(item.sendAt));
+  }
+
+  /**
+   * Difunde un mensaje recién guardado: índice de búsqueda, sala del canal,
+   * hilo o contadores de no leídos, y menciones
+   * @param {Object} scope - Canal del mensaje
+   * @param {Object} message - Mensaje guardado
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.threadId] - Hilo al que responde el mensaje
+   * @param {Array<Object>} [options.mentions] - Miembros mencionados
+   * @private
+   */
+  async _broadcastNewMessage(scope, message, { threadId, mentions = [] } = {}) {
+    await this.searchIndex.index(message);
+    
+    // Emitir mensaje a todos los usuarios en el canal
+    this.io.to(scope.room).emit('new_message', message);
+    
+    if (threadId) {
+      await this._notifyThreadReply(scope, threadId, message);
+    } else {
+      // Quien escribe ha leído la conversación hasta su propio mensaje
+      await this._setReadPointer(scope.streamId, message.senderEmail, message.id);
+      await this._pushUnreadCounts(scope, message.senderEmail);
+    }
+    
+    await this._notifyMentions(message, mentions);
+  }
+
+  /**
+   * Ejecuta un comando del chat y publica su mensaje de sistema en el canal
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} scope - Canal resuelto por _resolveChannel
+   * @param {Object} sender - Identidad del autor del comando
+   * @param {{name: string, args: string}} command - Comando detectado en el mensaje
+   * @param {Function} [ack] - Callback de confirmación al que notificar los errores
+   * @returns {Promise<Object|null>} Mensaje de sistema publicado o null si el comando falló
+   * @private
+   */
+  async _runCommand(socket, scope, sender, command, ack) {
+    const definition = this.commands.get(command.name);
+    if (!definition) {
+      this._emitError(socket, ack, 'UNKNOWN_COMMAND', `Comando desconocido: /${command.name}`);
+      return null;
+    }
+    
+    const result = await definition.execute({
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      user: sender,
+      args: command.args
+    });
+    
+    if (result.error) {
+      this._emitError(socket, ack, result.error.code, result.error.message);
+      return null;
+    }
+    
+    const systemMessage = await this._postSystemMessage(scope, {
+      content: result.content,
+      system: { command: command.name, actorEmail: sender.email, ...result.data }
+    });
+    
+    metricsService.messageProcessed(`chat_command_${command.name}`);
+    
+    logger.info({
+      socketId: socket.id,
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      command: command.name,
+      actorEmail: sender.email
+    }, 'Comando de chat ejecutado');
+    
+    return systemMessage;
+  }
+
+  /**
+   * Publica un mensaje de sistema (sin remitente) en un canal
+   * @param {Object} scope - Canal resuelto por _resolveChannel
+   * @param {Object} fields - Contenido del mensaje ({ content, system })
+   * @returns {Promise<Object>} Mensaje publicado
+   * @private
+   */
+  async _postSystemMessage(scope, { content, system }) {
+    const message = await this.store.append(scope.streamId, {
+      type: 'system',
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      content,
+      system,
+      timestamp: new Date().toISOString()
+    });
+    await this.searchIndex.index(message);
+    
+    this.io.to(scope.room).emit('new_message', message);
+    
+    await this._setReadPointer(scope.streamId, system.actorEmail, message.id);
+    await this._pushUnreadCounts(scope, system.actorEmail);
+    
+    return message;
+  }
+
+  /**
+   * Reserva un clientMessageId antes de procesar el mensaje
+   * @param {string} key - Clave del clientMessageId
+   * @returns {Promise<Object|null>} null si se ha reservado; si ya existía, su
+   *   estado ({} mientras se procesa o { id, timestamp } si ya se guardó)
+   * @private
+   */
+  async _reserveClientMessage(key) {
+    const reserved = await redisService.setNX(key, { pending: true }, this.CLIENT_MESSAGE_PENDING_TTL);
+    
+    if (reserved === null) {
+      // Sin Redis: deduplicar solo en esta instancia
+      this._purgeExpiredClientMessages();
+      const local = clientMessages.get(key);
+      if (local) return local.result || {};
       
-      // No es necesario limpiar en Redis porque usamos TTL
-    }, this.TYPING_TIMEOUT);
+      clientMessages.set(key, { result: null, expiresAt: Date.now() + this.CLIENT_MESSAGE_PENDING_TTL * 1000 });
+      return null;
+    }
+    
+    if (reserved) return null;
+    
+    const previous = await redisService.get(key, true, true);
+    return previous && previous.id ? { id: previous.id, timestamp: previous.timestamp } : {};
   }
 
   /**
-   * Comprime un mensaje para reducir el tamaño del payload
-   * @param {Object} message - Mensaje original
-   * @returns {Object} Mensaje comprimido
+   * Asocia un clientMessageId reservado con el mensaje guardado
    * @private
    */
-  _compressMessage(message) {
-    // Implementación simple de compresión de mensajes
-    // En una implementación real, se podría usar una biblioteca de compresión
-    // o estrategias más avanzadas como enviar solo los campos necesarios
+  async _completeClientMessage(key, message) {
+    if (!key) return;
     
-    const compressed = {
-      i: message.id,
-      w: message.workspaceId,
-      e: message.senderEmail,
-      n: message.senderName,
-      // Solo incluir imagen si existe y no es una URL muy larga
-      ...(message.senderImage && message.senderImage.length < 200 && { img: message.senderImage }),
-      c: message.content,
-      t: message.timestamp
-    };
+    const result = { id: message.id, timestamp: message.timestamp };
+    clientMessages.delete(key);
+    clientMessages.set(key, { result, expiresAt: Date.now() + this.CLIENT_MESSAGE_TTL * 1000 });
+    await redisService.set(key, result, this.CLIENT_MESSAGE_TTL);
+  }
+
+  /**
+   * Libera un clientMessageId reservado cuyo mensaje no llegó a guardarse
+   * @private
+   */
+  async _releaseClientMessage(key) {
+    if (!key) return;
     
-    return compressed;
+    clientMessages.delete(key);
+    await redisService.delete(key);
+  }
+
+  /**
+   * Elimina de memoria los clientMessageId caducados
+   * Las entradas se insertan en orden de caducidad aproximado, así que basta con
+   * recorrer el mapa desde el principio.
+   * @private
+   */
+  _purgeExpiredClientMessages() {
+    const now = Date.now();
+    for (const [key, entry] of clientMessages) {
+      if (entry.expiresAt > now) break;
+      clientMessages.delete(key);
+    }
   }
 
   /**
-   * Obtiene el historial de mensajes de un workspace
+   * Responde al callback de acknowledgement de Socket.IO si el cliente lo envió
+   * @private
+   */
+  _ack(ack, response) {
+    if (typeof ack === 'function') ack(response);
+  }
+
+  /**
+   * Notifica un error al cliente con el evento `error` y, si lo hay, por el acknowledgement
    * @param {Object} socket - Socket de conexión
-   * @param {string} workspaceId - ID del workspace
+   * @param {Function} [ack] - Callback de confirmación
+   * @param {string} code - Código de error
+   * @param {string} message - Descripción del error
+   * @param {string} [details] - Detalles adicionales
+   * @private
+   */
+  _emitError(socket, ack, code, message, details) {
+    socket.emit('error', { message, code, ...(details && { details }) });
+    this._ack(ack, { ok: false, error: { code, message } });
+  }
+
+  /**
+   * Comprueba los cursores de paginación antes de consultar Redis
+   * Un ID mal formado haría fallar la consulta al stream.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} [before] - Cursor hacia atrás
+   * @param {string} [after] - Cursor hacia delante
+   * @returns {boolean} false si alguno no es válido (ya se ha notificado al socket)
+   */
+  _validCursors(socket, before, after) {
+    if ((before && !isStreamId(before)) || (after && !isStreamId(after))) {
+      socket.emit('error', { message: 'Cursor de paginación no válido', code: 'INVALID_CURSOR' });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Obtiene una página de respuestas de un hilo junto con su mensaje raíz
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros de la consulta
+   * @param {string} params.workspaceId - ID del workspace
+   * @param {string} [params.channelId] - ID del canal (por defecto el general)
+   * @param {string} params.parentId - ID del mensaje raíz del hilo
+   * @param {string} [params.before] - ID a partir del cual paginar hacia atrás
+   * @param {string} [params.after] - ID a partir del cual paginar hacia delante
+   * @param {number} [params.limit] - Tamaño de página
    */
-  async getMessageHistory(socket, workspaceId) {
+  async getThread(socket, params) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, parentId, before, after, limit } = params || {};
+    
     try {
-      logger.info({
-        socketId: socket.id,
-        workspaceId
-      }, 'Solicitando historial de mensajes');
+      if (!workspaceId || !parentId) {
+        socket.emit('error', { message: 'Datos de hilo incompletos' });
+        return;
+      }
       
-      // Intentar obtener mensajes de Redis primero
-      const redisKey = `${this.REDIS_PREFIX}${workspaceId}:messages`;
-      let messages = await redisService.get(redisKey);
+      if (!this._validCursors(socket, before, after)) return;
       
-      // Si no hay mensajes en Redis, usar memoria local
-      if (!messages || messages.length === 0) {
-        messages = workspaceMessages.get(workspaceId) || [];
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      const parentMessage = await this.store.getMessage(scope.streamId, parentId);
+      if (!parentMessage) {
+        socket.emit('error', { message: 'Mensaje padre no encontrado' });
+        return;
       }
       
-      // Comprimir mensajes antes de enviarlos
-      const compressedMessages = messages.map(msg => this._compressMessage(msg));
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || this.HISTORY_PAGE_SIZE, 1),
+        this.HISTORY_MAX_PAGE_SIZE
+      );
       
-      socket.emit('message_history', compressedMessages);
+      const { messages, hasMore } = await this.store.getPage(scope.streamId, {
+        before,
+        after,
+        limit: pageSize,
+        threadId: parentId
+      });
+      const summary = await this.store.getThreadSummary(scope.streamId, parentId);
       
-      logger.info({
-        socketId: socket.id,
+      socket.emit('thread_messages', {
         workspaceId,
-        messageCount: messages.length
-      }, 'Historial de mensajes enviado');
+        channelId: scope.channelId,
+        parent: { ...parentMessage, ...summary },
+        messages,
+        hasMore,
+        cursors: {
+          before: messages.length > 0 ? messages[0].id : before || null,
+          after: messages.length > 0 ? messages[messages.length - 1].id : after || null
+        }
+      });
+      
+      metricsService.messageProcessed('get_thread', Date.now() - startTime);
     } catch (error) {
       logger.error({
         error: error.message,
         socketId: socket.id,
-        workspaceId
-      }, 'Error al obtener historial de mensajes');
+        workspaceId,
+        parentId
+      }, 'Error al obtener hilo');
       
-      metricsService.errorOccurred('get_message_history', { 
+      metricsService.errorOccurred('get_thread', { 
         socketId: socket.id, 
-        workspaceId, 
         error: error.message 
       });
       
-      socket.emit('error', { message: 'Error al obtener historial de mensajes', details: error.message });
+      socket.emit('error', { message: 'Error al obtener hilo', details: error.message });
     }
   }
 
   /**
-   * Maneja la desconexión de un usuario
+   * Maneja la suscripción o baja de un usuario a las notificaciones de un hilo
    * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del hilo ({ workspaceId, channelId, parentId })
+   * @param {boolean} follow - true para seguir el hilo, false para dejar de seguirlo
    */
-  handleDisconnect(socket) {
+  async handleFollowThread(socket, data, follow) {
+    const { workspaceId, channelId, parentId } = data || {};
+    
     try {
-      // Limpiar estados de escritura
-      typingUsers.forEach((workspaceTypingUsers, workspaceId) => {
-        // Buscar el email del usuario por su socket.id
-        // Esto requiere que tengamos acceso a los datos del usuario
-        // que normalmente estarían en workspaceSockets
-        if (socket.user) {
-          const email = socket.user.email;
-          if (workspaceTypingUsers.has(email)) {
-            const userData = workspaceTypingUsers.get(email);
-            workspaceTypingUsers.delete(email);
-            
-            this.io.to(workspaceId).emit('user_stop_typing', { 
-              email, 
-              name: userData.name 
-            });
-          }
-        }
+      if (!workspaceId || !parentId || !socket.user?.email) return;
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      if (follow) {
+        await this._addThreadFollowers(scope.streamId, parentId, [socket.user.email]);
+      } else {
+        threadFollowers.get(`${scope.streamId}:${parentId}`)?.delete(socket.user.email);
+        await redisService.sRem(this._threadFollowersKey(scope.streamId, parentId), socket.user.email);
+      }
+      
+      socket.emit('thread_follow_updated', {
+        workspaceId,
+        channelId: scope.channelId,
+        parentId,
+        following: follow
+      });
+      
+      metricsService.messageProcessed(follow ? 'follow_thread' : 'unfollow_thread');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        parentId
+      }, 'Error al actualizar seguimiento de hilo');
+      
+      metricsService.errorOccurred('follow_thread', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Difunde el nuevo resumen de un hilo y notifica la respuesta a sus seguidores
+   * El autor del mensaje raíz y quienes responden pasan a seguir el hilo.
+   * @param {Object} scope - Canal del hilo (ver _resolveChannel)
+   * @param {string} threadId - ID del mensaje raíz
+   * @param {Object} reply - Respuesta almacenada
+   * @private
+   */
+  async _notifyThreadReply(scope, threadId, reply) {
+    const { workspaceId, channelId, streamId } = scope;
+    const parentMessage = await this.store.getMessage(streamId, threadId);
+    await this._addThreadFollowers(
+      streamId,
+      threadId,
+      [parentMessage?.senderEmail, reply.senderEmail].filter(Boolean)
+    );
+    
+    const summary = await this.store.getThreadSummary(streamId, threadId);
+    this.io.to(scope.room).emit('thread_updated', {
+      workspaceId,
+      channelId,
+      parentId: threadId,
+      ...summary
+    });
+    
+    // Las notificaciones van a la sala personal de cada seguidor, esté donde esté
+    const followers = await redisService.sMembers(this._threadFollowersKey(streamId, threadId)) ||
+      Array.from(threadFollowers.get(`${streamId}:${threadId}`) || []);
+    
+    followers
+      .filter(email => email !== reply.senderEmail)
+      .forEach(email => {
+        this.io.to(personalRoom(email)).emit('thread_reply', {
+          workspaceId,
+          channelId,
+          parentId: threadId,
+          message: reply
+        });
+      });
+  }
+
+  /**
+   * Añade seguidores a un hilo en memoria local y en Redis
+   * @private
+   */
+  async _addThreadFollowers(streamId, parentId, emails) {
+    if (emails.length === 0) return;
+    
+    const localKey = `${streamId}:${parentId}`;
+    if (!threadFollowers.has(localKey)) {
+      threadFollowers.set(localKey, new Set());
+    }
+    emails.forEach(email => threadFollowers.get(localKey).add(email));
+    
+    await redisService.sAdd(this._threadFollowersKey(streamId, parentId), emails);
+  }
+
+  /**
+   * Devuelve la clave de Redis con los seguidores de un hilo
+   * @private
+   */
+  _threadFollowersKey(streamId, parentId) {
+    return `${this.REDIS_PREFIX}${streamId}:thread:${parentId}:followers`;
+  }
+
+  /**
+   * Maneja la edición de un mensaje
+   * Solo el remitente original o un administrador del workspace pueden editar.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos de la edición ({ workspaceId, channelId, messageId, content })
+   */
+  async handleEditMessage(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, messageId, content } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId || !content) {
+        socket.emit('error', { message: 'Datos de edición incompletos' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true });
+      if (!scope) return;
+      
+      const message = await this._getModifiableMessage(socket, scope, messageId);
+      if (!message) return;
+      
+      if (message.type === 'system' || message.type === 'poll') {
+        socket.emit('error', { message: 'Los mensajes del sistema y las encuestas no se pueden editar' });
+        return;
+      }
+      
+      if (message.content === content) return;
+      
+      const moderated = await this._moderateContent(scope, content, {
+        senderEmail: socket.user.email,
+        event: 'edit_message',
+        messageId
+      });
+      if (moderated.rejected) {
+        socket.emit('error', { message: moderated.rejected.message, code: moderated.rejected.code });
+        return;
+      }
+      
+      const editedAt = new Date().toISOString();
+      const editHistory = [
+        ...(message.editHistory || []),
+        { content: message.content, editedAt: message.editedAt || message.timestamp }
+      ].slice(-this.EDIT_HISTORY_LIMIT);
+      
+      const mentions = await this._resolveMentions(workspaceId, moderated.content);
+      const { mentions: previousMentions = [], ...unmentionedMessage } = message;
+      
+      const editedMessage = await this.store.saveMessage(scope.streamId, {
+        ...unmentionedMessage,
+        content: moderated.content,
+        ...(mentions.length > 0 && { mentions }),
+        editedAt,
+        editedBy: socket.user.email,
+        editHistory
+      });
+      await this.searchIndex.index(editedMessage);
+      
+      this.io.to(scope.room).emit('message_edited', editedMessage);
+      
+      if (await this.store.updatePinnedMessage(scope.streamId, editedMessage)) {
+        await this._broadcastPins(scope, { action: 'edit', messageId, by: socket.user.email });
+      }
+      
+      // Solo se notifica a quienes no estaban mencionados antes de la edición
+      const previousEmails = new Set(previousMentions.map(mention => mention.email));
+      await this._notifyMentions(
+        editedMessage,
+        mentions.filter(mention => !previousEmails.has(mention.email))
+      );
+      
+      metricsService.messageProcessed('edit_message', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        messageId,
+        editedBy: socket.user.email
+      }, 'Mensaje editado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al editar mensaje');
+      
+      metricsService.errorOccurred('edit_message', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al editar mensaje', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja el borrado de un mensaje
+   * El mensaje se sustituye por una marca de borrado (tombstone) que conserva su
+   * posición en el historial pero elimina el contenido y las versiones anteriores.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del borrado ({ workspaceId, channelId, messageId })
+   */
+  async handleDeleteMessage(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, messageId } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId) {
+        socket.emit('error', { message: 'Datos de borrado incompletos' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true });
+      if (!scope) return;
+      
+      const message = await this._getModifiableMessage(socket, scope, messageId);
+      if (!message) return;
+      
+      const deletedAt = new Date().toISOString();
+      await this.store.saveMessage(scope.streamId, {
+        id: message.id,
+        workspaceId,
+        channelId: scope.channelId,
+        senderEmail: message.senderEmail,
+        senderName: message.senderName,
+        senderImage: message.senderImage,
+        content: '',
+        timestamp: message.timestamp,
+        deleted: true,
+        deletedAt,
+        deletedBy: socket.user.email
+      });
+      await this.store.clearReactions(scope.streamId, messageId);
+      await this.store.clearPollVotes(scope.streamId, messageId);
+      await this.searchIndex.remove(workspaceId, scope.channelId, messageId);
+      
+      // Un mensaje borrado deja de estar fijado
+      if (await this.store.removePin(scope.streamId, messageId)) {
+        await this._broadcastPins(scope, { action: 'unpin', messageId, by: socket.user.email });
+      }
+      
+      this.io.to(scope.room).emit('message_deleted', {
+        workspaceId,
+        channelId: scope.channelId,
+        messageId,
+        deletedAt,
+        deletedBy: socket.user.email
+      });
+      
+      metricsService.messageProcessed('delete_message', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        messageId,
+        deletedBy: socket.user.email
+      }, 'Mensaje borrado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al borrar mensaje');
+      
+      metricsService.errorOccurred('delete_message', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al borrar mensaje', details: error.message });
+    }
+  }
+
+  /**
+   * Envía al solicitante el historial de ediciones de un mensaje
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos de la consulta ({ workspaceId, channelId, messageId })
+   */
+  async getMessageEdits(socket, data) {
+    const { workspaceId, channelId, messageId } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId) {
+        socket.emit('error', { message: 'Datos de consulta incompletos' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      const message = await this.store.getMessage(scope.streamId, messageId);
+      if (!message) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+      
+      socket.emit('message_edits', {
+        workspaceId,
+        channelId: scope.channelId,
+        messageId,
+        content: message.content,
+        editedAt: message.editedAt || null,
+        history: message.editHistory || []
+      });
+      
+      metricsService.messageProcessed('get_message_edits');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al obtener historial de ediciones');
+      
+      metricsService.errorOccurred('get_message_edits', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al obtener historial de ediciones', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja el alta o baja de una reacción a un mensaje
+   * Solo se difunde el cambio (delta) cuando la reacción realmente cambia.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos de la reacción ({ workspaceId, channelId, messageId, emoji })
+   * @param {boolean} add - true para añadir la reacción, false para quitarla
+   */
+  async handleReaction(socket, data, add) {
+    const startTime = Date.now();
+    const eventName = add ? 'add_reaction' : 'remove_reaction';
+    const { workspaceId, channelId, messageId, emoji } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId || typeof emoji !== 'string' || !emoji.trim()) {
+        socket.emit('error', { message: 'Datos de reacción incompletos' });
+        return;
+      }
+      
+      if (emoji.length > this.MAX_EMOJI_LENGTH) {
+        socket.emit('error', { message: 'Reacción no válida' });
+        return;
+      }
+      
+      if (!socket.user?.email) {
+        socket.emit('error', { message: 'Autenticación requerida' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true });
+      if (!scope) return;
+      
+      const message = await this.store.getMessage(scope.streamId, messageId);
+      if (!message || message.deleted) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+      
+      const email = socket.user.email;
+      const changed = add
+        ? await this.store.addReaction(scope.streamId, messageId, emoji, email)
+        : await this.store.removeReaction(scope.streamId, messageId, emoji, email);
+      
+      if (changed) {
+        this.io.to(scope.room).emit('message_reactions_updated', {
+          w: workspaceId,
+          ch: scope.channelId,
+          i: messageId,
+          r: emoji,
+          e: email,
+          a: add ? 'add' : 'remove'
+        });
+      }
+      
+      metricsService.messageProcessed(eventName, Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al actualizar reacción');
+      
+      metricsService.errorOccurred(eventName, { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al actualizar reacción', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja la creación de una encuesta
+   * La encuesta se publica en el canal como un mensaje de tipo `poll` (con la
+   * pregunta como contenido y la encuesta en `poll`). La pregunta y las opciones
+   * pasan la moderación como cualquier mensaje.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos ({ workspaceId, channelId, question, options, multiple, anonymous, closesAt })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, id, timestamp } o { ok: false, error })
+   */
+  async handleCreatePoll(socket, data, ack) {
+    const startTime = Date.now();
+    const { workspaceId, channelId } = data || {};
+    
+    try {
+      if (!workspaceId) {
+        this._emitError(socket, ack, 'INVALID_POLL', 'Datos de encuesta incompletos');
+        return;
+      }
+      
+      const { poll, error } = normalizePoll(data);
+      if (error) {
+        this._emitError(socket, ack, 'INVALID_POLL', error);
+        return;
+      }
+      
+      const sender = resolveIdentity(socket, {
+        email: data.senderEmail,
+        name: data.senderName,
+        image: data.senderImage
+      }, 'create_poll');
+      if (!sender) {
+        this._ack(ack, {
+          ok: false,
+          error: socket.user?.email
+            ? { code: 'IDENTITY_MISMATCH', message: 'La identidad enviada no coincide con el usuario autenticado' }
+            : { code: 'AUTH_REQUIRED', message: 'Autenticación requerida' }
+        });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true, ack });
+      if (!scope) return;
+      
+      // Se moderan la pregunta y cada opción por separado
+      const texts = [poll.question, ...poll.options.map(option => option.text)];
+      const moderatedTexts = [];
+      for (const text of texts) {
+        const moderated = await this._moderateContent(scope, text, { senderEmail: sender.email, event: 'create_poll' });
+        if (moderated.rejected) {
+          this._emitError(socket, ack, moderated.rejected.code, moderated.rejected.message);
+          return;
+        }
+        moderatedTexts.push(moderated.content);
+      }
+      
+      const [question, ...optionTexts] = moderatedTexts;
+      const message = await this.store.append(scope.streamId, {
+        type: 'poll',
+        workspaceId,
+        channelId: scope.channelId,
+        senderEmail: sender.email,
+        senderName: sender.name,
+        senderImage: sender.image,
+        content: question,
+        poll: {
+          ...poll,
+          question,
+          options: poll.options.map((option, index) => ({ ...option, text: optionTexts[index] }))
+        },
+        ...(sender.actedBy && { actedBy: sender.actedBy }),
+        timestamp: new Date().toISOString()
+      });
+      
+      this._ack(ack, { ok: true, id: message.id, timestamp: message.timestamp });
+      
+      await this._broadcastNewMessage(scope, message);
+      
+      metricsService.messageProcessed('create_poll', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId: scope.channelId,
+        messageId: message.id,
+        options: poll.options.length,
+        multiple: poll.multiple,
+        anonymous: poll.anonymous,
+        closesAt: poll.closesAt
+      }, 'Encuesta creada');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al crear encuesta');
+      
+      metricsService.errorOccurred('create_poll', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      this._emitError(socket, ack, 'INTERNAL_ERROR', 'Error al crear encuesta', error.message);
+    }
+  }
+
+  /**
+   * Maneja el voto de un usuario en una encuesta
+   * Un nuevo voto sustituye al anterior y una lista vacía lo retira. La sala
+   * recibe el recuento en `poll_updated`, como mucho una vez por intervalo.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos ({ workspaceId, channelId, messageId, optionIds })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, messageId, optionIds } o { ok: false, error })
+   */
+  async handleVotePoll(socket, data, ack) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, messageId } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId) {
+        this._emitError(socket, ack, 'INVALID_VOTE', 'Datos de voto incompletos');
+        return;
+      }
+      
+      if (!socket.user?.email) {
+        this._emitError(socket, ack, 'AUTH_REQUIRED', 'Autenticación requerida');
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true, ack });
+      if (!scope) return;
+      
+      const message = await this.store.getMessage(scope.streamId, messageId);
+      const poll = message && !message.deleted ? getPoll(message) : null;
+      if (!poll) {
+        this._emitError(socket, ack, 'POLL_NOT_FOUND', 'Encuesta no encontrada');
+        return;
+      }
+      
+      if (isPollClosed(poll)) {
+        this._emitError(socket, ack, 'POLL_CLOSED', 'La encuesta está cerrada');
+        return;
+      }
+      
+      const { optionIds, error } = validateVote(poll, data.optionIds);
+      if (error) {
+        this._emitError(socket, ack, 'INVALID_VOTE', error);
+        return;
+      }
+      
+      await this.store.setPollVote(scope.streamId, messageId, socket.user.email, optionIds);
+      
+      this._ack(ack, { ok: true, messageId, optionIds });
+      this._schedulePollUpdate(scope, messageId);
+      
+      metricsService.messageProcessed('vote_poll', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al votar en encuesta');
+      
+      metricsService.errorOccurred('vote_poll', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      this._emitError(socket, ack, 'INTERNAL_ERROR', 'Error al votar en encuesta', error.message);
+    }
+  }
+
+  /**
+   * Envía al solicitante el recuento actual de una encuesta, con `poll_updated`
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros ({ workspaceId, channelId, messageId })
+   */
+  async getPollResults(socket, params) {
+    const { workspaceId, channelId, messageId } = params || {};
+    
+    try {
+      if (!workspaceId || !messageId) {
+        socket.emit('error', { message: 'Datos de consulta incompletos' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      const results = await this._pollResults(scope, messageId);
+      if (!results) {
+        socket.emit('error', { message: 'Encuesta no encontrada', code: 'POLL_NOT_FOUND' });
+        return;
+      }
+      
+      socket.emit('poll_updated', results);
+      
+      metricsService.messageProcessed('get_poll_results');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al obtener resultados de encuesta');
+      
+      metricsService.errorOccurred('get_poll_results', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al obtener resultados de encuesta', details: error.message });
+    }
+  }
+
+  /**
+   * Programa el envío del recuento de una encuesta a la sala del canal
+   * Los votos que llegan dentro del mismo intervalo se agrupan en un solo envío,
+   * que lee el recuento de Redis e incluye también los votos de otras instancias.
+   * @private
+   */
+  _schedulePollUpdate(scope, messageId) {
+    const key = `${scope.streamId}:${messageId}`;
+    if (this.pollUpdateTimers.has(key)) return;
+    
+    this.pollUpdateTimers.set(key, setTimeout(async () => {
+      this.pollUpdateTimers.delete(key);
+      try {
+        const results = await this._pollResults(scope, messageId);
+        if (results) {
+          this.io.to(scope.room).emit('poll_updated', results);
+        }
+      } catch (error) {
+        logger.error({ error: error.message, messageId }, 'Error al enviar resultados de encuesta');
+      }
+    }, this.POLL_UPDATE_THROTTLE));
+  }
+
+  /**
+   * Construye el recuento de la encuesta de un mensaje
+   * @returns {Promise<Object|null>} Recuento o null si el mensaje no tiene encuesta
+   * @private
+   */
+  async _pollResults(scope, messageId) {
+    const message = await this.store.getMessage(scope.streamId, messageId);
+    const poll = message && !message.deleted ? getPoll(message) : null;
+    if (!poll) return null;
+    
+    const votes = await this.store.getPollVotes(scope.streamId, messageId);
+    
+    return {
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      messageId,
+      closesAt: poll.closesAt,
+      closed: isPollClosed(poll),
+      ...tallyVotes(poll, votes)
+    };
+  }
+
+  /**
+   * Maneja los eventos de fijar y dejar de fijar mensajes
+   * Cualquier miembro del canal puede fijar mensajes, hasta PINS_LIMIT por canal.
+   * La sala recibe `pins_updated` con la lista completa de mensajes fijados.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ workspaceId, channelId, messageId })
+   * @param {boolean} pin - true para fijar, false para dejar de fijar
+   */
+  async handlePin(socket, data, pin) {
+    const startTime = Date.now();
+    const eventName = pin ? 'pin_message' : 'unpin_message';
+    const { workspaceId, channelId, messageId } = data || {};
+    
+    try {
+      if (!workspaceId || !messageId) {
+        socket.emit('error', { message: 'Datos de mensaje fijado incompletos' });
+        return;
+      }
+      
+      if (!socket.user?.email) {
+        socket.emit('error', { message: 'Autenticación requerida' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true });
+      if (!scope) return;
+      
+      let changed;
+      if (pin) {
+        const message = await this.store.getMessage(scope.streamId, messageId);
+        if (!message || message.deleted) {
+          socket.emit('error', { message: 'Mensaje no encontrado' });
+          return;
+        }
+        
+        const result = await this.store.addPin(scope.streamId, {
+          messageId,
+          pinnedBy: socket.user.email,
+          pinnedAt: new Date().toISOString(),
+          message
+        }, this.PINS_LIMIT);
+        
+        if (result === 'limit') {
+          socket.emit('error', {
+            message: `No se pueden fijar más de ${this.PINS_LIMIT} mensajes`,
+            code: 'PIN_LIMIT_REACHED'
+          });
+          return;
+        }
+        changed = result === 'added';
+      } else {
+        changed = await this.store.removePin(scope.streamId, messageId);
+      }
+      
+      if (changed) {
+        await this._broadcastPins(scope, { action: pin ? 'pin' : 'unpin', messageId, by: socket.user.email });
+      }
+      
+      metricsService.messageProcessed(eventName, Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId: scope.channelId,
+        messageId,
+        userEmail: socket.user.email,
+        changed
+      }, pin ? 'Mensaje fijado' : 'Mensaje desfijado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        messageId
+      }, 'Error al actualizar mensajes fijados');
+      
+      metricsService.errorOccurred(eventName, { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al actualizar mensajes fijados', details: error.message });
+    }
+  }
+
+  /**
+   * Obtiene los mensajes fijados de un canal, responde con `pinned_messages`
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros ({ workspaceId, channelId })
+   */
+  async getPinnedMessages(socket, params) {
+    const startTime = Date.now();
+    const { workspaceId, channelId } = params || {};
+    
+    try {
+      if (!workspaceId) {
+        socket.emit('error', { message: 'Se requiere workspaceId' });
+        return;
+      }
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      socket.emit('pinned_messages', await this._pinsPayload(scope));
+      
+      metricsService.messageProcessed('get_pinned_messages', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al obtener mensajes fijados');
+      
+      metricsService.errorOccurred('get_pinned_messages', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al obtener mensajes fijados', details: error.message });
+    }
+  }
+
+  /**
+   * Envía a la sala del canal la lista actualizada de mensajes fijados
+   * @param {Object} scope - Canal resuelto por _resolveChannel
+   * @param {Object} change - Cambio que la provoca ({ action, messageId, by })
+   * @private
+   */
+  async _broadcastPins(scope, change) {
+    this.io.to(scope.room).emit('pins_updated', {
+      ...(await this._pinsPayload(scope)),
+      ...change
+    });
+  }
+
+  /**
+   * Construye la lista de mensajes fijados de un canal para enviarla a los clientes
+   * @private
+   */
+  async _pinsPayload(scope) {
+    const pins = await this.store.getPins(scope.streamId);
+    return {
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      limit: this.PINS_LIMIT,
+      pins
+    };
+  }
+
+  /**
+   * Marca como leído un canal hasta un mensaje
+   * Sin messageId se marca hasta el último mensaje. El puntero de lectura solo
+   * avanza, y solo hasta mensajes que existen en el canal.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ workspaceId, channelId, messageId })
+   */
+  async handleMarkRead(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, channelId } = data || {};
+    
+    try {
+      if (!workspaceId || !socket.user?.email) return;
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      if (data.messageId && !(await this._isChannelMessage(scope, data.messageId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado', code: 'MESSAGE_NOT_FOUND' });
+        return;
+      }
+      
+      const email = socket.user.email;
+      const recentIds = await this.store.getRecentIds(scope.streamId, this.UNREAD_COUNT_CAP + 1);
+      const messageId = data.messageId || recentIds[recentIds.length - 1];
+      if (!messageId) return;
+      
+      const advanced = await this._setReadPointer(scope.streamId, email, messageId);
+      if (!advanced) return;
+      
+      // Sincronizar el contador en el resto de dispositivos del usuario
+      const pointer = (await this._getReadPointers(scope.streamId))[email];
+      this.io.to(personalRoom(email)).emit('unread_count_updated', {
+        workspaceId,
+        channelId: scope.channelId,
+        unreadCount: this._countUnread(recentIds, pointer),
+        lastReadId: pointer
+      });
+      
+      await this._broadcastSeenBy(scope, recentIds[recentIds.length - 1]);
+      
+      metricsService.messageProcessed('mark_read', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al marcar mensajes como leídos');
+      
+      metricsService.errorOccurred('mark_read', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Envía al usuario los mensajes no leídos de todos sus workspaces
+   * Los workspaces se obtienen de la pertenencia registrada por WorkspaceHandler
+   * y de los roles incluidos en el token, que es el que decide si sigue siendo
+   * miembro. Se devuelve el total por workspace y el
+   * desglose por cada canal del que el usuario es miembro.
+   * @param {Object} socket - Socket de conexión
+   */
+  async getUnreadCounts(socket) {
+    const startTime = Date.now();
+    
+    try {
+      if (!socket.user?.email) {
+        socket.emit('error', { message: 'Autenticación requerida' });
+        return;
+      }
+      
+      const email = socket.user.email;
+      const knownWorkspaces = this.workspaceHandler
+        ? await this.workspaceHandler.getUserWorkspaces(email)
+        : [];
+      const workspaceIds = new Set([
+        ...knownWorkspaces,
+        ...Object.keys(socket.user.workspaceRoles || {})
+      ].filter(workspaceId => isWorkspaceMember(socket.user, workspaceId)));
+      
+      const counts = {};
+      const channelCounts = {};
+      for (const workspaceId of workspaceIds) {
+        const channels = await this.channels.list(workspaceId);
+        channelCounts[workspaceId] = {};
+        
+        for (const channel of channels) {
+          if (!(await this.channels.isMember(workspaceId, channel.id, email))) continue;
+          
+          const { streamId } = this._channelScope(workspaceId, channel.id);
+          const recentIds = await this.store.getRecentIds(streamId, this.UNREAD_COUNT_CAP + 1);
+          const pointers = await this._getReadPointers(streamId);
+          channelCounts[workspaceId][channel.id] = this._countUnread(recentIds, pointers[email]);
+        }
+        
+        const total = Object.values(channelCounts[workspaceId]).reduce((sum, count) => sum + count, 0);
+        counts[workspaceId] = Math.min(total, this.UNREAD_COUNT_CAP);
+      }
+      
+      socket.emit('unread_counts', { counts, channels: channelCounts, cap: this.UNREAD_COUNT_CAP });
+      
+      metricsService.messageProcessed('get_unread_counts', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id
+      }, 'Error al obtener mensajes no leídos');
+      
+      metricsService.errorOccurred('get_unread_counts', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al obtener mensajes no leídos', details: error.message });
+    }
+  }
+
+  /**
+   * Envía a cada miembro del canal (salvo al remitente) su contador actualizado
+   * Los miembros del canal por defecto son todos los miembros del workspace.
+   * @param {Object} scope - Canal del mensaje (ver _resolveChannel)
+   * @param {string} senderEmail - Email de quien envió el mensaje
+   * @private
+   */
+  async _pushUnreadCounts(scope, senderEmail) {
+    const { workspaceId, channelId, streamId } = scope;
+    let memberEmails;
+    
+    if (this.channels.isDefault(channelId)) {
+      if (!this.workspaceHandler) return;
+      const members = await this.workspaceHandler.getWorkspaceMembers(workspaceId);
+      memberEmails = members.map(member => member.email);
+    } else {
+      memberEmails = await this.channels.getMembers(workspaceId, channelId);
+    }
+    
+    const recipients = memberEmails.filter(email => email !== senderEmail);
+    if (recipients.length === 0) return;
+    
+    const recentIds = await this.store.getRecentIds(streamId, this.UNREAD_COUNT_CAP + 1);
+    const pointers = await this._getReadPointers(streamId);
+    
+    recipients.forEach(email => {
+      this.io.to(personalRoom(email)).emit('unread_count_updated', {
+        workspaceId,
+        channelId,
+        unreadCount: this._countUnread(recentIds, pointers[email])
+      });
+    });
+  }
+
+  /**
+   * Difunde qué usuarios han visto el último mensaje del canal
+   * @param {Object} scope - Canal (ver _resolveChannel)
+   * @param {string} latestId - ID del último mensaje
+   * @private
+   */
+  async _broadcastSeenBy(scope, latestId) {
+    if (!latestId) return;
+    
+    const pointers = await this._getReadPointers(scope.streamId);
+    const seenBy = Object.entries(pointers)
+      .filter(([, pointer]) => isStreamId(pointer) && compareStreamIds(pointer, latestId) >= 0)
+      .map(([email]) => email);
+    
+    this.io.to(scope.room).emit('message_seen_by', {
+      workspaceId: scope.workspaceId,
+      channelId: scope.channelId,
+      messageId: latestId,
+      seenBy
+    });
+  }
+
+  /**
+   * Calcula los mensajes no leídos a partir de los IDs más recientes
+   * @param {string[]} recentIds - IDs recientes en orden cronológico
+   * @param {string} [pointer] - Último mensaje leído por el usuario
+   * @returns {number} Mensajes no leídos (limitado a UNREAD_COUNT_CAP)
+   * @private
+   */
+  _countUnread(recentIds, pointer) {
+    const unread = isStreamId(pointer)
+      ? recentIds.filter(id => compareStreamIds(id, pointer) > 0).length
+      : recentIds.length;
+    return Math.min(unread, this.UNREAD_COUNT_CAP);
+  }
+
+  /**
+   * Comprueba que un ID enviado por un cliente sea un mensaje del canal
+   * @param {Object} scope - Canal (ver _resolveChannel)
+   * @param {*} messageId - ID recibido
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isChannelMessage(scope, messageId) {
+    if (!isStreamId(messageId)) return false;
+    
+    const message = await this.store.getMessage(scope.streamId, messageId);
+    return Boolean(message);
+  }
+
+  /**
+   * Obtiene los punteros de lectura de un canal (email -> messageId)
+   * @private
+   */
+  async _getReadPointers(streamId) {
+    const pointers = await redisService.hGetAll(`${this.REDIS_PREFIX}${streamId}:read`);
+    if (pointers) return pointers;
+    
+    return Object.fromEntries(readPointers.get(streamId) || []);
+  }
+
+  /**
+   * Avanza el puntero de lectura de un usuario si el mensaje es posterior
+   * @returns {Promise<boolean>} true si el puntero ha avanzado
+   * @private
+   */
+  async _setReadPointer(streamId, email, messageId) {
+    const redisKey = `${this.REDIS_PREFIX}${streamId}:read`;
+    const current = await redisService.hGet(redisKey, email) ||
+      readPointers.get(streamId)?.get(email);
+    
+    if (isStreamId(current) && compareStreamIds(current, messageId) >= 0) return false;
+    
+    if (!readPointers.has(streamId)) {
+      readPointers.set(streamId, new Map());
+    }
+    readPointers.get(streamId).set(email, messageId);
+    await redisService.hSet(redisKey, email, messageId);
+    
+    return true;
+  }
+
+  /**
+   * Entrega al usuario las menciones que recibió mientras no estaba conectado al workspace
+   * Solo se entregan al usuario autenticado del socket.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   */
+  async deliverPendingMentions(socket, workspaceId) {
+    const email = socket.user?.email;
+    
+    try {
+      if (!workspaceId || !email) return;
+      
+      const localKey = `${workspaceId}:${email}`;
+      const redisMentions = await redisService.drainList(this._pendingMentionsKey(workspaceId, email));
+      const mentions = [...(redisMentions || []), ...(pendingMentions.get(localKey) || [])];
+      pendingMentions.delete(localKey);
+      
+      mentions.forEach(mention => socket.emit('mentioned', { ...mention, delayed: true }));
+      
+      if (mentions.length > 0) {
+        logger.info({
+          socketId: socket.id,
+          workspaceId,
+          email,
+          count: mentions.length
+        }, 'Menciones pendientes entregadas');
+      }
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al entregar menciones pendientes');
+      
+      metricsService.errorOccurred('deliver_pending_mentions', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Pasa el contenido de un mensaje por las reglas de moderación del workspace
+   * Cada acción (redacción o rechazo) queda en el registro de moderación, con el
+   * contenido ya redactado para que el registro no guarde lo que las reglas ocultan.
+   * @param {Object} scope - Canal resuelto por _resolveChannel
+   * @param {string} content - Contenido enviado por el usuario
+   * @param {Object} context - Datos para el registro ({ senderEmail, event, messageId })
+   * @returns {Promise<{content: string, rejected: Object|null}>} Contenido a guardar o rechazo ({ code, message })
+   * @private
+   */
+  async _moderateContent(scope, content, context) {
+    const { content: moderatedContent, actions, rejected } = await this.moderation.moderate(scope.workspaceId, content);
+    
+    if (actions.length > 0) {
+      await this.moderation.log(scope.workspaceId, {
+        ...context,
+        action: rejected ? 'rejected' : 'redacted',
+        channelId: scope.channelId,
+        rules: actions.map(action => action.rule),
+        ...(rejected && { code: rejected.code }),
+        content: moderatedContent
+      });
+      
+      metricsService.messageProcessed(rejected ? 'message_rejected' : 'message_redacted');
+      
+      logger.info({
+        workspaceId: scope.workspaceId,
+        channelId: scope.channelId,
+        senderEmail: context.senderEmail,
+        actions
+      }, 'Mensaje moderado');
+    }
+    
+    return { content: moderatedContent, rejected };
+  }
+
+  /**
+   * Resuelve las menciones de un texto contra los miembros del workspace
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} content - Contenido del mensaje
+   * @returns {Promise<Array<{email: string, name: string|null}>>} Miembros mencionados
+   * @private
+   */
+  async _resolveMentions(workspaceId, content) {
+    if (!this.workspaceHandler || !content.includes('@')) return [];
+    
+    const members = await this.workspaceHandler.getWorkspaceMembers(workspaceId);
+    return parseMentions(content, members);
+  }
+
+  /**
+   * Notifica a los usuarios mencionados en un mensaje
+   * Los conectados al workspace reciben `mentioned` en su sala personal; al resto
+   * se les guarda la mención hasta su próximo `join_workspace`.
+   * @param {Object} message - Mensaje almacenado
+   * @param {Array<{email: string}>} mentions - Usuarios a notificar
+   * @private
+   */
+  async _notifyMentions(message, mentions) {
+    const recipients = mentions.filter(mention => mention.email !== message.senderEmail);
+    if (recipients.length === 0) return;
+    
+    const { workspaceId } = message;
+    const connectedUsers = await this.workspaceHandler.getConnectedUsers(workspaceId);
+    const connectedEmails = new Set(connectedUsers.map(user => user.email));
+    
+    const notification = {
+      workspaceId,
+      channelId: message.channelId || DEFAULT_CHANNEL,
+      messageId: message.id,
+      parentId: message.parentId || null,
+      senderEmail: message.senderEmail,
+      senderName: message.senderName,
+      content: message.content,
+      timestamp: message.timestamp
+    };
+    
+    for (const { email } of recipients) {
+      if (connectedEmails.has(email)) {
+        this.io.to(personalRoom(email)).emit('mentioned', notification);
+        continue;
+      }
+      
+      const redisKey = this._pendingMentionsKey(workspaceId, email);
+      const queued = await redisService.rPush(redisKey, [notification]);
+      if (queued !== null) {
+        await redisService.expire(redisKey, this.PENDING_MENTIONS_TTL);
+      } else {
+        const localKey = `${workspaceId}:${email}`;
+        pendingMentions.set(localKey, [...(pendingMentions.get(localKey) || []), notification]);
+      }
+    }
+  }
+
+  /**
+   * Devuelve la clave de Redis con las menciones pendientes de un usuario
+   * @private
+   */
+  _pendingMentionsKey(workspaceId, email) {
+    return `${this.REDIS_PREFIX}${workspaceId}:mentions:${email}`;
+  }
+
+  /**
+   * Obtiene un mensaje comprobando que el usuario del socket puede modificarlo
+   * Emite el error correspondiente al socket si no es así.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} scope - Canal del mensaje (ver _resolveChannel)
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<Object|null>} Mensaje o null si no existe o no está permitido
+   * @private
+   */
+  async _getModifiableMessage(socket, scope, messageId) {
+    const { workspaceId } = scope;
+    if (!socket.user?.email) {
+      socket.emit('error', { message: 'Autenticación requerida' });
+      return null;
+    }
+    
+    const message = await this.store.getMessage(scope.streamId, messageId);
+    if (!message || message.deleted) {
+      socket.emit('error', { message: 'Mensaje no encontrado' });
+      return null;
+    }
+    
+    const isSender = message.senderEmail === socket.user.email;
+    if (!isSender && !isWorkspaceAdmin(socket.user, workspaceId)) {
+      logger.warn({
+        socketId: socket.id,
+        workspaceId,
+        messageId,
+        userEmail: socket.user.email
+      }, 'Intento de modificar un mensaje ajeno');
+      
+      socket.emit('error', { message: 'No tienes permiso para modificar este mensaje' });
+      return null;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Maneja el evento de usuario escribiendo
+   * Los clientes lo envían con cada pulsación: mientras el usuario ya consta
+   * como escribiendo solo se renueva su caducidad, sin consultar Redis ni
+   * volver a notificar al canal (ver TypingTracker).
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento
+   */
+  async handleUserTyping(socket, data) {
+    try {
+      const { workspaceId, channelId } = data;
+      
+      if (!workspaceId) return;
+      
+      const identity = resolveIdentity(socket, data, 'user_typing');
+      if (!identity) return;
+      
+      const { room } = this._channelScope(workspaceId, channelId || DEFAULT_CHANNEL);
+      if (this.typing.refresh(room, identity.email)) return;
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId, { write: true });
+      if (!scope) return;
+      
+      this.typing.typing(scope, identity);
+      
+      metricsService.messageProcessed('user_typing');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id
+      }, 'Error al procesar evento de usuario escribiendo');
+      
+      metricsService.errorOccurred('user_typing', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Maneja el evento de usuario que deja de escribir
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento
+   */
+  async handleUserStopTyping(socket, data) {
+    try {
+      const { workspaceId } = data;
+      const channelId = data.channelId || DEFAULT_CHANNEL;
+      
+      if (!workspaceId) return;
+      
+      const identity = resolveIdentity(socket, data, 'user_stop_typing');
+      if (!identity) return;
+      
+      // Dejar de escribir no requiere comprobar el canal: solo borra estado
+      this.typing.stopTyping({ channelId, ...this._channelScope(workspaceId, channelId) }, identity);
+      
+      metricsService.messageProcessed('user_stop_typing');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id
+      }, 'Error al procesar evento de usuario que deja de escribir');
+      
+      metricsService.errorOccurred('user_stop_typing', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Obtiene una página del historial de mensajes de un canal
+   * Sin cursores devuelve los mensajes más recientes. Con `before` pagina hacia
+   * atrás y con `after` recupera los mensajes posteriores a un ID conocido.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object|string} params - Parámetros de la consulta (o ID del workspace)
+   * @param {string} params.workspaceId - ID del workspace
+   * @param {string} [params.channelId] - ID del canal (por defecto el general)
+   * @param {string} [params.before] - ID del mensaje a partir del cual paginar hacia atrás
+   * @param {string} [params.after] - ID del mensaje a partir del cual paginar hacia delante
+   * @param {number} [params.limit] - Tamaño de página
+   */
+  async getMessageHistory(socket, params) {
+    const startTime = Date.now();
+    const { workspaceId, channelId, before, after, limit } =
+      typeof params === 'string' ? { workspaceId: params } : params || {};
+    
+    try {
+      if (!workspaceId) {
+        socket.emit('error', { message: 'ID de workspace requerido' });
+        return;
+      }
+      
+      if (before && after) {
+        socket.emit('error', { message: 'No se pueden usar los cursores before y after a la vez' });
+        return;
+      }
+      
+      if (!this._validCursors(socket, before, after)) return;
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId,
+        before,
+        after
+      }, 'Solicitando historial de mensajes');
+      
+      const scope = await this._resolveChannel(socket, workspaceId, channelId);
+      if (!scope) return;
+      
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || this.HISTORY_PAGE_SIZE, 1),
+        this.HISTORY_MAX_PAGE_SIZE
+      );
+      
+      const { messages, hasMore } = await this.store.getPage(scope.streamId, {
+        before,
+        after,
+        limit: pageSize
+      });
+      
+      socket.emit('message_history', {
+        workspaceId,
+        channelId: scope.channelId,
+        messages,
+        hasMore,
+        cursors: {
+          before: messages.length > 0 ? messages[0].id : before || null,
+          after: messages.length > 0 ? messages[messages.length - 1].id : after || null
+        }
+      });
+      
+      metricsService.messageProcessed('get_message_history', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        messageCount: messages.length,
+        hasMore
+      }, 'Historial de mensajes enviado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al obtener historial de mensajes');
+      
+      metricsService.errorOccurred('get_message_history', { 
+        socketId: socket.id, 
+        workspaceId, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al obtener historial de mensajes', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja la creación de un canal en un workspace
+   * El creador pasa a ser miembro del canal y se une a su sala.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del canal ({ workspaceId, name, topic })
+   */
+  async handleCreateChannel(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, name, topic } = data || {};
+    
+    try {
+      if (!workspaceId || !name) {
+        socket.emit('error', { message: 'Datos de canal incompletos' });
+        return;
+      }
+      
+      if (!(await this._canAccessWorkspace(socket, workspaceId))) return;
+      
+      const channelId = normalizeChannelName(name);
+      if (!channelId) {
+        socket.emit('error', { message: 'Nombre de canal no válido' });
+        return;
+      }
+      
+      const channel = {
+        id: channelId,
+        workspaceId,
+        name: channelId,
+        topic: typeof topic === 'string' ? topic.trim() || null : null,
+        isDefault: false,
+        archived: false,
+        createdBy: socket.user.email,
+        createdAt: new Date().toISOString()
+      };
+      
+      const created = await this.channels.create(workspaceId, channel);
+      if (!created) {
+        socket.emit('error', { message: 'Ya existe un canal con ese nombre' });
+        return;
+      }
+      
+      await this.channels.addMember(workspaceId, channelId, socket.user.email);
+      socket.join(this._channelScope(workspaceId, channelId).room);
+      
+      this.io.to(workspaceId).emit('channel_created', { workspaceId, channel });
+      socket.emit('channel_joined', { workspaceId, channel });
+      
+      metricsService.messageProcessed('create_channel', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId,
+        createdBy: socket.user.email
+      }, 'Canal creado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al crear canal');
+      
+      metricsService.errorOccurred('create_channel', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al crear canal', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja el archivado de un canal
+   * Solo el creador del canal o un administrador del workspace pueden archivarlo.
+   * Un canal archivado conserva su historial pero no admite mensajes nuevos.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ workspaceId, channelId })
+   */
+  async handleArchiveChannel(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, channelId } = data || {};
+    
+    try {
+      if (!workspaceId || !channelId) {
+        socket.emit('error', { message: 'Datos de canal incompletos' });
+        return;
+      }
+      
+      if (!socket.user?.email) {
+        socket.emit('error', { message: 'Autenticación requerida' });
+        return;
+      }
+      
+      if (this.channels.isDefault(channelId)) {
+        socket.emit('error', { message: 'El canal por defecto no se puede archivar' });
+        return;
+      }
+      
+      const channel = await this.channels.get(workspaceId, channelId);
+      if (!channel) {
+        socket.emit('error', { message: 'Canal no encontrado' });
+        return;
+      }
+      
+      if (channel.archived) return;
+      
+      const isCreator = channel.createdBy === socket.user.email;
+      if (!isCreator && !isWorkspaceAdmin(socket.user, workspaceId)) {
+        socket.emit('error', { message: 'No tienes permiso para archivar este canal' });
+        return;
+      }
+      
+      const archivedChannel = await this.channels.save(workspaceId, {
+        ...channel,
+        archived: true,
+        archivedAt: new Date().toISOString(),
+        archivedBy: socket.user.email
+      });
+      
+      this.io
+        .to(workspaceId)
+        .to(this._channelScope(workspaceId, channelId).room)
+        .emit('channel_archived', { workspaceId, channel: archivedChannel });
+      
+      metricsService.messageProcessed('archive_channel', Date.now() - startTime);
+      
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        channelId,
+        archivedBy: socket.user.email
+      }, 'Canal archivado');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        channelId
+      }, 'Error al archivar canal');
+      
+      metricsService.errorOccurred('archive_channel', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al archivar canal', details: error.message });
+    }
+  }
+
+  /**
+   * Envía la lista de canales de un workspace indicando a cuáles pertenece el usuario
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos de la consulta ({ workspaceId, includeArchived })
+   */
+  async listChannels(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, includeArchived } = data || {};
+    
+    try {
+      if (!workspaceId) {
+        socket.emit('error', { message: 'ID de workspace requerido' });
+        return;
+      }
+      
+      const email = socket.user?.email;
+      const channels = await this.channels.list(workspaceId, { includeArchived: Boolean(includeArchived) });
+      const channelList = [];
+      
+      for (const channel of channels) {
+        channelList.push({
+          ...channel,
+          joined: await this.channels.isMember(workspaceId, channel.id, email)
+        });
+      }
+      
+      socket.emit('channels', { workspaceId, channels: channelList });
+      
+      metricsService.messageProcessed('list_channels', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId
+      }, 'Error al listar canales');
+      
+      metricsService.errorOccurred('list_channels', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al listar canales', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja la entrada de un usuario en un canal
+   * Añade al usuario como miembro (si no lo era) y une el socket a la sala del
+   * canal. Los clientes deben volver a enviarlo tras reconectar.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ workspaceId, channelId })
+   */
+  async handleJoinChannel(socket, data) {
+    const { workspaceId, channelId } = data || {};
+    
+    try {
+      if (!workspaceId || !channelId) {
+        socket.emit('error', { message: 'Datos de canal incompletos' });
+        return;
+      }
+      
+      if (!(await this._canAccessWorkspace(socket, workspaceId))) return;
+      
+      const channel = await this.channels.get(workspaceId, channelId);
+      if (!channel) {
+        socket.emit('error', { message: 'Canal no encontrado' });
+        return;
+      }
+      
+      const email = socket.user.email;
+      const isMember = await this.channels.isMember(workspaceId, channelId, email);
+      if (channel.archived && !isMember) {
+        socket.emit('error', { message: 'El canal está archivado' });
+        return;
+      }
+      
+      const { room } = this._channelScope(workspaceId, channelId);
+      socket.join(room);
+      
+      if (!isMember) {
+        await this.channels.addMember(workspaceId, channelId, email);
+        socket.to(room).emit('channel_member_joined', {
+          workspaceId,
+          channelId,
+          email,
+          name: socket.user.name
+        });
+      }
+      
+      socket.emit('channel_joined', { workspaceId, channel });
+      
+      metricsService.messageProcessed('join_channel');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        channelId
+      }, 'Error al unirse al canal');
+      
+      metricsService.errorOccurred('join_channel', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al unirse al canal', details: error.message });
+    }
+  }
+
+  /**
+   * Maneja la búsqueda de mensajes en el historial de un workspace
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros de la búsqueda (ver searchMessages)
+   */
+  async handleSearchMessages(socket, params) {
+    const startTime = Date.now();
+    
+    try {
+      const { error, result } = await this.searchMessages(socket.user, params || {});
+      if (error) {
+        socket.emit('error', { message: error.message, code: error.code });
+        return;
+      }
+      
+      socket.emit('search_results', result);
+      
+      metricsService.messageProcessed('search_messages', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId: params?.workspaceId
+      }, 'Error al buscar mensajes');
+      
+      metricsService.errorOccurred('search_messages', { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al buscar mensajes', details: error.message });
+    }
+  }
+
+  /**
+   * Busca mensajes en los canales del workspace a los que pertenece el usuario
+   * Lo usan el evento `search_messages` y la ruta HTTP de búsqueda. Las fechas
+   * admiten ISO 8601 o milisegundos.
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} params - Parámetros de la búsqueda
+   * @param {string} params.workspaceId - ID del workspace
+   * @param {string} params.query - Texto a buscar
+   * @param {string} [params.sender] - Email del remitente
+   * @param {string|number} [params.from] - Fecha mínima
+   * @param {string|number} [params.to] - Fecha máxima
+   * @param {string} [params.channelId] - Limitar la búsqueda a un canal
+   * @param {number} [params.offset] - Resultados a saltar
+   * @param {number} [params.limit] - Resultados por página
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async searchMessages(user, params) {
+    const { workspaceId, sender, channelId } = params;
+    const query = typeof params.query === 'string' ? params.query.trim() : '';
+    
+    if (!user?.email) {
+      return { error: { status: 401, code: 'AUTH_REQUIRED', message: 'Autenticación requerida' } };
+    }
+    
+    if (!workspaceId || query.length < this.SEARCH_MIN_QUERY_LENGTH) {
+      return { error: { status: 400, code: 'INVALID_QUERY', message: 'Consulta de búsqueda no válida' } };
+    }
+    
+    const from = this._parseSearchDate(params.from);
+    const to = this._parseSearchDate(params.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return { error: { status: 400, code: 'INVALID_QUERY', message: 'Rango de fechas no válido' } };
+    }
+    
+    if (!isWorkspaceMember(user, workspaceId)) {
+      return { error: { status: 403, code: 'FORBIDDEN', message: 'No eres miembro de este workspace' } };
+    }
+    
+    // Solo se busca en los canales a los que pertenece el usuario (incluidos los archivados)
+    const channels = await this.channels.list(workspaceId, { includeArchived: true });
+    const channelIds = [];
+    for (const channel of channels) {
+      if (await this.channels.isMember(workspaceId, channel.id, user.email)) {
+        channelIds.push(channel.id);
+      }
+    }
+    
+    if (channelId && !channelIds.includes(channelId)) {
+      return { error: { status: 404, code: 'CHANNEL_NOT_FOUND', message: 'Canal no encontrado' } };
+    }
+    
+    const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+    const limit = Math.min(
+      Math.max(parseInt(params.limit, 10) || this.SEARCH_PAGE_SIZE, 1),
+      this.SEARCH_MAX_PAGE_SIZE
+    );
+    
+    const { results, total } = await this.searchIndex.search(workspaceId, {
+      query,
+      channelIds: channelId ? [channelId] : channelIds,
+      sender,
+      from,
+      to,
+      offset,
+      limit
+    });
+    
+    const hasMore = offset + results.length < total;
+    return {
+      result: {
+        workspaceId,
+        query,
+        results,
+        total,
+        hasMore,
+        nextOffset: hasMore ? offset + results.length : null
+      }
+    };
+  }
+
+  /**
+   * Recorre los mensajes más recientes de cada canal de un workspace, con las
+   * respuestas de sus hilos, para llenar el índice de búsqueda en memoria
+   * @param {string} workspaceId - ID del workspace
+   * @returns {AsyncGenerator<Object>} Mensajes guardados
+   * @private
+   */
+  async *_searchBackfill(workspaceId) {
+    const channels = await this.channels.list(workspaceId, { includeArchived: true });
+    
+    for (const channel of channels) {
+      const { streamId } = this._channelScope(workspaceId, channel.id);
+      const { messages } = await this.store.getPage(streamId, { limit: this.searchIndex.localLimit });
+      
+      for (const message of messages) {
+        yield { ...message, channelId: channel.id };
+        
+        if (!message.replyCount) continue;
+        for await (const reply of this.store.iterate(streamId, { threadId: message.id })) {
+          yield { ...reply, channelId: channel.id };
+        }
+      }
+    }
+  }
+
+  /**
+   * Maneja los eventos de administración de la moderación del chat
+   * `get_moderation_config` y `update_moderation_config` responden con
+   * `moderation_config`; `get_moderation_log` con `moderation_log`.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} event - Evento recibido
+   * @param {Object} data - Datos ({ workspaceId, rules } o { workspaceId, before, limit })
+   */
+  async handleModerationRequest(socket, event, data) {
+    const startTime = Date.now();
+    const { workspaceId } = data || {};
+    
+    try {
+      let response;
+      if (event === 'get_moderation_config') {
+        response = await this.getModerationConfig(socket.user, workspaceId);
+      } else if (event === 'update_moderation_config') {
+        response = await this.updateModerationConfig(socket.user, workspaceId, data?.rules);
+      } else {
+        response = await this.getModerationLog(socket.user, workspaceId, data || {});
+      }
+      
+      const { error, result } = response;
+      if (error) {
+        socket.emit('error', { message: error.message, code: error.code });
+        return;
+      }
+      
+      socket.emit(event === 'get_moderation_log' ? 'moderation_log' : 'moderation_config', result);
+      
+      metricsService.messageProcessed(event, Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        event
+      }, 'Error al gestionar la moderación del chat');
+      
+      metricsService.errorOccurred(event, { 
+        socketId: socket.id, 
+        error: error.message 
+      });
+      
+      socket.emit('error', { message: 'Error al gestionar la moderación del chat', details: error.message });
+    }
+  }
+
+  /**
+   * Obtiene las reglas de moderación de un workspace (solo administradores)
+   * @param {Object} user - Usuario autenticado
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async getModerationConfig(user, workspaceId) {
+    const error = this._checkModerationAccess(user, workspaceId);
+    if (error) return { error };
+    
+    return { result: { workspaceId, ...(await this.moderation.getConfig(workspaceId)) } };
+  }
+
+  /**
+   * Sustituye las reglas de moderación de un workspace (solo administradores)
+   * Las reglas se aplican en el orden recibido. Tipos: `blocklist`
+   * ({ words, action: "reject" | "redact" }), `links` ({ allowedDomains }),
+   * `max_length` ({ limit }) y `regex_redact` ({ pattern, flags, replacement }).
+   * @param {Object} user - Usuario autenticado
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object[]} rules - Nuevas reglas
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async updateModerationConfig(user, workspaceId, rules) {
+    const accessError = this._checkModerationAccess(user, workspaceId);
+    if (accessError) return { error: accessError };
+    
+    const { config, error } = await this.moderation.setConfig(workspaceId, rules, user.email);
+    if (error) {
+      return { error: { status: 400, code: 'INVALID_MODERATION_RULES', message: error } };
+    }
+    
+    await this.moderation.log(workspaceId, {
+      action: 'config_updated',
+      updatedBy: user.email,
+      rules: config.rules.map(rule => rule.type)
+    });
+    
+    logger.info({
+      workspaceId,
+      updatedBy: user.email,
+      rules: config.rules.length
+    }, 'Reglas de moderación actualizadas');
+    
+    return { result: { workspaceId, ...config } };
+  }
+
+  /**
+   * Obtiene el registro de acciones de moderación de un workspace (solo administradores)
+   * @param {Object} user - Usuario autenticado
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} [params] - Paginación ({ before, limit })
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async getModerationLog(user, workspaceId, params = {}) {
+    const error = this._checkModerationAccess(user, workspaceId);
+    if (error) return { error };
+    
+    if (params.before && !isStreamId(params.before)) {
+      return { error: { status: 400, code: 'INVALID_CURSOR', message: 'Cursor de paginación no válido' } };
+    }
+    
+    const limit = Math.min(
+      Math.max(parseInt(params.limit, 10) || this.MODERATION_LOG_PAGE_SIZE, 1),
+      this.MODERATION_LOG_PAGE_SIZE
+    );
+    const { entries, hasMore } = await this.moderation.getLog(workspaceId, { before: params.before, limit });
+    
+    return {
+      result: {
+        workspaceId,
+        entries,
+        hasMore,
+        nextBefore: hasMore ? entries[entries.length - 1].id : null
+      }
+    };
+  }
+
+  /**
+   * Prepara la exportación del historial del chat de un workspace (solo administradores)
+   * Incluye todos los canales (también los archivados) o solo el indicado, con
+   * las respuestas de cada hilo tras su mensaje padre. El rango de fechas se
+   * aplica a los mensajes principales; los hilos se exportan completos. Los
+   * mensajes se leen por lotes mientras se consume `chunks`.
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} params - Parámetros de la exportación
+   * @param {string} params.workspaceId - ID del workspace
+   * @param {string} [params.format="json"] - "json", "md" o "csv"
+   * @param {string|number} [params.from] - Fecha mínima (ISO 8601 o milisegundos)
+   * @param {string|number} [params.to] - Fecha máxima (ISO 8601 o milisegundos)
+   * @param {string} [params.channelId] - Exportar solo este canal
+   * @returns {Promise<{result?: {contentType: string, filename: string, chunks: AsyncGenerator<string>},
+   *   error?: {status: number, code: string, message: string}}>}
+   */
+  async exportChat(user, params) {
+    const { workspaceId, channelId } = params;
+    const format = params.format || 'json';
+    
+    if (!user?.email) {
+      return { error: { status: 401, code: 'AUTH_REQUIRED', message: 'Autenticación requerida' } };
+    }
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return {
+        error: { status: 400, code: 'INVALID_FORMAT', message: `Formato no válido (${EXPORT_FORMATS.join(', ')})` }
+      };
+    }
+    
+    const from = this._parseSearchDate(params.from);
+    const to = this._parseSearchDate(params.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || (from && to && from > to)) {
+      return { error: { status: 400, code: 'INVALID_QUERY', message: 'Rango de fechas no válido' } };
+    }
+    
+    if (!isWorkspaceAdmin(user, workspaceId)) {
+      return { error: { status: 403, code: 'FORBIDDEN', message: 'Solo los administradores pueden exportar el chat' } };
+    }
+    
+    let channels = await this.channels.list(workspaceId, { includeArchived: true });
+    if (channelId) {
+      channels = channels.filter(channel => channel.id === channelId);
+      if (channels.length === 0) {
+        return { error: { status: 404, code: 'CHANNEL_NOT_FOUND', message: 'Canal no encontrado' } };
+      }
+    }
+    
+    const exportedAt = new Date().toISOString();
+    const formatter = createExportFormatter(format, {
+      workspaceId,
+      exportedAt,
+      from: from ? new Date(from).toISOString() : null,
+      to: to ? new Date(to).toISOString() : null
+    });
+    
+    logger.info({
+      workspaceId,
+      exportedBy: user.email,
+      format,
+      channelId: channelId || null,
+      from,
+      to
+    }, 'Exportación del chat iniciada');
+    
+    return {
+      result: {
+        contentType: formatter.contentType,
+        filename: `chat-${workspaceId}-${exportedAt.slice(0, 10)}.${formatter.extension}`,
+        chunks: this._exportChunks(workspaceId, channels, formatter, { from, to })
+      }
+    };
+  }
+
+  /**
+   * Genera los trozos de una exportación del chat, canal a canal
+   * @private
+   */
+  async *_exportChunks(workspaceId, channels, formatter, { from, to }) {
+    const startTime = Date.now();
+    let count = 0;
+    
+    yield formatter.start();
+    
+    for (const channel of channels) {
+      const { streamId } = this._channelScope(workspaceId, channel.id);
+      yield formatter.channel(channel);
+      
+      for await (const message of this.store.iterate(streamId, { from, to })) {
+        yield formatter.message(channel.id, message);
+        count++;
+        
+        if (!message.replyCount) continue;
+        for await (const reply of this.store.iterate(streamId, { threadId: message.id })) {
+          yield formatter.message(channel.id, reply);
+          count++;
+        }
+      }
+    }
+    
+    yield formatter.end();
+    
+    logger.info({ workspaceId, messages: count }, 'Exportación del chat completada');
+    metricsService.messageProcessed('chat_export', Date.now() - startTime);
+  }
+
+  /**
+   * Elimina los mensajes de los canales de un workspace que exceden su política de retención
+   * La usa el trabajo de purga de retención. Con `days` se eliminan los mensajes
+   * más antiguos que ese número de días; con `count` se conservan en cada canal
+   * los últimos mensajes principales. Las respuestas de un hilo se eliminan con
+   * su mensaje raíz.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} policy - Política de retención del chat ({ mode, days?, count? })
+   * @returns {Promise<number>} Número de mensajes eliminados
+   */
+  async purgeHistory(workspaceId, policy) {
+    if (policy.mode === 'forever') return 0;
+    
+    const channels = await this.channels.list(workspaceId, { includeArchived: true });
+    let deleted = 0;
+    
+    for (const channel of channels) {
+      const { streamId } = this._channelScope(workspaceId, channel.id);
+      
+      let endId;
+      if (policy.mode === 'days') {
+        endId = String(Date.now() - policy.days * 24 * 60 * 60 * 1000 - 1);
+      } else {
+        const recentIds = await this.store.getRecentIds(streamId, policy.count + 1);
+        if (recentIds.length <= policy.count) continue;
+        endId = recentIds[0];
+      }
+      
+      deleted += await this.store.purgeBefore(streamId, endId, {
+        onRemoved: async (ids) => {
+          for (const id of ids) {
+            await this.searchIndex.remove(workspaceId, channel.id, id);
+          }
+        }
       });
+    }
+    
+    return deleted;
+  }
+
+  /**
+   * Comprueba que el usuario puede administrar la moderación de un workspace
+   * @returns {Object|null} Error ({ status, code, message }) o null si tiene acceso
+   * @private
+   */
+  _checkModerationAccess(user, workspaceId) {
+    if (!user?.email) {
+      return { status: 401, code: 'AUTH_REQUIRED', message: 'Autenticación requerida' };
+    }
+    if (!workspaceId) {
+      return { status: 400, code: 'INVALID_REQUEST', message: 'Falta el workspaceId' };
+    }
+    if (!isWorkspaceAdmin(user, workspaceId)) {
+      return { status: 403, code: 'FORBIDDEN', message: 'Solo los administradores pueden gestionar la moderación' };
+    }
+    return null;
+  }
+
+  /**
+   * Convierte una fecha de búsqueda (ISO 8601 o milisegundos) a milisegundos
+   * @returns {number|null} Milisegundos, null si no se indicó o NaN si no es válida
+   * @private
+   */
+  _parseSearchDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  }
+
+  /**
+   * Resuelve el canal de un evento y comprueba que el usuario puede usarlo
+   * Sin channelId se usa el canal por defecto, que conserva el stream y la sala
+   * del workspace para los clientes que no conocen los canales.
+   * Emite el error correspondiente al socket si el canal no es accesible.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} [channelId] - ID del canal
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.write=false] - La operación modifica el canal (no se permite si está archivado)
+   * @param {Function} [options.ack] - Callback de confirmación al que notificar el error
+   * @returns {Promise<Object|null>} { workspaceId, channelId, streamId, room } o null
+   * @private
+   */
+  async _resolveChannel(socket, workspaceId, channelId, { write = false, ack } = {}) {
+    // La pertenencia a un canal no basta: el token tiene que seguir dando acceso al workspace
+    if (!(await this._canAccessWorkspace(socket, workspaceId, ack))) return null;
+    
+    const id = channelId || DEFAULT_CHANNEL;
+    const channel = await this.channels.get(workspaceId, id);
+    
+    if (!channel) {
+      this._emitError(socket, ack, 'CHANNEL_NOT_FOUND', 'Canal no encontrado');
+      return null;
+    }
+    
+    if (!(await this.channels.isMember(workspaceId, id, socket.user?.email))) {
+      this._emitError(socket, ack, 'NOT_CHANNEL_MEMBER', 'No eres miembro de este canal');
+      return null;
+    }
+    
+    if (write && channel.archived) {
+      this._emitError(socket, ack, 'CHANNEL_ARCHIVED', 'El canal está archivado');
+      return null;
+    }
+    
+    return { channelId: id, ...this._channelScope(workspaceId, id) };
+  }
+
+  /**
+   * Calcula el stream y la sala de un canal
+   * El canal por defecto usa el stream y la sala del propio workspace.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @returns {{workspaceId: string, streamId: string, room: string}}
+   * @private
+   */
+  _channelScope(workspaceId, channelId) {
+    if (this.channels.isDefault(channelId)) {
+      return { workspaceId, streamId: workspaceId, room: workspaceId };
+    }
+    
+    return {
+      workspaceId,
+      streamId: `${workspaceId}:channel:${channelId}`,
+      room: `channel:${workspaceId}:${channelId}`
+    };
+  }
+
+  /**
+   * Comprueba que el usuario del socket pertenece al workspace
+   * Emite el error correspondiente al socket (y al ack, si lo hay) si no es así.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {Function} [ack] - Callback de confirmación al que notificar el error
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _canAccessWorkspace(socket, workspaceId, ack) {
+    if (!socket.user?.email) {
+      this._emitError(socket, ack, 'AUTH_REQUIRED', 'Autenticación requerida');
+      return false;
+    }
+    
+    if (isWorkspaceMember(socket.user, workspaceId)) return true;
+    
+    this._emitError(socket, ack, 'FORBIDDEN', 'No eres miembro de este workspace');
+    return false;
+  }
+
+
+  /**
+   * Maneja la desconexión de un usuario
+   * @param {Object} socket - Socket de conexión
+   */
+  handleDisconnect(socket) {
+    try {
+      // Limpiar estados de escritura
+      if (socket.user) {
+        this.typing.stopAll(socket.user.email);
+      }
     } catch (error) {
       logger.error({
         error: error.message,
@@ -0,0 +1,442 @@
+const vm = require('vm');
+const redisService = require('../../services/redis');
+const { normalizeText } = require('./chat.search');
+
+const MAX_RULES = 20;
+const MAX_BLOCKLIST_WORDS = 500;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_COMPILED_PATTERNS = 1000;
+const PATTERN_TIMEOUT = 50; // Milisegundos que puede tardar una expresión regular en un mensaje
+const DEFAULT_REDACTION = '[redactado]';
+const LOG_EXCERPT_LENGTH = 200;
+
+// Enlaces con esquema (http://, https://) o que empiezan por "www."
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/giu;
+
+// Expresiones de las reglas regex_redact ya compiladas (`${flags}/${pattern}` -> RegExp)
+const compiledPatterns = new Map();
+
+// Las sustituciones se ejecutan en un contexto aparte para poder cortarlas por tiempo
+const patternContext = vm.createContext({});
+const replaceScript = new vm.Script('input.content.replace(input.regex, input.replacement)');
+
+/**
+ * Indica si una expresión regular repite un grupo que contiene repeticiones o
+ * alternativas (`(a+)+`, `(a|aa)*`...) o usa referencias a grupos: son las que
+ * pueden tardar un tiempo exponencial en descartar un texto
+ * @param {string} pattern - Expresión regular
+ * @returns {boolean}
+ */
+const isUnsafePattern = (pattern) => {
+  const groups = []; // Por cada grupo abierto, si contiene repeticiones o alternativas
+  const isRepetition = (index) =>
+    pattern[index] === '*' || pattern[index] === '+' || /^\{\d+(,\d*)?\}/.test(pattern.slice(index));
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1])) return true;
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeats = groups.pop();
+      if (repeats && isRepetition(i + 1)) return true;
+      if (repeats && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (groups.length > 0 && (char === '|' || isRepetition(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Devuelve la expresión regular de una regla, compilándola solo la primera vez
+ * @param {string} pattern - Expresión regular
+ * @param {string} flags - Modificadores (sin "g", que se añade siempre)
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern, flags) => {
+  const key = `${flags}/${pattern}`;
+  let regex = compiledPatterns.get(key);
+
+  if (!regex) {
+    regex = new RegExp(pattern, `${flags}g`);
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+      compiledPatterns.delete(compiledPatterns.keys().next().value);
+    }
+    compiledPatterns.set(key, regex);
+  }
+  return regex;
+};
+
+/**
+ * Reglas de moderación disponibles, por tipo
+ *
+ * Cada regla define `normalize(config)`, que valida la configuración enviada
+ * por un administrador y devuelve la que se guarda (o null si no es válida), y
+ * `apply(content, config)`, que devuelve `{ content }` con el contenido
+ * (posiblemente redactado) o `{ reject: { code, message } }`.
+ */
+const ruleTypes = new Map();
+
+/**
+ * Registra un tipo de regla de moderación
+ * @param {string} type - Tipo de la regla (ej: "blocklist")
+ * @param {Object} definition - Definición con `normalize` y `apply`
+ */
+const registerRule = (type, definition) => {
+  ruleTypes.set(type, definition);
+};
+
+registerRule('blocklist', {
+  normalize({ words, action = 'reject' }) {
+    if (!Array.isArray(words) || !['reject', 'redact'].includes(action)) return null;
+
+    const normalizedWords = Array.from(new Set(
+      words
+        .filter(word => typeof word === 'string')
+        .map(word => normalizeText(word.trim()))
+        .filter(Boolean)
+    ));
+    if (normalizedWords.length === 0 || normalizedWords.length > MAX_BLOCKLIST_WORDS) return null;
+
+    return { words: normalizedWords, action };
+  },
+
+  // Compara palabras completas sin distinguir mayúsculas ni acentos
+  apply(content, { words, action }) {
+    const blocked = new Set(words);
+    let found = false;
+
+    const moderated = content.replace(/[\p{L}\p{N}\p{M}]+/gu, (word) => {
+      if (!blocked.has(normalizeText(word))) return word;
+      found = true;
+      return '*'.repeat(word.length);
+    });
+
+    if (!found) return { content };
+    if (action === 'redact') return { content: moderated };
+    return { reject: { code: 'MESSAGE_BLOCKED', message: 'El mensaje contiene palabras no permitidas' } };
+  }
+});
+
+registerRule('links', {
+  normalize({ allowedDomains = [] }) {
+    if (!Array.isArray(allowedDomains)) return null;
+
+    return {
+      allowedDomains: allowedDomains
+        .filter(domain => typeof domain === 'string' && domain.trim())
+        .map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+    };
+  },
+
+  // Se admiten los enlaces a los dominios permitidos y a sus subdominios
+  apply(content, { allowedDomains }) {
+    const links = content.match(LINK_PATTERN) || [];
+
+    const blocked = links.some(link => {
+      const host = link.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].toLowerCase();
+      return !allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    });
+
+    if (!blocked) return { content };
+    return { reject: { code: 'LINKS_NOT_ALLOWED', message: 'No se permiten enlaces en este workspace' } };
+  }
+});
+
+registerRule('max_length', {
+  normalize({ limit }) {
+    const value = parseInt(limit, 10);
+    return value > 0 ? { limit: value } : null;
+  },
+
+  apply(content, { limit }) {
+    if (content.length <= limit) return { content };
+    return { reject: { code: 'MESSAGE_TOO_LONG', message: `El mensaje supera los ${limit} caracteres` } };
+  }
+});
+
+registerRule('regex_redact', {
+  normalize({ pattern, flags = 'i', replacement = DEFAULT_REDACTION }) {
+    if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) return null;
+    if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) return null;
+    if (typeof replacement !== 'string' || isUnsafePattern(pattern)) return null;
+
+    try {
+      compilePattern(pattern, flags);
+    } catch (error) {
+      return null;
+    }
+
+    return { pattern, flags, replacement };
+  },
+
+  // Si la expresión tarda demasiado el mensaje se rechaza en lugar de publicarse sin revisar
+  apply(content, { pattern, flags, replacement }) {
+    patternContext.input = { content, regex: compilePattern(pattern, flags), replacement };
+
+    try {
+      return { content: replaceScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT }) };
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      return { reject: { code: 'MODERATION_TIMEOUT', message: 'No se ha podido revisar el mensaje' } };
+    } finally {
+      patternContext.input = null;
+    }
+  }
+});
+
+/**
+ * Valida y normaliza la lista de reglas de un workspace
+ * @param {Array<Object>} rules - Reglas ({ type, ...configuración })
+ * @returns {{rules?: Object[], error?: string}} Reglas normalizadas o descripción del error
+ */
+const normalizeRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return { error: `Se admiten hasta ${MAX_RULES} reglas` };
+  }
+
+  const normalized = [];
+  for (const [position, rule] of rules.entries()) {
+    const definition = ruleTypes.get(rule?.type);
+    if (!definition) {
+      return { error: `Tipo de regla desconocido en la posición ${position}` };
+    }
+
+    const config = definition.normalize(rule);
+    if (!config) {
+      return { error: `Configuración no válida para la regla "${rule.type}" en la posición ${position}` };
+    }
+    normalized.push({ type: rule.type, ...config });
+  }
+
+  return { rules: normalized };
+};
+
+/**
+ * Aplica una cadena de reglas de moderación a un mensaje
+ * Las reglas se ejecutan en orden; cada una recibe el contenido que dejó la
+ * anterior y la primera que rechaza el mensaje detiene la cadena.
+ * @param {Object[]} rules - Reglas normalizadas
+ * @param {string} content - Contenido del mensaje
+ * @returns {{content: string, actions: Object[], rejected: Object|null}}
+ *   Contenido resultante, acciones aplicadas ({ rule, action, code? }) y el
+ *   rechazo ({ rule, code, message }) si lo hubo
+ */
+const applyRules = (rules, content) => {
+  const actions = [];
+  let current = content;
+
+  for (const rule of rules) {
+    const definition = ruleTypes.get(rule.type);
+    if (!definition) continue;
+
+    const result = definition.apply(current, rule);
+    if (result.reject) {
+      actions.push({ rule: rule.type, action: 'rejected', code: result.reject.code });
+      return { content: current, actions, rejected: { rule: rule.type, ...result.reject } };
+    }
+
+    if (result.content !== current) {
+      actions.push({ rule: rule.type, action: 'redacted' });
+      current = result.content;
+    }
+  }
+
+  return { content: current, actions, rejected: null };
+};
+
+/**
+ * Moderación de los mensajes del chat de cada workspace
+ *
+ * Las reglas de cada workspace se guardan en Redis y el registro de acciones en
+ * un stream que se recorta según la política de retención de actividad del
+ * workspace. Se mantiene una copia local para seguir funcionando sin Redis.
+ */
+class ChatModeration {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "chat:")
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.logLimit=1000] - Entradas del registro a conservar por workspace
+   *   (en memoria, o en Redis si no hay políticas de retención)
+   * @param {Object} [options.retentionPolicies] - Políticas de retención de cada workspace
+   */
+  constructor(prefix, options = {}) {
+    this.prefix = prefix;
+    this.logLimit = options.logLimit || 1000;
+    this.retentionPolicies = options.retentionPolicies || null;
+    this.localConfigs = new Map(); // workspaceId -> configuración
+    this.localLogs = new Map(); // workspaceId -> Array<entrada>
+    this.localLogSequence = 0;
+  }
+
+  /**
+   * Devuelve la clave de la configuración de moderación de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {string} Clave de Redis
+   */
+  configKey(workspaceId) {
+    return `${this.prefix}${workspaceId}:moderation`;
+  }
+
+  /**
+   * Devuelve la clave del stream con el registro de moderación de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {string} Clave de Redis
+   */
+  logKey(workspaceId) {
+    return `${this.prefix}${workspaceId}:moderation:log`;
+  }
+
+  /**
+   * Obtiene la configuración de moderación de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Object>} { rules, updatedBy, updatedAt } (sin reglas si no se ha configurado)
+   */
+  async getConfig(workspaceId) {
+    // Sin caché local: un cambio de reglas debe aplicarse en todas las instancias al momento
+    const stored = await redisService.get(this.configKey(workspaceId), true, true);
+    return stored || this.localConfigs.get(workspaceId) || { rules: [], updatedBy: null, updatedAt: null };
+  }
+
+  /**
+   * Sustituye las reglas de moderación de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object[]} rules - Reglas enviadas por el administrador
+   * @param {string} updatedBy - Email del administrador
+   * @returns {Promise<{config?: Object, error?: string}>} Configuración guardada o error de validación
+   */
+  async setConfig(workspaceId, rules, updatedBy) {
+    const { rules: normalized, error } = normalizeRules(rules);
+    if (error) return { error };
+
+    const config = { rules: normalized, updatedBy, updatedAt: new Date().toISOString() };
+    this.localConfigs.set(workspaceId, config);
+    await redisService.set(this.configKey(workspaceId), config);
+
+    return { config };
+  }
+
+  /**
+   * Modera el contenido de un mensaje con las reglas del workspace
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} content - Contenido del mensaje
+   * @returns {Promise<{content: string, actions: Object[], rejected: Object|null}>}
+   */
+  async moderate(workspaceId, content) {
+    const { rules } = await this.getConfig(workspaceId);
+    if (rules.length === 0) return { content, actions: [], rejected: null };
+
+    return applyRules(rules, content);
+  }
+
+  /**
+   * Añade una entrada al registro de moderación de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} entry - Datos de la acción (action, rule, senderEmail, ...)
+   * @returns {Promise<Object>} Entrada guardada, con su ID
+   */
+  async log(workspaceId, entry) {
+    const data = {
+      ...entry,
+      ...(entry.content && { content: entry.content.slice(0, LOG_EXCERPT_LENGTH) }),
+      timestamp: entry.timestamp || new Date().toISOString()
+    };
+
+    const entryId = await redisService.xAdd(
+      this.logKey(workspaceId),
+      { data: JSON.stringify(data) },
+      '*',
+      await this._logMaxLength(workspaceId)
+    );
+    const stored = { id: entryId || `local-${++this.localLogSequence}`, ...data };
+
+    if (!this.localLogs.has(workspaceId)) {
+      this.localLogs.set(workspaceId, []);
+    }
+    const localLog = this.localLogs.get(workspaceId);
+    localLog.push(stored);
+    if (localLog.length > this.logLimit) localLog.shift();
+
+    return stored;
+  }
+
+  /**
+   * Elimina las entradas del registro que exceden la política de retención de actividad
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} policy - Política de retención ({ mode, days?, count? })
+   * @returns {Promise<number>} Número de entradas eliminadas
+   */
+  async purgeLog(workspaceId, policy) {
+    if (policy.mode === 'forever') return 0;
+
+    const minTimestamp = policy.mode === 'days'
+      ? new Date(Date.now() - policy.days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const localLog = this.localLogs.get(workspaceId) || [];
+    const kept = minTimestamp
+      ? localLog.filter(entry => entry.timestamp >= minTimestamp)
+      : localLog.slice(-policy.count);
+    this.localLogs.set(workspaceId, kept);
+
+    const deleted = policy.mode === 'days'
+      ? await redisService.xTrim(this.logKey(workspaceId), 'MINID', Date.parse(minTimestamp))
+      : await redisService.xTrim(this.logKey(workspaceId), 'MAXLEN', policy.count);
+
+    return deleted !== null ? deleted : localLog.length - kept.length;
+  }
+
+  /**
+   * Devuelve la longitud máxima del registro en Redis según la política de retención
+   * Con `days` o `forever` el registro no se recorta al escribir.
+   * @private
+   */
+  async _logMaxLength(workspaceId) {
+    if (!this.retentionPolicies) return this.logLimit;
+
+    const { activity } = await this.retentionPolicies.get(workspaceId);
+    return activity.mode === 'count' ? activity.count : undefined;
+  }
+
+  /**
+   * Obtiene una página del registro de moderación, de más reciente a más antigua
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} [options] - Opciones de paginación
+   * @param {string} [options.before] - Devolver entradas anteriores a este ID
+   * @param {number} [options.limit=50] - Número de entradas
+   * @returns {Promise<{entries: Object[], hasMore: boolean}>}
+   */
+  async getLog(workspaceId, { before, limit = 50 } = {}) {
+    const entries = await redisService.xRevRange(
+      this.logKey(workspaceId),
+      before ? `(${before}` : '+',
+      '-',
+      limit + 1
+    );
+
+    let page;
+    if (entries && (entries.length > 0 || before)) {
+      page = entries.map(({ id, message }) => ({ id, ...JSON.parse(message.data) }));
+    } else {
+      const localLog = this.localLogs.get(workspaceId) || [];
+      const end = before ? localLog.findIndex(entry => entry.id === before) : localLog.length;
+      page = localLog.slice(0, end === -1 ? localLog.length : end).slice(-(limit + 1)).reverse();
+    }
+
+    return { entries: page.slice(0, limit), hasMore: page.length > limit };
+  }
+}
+
+module.exports = ChatModeration;
+module.exports.registerRule = registerRule;
+module.exports.normalizeRules = normalizeRules;
+module.exports.applyRules = applyRules;
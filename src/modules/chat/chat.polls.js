@@ -0,0 +1,131 @@
+const MAX_POLL_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION = 30 * 24 * 60 * 60 * 1000; // Antelación máxima en ms del cierre de una encuesta
+
+/**
+ * Valida y normaliza los datos de una encuesta nueva
+ * Las opciones repetidas se descartan y reciben IDs "1", "2"... en orden.
+ * @param {Object} data - Datos enviados por el cliente
+ * @param {string} data.question - Pregunta
+ * @param {string[]} data.options - Texto de cada opción
+ * @param {boolean} [data.multiple=false] - Si se pueden elegir varias opciones
+ * @param {boolean} [data.anonymous=false] - Si se ocultan los votantes de cada opción
+ * @param {string|number} [data.closesAt] - Cierre (ISO 8601 o milisegundos)
+ * @param {number} [now=Date.now()] - Momento de referencia
+ * @returns {{poll?: Object, error?: string}} Encuesta normalizada o error de validación
+ */
+const normalizePoll = (data, now = Date.now()) => {
+  const question = typeof data?.question === 'string' ? data.question.trim() : '';
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    return { error: `La pregunta es obligatoria y tiene como máximo ${MAX_QUESTION_LENGTH} caracteres` };
+  }
+
+  if (!Array.isArray(data.options) ||
+    data.options.some(text => typeof text !== 'string' || !text.trim() || text.trim().length > MAX_OPTION_LENGTH)) {
+    return { error: `Cada opción debe ser un texto de como máximo ${MAX_OPTION_LENGTH} caracteres` };
+  }
+
+  const options = Array.from(new Set(data.options.map(text => text.trim())));
+  if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    return { error: `La encuesta debe tener de 2 a ${MAX_POLL_OPTIONS} opciones distintas` };
+  }
+
+  let closesAt = null;
+  if (data.closesAt !== undefined && data.closesAt !== null) {
+    const closesAtMs = /^\d+$/.test(String(data.closesAt)) ? Number(data.closesAt) : Date.parse(data.closesAt);
+    if (Number.isNaN(closesAtMs) || closesAtMs <= now || closesAtMs - now > MAX_POLL_DURATION) {
+      return { error: 'El cierre debe ser futuro y como máximo dentro de 30 días' };
+    }
+    closesAt = new Date(closesAtMs).toISOString();
+  }
+
+  return {
+    poll: {
+      question,
+      options: options.map((text, index) => ({ id: String(index + 1), text })),
+      multiple: data.multiple === true,
+      anonymous: data.anonymous === true,
+      closesAt
+    }
+  };
+};
+
+/**
+ * Obtiene la encuesta de un mensaje
+ * Las encuestas de `create_poll` van en `poll` y las del comando /poll en
+ * `system.poll` (de una sola opción, con votantes visibles y sin cierre).
+ * @param {Object} message - Mensaje del chat
+ * @returns {Object|null} Encuesta ({ question, options, multiple, anonymous, closesAt }) o null
+ */
+const getPoll = (message) => {
+  const poll = message?.poll || message?.system?.poll;
+  if (!poll) return null;
+
+  return { multiple: false, anonymous: false, closesAt: null, ...poll };
+};
+
+/**
+ * Indica si una encuesta ya no admite votos
+ * @param {Object} poll - Encuesta
+ * @param {number} [now=Date.now()] - Momento de referencia
+ * @returns {boolean}
+ */
+const isPollClosed = (poll, now = Date.now()) =>
+  Boolean(poll.closesAt) && Date.parse(poll.closesAt) <= now;
+
+/**
+ * Valida las opciones elegidas en un voto
+ * Una lista vacía retira el voto.
+ * @param {Object} poll - Encuesta
+ * @param {string[]} optionIds - IDs de las opciones elegidas
+ * @returns {{optionIds?: string[], error?: string}} Opciones sin repetir o error de validación
+ */
+const validateVote = (poll, optionIds) => {
+  if (!Array.isArray(optionIds)) return { error: 'Indica las opciones elegidas' };
+
+  const unique = Array.from(new Set(optionIds.map(String)));
+  if (unique.some(id => !poll.options.some(option => option.id === id))) {
+    return { error: 'Opción no válida' };
+  }
+  if (!poll.multiple && unique.length > 1) {
+    return { error: 'Esta encuesta solo admite una opción' };
+  }
+
+  return { optionIds: unique };
+};
+
+/**
+ * Cuenta los votos de una encuesta
+ * En las encuestas anónimas no se incluye quién votó cada opción.
+ * @param {Object} poll - Encuesta
+ * @param {Object<string, string[]>} votes - Opciones elegidas por cada votante (email -> IDs)
+ * @returns {{counts: Object<string, number>, totalVoters: number, voters?: Object<string, string[]>}}
+ */
+const tallyVotes = (poll, votes) => {
+  const counts = Object.fromEntries(poll.options.map(option => [option.id, 0]));
+  const voters = Object.fromEntries(poll.options.map(option => [option.id, []]));
+  let totalVoters = 0;
+
+  for (const [email, optionIds] of Object.entries(votes)) {
+    const valid = optionIds.filter(id => id in counts);
+    if (valid.length === 0) continue;
+
+    totalVoters++;
+    for (const id of valid) {
+      counts[id]++;
+      voters[id].push(email);
+    }
+  }
+
+  return { counts, totalVoters, ...(!poll.anonymous && { voters }) };
+};
+
+module.exports = {
+  MAX_POLL_OPTIONS,
+  normalizePoll,
+  getPoll,
+  isPollClosed,
+  validateVote,
+  tallyVotes
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const redisService = require('../../services/redis');
+const logger = require('../../utils/logger');
+
+/**
+ * Planificador de mensajes programados del chat
+ *
+ * Los mensajes pendientes se guardan en Redis: un conjunto ordenado con la
+ * fecha de envío como puntuación hace de cola, un hash guarda los datos de cada
+ * mensaje y un conjunto por workspace permite listarlos. Todas las instancias
+ * consultan la cola periódicamente; antes de enviar un mensaje, la instancia lo
+ * reclama con un bloqueo (SET NX con caducidad), de modo que solo una lo envía.
+ *
+ * Mientras dura el envío la instancia renueva el bloqueo (solo si sigue siendo
+ * suyo); si cae a mitad, el bloqueo caduca y otra instancia lo reintenta. El
+ * mensaje queda marcado como `sending`, con la fecha del primer intento en
+ * `sendingSince`, antes de publicarse; la función de entrega anota con
+ * `markPublished` el ID del mensaje publicado antes de difundirlo, y en el
+ * reintento recibe `retry: true` y el mensaje con ese `messageId` o, si la
+ * instancia cayó antes de anotarlo, con `sendingSince` para buscarlo y no
+ * duplicarlo. Sin Redis los mensajes se guardan solo en memoria.
+ */
+class MessageScheduler {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "chat:")
+   * @param {Object} options - Opciones del planificador
+   * @param {Function} options.deliver - Publica un mensaje: (item, { retry, markPublished }) => Promise<Object|null>,
+   *   devuelve el mensaje publicado o null si ya no se puede publicar; `markPublished(messageId)`
+   *   guarda el ID del mensaje en el programado
+   * @param {number} [options.pollInterval=1000] - Milisegundos entre consultas de la cola
+   * @param {number} [options.lockTtl=30] - Segundos que una instancia retiene un envío
+   * @param {number} [options.maxAttempts=5] - Intentos de envío antes de descartar un mensaje
+   * @param {number} [options.batchSize=20] - Mensajes a procesar en cada consulta
+   */
+  constructor(prefix, options) {
+    this.prefix = prefix;
+    this.deliver = options.deliver;
+    this.pollInterval = options.pollInterval || 1000;
+    this.lockTtl = options.lockTtl || 30;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.batchSize = options.batchSize || 20;
+    this.instanceId = crypto.randomUUID();
+    this.localItems = new Map(); // id -> mensaje programado (sin Redis)
+    this.processing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Devuelve la clave de la cola de envíos (conjunto ordenado por fecha)
+   * @returns {string} Clave de Redis
+   */
+  queueKey() {
+    return `${this.prefix}scheduled:queue`;
+  }
+
+  /**
+   * Devuelve la clave del hash con los datos de los mensajes programados
+   * @returns {string} Clave de Redis
+   */
+  itemsKey() {
+    return `${this.prefix}scheduled:items`;
+  }
+
+  /**
+   * Devuelve la clave del conjunto de mensajes programados de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @returns {string} Clave de Redis
+   */
+  workspaceKey(workspaceId) {
+    return `${this.prefix}${workspaceId}:scheduled`;
+  }
+
+  /**
+   * Devuelve la clave del bloqueo de envío de un mensaje
+   * @param {string} id - ID del mensaje programado
+   * @returns {string} Clave de Redis
+   */
+  lockKey(id) {
+    return `${this.prefix}scheduled:lock:${id}`;
+  }
+
+  /**
+   * Empieza a consultar periódicamente la cola de envíos
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+  }
+
+  /**
+   * Deja de consultar la cola de envíos
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Programa un mensaje
+   * @param {Object} data - Datos del mensaje (workspaceId, channelId, senderEmail, content, sendAt...)
+   * @returns {Promise<Object>} Mensaje programado, con su ID
+   */
+  async schedule(data) {
+    const item = {
+      ...data,
+      id: crypto.randomUUID(),
+      status: 'scheduled',
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+
+    const saved = await redisService.hSet(this.itemsKey(), item.id, item);
+    if (!saved) {
+      this.localItems.set(item.id, item);
+      return item;
+    }
+
+    await redisService.sAdd(this.workspaceKey(item.workspaceId), item.id);
+    await redisService.zAdd(this.queueKey(), Date.parse(item.sendAt), item.id);
+    return item;
+  }
+
+  /**
+   * Obtiene un mensaje programado pendiente
+   * @param {string} id - ID del mensaje programado
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return (await redisService.hGet(this.itemsKey(), id)) || this.localItems.get(id) || null;
+  }
+
+  /**
+   * Lista los mensajes programados pendientes de un workspace, por fecha de envío
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Object[]>}
+   */
+  async list(workspaceId) {
+    const ids = await redisService.sMembers(this.workspaceKey(workspaceId));
+    const stored = ids && ids.length > 0 ? await redisService.hmGet(this.itemsKey(), ids) : [];
+
+    return [
+      ...(stored || []).filter(Boolean),
+      ...Array.from(this.localItems.values()).filter(item => item.workspaceId === workspaceId)
+    ].sort((a, b) => Date.parse(a.sendAt) - Date.parse(b.sendAt));
+  }
+
+  /**
+   * Cancela un mensaje programado
+   * No se puede cancelar un mensaje que otra instancia está enviando en ese momento.
+   * @param {string} id - ID del mensaje programado
+   * @returns {Promise<string>} "cancelled", "not_found" o "sending"
+   */
+  async cancel(id) {
+    if (this.localItems.delete(id)) return 'cancelled';
+
+    const item = await redisService.hGet(this.itemsKey(), id);
+    if (!item) return 'not_found';
+
+    const locked = await redisService.setNX(this.lockKey(id), this.instanceId, this.lockTtl);
+    if (!locked) return 'sending';
+
+    await this._remove(item);
+    return 'cancelled';
+  }
+
+  /**
+   * Envía los mensajes cuya fecha ya ha llegado
+   * Se llama periódicamente desde start(); no se solapan dos ejecuciones.
+   * @returns {Promise<void>}
+   */
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+
+      const ids = await redisService.zRangeByScore(this.queueKey(), '-inf', now, this.batchSize);
+      for (const id of ids || []) {
+        await this._claimAndDeliver(id);
+      }
+
+      for (const item of Array.from(this.localItems.values())) {
+        if (Date.parse(item.sendAt) <= now) {
+          this.localItems.delete(item.id);
+          await this._deliverItem(item, false);
+        }
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error al procesar mensajes programados');
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Reclama un mensaje de la cola y lo envía si ninguna otra instancia lo tiene
+   * @private
+   */
+  async _claimAndDeliver(id) {
+    const locked = await redisService.setNX(this.lockKey(id), this.instanceId, this.lockTtl);
+    if (!locked) return;
+
+    const item = await redisService.hGet(this.itemsKey(), id);
+    if (!item) {
+      // Ya enviado o cancelado
+      await redisService.zRem(this.queueKey(), id);
+      return;
+    }
+
+    // Un mensaje en estado "sending" quedó a medias en una instancia que cayó
+    const retry = item.status === 'sending';
+    const attempt = {
+      ...item,
+      status: 'sending',
+      attempts: item.attempts + 1,
+      sendingSince: item.sendingSince || new Date().toISOString()
+    };
+    await redisService.hSet(this.itemsKey(), id, attempt);
+
+    // Renovar el bloqueo mientras dura el envío para que otra instancia no lo dé por abandonado
+    const renewal = setInterval(() => this._renewLock(id), this.lockTtl * 1000 / 3);
+    let delivered;
+    try {
+      delivered = await this._deliverItem(attempt, retry, (messageId) =>
+        redisService.hSet(this.itemsKey(), id, { ...attempt, messageId })
+      );
+    } finally {
+      clearInterval(renewal);
+    }
+    if (!delivered && attempt.attempts >= this.maxAttempts) {
+      logger.warn({
+        scheduledId: id,
+        workspaceId: attempt.workspaceId,
+        attempts: attempt.attempts
+      }, 'Mensaje programado descartado tras varios intentos');
+    }
+
+    // Si falló y quedan intentos, el bloqueo caduca y se reintenta en una consulta posterior
+    if (delivered || attempt.attempts >= this.maxAttempts) {
+      await this._remove(attempt);
+    }
+  }
+
+  /**
+   * Alarga la caducidad del bloqueo de un envío si sigue siendo de esta instancia
+   * Si caducó y otra instancia lo tomó, no se le alarga el suyo.
+   * @private
+   */
+  async _renewLock(id) {
+    const owner = await redisService.get(this.lockKey(id), false, true);
+    if (owner === this.instanceId) {
+      await redisService.expire(this.lockKey(id), this.lockTtl);
+    } else if (owner !== null) {
+      logger.warn({ scheduledId: id }, 'El bloqueo de un mensaje programado pasó a otra instancia');
+    }
+  }
+
+  /**
+   * Publica un mensaje programado
+   * Los mensajes en memoria no se reintentan, así que no guardan el ID publicado.
+   * @returns {Promise<boolean>} true si el mensaje ya no debe reintentarse
+   * @private
+   */
+  async _deliverItem(item, retry, markPublished = async () => {}) {
+    try {
+      const message = await this.deliver(item, { retry, markPublished });
+
+      logger.info({
+        scheduledId: item.id,
+        workspaceId: item.workspaceId,
+        messageId: message?.id,
+        delay: Date.now() - Date.parse(item.sendAt)
+      }, message ? 'Mensaje programado enviado' : 'Mensaje programado descartado');
+      return true;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        scheduledId: item.id,
+        attempts: item.attempts
+      }, 'Error al enviar mensaje programado');
+      return false;
+    }
+  }
+
+  /**
+   * Elimina un mensaje programado de la cola, los datos y el índice del workspace
+   * @private
+   */
+  async _remove(item) {
+    await redisService.zRem(this.queueKey(), item.id);
+    await redisService.hDel(this.itemsKey(), item.id);
+    await redisService.sRem(this.workspaceKey(item.workspaceId), item.id);
+  }
+}
+
+module.exports = MessageScheduler;
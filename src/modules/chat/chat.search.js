@@ -0,0 +1,415 @@
+const redisService = require('../../services/redis');
+const logger = require('../../utils/logger');
+const { DEFAULT_CHANNEL } = require('./channel.store');
+
+/**
+ * Normaliza un texto para indexarlo: minúsculas y sin diacríticos
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalizeText = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Divide un texto en términos de búsqueda normalizados
+ * @param {string} text - Texto original
+ * @returns {string[]} Términos (sin duplicados)
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  return Array.from(new Set(normalizeText(text).match(/[\p{L}\p{N}]+/gu) || []));
+};
+
+/**
+ * Calcula los fragmentos a resaltar de un mensaje
+ * Se resalta cada palabra que empieza por alguno de los términos buscados.
+ * @param {string} content - Contenido original del mensaje
+ * @param {string[]} terms - Términos normalizados de la consulta
+ * @returns {Array<[number, number]>} Rangos [inicio, fin) sobre el contenido original
+ */
+const findHighlights = (content, terms) => {
+  if (!content || terms.length === 0) return [];
+
+  const highlights = [];
+  for (const match of content.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    const word = normalizeText(match[0]);
+    if (terms.some(term => word.startsWith(term))) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return highlights;
+};
+
+/**
+ * Devuelve un documento del índice en memoria sin los campos internos
+ * @private
+ */
+const toResult = (doc) => {
+  const result = { ...doc };
+  delete result.ts;
+  delete result.terms;
+  delete result.seq;
+  return result;
+};
+
+/**
+ * Escapa un valor para usarlo dentro de un filtro TAG de RediSearch
+ * @private
+ */
+const escapeTag = (value) => String(value).replace(/[^\p{L}\p{N}_]/gu, '\\$&');
+
+/**
+ * Índice de búsqueda de texto completo sobre los mensajes del chat
+ *
+ * Si Redis tiene el módulo de búsqueda, cada mensaje se guarda como documento en
+ * un hash indexado por RediSearch y las consultas se resuelven allí. Además se
+ * mantiene un índice invertido en memoria (limitado por workspace) que se usa
+ * cuando el módulo no está disponible; la primera búsqueda en memoria de cada
+ * workspace lo completa con los mensajes ya guardados y, como cada instancia
+ * solo indexa sus propias escrituras, se vuelve a cargar de Redis cuando tiene
+ * más de `refreshInterval` ms para ver los mensajes de las demás. Los resaltados se
+ * calculan siempre en el proceso para que ambos caminos devuelvan el mismo
+ * formato.
+ */
+class ChatSearchIndex {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "chat:")
+   * @param {Object} [options] - Opciones del índice
+   * @param {number} [options.localLimit=5000] - Mensajes a conservar en memoria por workspace
+   * @param {Function} [options.backfill] - Recorre los mensajes guardados de un workspace
+   *   ((workspaceId) => AsyncIterable<Object>) para llenar el índice en memoria
+   * @param {number} [options.refreshInterval=30000] - Antigüedad (ms) a partir de la cual
+   *   una búsqueda vuelve a cargar el índice en memoria
+   */
+  constructor(prefix, options = {}) {
+    this.prefix = prefix;
+    this.indexName = `idx:${prefix}messages`;
+    this.localLimit = options.localLimit || 5000;
+    this.backfill = options.backfill || null;
+    this.refreshInterval = options.refreshInterval ?? 30000;
+    this.local = new Map(); // workspaceId -> { docs: Map(docId -> doc), terms: Map(term -> Set<docId>) }
+    this.backfills = new Map(); // workspaceId -> carga de los mensajes guardados (en curso o terminada)
+    this.loadedAt = new Map(); // workspaceId -> fecha (ms) de la última carga terminada
+    this.seq = 0; // orden de indexación en memoria
+    this.redisIndexReady = null; // null = desconocido, true/false = módulo disponible o no
+  }
+
+  /**
+   * Devuelve la clave del documento de búsqueda de un mensaje
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @param {string} messageId - ID del mensaje
+   * @returns {string} Clave de Redis
+   */
+  docKey(workspaceId, channelId, messageId) {
+    return `${this.prefix}search:${workspaceId}:${channelId}:${messageId}`;
+  }
+
+  /**
+   * Añade o actualiza un mensaje en el índice
+   * Los mensajes borrados o vacíos se eliminan del índice.
+   * @param {Object} message - Mensaje almacenado
+   * @returns {Promise<void>}
+   */
+  async index(message) {
+    const doc = this._toDoc(message);
+
+    if (!doc) {
+      await this.remove(message.workspaceId, message.channelId || DEFAULT_CHANNEL, message.id);
+      return;
+    }
+
+    this._indexLocal(doc);
+
+    if (await this._ensureRedisIndex()) {
+      await redisService.hSetAll(this.docKey(doc.workspaceId, doc.channelId, doc.messageId), {
+        ...doc,
+        text: tokenize(doc.content).join(' ')
+      });
+    }
+  }
+
+  /**
+   * Elimina un mensaje del índice
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} channelId - ID del canal
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<void>}
+   */
+  async remove(workspaceId, channelId, messageId) {
+    this._removeLocal(workspaceId, `${channelId}:${messageId}`);
+
+    if (this.redisIndexReady) {
+      await redisService.delete(this.docKey(workspaceId, channelId, messageId));
+    }
+  }
+
+  /**
+   * Busca mensajes de un workspace
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} params - Parámetros de la búsqueda
+   * @param {string} params.query - Texto a buscar
+   * @param {string[]} params.channelIds - Canales en los que buscar
+   * @param {string} [params.sender] - Email del remitente
+   * @param {number} [params.from] - Fecha mínima (ms)
+   * @param {number} [params.to] - Fecha máxima (ms)
+   * @param {number} [params.offset=0] - Resultados a saltar
+   * @param {number} [params.limit=20] - Resultados por página
+   * @returns {Promise<{results: Object[], total: number}>} Resultados, más recientes primero
+   */
+  async search(workspaceId, params) {
+    const terms = tokenize(params.query);
+    if (terms.length === 0 || params.channelIds.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    let page = null;
+    if (await this._ensureRedisIndex()) {
+      page = await this._searchRedis(workspaceId, terms, params);
+    }
+    if (!page) {
+      await this._backfillLocal(workspaceId);
+      page = this._searchLocal(workspaceId, terms, params);
+    }
+
+    return {
+      total: page.total,
+      results: page.docs.map(doc => ({
+        ...doc,
+        highlights: findHighlights(doc.content, terms)
+      }))
+    };
+  }
+
+  /**
+   * Ejecuta la búsqueda en RediSearch
+   * @returns {Promise<{docs: Object[], total: number}|null>} null si la búsqueda falla
+   * @private
+   */
+  async _searchRedis(workspaceId, terms, { channelIds, sender, from, to, offset = 0, limit = 20 }) {
+    const clauses = [
+      `@workspaceId:{${escapeTag(workspaceId)}}`,
+      `@channelId:{${channelIds.map(escapeTag).join(' | ')}}`,
+      `@text:(${terms.map(term => (term.length >= 2 ? `${term}*` : term)).join(' ')})`
+    ];
+    if (sender) clauses.push(`@senderEmail:{${escapeTag(sender)}}`);
+    if (from || to) clauses.push(`@ts:[${from || '-inf'} ${to || '+inf'}]`);
+
+    const result = await redisService.ftSearch(this.indexName, clauses.join(' '), {
+      RETURN: ['messageId', 'workspaceId', 'channelId', 'senderEmail', 'senderName', 'content', 'parentId', 'timestamp'],
+      SORTBY: { BY: 'ts', DIRECTION: 'DESC' },
+      LIMIT: { from: offset, size: limit },
+      DIALECT: 2
+    });
+    if (!result) return null;
+
+    return {
+      total: result.total,
+      docs: result.documents.map(({ value }) => ({
+        messageId: value.messageId,
+        workspaceId: value.workspaceId,
+        channelId: value.channelId,
+        senderEmail: value.senderEmail,
+        senderName: value.senderName || null,
+        content: value.content,
+        parentId: value.parentId || null,
+        timestamp: value.timestamp
+      }))
+    };
+  }
+
+  /**
+   * Ejecuta la búsqueda en el índice en memoria
+   * Cada término de la consulta debe coincidir con el inicio de alguna palabra.
+   * @returns {{docs: Object[], total: number}}
+   * @private
+   */
+  _searchLocal(workspaceId, terms, { channelIds, sender, from, to, offset = 0, limit = 20 }) {
+    const workspaceIndex = this.local.get(workspaceId);
+    if (!workspaceIndex) return { docs: [], total: 0 };
+
+    let candidates = null;
+    for (const term of terms) {
+      const matches = new Set();
+      workspaceIndex.terms.forEach((docIds, indexedTerm) => {
+        if (indexedTerm.startsWith(term)) docIds.forEach(docId => matches.add(docId));
+      });
+      candidates = candidates
+        ? new Set([...candidates].filter(docId => matches.has(docId)))
+        : matches;
+      if (candidates.size === 0) break;
+    }
+
+    const allowedChannels = new Set(channelIds);
+    const docs = [...candidates]
+      .map(docId => workspaceIndex.docs.get(docId))
+      .filter(doc =>
+        allowedChannels.has(doc.channelId) &&
+        (!sender || doc.senderEmail === sender) &&
+        (!from || doc.ts >= from) &&
+        (!to || doc.ts <= to)
+      )
+      .sort((a, b) => b.ts - a.ts || b.messageId.localeCompare(a.messageId));
+
+    return {
+      total: docs.length,
+      docs: docs.slice(offset, offset + limit).map(toResult)
+    };
+  }
+
+  /**
+   * Convierte un mensaje en el documento que se indexa
+   * @returns {Object|null} Documento o null si el mensaje no se indexa (borrado o vacío)
+   * @private
+   */
+  _toDoc(message) {
+    if (message.deleted || !message.content) return null;
+
+    return {
+      messageId: message.id,
+      workspaceId: message.workspaceId,
+      channelId: message.channelId || DEFAULT_CHANNEL,
+      senderEmail: message.senderEmail,
+      senderName: message.senderName,
+      content: message.content,
+      parentId: message.parentId || null,
+      timestamp: message.timestamp,
+      ts: Date.parse(message.timestamp) || Date.now()
+    };
+  }
+
+  /**
+   * Llena el índice en memoria de un workspace con los mensajes ya guardados
+   * Se hace en la primera búsqueda del workspace y se repite cuando la última
+   * carga tiene más de `refreshInterval` ms. Si falla se vuelve a intentar en la
+   * siguiente búsqueda y, mientras tanto, se busca en lo indexado hasta ahora.
+   * @private
+   */
+  async _backfillLocal(workspaceId) {
+    if (!this.backfill) return;
+
+    const loadedAt = this.loadedAt.get(workspaceId);
+    const stale = loadedAt !== undefined && Date.now() - loadedAt >= this.refreshInterval;
+
+    if (!this.backfills.has(workspaceId) || stale) {
+      this.loadedAt.delete(workspaceId);
+      this.backfills.set(workspaceId, this._loadLocal(workspaceId, { refresh: stale }).then(
+        () => this.loadedAt.set(workspaceId, Date.now()),
+        error => {
+          this.backfills.delete(workspaceId);
+          logger.error({ error: error.message, workspaceId }, 'Error al cargar el índice de búsqueda en memoria');
+        }
+      ));
+    }
+    await this.backfills.get(workspaceId);
+  }
+
+  /**
+   * Indexa en memoria los mensajes guardados más recientes de un workspace
+   * El índice se reconstruye con lo leído, de modo que también se recogen las
+   * ediciones y borrados de otras instancias. Lo indexado durante la carga (o,
+   * en la primera, antes de ella) se vuelve a añadir al final, ya que es igual o
+   * más reciente que lo leído.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.refresh=false] - Recarga de un índice ya cargado
+   * @private
+   */
+  async _loadLocal(workspaceId, { refresh = false } = {}) {
+    const startSeq = this.seq;
+    const docs = [];
+    for await (const message of this.backfill(workspaceId)) {
+      const doc = this._toDoc({ ...message, workspaceId });
+      if (doc) docs.push(doc);
+    }
+
+    const indexed = Array.from(this.local.get(workspaceId)?.docs.values() || [])
+      .filter(doc => !refresh || doc.seq > startSeq);
+    this.local.delete(workspaceId);
+    docs
+      .sort((a, b) => a.ts - b.ts)
+      .slice(-this.localLimit)
+      .forEach(doc => this._indexLocal(doc));
+    indexed.forEach(doc => this._indexLocal(doc));
+
+    logger.info({ workspaceId, count: docs.length, refresh }, 'Índice de búsqueda en memoria cargado');
+  }
+
+  /**
+   * Añade un documento al índice en memoria, descartando los más antiguos
+   * @private
+   */
+  _indexLocal(doc) {
+    if (!this.local.has(doc.workspaceId)) {
+      this.local.set(doc.workspaceId, { docs: new Map(), terms: new Map() });
+    }
+    const workspaceIndex = this.local.get(doc.workspaceId);
+    const docId = `${doc.channelId}:${doc.messageId}`;
+
+    this._removeLocal(doc.workspaceId, docId);
+
+    const terms = tokenize(doc.content);
+    workspaceIndex.docs.set(docId, { ...doc, terms, seq: ++this.seq });
+    terms.forEach(term => {
+      if (!workspaceIndex.terms.has(term)) {
+        workspaceIndex.terms.set(term, new Set());
+      }
+      workspaceIndex.terms.get(term).add(docId);
+    });
+
+    while (workspaceIndex.docs.size > this.localLimit) {
+      const oldestDocId = workspaceIndex.docs.keys().next().value;
+      this._removeLocal(doc.workspaceId, oldestDocId);
+    }
+  }
+
+  /**
+   * Elimina un documento del índice en memoria
+   * @private
+   */
+  _removeLocal(workspaceId, docId) {
+    const workspaceIndex = this.local.get(workspaceId);
+    const doc = workspaceIndex?.docs.get(docId);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const docIds = workspaceIndex.terms.get(term);
+      docIds?.delete(docId);
+      if (docIds?.size === 0) workspaceIndex.terms.delete(term);
+    });
+    workspaceIndex.docs.delete(docId);
+  }
+
+  /**
+   * Crea el índice de RediSearch la primera vez que se necesita
+   * @returns {Promise<boolean>} true si se puede usar RediSearch
+   * @private
+   */
+  async _ensureRedisIndex() {
+    if (this.redisIndexReady !== null) return this.redisIndexReady;
+
+    const ready = await redisService.ftCreate(this.indexName, {
+      text: { type: 'TEXT', NOSTEM: true },
+      workspaceId: { type: 'TAG' },
+      channelId: { type: 'TAG' },
+      senderEmail: { type: 'TAG' },
+      ts: { type: 'NUMERIC', SORTABLE: true }
+    }, {
+      ON: 'HASH',
+      PREFIX: `${this.prefix}search:`
+    });
+
+    // Si Redis no está disponible se vuelve a intentar en la próxima operación
+    if (ready !== null) {
+      this.redisIndexReady = ready;
+      if (!ready) {
+        logger.info('Búsqueda de chat usando el índice en memoria');
+      }
+    }
+    return Boolean(ready);
+  }
+}
+
+module.exports = ChatSearchIndex;
+module.exports.tokenize = tokenize;
+module.exports.findHighlights = findHighlights;
+module.exports.normalizeText = normalizeText;
@@ -0,0 +1,867 @@
+const redisService = require('../../services/redis');
+const logger = require('../../utils/logger');
+
+const LEGACY_IMPORT_LOCK_TTL = 60; // segundos
+const LEGACY_IMPORT_WAIT_MS = 200;
+const LEGACY_IMPORT_WAIT_ATTEMPTS = 25;
+
+/**
+ * Compara dos IDs de entrada de stream con formato "<ms>-<seq>"
+ * @param {string} a - Primer ID
+ * @param {string} b - Segundo ID
+ * @returns {number} Negativo si a < b, positivo si a > b, 0 si son iguales
+ */
+const compareStreamIds = (a, b) => {
+  const [aMs, aSeq = 0] = a.split('-').map(Number);
+  const [bMs, bSeq = 0] = b.split('-').map(Number);
+  return aMs !== bMs ? aMs - bMs : aSeq - bSeq;
+};
+
+/**
+ * Comprueba que un valor recibido de un cliente sea un ID de stream completo
+ * @param {*} id - Valor a comprobar
+ * @returns {boolean}
+ */
+const isStreamId = (id) => typeof id === 'string' && /^\d+-\d+$/.test(id);
+
+/**
+ * Almacén de mensajes de chat basado en Redis Streams
+ *
+ * Cada conversación usa un stream append-only como índice: el ID de la entrada
+ * es a la vez el ID del mensaje y el cursor de paginación. Las respuestas de un
+ * hilo se indexan en un stream propio del hilo. El cuerpo de cada mensaje se
+ * guarda en un hash compartido para poder editarlo o borrarlo sin reescribir el
+ * historial. Se mantiene un buffer local con los últimos mensajes para seguir
+ * funcionando sin Redis.
+ */
+class ChatStore {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "chat:")
+   * @param {Object} [options] - Opciones del almacén
+   * @param {number} [options.localLimit=100] - Mensajes a conservar en memoria por conversación
+   */
+  constructor(prefix, options = {}) {
+    this.prefix = prefix;
+    this.localLimit = options.localLimit || 100;
+    this.localMessages = new Map(); // clave de índice -> Array<Message>
+    this.localThreads = new Map(); // streamId -> Map(parentId -> {replyCount, lastReplyAt})
+    this.localReactions = new Map(); // clave de reacciones -> Map(emoji -> Set<email>)
+    this.localPins = new Map(); // streamId -> Map(messageId -> pin)
+    this.localPollVotes = new Map(); // clave de votos -> Map(email -> IDs de opciones)
+    this.lastLocalId = { ms: 0, seq: 0 };
+    this.legacyImports = new Map(); // streamId -> Promise de la importación del historial antiguo
+  }
+
+  /**
+   * Devuelve la clave del stream (índice) de una conversación
+   * @param {string} streamId - ID de la conversación (workspace, canal...)
+   * @returns {string} Clave de Redis
+   */
+  streamKey(streamId) {
+    return `${this.prefix}${streamId}:stream`;
+  }
+
+  /**
+   * Devuelve la clave del hash con los cuerpos de los mensajes
+   * No reutiliza `<streamId>:messages`, donde las versiones anteriores guardaban
+   * el historial como un array JSON y un HSET fallaría con WRONGTYPE.
+   * @param {string} streamId - ID de la conversación
+   * @returns {string} Clave de Redis
+   */
+  messagesKey(streamId) {
+    return `${this.prefix}${streamId}:bodies`;
+  }
+
+  /**
+   * Devuelve la clave donde las versiones anteriores guardaban el historial
+   * como un array JSON (ver importLegacy)
+   * @param {string} streamId - ID de la conversación
+   * @returns {string} Clave de Redis
+   */
+  legacyMessagesKey(streamId) {
+    return `${this.prefix}${streamId}:messages`;
+  }
+
+  /**
+   * Devuelve la clave del stream (índice) de las respuestas de un hilo
+   * @param {string} streamId - ID de la conversación
+   * @param {string} threadId - ID del mensaje raíz del hilo
+   * @returns {string} Clave de Redis
+   */
+  threadKey(streamId, threadId) {
+    return `${this.prefix}${streamId}:thread:${threadId}`;
+  }
+
+  /**
+   * Devuelve la clave del hash con los resúmenes de hilos
+   * @param {string} streamId - ID de la conversación
+   * @returns {string} Clave de Redis
+   */
+  threadsKey(streamId) {
+    return `${this.prefix}${streamId}:threads`;
+  }
+
+  /**
+   * Devuelve la clave del conjunto de reacciones de un mensaje
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @returns {string} Clave de Redis
+   */
+  reactionsKey(streamId, messageId) {
+    return `${this.prefix}${streamId}:reactions:${messageId}`;
+  }
+
+  /**
+   * Devuelve la clave del hash con los votos de la encuesta de un mensaje
+   * Cada votante es un campo, así que los votos de distintos usuarios no se pisan.
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @returns {string} Clave de Redis
+   */
+  pollVotesKey(streamId, messageId) {
+    return `${this.prefix}${streamId}:poll:${messageId}`;
+  }
+
+  /**
+   * Devuelve la clave del hash con los mensajes fijados de una conversación
+   * @param {string} streamId - ID de la conversación
+   * @returns {string} Clave de Redis
+   */
+  pinsKey(streamId) {
+    return `${this.prefix}${streamId}:pins`;
+  }
+
+  /**
+   * Importa una sola vez el historial que las versiones anteriores guardaban en
+   * `<streamId>:messages` como un array JSON
+   * Cada instancia lo comprueba la primera vez que usa una conversación, antes de
+   * leerla o de añadir mensajes, para que los mensajes antiguos queden como la
+   * parte más antigua del stream. Si Redis no responde se reintenta en la
+   * siguiente llamada.
+   * @param {string} streamId - ID de la conversación
+   * @returns {Promise<void>}
+   */
+  importLegacy(streamId) {
+    if (!this.legacyImports.has(streamId)) {
+      const pending = this._importLegacy(streamId).then(
+        (done) => {
+          if (!done) this.legacyImports.delete(streamId);
+        },
+        (error) => {
+          this.legacyImports.delete(streamId);
+          throw error;
+        }
+      );
+      this.legacyImports.set(streamId, pending);
+    }
+    return this.legacyImports.get(streamId);
+  }
+
+  /**
+   * Copia el array antiguo al stream y al hash de cuerpos y después lo elimina
+   * Los IDs de stream se derivan de la fecha de cada mensaje conservando el
+   * orden del array. Los mensajes que ya estén en el stream (un intento anterior
+   * interrumpido) no se vuelven a añadir.
+   * @param {string} streamId - ID de la conversación
+   * @returns {Promise<boolean>} false si hay que volver a intentarlo más tarde
+   * @private
+   */
+  async _importLegacy(streamId) {
+    if (!redisService.isConnected) return false;
+
+    const legacyKey = this.legacyMessagesKey(streamId);
+    const legacy = await redisService.get(legacyKey, true, true);
+    if (!Array.isArray(legacy)) return true;
+
+    const lockKey = `${legacyKey}:import`;
+    if (!await redisService.setNX(lockKey, 1, LEGACY_IMPORT_LOCK_TTL)) {
+      // Otra instancia está importando: esperar a que termine
+      for (let attempt = 0; attempt < LEGACY_IMPORT_WAIT_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, LEGACY_IMPORT_WAIT_MS));
+        if (!Array.isArray(await redisService.get(legacyKey, true, true))) return true;
+      }
+      return false;
+    }
+
+    try {
+      const streamKey = this.streamKey(streamId);
+      const [last] = await redisService.xRevRange(streamKey, '+', '-', 1) || [];
+
+      let previous = { ms: 0, seq: 0 };
+      const entries = legacy.map((message) => {
+        const ms = Math.max(Number(message.id) || Date.parse(message.timestamp) || 1, previous.ms);
+        previous = { ms, seq: ms === previous.ms ? previous.seq + 1 : 0 };
+        return { id: `${ms}-${previous.seq}`, message };
+      });
+
+      if (last && entries.length > 0 && compareStreamIds(last.id, entries[entries.length - 1].id) > 0) {
+        logger.warn({ streamId, messages: legacy.length },
+          'No se importa el historial antiguo: el stream ya tiene mensajes posteriores');
+        return true;
+      }
+
+      for (const { id, message } of entries) {
+        if (last && compareStreamIds(id, last.id) <= 0) continue;
+        const saved = await redisService.hSet(this.messagesKey(streamId), id, { ...message, id });
+        if (!saved || !await redisService.xAdd(streamKey, { type: message.type || 'message' }, id)) {
+          return false;
+        }
+      }
+
+      await redisService.delete(legacyKey);
+      logger.info({ streamId, messages: entries.length }, 'Historial antiguo importado al stream');
+      return true;
+    } finally {
+      await redisService.delete(lockKey);
+    }
+  }
+
+  /**
+   * Añade un mensaje al final de la conversación o de uno de sus hilos
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} message - Mensaje sin ID
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.threadId] - ID del mensaje raíz si es una respuesta
+   * @returns {Promise<Object>} Mensaje almacenado con su ID
+   */
+  async append(streamId, message, { threadId } = {}) {
+    await this.importLegacy(streamId);
+    const indexKey = threadId ? this.threadKey(streamId, threadId) : this.streamKey(streamId);
+    const entryId = await redisService.xAdd(indexKey, {
+      type: message.type || 'message'
+    });
+
+    const storedMessage = { ...message, id: entryId || this._nextLocalId() };
+
+    if (entryId) {
+      await redisService.hSet(this.messagesKey(streamId), entryId, storedMessage);
+    }
+
+    if (!this.localMessages.has(indexKey)) {
+      this.localMessages.set(indexKey, []);
+    }
+    const localList = this.localMessages.get(indexKey);
+    localList.push(storedMessage);
+    if (localList.length > this.localLimit) {
+      localList.splice(0, localList.length - this.localLimit);
+    }
+
+    if (threadId) {
+      await this._recordReply(streamId, threadId, storedMessage);
+    }
+
+    return storedMessage;
+  }
+
+  /**
+   * Obtiene un mensaje por su ID
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<Object|null>} Mensaje o null si no existe
+   */
+  async getMessage(streamId, messageId) {
+    await this.importLegacy(streamId);
+    const message = await redisService.hGet(this.messagesKey(streamId), messageId);
+    if (message) return message;
+
+    for (const localList of this._localListsFor(streamId)) {
+      const localMessage = localList.find(msg => msg.id === messageId);
+      if (localMessage) return localMessage;
+    }
+    return null;
+  }
+
+  /**
+   * Sobrescribe el cuerpo de un mensaje existente (ediciones, borrados...)
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} message - Mensaje completo con su ID
+   * @returns {Promise<Object>} Mensaje guardado
+   */
+  async saveMessage(streamId, message) {
+    await redisService.hSet(this.messagesKey(streamId), message.id, message);
+
+    for (const localList of this._localListsFor(streamId)) {
+      const localIndex = localList.findIndex(msg => msg.id === message.id);
+      if (localIndex >= 0) {
+        localList[localIndex] = message;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Obtiene una página de mensajes en orden cronológico
+   * Sin cursores devuelve los mensajes más recientes. Los mensajes de la
+   * conversación principal incluyen el resumen de su hilo si lo tienen.
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} [options] - Opciones de paginación
+   * @param {string} [options.before] - Devolver mensajes anteriores a este ID
+   * @param {string} [options.after] - Devolver mensajes posteriores a este ID
+   * @param {number} [options.limit=50] - Tamaño de página
+   * @param {string} [options.threadId] - Paginar las respuestas de este hilo
+   * @returns {Promise<{messages: Array<Object>, hasMore: boolean}>} Página de mensajes
+   */
+  async getPage(streamId, { before, after, limit = 50, threadId } = {}) {
+    await this.importLegacy(streamId);
+    const page = await this._readIndex(streamId, { before, after, limit, threadId });
+
+    if (!threadId) {
+      page.messages = await this._attachThreadSummaries(streamId, page.messages);
+    }
+    page.messages = await this._attachReactions(streamId, page.messages);
+
+    return page;
+  }
+
+  /**
+   * Recorre en orden cronológico todos los mensajes de una conversación o hilo
+   * Los mensajes se leen por lotes, de modo que se puede recorrer un historial
+   * largo sin cargarlo entero en memoria.
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.from] - Fecha mínima (ms) de los mensajes
+   * @param {number} [options.to] - Fecha máxima (ms) de los mensajes
+   * @param {string} [options.threadId] - Recorrer las respuestas de este hilo
+   * @param {number} [options.batchSize=200] - Mensajes por lectura
+   * @returns {AsyncGenerator<Object>} Mensajes (con el resumen de su hilo si lo tienen)
+   */
+  async *iterate(streamId, { from, to, threadId, batchSize = 200 } = {}) {
+    await this.importLegacy(streamId);
+    const key = threadId ? this.threadKey(streamId, threadId) : this.streamKey(streamId);
+    // Redis admite IDs incompletos: "<ms>" equivale a "<ms>-0" al inicio y a "<ms>-<máx>" al final
+    const end = to ? String(to) : '+';
+    let start = from ? String(from) : '-';
+    let firstBatch = true;
+
+    while (true) {
+      const entries = await redisService.xRange(key, start, end, batchSize);
+
+      if (!entries) {
+        if (!firstBatch) throw new Error('Redis dejó de estar disponible durante la lectura');
+        const localMessages = this._localRange(key, { from, to });
+        yield* threadId ? localMessages : await this._attachThreadSummaries(streamId, localMessages);
+        return;
+      }
+      firstBatch = false;
+      if (entries.length === 0) return;
+
+      const ids = entries.map(entry => entry.id);
+      const bodies = await redisService.hmGet(this.messagesKey(streamId), ids);
+      if (!bodies) throw new Error('Redis dejó de estar disponible durante la lectura');
+
+      let messages = bodies.filter(Boolean);
+      if (!threadId) {
+        messages = await this._attachThreadSummaries(streamId, messages);
+      }
+      yield* messages;
+
+      if (entries.length < batchSize) return;
+      start = `(${ids[ids.length - 1]}`;
+    }
+  }
+
+  /**
+   * Obtiene los mensajes del buffer local dentro de un rango de fechas (ms)
+   * @private
+   */
+  _localRange(indexKey, { from, to }) {
+    return (this.localMessages.get(indexKey) || []).filter(message => {
+      const ms = Number(message.id.split('-')[0]);
+      return (!from || ms >= from) && (!to || ms <= to);
+    });
+  }
+
+  /**
+   * Elimina los mensajes de la conversación principal hasta un ID (incluido)
+   * Con cada mensaje se eliminan su hilo, sus reacciones y su copia fijada. Se
+   * procesa por lotes para no cargar en memoria todo lo que se elimina.
+   * @param {string} streamId - ID de la conversación
+   * @param {string} endId - Último ID a eliminar (admite IDs incompletos: "<ms>")
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.batchSize=200] - Mensajes por lote
+   * @param {Function} [options.onRemoved] - Se llama con los IDs eliminados de cada lote
+   *   (mensajes y respuestas)
+   * @returns {Promise<number>} Número de mensajes eliminados (incluidas las respuestas)
+   */
+  async purgeBefore(streamId, endId, { batchSize = 200, onRemoved } = {}) {
+    await this.importLegacy(streamId);
+    const indexKey = this.streamKey(streamId);
+    const localRemoved = this._purgeLocal(streamId, endId);
+    let removed = 0;
+
+    for (;;) {
+      const entries = await redisService.xRange(indexKey, '-', endId, batchSize);
+      if (!entries) {
+        if (onRemoved && localRemoved.length > 0) await onRemoved(localRemoved);
+        return localRemoved.length;
+      }
+      if (entries.length === 0) break;
+
+      const ids = entries.map(entry => entry.id);
+      const counts = await redisService.hmGet(this.threadsKey(streamId), ids.map(id => `${id}:count`));
+      const replyIds = [];
+      for (const [i, id] of ids.entries()) {
+        if (counts?.[i]) replyIds.push(...await this._purgeThread(streamId, id, batchSize));
+      }
+
+      const removedIds = [...ids, ...replyIds];
+      await redisService.hDel(this.messagesKey(streamId), removedIds);
+      await redisService.hDel(this.threadsKey(streamId), ids.flatMap(id => [`${id}:count`, `${id}:last`]));
+      await redisService.hDel(this.pinsKey(streamId), ids);
+      for (const id of removedIds) {
+        await redisService.delete(this.reactionsKey(streamId, id));
+      }
+      for (const id of ids) {
+        await redisService.delete(this.pollVotesKey(streamId, id));
+      }
+
+      // Se quitan del índice al final: si algo falla antes, el lote se repite en la siguiente purga
+      if ((await redisService.xDel(indexKey, ids)) === null) {
+        throw new Error('Redis dejó de estar disponible durante la purga');
+      }
+
+      removed += removedIds.length;
+      if (onRemoved) await onRemoved(removedIds);
+      if (entries.length < batchSize) break;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Elimina el índice de un hilo y devuelve los IDs de sus respuestas
+   * @private
+   */
+  async _purgeThread(streamId, threadId, batchSize) {
+    const key = this.threadKey(streamId, threadId);
+    const replyIds = [];
+    let start = '-';
+
+    for (;;) {
+      const entries = await redisService.xRange(key, start, '+', batchSize);
+      if (!entries || entries.length === 0) break;
+
+      replyIds.push(...entries.map(entry => entry.id));
+      if (entries.length < batchSize) break;
+      start = `(${entries[entries.length - 1].id}`;
+    }
+
+    await redisService.delete(key);
+    return replyIds;
+  }
+
+  /**
+   * Elimina del buffer local los mensajes hasta un ID (incluido), con sus hilos
+   * @returns {string[]} IDs eliminados (mensajes y respuestas)
+   * @private
+   */
+  _purgeLocal(streamId, endId) {
+    const indexKey = this.streamKey(streamId);
+    const localList = this.localMessages.get(indexKey) || [];
+    // Como en Redis, un ID incompleto como final incluye todas las entradas de ese milisegundo
+    const lastId = endId.includes('-') ? endId : `${endId}-${Number.MAX_SAFE_INTEGER}`;
+    const expired = localList.filter(msg => compareStreamIds(msg.id, lastId) <= 0);
+    if (expired.length === 0) return [];
+
+    this.localMessages.set(indexKey, localList.slice(expired.length));
+
+    const removedIds = [];
+    for (const message of expired) {
+      const threadKey = this.threadKey(streamId, message.id);
+      removedIds.push(message.id, ...(this.localMessages.get(threadKey) || []).map(reply => reply.id));
+      this.localMessages.delete(threadKey);
+      this.localThreads.get(streamId)?.delete(message.id);
+      this.localPins.get(streamId)?.delete(message.id);
+    }
+    for (const id of removedIds) {
+      this.localReactions.delete(this.reactionsKey(streamId, id));
+      this.localPollVotes.delete(this.pollVotesKey(streamId, id));
+    }
+
+    return removedIds;
+  }
+
+  /**
+   * Obtiene los IDs de los últimos mensajes de la conversación principal
+   * @param {string} streamId - ID de la conversación
+   * @param {number} count - Número máximo de IDs
+   * @returns {Promise<string[]>} IDs en orden cronológico
+   */
+  async getRecentIds(streamId, count) {
+    await this.importLegacy(streamId);
+    const entries = await redisService.xRevRange(this.streamKey(streamId), '+', '-', count);
+
+    if (!entries || entries.length === 0) {
+      const localList = this.localMessages.get(this.streamKey(streamId)) || [];
+      return localList.slice(-count).map(msg => msg.id);
+    }
+
+    return entries.map(entry => entry.id).reverse();
+  }
+
+  /**
+   * Añade la reacción de un usuario a un mensaje
+   * Cada reacción es un miembro de un conjunto, por lo que las altas y bajas
+   * concurrentes desde distintas instancias no se pisan.
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @param {string} emoji - Emoji de la reacción
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>} true si la reacción no existía
+   */
+  async addReaction(streamId, messageId, emoji, email) {
+    const key = this.reactionsKey(streamId, messageId);
+    const added = await redisService.sAdd(key, JSON.stringify([emoji, email]));
+
+    const localReactions = this._localReactionsFor(key);
+    if (!localReactions.has(emoji)) {
+      localReactions.set(emoji, new Set());
+    }
+    const localAdded = !localReactions.get(emoji).has(email);
+    localReactions.get(emoji).add(email);
+
+    return added !== null ? added > 0 : localAdded;
+  }
+
+  /**
+   * Elimina la reacción de un usuario a un mensaje
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @param {string} emoji - Emoji de la reacción
+   * @param {string} email - Email del usuario
+   * @returns {Promise<boolean>} true si la reacción existía
+   */
+  async removeReaction(streamId, messageId, emoji, email) {
+    const key = this.reactionsKey(streamId, messageId);
+    const removed = await redisService.sRem(key, JSON.stringify([emoji, email]));
+
+    const localReactions = this._localReactionsFor(key);
+    const localRemoved = localReactions.get(emoji)?.delete(email) || false;
+    if (localReactions.get(emoji)?.size === 0) {
+      localReactions.delete(emoji);
+    }
+
+    return removed !== null ? removed > 0 : localRemoved;
+  }
+
+  /**
+   * Elimina todas las reacciones de un mensaje
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   */
+  async clearReactions(streamId, messageId) {
+    const key = this.reactionsKey(streamId, messageId);
+    this.localReactions.delete(key);
+    await redisService.delete(key);
+  }
+
+  /**
+   * Guarda el voto de un usuario en la encuesta de un mensaje
+   * Sustituye su voto anterior con una sola escritura; sin opciones lo retira.
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje con la encuesta
+   * @param {string} email - Email del votante
+   * @param {string[]} optionIds - IDs de las opciones elegidas
+   */
+  async setPollVote(streamId, messageId, email, optionIds) {
+    const key = this.pollVotesKey(streamId, messageId);
+
+    if (!this.localPollVotes.has(key)) {
+      this.localPollVotes.set(key, new Map());
+    }
+    if (optionIds.length > 0) {
+      this.localPollVotes.get(key).set(email, optionIds);
+      await redisService.hSet(key, email, optionIds);
+    } else {
+      this.localPollVotes.get(key).delete(email);
+      await redisService.hDel(key, email);
+    }
+  }
+
+  /**
+   * Obtiene los votos de la encuesta de un mensaje
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje con la encuesta
+   * @returns {Promise<Object<string, string[]>>} Opciones elegidas por cada votante (email -> IDs)
+   */
+  async getPollVotes(streamId, messageId) {
+    const key = this.pollVotesKey(streamId, messageId);
+    const votes = await redisService.hGetAll(key);
+
+    return votes || Object.fromEntries(this.localPollVotes.get(key) || []);
+  }
+
+  /**
+   * Elimina los votos de la encuesta de un mensaje
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   */
+  async clearPollVotes(streamId, messageId) {
+    const key = this.pollVotesKey(streamId, messageId);
+    this.localPollVotes.delete(key);
+    await redisService.delete(key);
+  }
+
+  /**
+   * Añade a cada mensaje sus reacciones agregadas (emoji -> emails)
+   * @private
+   */
+  async _attachReactions(streamId, messages) {
+    if (messages.length === 0) return messages;
+
+    const keys = messages.map(msg => this.reactionsKey(streamId, msg.id));
+    const members = await redisService.sMembersMulti(keys);
+
+    return messages.map((msg, i) => {
+      const reactions = {};
+
+      if (members) {
+        members[i].forEach(member => {
+          const [emoji, email] = JSON.parse(member);
+          (reactions[emoji] = reactions[emoji] || []).push(email);
+        });
+      } else {
+        (this.localReactions.get(keys[i]) || new Map()).forEach((emails, emoji) => {
+          reactions[emoji] = Array.from(emails);
+        });
+      }
+
+      return Object.keys(reactions).length > 0 ? { ...msg, reactions } : msg;
+    });
+  }
+
+  /**
+   * Devuelve (creándolo si no existe) el mapa local de reacciones de un mensaje
+   * @private
+   */
+  _localReactionsFor(key) {
+    if (!this.localReactions.has(key)) {
+      this.localReactions.set(key, new Map());
+    }
+    return this.localReactions.get(key);
+  }
+
+  /**
+   * Lee una página de un índice (conversación o hilo)
+   * @private
+   */
+  async _readIndex(streamId, { before, after, limit, threadId }) {
+    const key = threadId ? this.threadKey(streamId, threadId) : this.streamKey(streamId);
+
+    const entries = after
+      ? await redisService.xRange(key, `(${after}`, '+', limit + 1)
+      : await redisService.xRevRange(key, before ? `(${before}` : '+', '-', limit + 1);
+
+    // Si Redis no responde o aún no tiene datos, usar el buffer local
+    if (!entries || (entries.length === 0 && !before && !after)) {
+      return this._getLocalPage(key, { before, after, limit });
+    }
+
+    const hasMore = entries.length > limit;
+    const ids = entries.slice(0, limit).map(entry => entry.id);
+    if (!after) ids.reverse();
+
+    const bodies = await redisService.hmGet(this.messagesKey(streamId), ids);
+    if (!bodies) {
+      return this._getLocalPage(key, { before, after, limit });
+    }
+
+    // Los cuerpos que falten (purgados) se omiten de la página
+    return { messages: bodies.filter(Boolean), hasMore };
+  }
+
+  /**
+   * Fija un mensaje en la conversación
+   * El pin guarda una copia del mensaje para no depender de que siga en el
+   * historial (por ejemplo, en el buffer local limitado cuando no hay Redis).
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} pin - Datos del pin ({ messageId, pinnedBy, pinnedAt, message })
+   * @param {number} limit - Número máximo de mensajes fijados
+   * @returns {Promise<string>} "added", "exists" o "limit" si se alcanzó el máximo
+   */
+  async addPin(streamId, pin, limit) {
+    const localPins = this._localPinsFor(streamId);
+    const added = await redisService.hSetNX(this.pinsKey(streamId), pin.messageId, pin);
+
+    if (added === null) {
+      if (localPins.has(pin.messageId)) return 'exists';
+      if (localPins.size >= limit) return 'limit';
+      localPins.set(pin.messageId, pin);
+      return 'added';
+    }
+
+    if (!added) return 'exists';
+
+    // Se comprueba el máximo después de añadir para que sea válido entre instancias
+    const pins = await redisService.hGetAll(this.pinsKey(streamId));
+    if (pins && Object.keys(pins).length > limit) {
+      await redisService.hDel(this.pinsKey(streamId), pin.messageId);
+      return 'limit';
+    }
+
+    localPins.set(pin.messageId, pin);
+    return 'added';
+  }
+
+  /**
+   * Quita un mensaje fijado
+   * @param {string} streamId - ID de la conversación
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<boolean>} true si estaba fijado
+   */
+  async removePin(streamId, messageId) {
+    const pinned = await redisService.hGet(this.pinsKey(streamId), messageId);
+    const wasLocal = this._localPinsFor(streamId).delete(messageId);
+
+    if (pinned) {
+      await redisService.hDel(this.pinsKey(streamId), messageId);
+    }
+    return Boolean(pinned) || wasLocal;
+  }
+
+  /**
+   * Actualiza la copia de un mensaje fijado tras editarlo
+   * @param {string} streamId - ID de la conversación
+   * @param {Object} message - Mensaje actualizado
+   * @returns {Promise<boolean>} true si el mensaje estaba fijado
+   */
+  async updatePinnedMessage(streamId, message) {
+    const pin = await redisService.hGet(this.pinsKey(streamId), message.id) ||
+      this.localPins.get(streamId)?.get(message.id);
+    if (!pin) return false;
+
+    const updated = { ...pin, message };
+    this._localPinsFor(streamId).set(message.id, updated);
+    await redisService.hSet(this.pinsKey(streamId), message.id, updated);
+    return true;
+  }
+
+  /**
+   * Obtiene los mensajes fijados de una conversación, del más reciente al más antiguo
+   * @param {string} streamId - ID de la conversación
+   * @returns {Promise<Object[]>} Pins ({ messageId, pinnedBy, pinnedAt, message })
+   */
+  async getPins(streamId) {
+    const stored = await redisService.hGetAll(this.pinsKey(streamId));
+    const pins = stored
+      ? Object.values(stored)
+      : Array.from(this.localPins.get(streamId)?.values() || []);
+
+    return pins.sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt));
+  }
+
+  /**
+   * Obtiene (creándolo si no existe) el mapa local de pins de una conversación
+   * @private
+   */
+  _localPinsFor(streamId) {
+    if (!this.localPins.has(streamId)) {
+      this.localPins.set(streamId, new Map());
+    }
+    return this.localPins.get(streamId);
+  }
+
+  /**
+   * Registra una respuesta en el resumen de su hilo
+   * El contador se incrementa de forma atómica para no perder respuestas concurrentes.
+   * @private
+   */
+  async _recordReply(streamId, threadId, reply) {
+    const replyCount = await redisService.hIncrBy(this.threadsKey(streamId), `${threadId}:count`);
+    if (replyCount !== null) {
+      await redisService.hSet(this.threadsKey(streamId), `${threadId}:last`, reply.timestamp);
+    }
+
+    if (!this.localThreads.has(streamId)) {
+      this.localThreads.set(streamId, new Map());
+    }
+    const localSummary = this.localThreads.get(streamId).get(threadId) || { replyCount: 0 };
+    this.localThreads.get(streamId).set(threadId, {
+      replyCount: replyCount !== null ? replyCount : localSummary.replyCount + 1,
+      lastReplyAt: reply.timestamp
+    });
+  }
+
+  /**
+   * Obtiene el resumen (número de respuestas y última respuesta) de un hilo
+   * @param {string} streamId - ID de la conversación
+   * @param {string} threadId - ID del mensaje raíz
+   * @returns {Promise<{replyCount: number, lastReplyAt: string|null}>} Resumen del hilo
+   */
+  async getThreadSummary(streamId, threadId) {
+    const [message] = await this._attachThreadSummaries(streamId, [{ id: threadId }]);
+    return {
+      replyCount: message.replyCount || 0,
+      lastReplyAt: message.lastReplyAt || null
+    };
+  }
+
+  /**
+   * Añade replyCount y lastReplyAt a los mensajes que tienen hilo
+   * @private
+   */
+  async _attachThreadSummaries(streamId, messages) {
+    if (messages.length === 0) return messages;
+
+    const fields = messages.flatMap(msg => [`${msg.id}:count`, `${msg.id}:last`]);
+    const values = await redisService.hmGet(this.threadsKey(streamId), fields);
+    const localSummaries = this.localThreads.get(streamId) || new Map();
+
+    return messages.map((msg, i) => {
+      const summary = values && values[i * 2]
+        ? { replyCount: Number(values[i * 2]), lastReplyAt: values[i * 2 + 1] }
+        : localSummaries.get(msg.id);
+
+      return summary ? { ...msg, ...summary } : msg;
+    });
+  }
+
+  /**
+   * Devuelve los buffers locales (conversación e hilos) de una conversación
+   * @private
+   */
+  _localListsFor(streamId) {
+    const keyPrefix = `${this.prefix}${streamId}:`;
+    return Array.from(this.localMessages.entries())
+      .filter(([key]) => key.startsWith(keyPrefix))
+      .map(([, list]) => list);
+  }
+
+  /**
+   * Pagina sobre el buffer local con la misma semántica que getPage
+   * @private
+   */
+  _getLocalPage(indexKey, { before, after, limit }) {
+    let messages = this.localMessages.get(indexKey) || [];
+
+    if (after) {
+      messages = messages.filter(msg => compareStreamIds(msg.id, after) > 0);
+      return { messages: messages.slice(0, limit), hasMore: messages.length > limit };
+    }
+
+    if (before) {
+      messages = messages.filter(msg => compareStreamIds(msg.id, before) < 0);
+    }
+    return { messages: messages.slice(-limit), hasMore: messages.length > limit };
+  }
+
+  /**
+   * Genera un ID con el formato de Redis Streams cuando Redis no está disponible
+   * @returns {string} ID único y creciente dentro de esta instancia
+   * @private
+   */
+  _nextLocalId() {
+    const now = Date.now();
+    if (now > this.lastLocalId.ms) {
+      this.lastLocalId = { ms: now, seq: 0 };
+    } else {
+      this.lastLocalId.seq++;
+    }
+    return `${this.lastLocalId.ms}-${this.lastLocalId.seq}`;
+  }
+}
+
+module.exports = ChatStore;
+module.exports.compareStreamIds = compareStreamIds;
+module.exports.isStreamId = isStreamId;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const redisService = require('../../services/redis');
+const logger = require('../../utils/logger');
+
+/**
+ * Estado de "escribiendo" de los canales del chat
+ *
+ * El estado vive en memoria. Mientras un usuario sigue escribiendo solo se
+ * renueva su caducidad, y `user_typing` se vuelve a emitir como mucho una vez
+ * por intervalo. Los cambios se reenvían al resto de instancias por Redis
+ * Pub/Sub, agrupados en un único mensaje por intervalo de envío, y cada
+ * instancia emite los eventos a sus propios sockets. La caducidad se comprueba
+ * en cada instancia, así que no hace falta guardar nada en Redis.
+ */
+class TypingTracker {
+  /**
+   * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} options - Opciones
+   * @param {string} options.channel - Canal de Redis Pub/Sub entre instancias
+   * @param {number} [options.ttl=5000] - Milisegundos sin actividad tras los que un usuario deja de escribir
+   * @param {number} [options.throttle=2000] - Milisegundos mínimos entre dos `user_typing` del mismo usuario
+   * @param {number} [options.flushInterval=500] - Milisegundos entre envíos a otras instancias
+   */
+  constructor(io, options) {
+    this.io = io;
+    this.channel = options.channel;
+    this.ttl = options.ttl || 5000;
+    this.throttle = options.throttle || 2000;
+    this.flushInterval = options.flushInterval || 500;
+    this.instanceId = crypto.randomUUID();
+    this.rooms = new Map(); // sala del canal -> Map(email -> {name, channelId, expiresAt, broadcastAt})
+    this.pending = new Map(); // `${room}|${email}` -> evento pendiente de enviar a otras instancias
+    this.subscribed = false;
+    this.timer = null;
+  }
+
+  /**
+   * Empieza a enviar los cambios a otras instancias y a caducar estados
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.flushInterval);
+  }
+
+  /**
+   * Deja de enviar cambios y de caducar estados
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Renueva la caducidad de un usuario si ya se notificó que escribe hace poco
+   * Permite descartar los eventos repetidos sin más comprobaciones.
+   * @param {string} room - Sala del canal
+   * @param {string} email - Email del usuario
+   * @returns {boolean} true si el evento no necesita notificarse
+   */
+  refresh(room, email) {
+    const state = this.rooms.get(room)?.get(email);
+    const now = Date.now();
+    if (!state || now - state.broadcastAt >= this.throttle) return false;
+
+    state.expiresAt = now + this.ttl;
+    return true;
+  }
+
+  /**
+   * Marca que un usuario está escribiendo en un canal y lo notifica
+   * @param {Object} scope - Canal ({ channelId, room })
+   * @param {Object} user - Usuario ({ email, name })
+   */
+  typing(scope, { email, name }) {
+    if (this.refresh(scope.room, email)) return;
+
+    const now = Date.now();
+    this._setState(scope.room, email, {
+      name,
+      channelId: scope.channelId,
+      expiresAt: now + this.ttl,
+      broadcastAt: now
+    });
+
+    this.io.to(scope.room).emit('user_typing', { email, name, channelId: scope.channelId });
+    this._queue({ type: 'typing', room: scope.room, channelId: scope.channelId, email, name });
+  }
+
+  /**
+   * Marca que un usuario ha dejado de escribir en un canal y lo notifica
+   * No hace nada si el usuario no estaba escribiendo.
+   * @param {Object} scope - Canal ({ channelId, room })
+   * @param {Object} user - Usuario ({ email, name })
+   */
+  stopTyping(scope, { email, name }) {
+    if (!this.rooms.get(scope.room)?.has(email)) return;
+
+    this._deleteState(scope.room, email);
+    this.io.to(scope.room).emit('user_stop_typing', { email, name, channelId: scope.channelId });
+    this._queue({ type: 'stop', room: scope.room, channelId: scope.channelId, email, name });
+  }
+
+  /**
+   * Marca que un usuario ha dejado de escribir en todos los canales
+   * @param {string} email - Email del usuario
+   */
+  stopAll(email) {
+    for (const [room, users] of Array.from(this.rooms.entries())) {
+      const state = users.get(email);
+      if (state) {
+        this.stopTyping({ room, channelId: state.channelId }, { email, name: state.name });
+      }
+    }
+  }
+
+  /**
+   * Caduca los estados sin actividad y envía los cambios pendientes a otras instancias
+   * Se llama periódicamente desde start().
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    const now = Date.now();
+
+    // Cada instancia notifica a sus sockets: la caducidad no se reenvía a otras instancias
+    for (const [room, users] of Array.from(this.rooms.entries())) {
+      for (const [email, state] of Array.from(users.entries())) {
+        if (state.expiresAt <= now) {
+          this._deleteState(room, email);
+          this.io.to(room).emit('user_stop_typing', { email, name: state.name, channelId: state.channelId });
+        }
+      }
+    }
+
+    try {
+      await this._subscribe();
+      await this._flush();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error al sincronizar el estado de escritura');
+    }
+  }
+
+  /**
+   * Aplica los cambios recibidos de otra instancia
+   * @param {Object} message - Mensaje ({ instanceId, events })
+   */
+  receive(message) {
+    if (!message || message.instanceId === this.instanceId || !Array.isArray(message.events)) return;
+
+    const now = Date.now();
+    for (const { type, room, channelId, email, name } of message.events) {
+      if (type === 'typing') {
+        this._setState(room, email, { name, channelId, expiresAt: now + this.ttl, broadcastAt: now });
+        this.io.to(room).emit('user_typing', { email, name, channelId });
+      } else if (this.rooms.get(room)?.has(email)) {
+        this._deleteState(room, email);
+        this.io.to(room).emit('user_stop_typing', { email, name, channelId });
+      }
+    }
+  }
+
+  /**
+   * Añade un cambio a los pendientes de enviar; de un mismo usuario y canal solo se envía el último
+   * @private
+   */
+  _queue(event) {
+    const key = `${event.room}|${event.email}`;
+    this.pending.delete(key);
+    this.pending.set(key, event);
+  }
+
+  /**
+   * Envía los cambios pendientes en un solo mensaje
+   * @private
+   */
+  async _flush() {
+    if (this.pending.size === 0) return;
+
+    const events = Array.from(this.pending.values());
+    this.pending.clear();
+
+    // Sin Redis no hay otras instancias a las que avisar
+    if (this.subscribed) {
+      await redisService.publish(this.channel, { instanceId: this.instanceId, events });
+    }
+  }
+
+  /**
+   * Se suscribe al canal de otras instancias en cuanto Redis está disponible
+   * @private
+   */
+  async _subscribe() {
+    if (this.subscribed || !redisService.isConnected) return;
+    this.subscribed = await redisService.subscribe(this.channel, message => this.receive(message));
+  }
+
+  /**
+   * Guarda el estado de escritura de un usuario en una sala
+   * @private
+   */
+  _setState(room, email, state) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Map());
+    }
+    this.rooms.get(room).set(email, state);
+  }
+
+  /**
+   * Borra el estado de escritura de un usuario en una sala
+   * @private
+   */
+  _deleteState(room, email) {
+    const users = this.rooms.get(room);
+    if (!users) return;
+
+    users.delete(email);
+    if (users.size === 0) {
+      this.rooms.delete(room);
+    }
+  }
+}
+
+module.exports = TypingTracker;
@@ -0,0 +1,69 @@
+// Email justo después de "@" (ej: "@ana@uni.es")
+const EMAIL_TOKEN = /^[^\s@]+@[^\s@]+\.[^\s@.,;:!?()[\]{}<>"']+/;
+
+/**
+ * Comprueba si el carácter cierra una mención (fin de texto, espacio o puntuación)
+ * @param {string|undefined} char - Carácter siguiente a la mención
+ * @returns {boolean}
+ */
+const isBoundary = (char) => char === undefined || !/[\p{L}\p{N}_.-]/u.test(char);
+
+/**
+ * Extrae las menciones de un mensaje resolviéndolas contra los miembros del workspace
+ *
+ * Se reconocen `@email` y `@nombre` (el nombre completo, admite espacios). Si
+ * varios nombres coinciden se elige el más largo, de modo que "@Ana García"
+ * gana a "@Ana". Los tokens que no corresponden a ningún miembro se ignoran.
+ *
+ * @param {string} content - Contenido del mensaje
+ * @param {Array<{email: string, name?: string}>} members - Miembros del workspace
+ * @returns {Array<{email: string, name: string|null}>} Miembros mencionados, sin duplicados
+ */
+const parseMentions = (content, members) => {
+  if (!content || !content.includes('@') || members.length === 0) return [];
+
+  const byEmail = new Map(members.map(member => [member.email.toLowerCase(), member]));
+  const byName = members
+    .filter(member => member.name)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const mentioned = new Map();
+  let position = content.indexOf('@');
+
+  while (position !== -1) {
+    const rest = content.slice(position + 1);
+    let consumed = 1;
+
+    const emailMatch = rest.match(EMAIL_TOKEN);
+    const emailMember = emailMatch && byEmail.get(emailMatch[0].toLowerCase());
+
+    if (emailMember) {
+      mentioned.set(emailMember.email, emailMember);
+      consumed += emailMatch[0].length;
+    } else {
+      const nameMember = byName.find(member =>
+        rest.slice(0, member.name.length).toLowerCase() === member.name.toLowerCase() &&
+        isBoundary(rest[member.name.length])
+      );
+
+      if (nameMember) {
+        mentioned.set(nameMember.email, nameMember);
+        consumed += nameMember.name.length;
+      } else if (emailMatch) {
+        // Email desconocido: saltarlo para no interpretar su "@" interior
+        consumed += emailMatch[0].length;
+      }
+    }
+
+    position = content.indexOf('@', position + consumed);
+  }
+
+  return Array.from(mentioned.values()).map(member => ({
+    email: member.email,
+    name: member.name || null
+  }));
+};
+
+module.exports = {
+  parseMentions
+};
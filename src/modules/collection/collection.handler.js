@@ -1,6 +1,8 @@
 const logger = require("../../utils/logger");
 const metricsService = require("../../services/metrics");
 const redisService = require("../../services/redis");
+const { resolveIdentity } = require("../../middleware/auth");
+const { isClientRoomId } = require("../../utils/rooms");
 
 // Almacenamiento en memoria (se reemplazará gradualmente por Redis)
 const collectionUsers = new Map(); // workspaceId -> Map(collectionId -> Map(socketId -> userData))
@@ -41,12 +43,25 @@ class CollectionHandler {
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
    * @param {string} collectionId - ID de la colección
-   * @param {Object} userData - Datos del usuario
+   * @param {Object} claimedUserData - Datos del usuario enviados por el cliente
    */
-  async handleJoinCollection(socket, workspaceId, collectionId, userData) {
+  async handleJoinCollection(socket, workspaceId, collectionId, claimedUserData) {
     const startTime = Date.now();
 
     try {
+      // La sala es `${workspaceId}:${collectionId}`: no puede ser una sala reservada
+      if (!isClientRoomId(workspaceId) || typeof collectionId !== "string" || !collectionId) {
+        socket.emit("error", {
+          message: "ID de colección no válido",
+          code: "INVALID_COLLECTION",
+        });
+        return;
+      }
+
+      // La identidad se toma del token, no de los datos del cliente
+      const userData = resolveIdentity(socket, claimedUserData, "join_collection");
+      if (!userData) return;
+
       logger.info(
         {
           socketId: socket.id,
@@ -0,0 +1,627 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+const metricsService = require("../../services/metrics");
+const redisService = require("../../services/redis");
+const { personalRoom } = require("../../utils/rooms");
+const ChatStore = require("../chat/chat.store");
+const { isStreamId, compareStreamIds } = ChatStore;
+
+// Almacenamiento en memoria (se reemplazará gradualmente por Redis)
+const conversations = new Map(); // conversationId -> conversation
+const userConversations = new Map(); // email -> Set<conversationId>
+
+/**
+ * Clase para manejar conversaciones privadas (1:1 y grupos pequeños)
+ * entre miembros de un workspace
+ */
+class ConversationHandler {
+  /**
+   * Inicializa el handler con la instancia de socket.io
+   * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} [options] - Dependencias de otros módulos
+   * @param {Object} [options.workspaceHandler] - Handler de workspaces (miembros)
+   */
+  constructor(io, { workspaceHandler } = {}) {
+    this.io = io;
+    this.workspaceHandler = workspaceHandler;
+    this.REDIS_PREFIX = "conversation:";
+    this.MAX_PARTICIPANTS = 8; // Tamaño máximo de un grupo privado
+    this.HISTORY_PAGE_SIZE = 50;
+    this.HISTORY_MAX_PAGE_SIZE = 100;
+
+    // Mismo almacenamiento que el chat de workspace, con claves propias
+    this.store = new ChatStore(this.REDIS_PREFIX);
+  }
+
+  /**
+   * Registra todos los manejadores de eventos para conversaciones
+   * @param {Object} socket - Socket de conexión
+   */
+  registerHandlers(socket) {
+    socket.on("start_conversation", (data) =>
+      this.handleStartConversation(socket, data)
+    );
+    socket.on("join_conversation", (data) =>
+      this.handleJoinConversation(socket, data)
+    );
+    socket.on("leave_conversation", (data) =>
+      this.handleLeaveConversation(socket, data)
+    );
+    socket.on("send_direct_message", (data) =>
+      this.handleSendDirectMessage(socket, data)
+    );
+    socket.on("get_conversations", (data) =>
+      this.handleGetConversations(socket, data)
+    );
+    socket.on("get_conversation_history", (params) =>
+      this.handleGetConversationHistory(socket, params)
+    );
+  }
+
+  /**
+   * Maneja el inicio de una conversación
+   * Las conversaciones 1:1 tienen un ID determinista, por lo que iniciar de nuevo
+   * la misma conversación devuelve la existente.
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos de la conversación
+   * @param {string} data.workspaceId - ID del workspace
+   * @param {string[]} data.participants - Emails del resto de participantes
+   * @param {string} [data.title] - Título opcional (grupos)
+   */
+  async handleStartConversation(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId, participants, title } = data || {};
+
+    try {
+      if (!socket.user?.email) {
+        socket.emit("error", { message: "Autenticación requerida" });
+        return;
+      }
+
+      if (!workspaceId || !Array.isArray(participants)) {
+        socket.emit("error", { message: "Datos de conversación incompletos" });
+        return;
+      }
+
+      const creatorEmail = socket.user.email;
+      const allParticipants = Array.from(
+        new Set([creatorEmail, ...participants])
+      ).sort();
+
+      if (
+        allParticipants.length < 2 ||
+        allParticipants.length > this.MAX_PARTICIPANTS
+      ) {
+        socket.emit("error", {
+          message: `Una conversación debe tener entre 2 y ${this.MAX_PARTICIPANTS} participantes`,
+        });
+        return;
+      }
+
+      // Todos los participantes deben ser miembros del workspace
+      if (this.workspaceHandler) {
+        const members = await this.workspaceHandler.getWorkspaceMembers(
+          workspaceId
+        );
+        const memberEmails = new Set(members.map((member) => member.email));
+        const outsiders = allParticipants.filter(
+          (email) => !memberEmails.has(email)
+        );
+
+        if (outsiders.length > 0) {
+          socket.emit("error", {
+            message: "Algunos participantes no son miembros del workspace",
+            details: outsiders,
+          });
+          return;
+        }
+      }
+
+      const conversationId = this._buildConversationId(
+        workspaceId,
+        allParticipants
+      );
+      let conversation = await this._getConversation(conversationId);
+
+      if (!conversation) {
+        conversation = {
+          id: conversationId,
+          workspaceId,
+          participants: allParticipants,
+          title: allParticipants.length > 2 ? title || null : null,
+          createdBy: creatorEmail,
+          createdAt: new Date().toISOString(),
+          lastMessage: null,
+        };
+        await this._saveConversation(conversation);
+
+        // Avisar al resto de participantes en su sala personal
+        allParticipants
+          .filter((email) => email !== creatorEmail)
+          .forEach((email) => {
+            this.io
+              .to(personalRoom(email))
+              .emit("conversation_created", { conversation });
+          });
+
+        logger.info(
+          {
+            socketId: socket.id,
+            conversationId,
+            workspaceId,
+            participantCount: allParticipants.length,
+          },
+          "Conversación privada creada"
+        );
+      }
+
+      socket.join(this._roomName(conversationId));
+      socket.emit("conversation_started", { conversation });
+
+      metricsService.messageProcessed(
+        "start_conversation",
+        Date.now() - startTime
+      );
+    } catch (error) {
+      logger.error(
+        {
+          error: error.message,
+          socketId: socket.id,
+          workspaceId,
+        },
+        "Error al iniciar conversación"
+      );
+
+      metricsService.errorOccurred("start_conversation", {
+        socketId: socket.id,
+        error: error.message,
+      });
+
+      socket.emit("error", {
+        message: "Error al iniciar conversación",
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Maneja la entrada a la sala de una conversación (solo participantes)
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ conversationId })
+   */
+  async handleJoinConversation(socket, data) {
+    const { conversationId } = data || {};
+
+    try {
+      const conversation = await this._getAuthorizedConversation(
+        socket,
+        conversationId
+      );
+      if (!conversation) return;
+
+      socket.join(this._roomName(conversationId));
+      socket.emit("conversation_joined", { conversation });
+
+      metricsService.messageProcessed("join_conversation");
+    } catch (error) {
+      logger.error(
+        {
+          error: error.message,
+          socketId: socket.id,
+          conversationId,
+        },
+        "Error al unirse a la conversación"
+      );
+
+      metricsService.errorOccurred("join_conversation", {
+        socketId: socket.id,
+        error: error.message,
+      });
+
+      socket.emit("error", {
+        message: "Error al unirse a la conversación",
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Maneja la salida de la sala de una conversación
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del evento ({ conversationId })
+   */
+  handleLeaveConversation(socket, data) {
+    const { conversationId } = data || {};
+    if (!conversationId) return;
+
+    socket.leave(this._roomName(conversationId));
+    metricsService.messageProcessed("leave_conversation");
+  }
+
+  /**
+   * Maneja el envío de un mensaje directo
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} data - Datos del mensaje ({ conversationId, content })
+   */
+  async handleSendDirectMessage(socket, data) {
+    const startTime = Date.now();
+    const { conversationId, content } = data || {};
+
+    try {
+      if (!conversationId || !content) {
+        socket.emit("error", { message: "Datos de mensaje incompletos" });
+        return;
+      }
+
+      const conversation = await this._getAuthorizedConversation(
+        socket,
+        conversationId
+      );
+      if (!conversation) return;
+
+      const message = await this.store.append(conversationId, {
+        conversationId,
+        workspaceId: conversation.workspaceId,
+        senderEmail: socket.user.email,
+        senderName: socket.user.name,
+        senderImage: socket.user.image,
+        content,
+        timestamp: new Date().toISOString(),
+      });
+
+      conversation.lastMessage = await this._updateLastMessage(
+        conversationId,
+        message
+      );
+
+      this.io
+        .to(this._roomName(conversationId))
+        .emit("direct_message", message);
+
+      // Actualizar la lista de conversaciones de cada participante
+      conversation.participants.forEach((email) => {
+        this.io.to(personalRoom(email)).emit("conversation_updated", {
+          conversationId,
+          lastMessage: conversation.lastMessage,
+        });
+      });
+
+      metricsService.messageProcessed(
+        "send_direct_message",
+        Date.now() - startTime
+      );
+
+      logger.info(
+        {
+          socketId: socket.id,
+          conversationId,
+          messageId: message.id,
+        },
+        "Mensaje directo enviado"
+      );
+    } catch (error) {
+      logger.error(
+        {
+          error: error.message,
+          socketId: socket.id,
+          conversationId,
+        },
+        "Error al enviar mensaje directo"
+      );
+
+      metricsService.errorOccurred("send_direct_message", {
+        socketId: socket.id,
+        error: error.message,
+      });
+
+      socket.emit("error", {
+        message: "Error al enviar mensaje directo",
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Envía al usuario sus conversaciones ordenadas por actividad reciente
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} [data] - Filtros ({ workspaceId })
+   */
+  async handleGetConversations(socket, data) {
+    const startTime = Date.now();
+    const { workspaceId } = data || {};
+
+    try {
+      if (!socket.user?.email) {
+        socket.emit("error", { message: "Autenticación requerida" });
+        return;
+      }
+
+      const email = socket.user.email;
+      const conversationIds =
+        (await redisService.sMembers(this._userConversationsKey(email))) ||
+        Array.from(userConversations.get(email) || []);
+
+      const userConversationList = [];
+      for (const conversationId of conversationIds) {
+        const conversation = await this._getConversation(conversationId);
+        if (
+          conversation &&
+          (!workspaceId || conversation.workspaceId === workspaceId)
+        ) {
+          userConversationList.push(conversation);
+        }
+      }
+
+      const activity = (conversation) =>
+        conversation.lastMessage?.timestamp || conversation.createdAt;
+      userConversationList.sort((a, b) =>
+        activity(b).localeCompare(activity(a))
+      );
+
+      socket.emit("conversations", { conversations: userConversationList });
+
+      metricsService.messageProcessed(
+        "get_conversations",
+        Date.now() - startTime
+      );
+    } catch (error) {
+      logger.error(
+        {
+          error: error.message,
+          socketId: socket.id,
+        },
+        "Error al obtener conversaciones"
+      );
+
+      metricsService.errorOccurred("get_conversations", {
+        socketId: socket.id,
+        error: error.message,
+      });
+
+      socket.emit("error", {
+        message: "Error al obtener conversaciones",
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Envía una página del historial de una conversación
+   * @param {Object} socket - Socket de conexión
+   * @param {Object} params - Parámetros ({ conversationId, before, after, limit })
+   */
+  async handleGetConversationHistory(socket, params) {
+    const startTime = Date.now();
+    const { conversationId, before, after, limit } = params || {};
+
+    try {
+      if ((before && !isStreamId(before)) || (after && !isStreamId(after))) {
+        socket.emit("error", {
+          message: "Cursor de paginación no válido",
+          code: "INVALID_CURSOR",
+        });
+        return;
+      }
+
+      const conversation = await this._getAuthorizedConversation(
+        socket,
+        conversationId
+      );
+      if (!conversation) return;
+
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || this.HISTORY_PAGE_SIZE, 1),
+        this.HISTORY_MAX_PAGE_SIZE
+      );
+
+      const { messages, hasMore } = await this.store.getPage(conversationId, {
+        before,
+        after,
+        limit: pageSize,
+      });
+
+      socket.emit("conversation_history", {
+        conversationId,
+        messages,
+        hasMore,
+        cursors: {
+          before: messages.length > 0 ? messages[0].id : before || null,
+          after:
+            messages.length > 0
+              ? messages[messages.length - 1].id
+              : after || null,
+        },
+      });
+
+      metricsService.messageProcessed(
+        "get_conversation_history",
+        Date.now() - startTime
+      );
+    } catch (error) {
+      logger.error(
+        {
+          error: error.message,
+          socketId: socket.id,
+          conversationId,
+        },
+        "Error al obtener historial de conversación"
+      );
+
+      metricsService.errorOccurred("get_conversation_history", {
+        socketId: socket.id,
+        error: error.message,
+      });
+
+      socket.emit("error", {
+        message: "Error al obtener historial de conversación",
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Obtiene una conversación comprobando que el usuario del socket participa en ella
+   * Emite el error correspondiente al socket si no es así.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} conversationId - ID de la conversación
+   * @returns {Promise<Object|null>} Conversación o null si no está permitido
+   * @private
+   */
+  async _getAuthorizedConversation(socket, conversationId) {
+    if (!socket.user?.email) {
+      socket.emit("error", { message: "Autenticación requerida" });
+      return null;
+    }
+
+    const conversation = conversationId
+      ? await this._getConversation(conversationId)
+      : null;
+
+    if (
+      !conversation ||
+      !conversation.participants.includes(socket.user.email)
+    ) {
+      logger.warn(
+        {
+          socketId: socket.id,
+          conversationId,
+          userEmail: socket.user.email,
+        },
+        "Acceso denegado a conversación privada"
+      );
+
+      // Misma respuesta si no existe o no participa, para no revelar conversaciones ajenas
+      socket.emit("error", { message: "Conversación no encontrada" });
+      return null;
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Obtiene los datos de una conversación
+   * @private
+   */
+  async _getConversation(conversationId) {
+    // Sin caché local: otra instancia puede haber creado o actualizado la conversación
+    const conversation =
+      (await redisService.get(
+        `${this.REDIS_PREFIX}${conversationId}:meta`,
+        true,
+        true
+      )) || conversations.get(conversationId);
+    if (!conversation) return null;
+
+    const lastMessage = await redisService.get(
+      this._lastMessageKey(conversationId),
+      true,
+      true
+    );
+    return {
+      ...conversation,
+      lastMessage:
+        lastMessage ||
+        conversations.get(conversationId)?.lastMessage ||
+        conversation.lastMessage ||
+        null,
+    };
+  }
+
+  /**
+   * Guarda el resumen del último mensaje de una conversación si es más reciente
+   * que el guardado
+   * Se guarda en una clave propia para no reescribir los datos de la
+   * conversación en cada mensaje, y nunca se sustituye por uno anterior aunque
+   * otra instancia haya escrito entre medias.
+   * @param {string} conversationId - ID de la conversación
+   * @param {Object} message - Mensaje almacenado
+   * @returns {Promise<Object>} Último mensaje de la conversación
+   * @private
+   */
+  async _updateLastMessage(conversationId, message) {
+    const lastMessage = {
+      id: message.id,
+      senderEmail: message.senderEmail,
+      content: message.content,
+      timestamp: message.timestamp,
+    };
+
+    const current =
+      (await redisService.get(
+        this._lastMessageKey(conversationId),
+        true,
+        true
+      )) || conversations.get(conversationId)?.lastMessage;
+    if (current && compareStreamIds(current.id, lastMessage.id) > 0) {
+      return current;
+    }
+
+    if (conversations.has(conversationId)) {
+      conversations.get(conversationId).lastMessage = lastMessage;
+    }
+    await redisService.set(this._lastMessageKey(conversationId), lastMessage);
+    return lastMessage;
+  }
+
+  /**
+   * Guarda los datos de una conversación y la indexa para cada participante
+   * @private
+   */
+  async _saveConversation(conversation) {
+    conversations.set(conversation.id, conversation);
+    await redisService.set(
+      `${this.REDIS_PREFIX}${conversation.id}:meta`,
+      conversation
+    );
+
+    for (const email of conversation.participants) {
+      if (!userConversations.has(email)) {
+        userConversations.set(email, new Set());
+      }
+      userConversations.get(email).add(conversation.id);
+      await redisService.sAdd(this._userConversationsKey(email), conversation.id);
+    }
+  }
+
+  /**
+   * Genera el ID de una conversación
+   * Para 1:1 es un hash estable del workspace y los participantes; para grupos es aleatorio.
+   * @private
+   */
+  _buildConversationId(workspaceId, participants) {
+    if (participants.length === 2) {
+      const hash = crypto
+        .createHash("sha1")
+        .update(`${workspaceId}:${participants.join(",")}`)
+        .digest("hex");
+      return `dm_${hash}`;
+    }
+    return `group_${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Devuelve el nombre de la sala de una conversación
+   * @private
+   */
+  _roomName(conversationId) {
+    return `${this.REDIS_PREFIX}${conversationId}`;
+  }
+
+  /**
+   * Devuelve la clave de Redis con el último mensaje de una conversación
+   * @private
+   */
+  _lastMessageKey(conversationId) {
+    return `${this.REDIS_PREFIX}${conversationId}:last`;
+  }
+
+  /**
+   * Devuelve la clave de Redis con las conversaciones de un usuario
+   * @private
+   */
+  _userConversationsKey(email) {
+    return `${this.REDIS_PREFIX}user:${email}`;
+  }
+}
+
+module.exports = ConversationHandler;
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const redisService = require('../../services/redis');
+
+/**
+ * Comentarios de las notas colaborativas
+ *
+ * Cada hilo se ancla a un tramo del texto ({ from, to, revision }) y reúne el
+ * comentario que lo abre y sus respuestas. Se guardan en Redis en un hash por
+ * nota con un campo por hilo (`thread:<id>`), por comentario
+ * (`comment:<hilo>:<id>`) y por ancla (`anchor:<hilo>`), de modo que las
+ * respuestas simultáneas y las actualizaciones de las anclas no se pisan. Lo
+ * que no se puede guardar en Redis se conserva en memoria.
+ *
+ * Las anclas guardan la revisión en la que se calcularon; quien las lee las
+ * lleva a la revisión actual con las operaciones aceptadas desde entonces.
+ */
+class NoteComments {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "note:")
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localComments = new Map(); // `${workspaceId}:${noteId}` -> Map(campo -> valor) sin Redis
+  }
+
+  /**
+   * Devuelve la clave del hash de comentarios de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {string} Clave de Redis
+   */
+  commentsKey(workspaceId, noteId) {
+    return `${this.prefix}${workspaceId}:${noteId}:comments`;
+  }
+
+  /**
+   * Lista los hilos de una nota con sus comentarios, del más antiguo al más reciente
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<Object[]>} Hilos ({ id, anchor, quote, author, createdAt, resolved,
+   *   resolvedBy, resolvedAt, comments })
+   */
+  async list(workspaceId, noteId) {
+    const fields = await this._read(workspaceId, noteId);
+    const threads = new Map();
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('thread:')) {
+        threads.set(value.id, { ...value, anchor: null, comments: [] });
+      }
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      const [type, threadId] = field.split(':');
+      const thread = threads.get(threadId);
+      if (!thread) continue;
+
+      if (type === 'anchor') thread.anchor = value;
+      if (type === 'comment') thread.comments.push(value);
+    }
+
+    const byDate = (a, b) => a.createdAt.localeCompare(b.createdAt);
+    return Array.from(threads.values())
+      .filter(thread => thread.anchor)
+      .map(thread => ({ ...thread, comments: thread.comments.sort(byDate) }))
+      .sort(byDate);
+  }
+
+  /**
+   * Obtiene un hilo con su ancla, sin sus comentarios
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {string} threadId - ID del hilo
+   * @returns {Promise<Object|null>}
+   */
+  async get(workspaceId, noteId, threadId) {
+    const fields = [`thread:${threadId}`, `anchor:${threadId}`];
+    const [stored, storedAnchor] = await redisService.hmGet(this.commentsKey(workspaceId, noteId), fields) || [];
+    const local = this.localComments.get(this._documentId(workspaceId, noteId));
+
+    const thread = stored || local?.get(fields[0]);
+    const anchor = storedAnchor || local?.get(fields[1]);
+    return thread && anchor ? { ...thread, anchor } : null;
+  }
+
+  /**
+   * Abre un hilo sobre un tramo del texto
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} data - Datos del hilo
+   * @param {Object} data.anchor - Tramo comentado ({ from, to, revision })
+   * @param {string} data.quote - Texto del tramo cuando se comentó
+   * @param {Object} data.author - Autor ({ email, name })
+   * @param {string} data.content - Texto del comentario
+   * @param {number|null} [ttl] - Caducidad en segundos (null para conservarlos)
+   * @returns {Promise<{thread: Object, comment: Object}>}
+   */
+  async create(workspaceId, noteId, { anchor, quote, author, content }, ttl = null) {
+    const createdAt = new Date().toISOString();
+    const thread = {
+      id: crypto.randomUUID(),
+      quote,
+      author,
+      createdAt,
+      resolved: false,
+      resolvedBy: null,
+      resolvedAt: null
+    };
+    const comment = { id: crypto.randomUUID(), threadId: thread.id, content, author, createdAt };
+
+    await this._write(workspaceId, noteId, {
+      [`thread:${thread.id}`]: thread,
+      [`anchor:${thread.id}`]: anchor,
+      [`comment:${thread.id}:${comment.id}`]: comment
+    }, ttl);
+
+    return { thread: { ...thread, anchor, comments: [comment] }, comment };
+  }
+
+  /**
+   * Responde a un hilo
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {string} threadId - ID del hilo
+   * @param {Object} data - Datos de la respuesta ({ author, content })
+   * @param {number|null} [ttl] - Caducidad en segundos (null para conservarlos)
+   * @returns {Promise<Object>} Comentario guardado
+   */
+  async reply(workspaceId, noteId, threadId, { author, content }, ttl = null) {
+    const comment = {
+      id: crypto.randomUUID(),
+      threadId,
+      content,
+      author,
+      createdAt: new Date().toISOString()
+    };
+
+    await this._write(workspaceId, noteId, { [`comment:${threadId}:${comment.id}`]: comment }, ttl);
+    return comment;
+  }
+
+  /**
+   * Marca un hilo como resuelto o lo vuelve a abrir
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} thread - Hilo (ver get())
+   * @param {boolean} resolved - true para resolverlo, false para reabrirlo
+   * @param {Object} user - Usuario que lo cambia ({ email, name })
+   * @param {number|null} [ttl] - Caducidad en segundos (null para conservarlos)
+   * @returns {Promise<Object>} Hilo actualizado
+   */
+  async setResolved(workspaceId, noteId, thread, resolved, user, ttl = null) {
+    const { anchor, ...stored } = thread;
+    const updated = {
+      ...stored,
+      resolved,
+      resolvedBy: resolved ? user : null,
+      resolvedAt: resolved ? new Date().toISOString() : null
+    };
+
+    await this._write(workspaceId, noteId, { [`thread:${thread.id}`]: updated }, ttl);
+    return { ...updated, anchor };
+  }
+
+  /**
+   * Guarda las anclas de varios hilos llevadas a otra revisión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} anchors - Anclas por ID de hilo
+   * @returns {Promise<void>}
+   */
+  async setAnchors(workspaceId, noteId, anchors) {
+    const values = Object.fromEntries(
+      Object.entries(anchors).map(([threadId, anchor]) => [`anchor:${threadId}`, anchor]));
+    if (Object.keys(values).length > 0) {
+      await this._write(workspaceId, noteId, values, null);
+    }
+  }
+
+  /**
+   * Cambia la caducidad de los comentarios de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number|null} seconds - Segundos hasta que caduquen (null para conservarlos)
+   * @returns {Promise<void>}
+   */
+  async expire(workspaceId, noteId, seconds) {
+    const key = this.commentsKey(workspaceId, noteId);
+    if (seconds) {
+      await redisService.expire(key, seconds);
+    } else {
+      await redisService.persist(key);
+    }
+  }
+
+  /**
+   * Elimina todos los comentarios de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<void>}
+   */
+  async delete(workspaceId, noteId) {
+    this.localComments.delete(this._documentId(workspaceId, noteId));
+    await redisService.delete(this.commentsKey(workspaceId, noteId));
+  }
+
+  /**
+   * Lee todos los campos de una nota, los de Redis por encima de los de memoria
+   * @private
+   */
+  async _read(workspaceId, noteId) {
+    const stored = await redisService.hGetAll(this.commentsKey(workspaceId, noteId));
+    const local = this.localComments.get(this._documentId(workspaceId, noteId));
+    return { ...Object.fromEntries(local || []), ...(stored || {}) };
+  }
+
+  /**
+   * Guarda campos en Redis o, si no está disponible, en memoria
+   * @private
+   */
+  async _write(workspaceId, noteId, values, ttl) {
+    const key = this.commentsKey(workspaceId, noteId);
+    if (await redisService.hSetAll(key, values)) {
+      if (ttl) await redisService.expire(key, ttl);
+      return;
+    }
+
+    const id = this._documentId(workspaceId, noteId);
+    if (!this.localComments.has(id)) this.localComments.set(id, new Map());
+    const local = this.localComments.get(id);
+    Object.entries(values).forEach(([field, value]) => local.set(field, value));
+  }
+
+  /**
+   * Devuelve el identificador en memoria de una nota
+   * @private
+   */
+  _documentId(workspaceId, noteId) {
+    return `${workspaceId}:${noteId}`;
+  }
+}
+
+module.exports = NoteComments;
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const redisService = require('../../services/redis');
+const logger = require('../../utils/logger');
+
+// Colores de los cursores; cada usuario tiene siempre el mismo
+const CURSOR_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4',
+  '#f032e6', '#9a6324', '#469990', '#800000', '#808000', '#000075'
+];
+
+/**
+ * Devuelve el color del cursor de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {string} Color en hexadecimal
+ */
+const cursorColor = (userId) => {
+  const hash = crypto.createHash('md5').update(String(userId)).digest();
+  return CURSOR_COLORS[hash.readUInt32BE(0) % CURSOR_COLORS.length];
+};
+
+/**
+ * Valida la posición de un cursor enviada por un cliente
+ * Sin `head` es un cursor sin selección.
+ * @param {Object|null} cursor - Cursor ({ anchor, head, revision }) o null para ocultarlo
+ * @returns {Object|null|undefined} Cursor normalizado, null para ocultarlo o undefined si no es válido
+ */
+const parseCursor = (cursor) => {
+  if (cursor === null) return null;
+
+  const { anchor, head = anchor, revision } = cursor || {};
+  const isPosition = value => Number.isSafeInteger(value) && value >= 0;
+  if (!isPosition(anchor) || !isPosition(head)) return undefined;
+
+  return { anchor, head, ...(isPosition(revision) && { revision }) };
+};
+
+/**
+ * Cursores y selecciones de los usuarios de las notas
+ *
+ * El estado vive en memoria, por socket. El primer cambio de una sala se emite
+ * en el momento; los que llegan durante el intervalo siguiente se agrupan y se
+ * emiten juntos al terminar, en un único `cursors_updated` con la última
+ * posición de cada socket. Quien mueve su cursor no lo recibe de vuelta. Cada
+ * envío se reenvía al resto de instancias por Redis Pub/Sub, que lo emiten a
+ * sus propios sockets.
+ *
+ * Los sockets de la sala `legacyRoom(room)` (clientes que no piden los cursores
+ * agrupados) reciben en su lugar un `cursor_updated` por cursor, como antes.
+ * Al unirse a una nota, `snapshot` envía los cursores de esta instancia y pide
+ * por Pub/Sub los de las demás, que responden directamente al socket.
+ */
+class NoteCursors {
+  /**
+   * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} options - Opciones
+   * @param {string} options.channel - Canal de Redis Pub/Sub entre instancias
+   * @param {number} [options.interval=50] - Milisegundos mínimos entre dos envíos a una sala
+   */
+  constructor(io, options) {
+    this.io = io;
+    this.channel = options.channel;
+    this.interval = options.interval || 50;
+    this.instanceId = crypto.randomUUID();
+    this.rooms = new Map(); // sala de la nota -> Map(socketId -> {userId, userData, color, cursor})
+    this.pending = new Map(); // sala de la nota -> {noteId, changes: Map(socketId -> cursor del envío)}
+    this.timers = new Map(); // sala de la nota -> temporizador del intervalo tras el último envío
+    this.subscribed = false;
+  }
+
+  /**
+   * Devuelve la sala de los sockets de una nota que reciben `cursor_updated` por cursor
+   * @param {string} room - Sala de la nota
+   * @returns {string} Sala
+   */
+  legacyRoom(room) {
+    return `${room}:cursor`;
+  }
+
+  /**
+   * Actualiza el cursor de un socket y programa su envío a la sala
+   * @param {string} room - Sala de la nota
+   * @param {string} noteId - ID de la nota
+   * @param {string} socketId - ID del socket
+   * @param {Object} userData - Datos del usuario
+   * @param {Object|null} cursor - Cursor ({ anchor, head, revision }) o null para ocultarlo
+   */
+  update(room, noteId, socketId, userData, cursor) {
+    const entry = { userId: socketId, userData, color: cursorColor(userData.id), cursor };
+
+    if (cursor) {
+      if (!this.rooms.has(room)) this.rooms.set(room, new Map());
+      this.rooms.get(room).set(socketId, entry);
+    } else {
+      this._deleteState(room, socketId);
+    }
+    this._queue(room, noteId, entry);
+  }
+
+  /**
+   * Elimina el cursor de un socket y notifica a la sala que ya no está
+   * No hace nada si el socket no tenía cursor.
+   * @param {string} room - Sala de la nota
+   * @param {string} noteId - ID de la nota
+   * @param {string} socketId - ID del socket
+   */
+  remove(room, noteId, socketId) {
+    const entry = this.rooms.get(room)?.get(socketId);
+    const queued = this.pending.get(room)?.changes.get(socketId);
+    if (!entry && !queued) return;
+
+    this._deleteState(room, socketId);
+    this._queue(room, noteId, { ...(entry || queued), cursor: null });
+  }
+
+  /**
+   * Lista los cursores visibles de una sala
+   * @param {string} room - Sala de la nota
+   * @param {string} [exceptSocketId] - Socket cuyo cursor no se incluye
+   * @returns {Object[]} Cursores ({ userId, userData, color, cursor })
+   */
+  list(room, exceptSocketId = null) {
+    return Array.from(this.rooms.get(room)?.values() || [])
+      .filter(entry => entry.userId !== exceptSocketId);
+  }
+
+  /**
+   * Envía a un socket que se une a la nota los cursores de todas las instancias
+   * @param {string} room - Sala de la nota
+   * @param {string} noteId - ID de la nota
+   * @param {string} socketId - ID del socket
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.legacy=false] - El socket recibe `cursor_updated` por cursor
+   * @returns {Promise<void>}
+   */
+  async snapshot(room, noteId, socketId, { legacy = false } = {}) {
+    const cursors = this.list(room, socketId);
+    if (cursors.length > 0) {
+      this._emitToSocket(socketId, noteId, cursors, legacy);
+    }
+    await this._publish({ room, noteId, snapshotFor: { socketId, legacy } });
+  }
+
+  /**
+   * Emite los cambios pendientes de una sala y los reenvía a otras instancias
+   * Durante el intervalo siguiente los cambios de la sala solo se acumulan.
+   * @param {string} room - Sala de la nota
+   * @returns {Promise<void>}
+   */
+  async flush(room) {
+    clearTimeout(this.timers.get(room));
+    this.timers.delete(room);
+
+    const pending = this.pending.get(room);
+    if (!pending) return;
+    this.pending.delete(room);
+    this.timers.set(room, setTimeout(() => this.flush(room), this.interval));
+
+    const { noteId } = pending;
+    const senders = Array.from(pending.changes.keys());
+    const cursors = Array.from(pending.changes.values());
+
+    // Cada socket que ha movido su cursor recibe solo los de los demás
+    this._emitToRoom(room, noteId, cursors, senders);
+    for (const socketId of senders) {
+      const others = cursors.filter(entry => entry.userId !== socketId);
+      if (others.length > 0) {
+        this.io.to(socketId).except(this.legacyRoom(room)).emit('cursors_updated', { noteId, cursors: others });
+      }
+    }
+
+    await this._publish({ room, noteId, cursors });
+  }
+
+  /**
+   * Atiende un mensaje de otra instancia
+   * Puede traer cursores para una sala o para un socket (`to`), o pedir los
+   * cursores de esta instancia para un socket que se une (`snapshotFor`).
+   * @param {Object} message - Mensaje ({ instanceId, room, noteId, cursors, to, snapshotFor })
+   */
+  receive(message) {
+    if (!message || message.instanceId === this.instanceId) return;
+    const { room, noteId } = message;
+
+    if (message.snapshotFor) {
+      const cursors = this.list(room);
+      if (cursors.length > 0) {
+        this._publish({ room, noteId, cursors, to: message.snapshotFor });
+      }
+      return;
+    }
+
+    if (!Array.isArray(message.cursors)) return;
+    if (message.to) {
+      this._emitToSocket(message.to.socketId, noteId, message.cursors, message.to.legacy);
+    } else {
+      this._emitToRoom(room, noteId, message.cursors);
+    }
+  }
+
+  /**
+   * Emite cursores a una sala en el formato de cada cliente, salvo a los sockets indicados
+   * @private
+   */
+  _emitToRoom(room, noteId, cursors, exceptSocketIds = []) {
+    const legacyRoom = this.legacyRoom(room);
+
+    this.io.to(room).except([...exceptSocketIds, legacyRoom]).emit('cursors_updated', { noteId, cursors });
+    for (const entry of cursors) {
+      this.io.to(legacyRoom).except(entry.userId).emit('cursor_updated', { noteId, ...entry });
+    }
+  }
+
+  /**
+   * Emite cursores a un socket en el formato que ha pedido
+   * @private
+   */
+  _emitToSocket(socketId, noteId, cursors, legacy) {
+    if (!legacy) {
+      this.io.to(socketId).emit('cursors_updated', { noteId, cursors });
+      return;
+    }
+    for (const entry of cursors) {
+      this.io.to(socketId).emit('cursor_updated', { noteId, ...entry });
+    }
+  }
+
+  /**
+   * Publica un mensaje para las demás instancias
+   * @private
+   */
+  async _publish(message) {
+    try {
+      await this._subscribe();
+      if (this.subscribed) {
+        await redisService.publish(this.channel, { instanceId: this.instanceId, ...message });
+      }
+    } catch (error) {
+      logger.error({ error: error.message, room: message.room }, 'Error al reenviar cursores de nota');
+    }
+  }
+
+  /**
+   * Guarda un cambio pendiente de la sala y lo emite si no hay un envío reciente
+   * @private
+   */
+  _queue(room, noteId, entry) {
+    if (!this.pending.has(room)) this.pending.set(room, { noteId, changes: new Map() });
+    this.pending.get(room).changes.set(entry.userId, entry);
+
+    if (!this.timers.has(room)) {
+      this.flush(room);
+    }
+  }
+
+  /**
+   * Elimina el cursor de un socket del estado de la sala
+   * @private
+   */
+  _deleteState(room, socketId) {
+    const cursors = this.rooms.get(room);
+    if (!cursors) return;
+
+    cursors.delete(socketId);
+    if (cursors.size === 0) this.rooms.delete(room);
+  }
+
+  /**
+   * Se suscribe a los cursores de otras instancias en cuanto Redis está disponible
+   * @private
+   */
+  async _subscribe() {
+    if (this.subscribed || !redisService.isConnected) return;
+    this.subscribed = await redisService.subscribe(this.channel, message => this.receive(message));
+  }
+}
+
+module.exports = NoteCursors;
+module.exports.parseCursor = parseCursor;
+module.exports.cursorColor = cursorColor;
@@ -1,10 +1,21 @@
+const crypto = require('crypto');
 const logger = require('../../utils/logger');
 const metricsService = require('../../services/metrics');
 const redisService = require('../../services/redis');
+const { resolveIdentity } = require('../../middleware/auth');
+const NoteStore = require('./note.store');
+const NoteVersions = require('./note.versions');
+const NoteComments = require('./note.comments');
+const NoteCursors = require('./note.cursors');
+const { diffOperation, transformRange } = require('./note.ot');
+const { diffLines } = NoteVersions;
+const { parseCursor } = NoteCursors;
+
+// Errores de note_operation que indican que el cliente no tiene la nota al día
+const RESYNC_CODES = ['INVALID_REVISION', 'REVISION_TOO_OLD', 'REVISION_MISMATCH'];
 
 // Almacenamiento en memoria (se reemplazará gradualmente por Redis)
-const noteUsers = new Map(); // noteId -> Array<{id, userData}>
-const noteContents = new Map(); // noteId -> content
+const noteUsers = new Map(); // noteId -> Array<{id, userData, workspaceId}>
 
 /**
  * Clase para manejar eventos relacionados con notas colaborativas
@@ -13,10 +24,29 @@ class NoteHandler {
   /**
    * Inicializa el handler con la instancia de socket.io
    * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} [options] - Dependencias de otros módulos
+   * @param {Object} [options.retentionPolicies] - Políticas de retención de cada workspace
    */
-  constructor(io) {
+  constructor(io, { retentionPolicies } = {}) {
     this.io = io;
+    this.retentionPolicies = retentionPolicies || null;
     this.REDIS_PREFIX = 'note:';
+    this.CONTENT_TTL = 604800; // Segundos que se conserva el contenido sin editar si no hay políticas de retención (7 días)
+    this.VERSION_INTERVAL = 5 * 60 * 1000; // Milisegundos mínimos entre dos versiones automáticas de una nota
+    this.LARGE_DELETE = 200; // Caracteres borrados de una vez a partir de los que se guarda una versión
+    this.COMMENT_MAX_LENGTH = 2000; // Longitud máxima de un comentario
+    this.COMMENT_QUOTE_LENGTH = 200; // Caracteres del texto comentado que se guardan con el hilo
+    this.COMMENT_REBASE_INTERVAL = 50; // Revisiones entre dos actualizaciones de las anclas guardadas
+    this.CURSOR_INTERVAL = 50; // Milisegundos mínimos entre dos envíos de cursores a una nota (20 por segundo)
+    this.store = new NoteStore(this.REDIS_PREFIX);
+    this.versions = new NoteVersions(this.REDIS_PREFIX);
+    this.comments = new NoteComments(this.REDIS_PREFIX);
+    this.cursors = new NoteCursors(io, {
+      channel: `${this.REDIS_PREFIX}cursors`,
+      interval: this.CURSOR_INTERVAL
+    });
+    this.instanceId = crypto.randomUUID();
+    this.subscribed = false;
   }
 
   /**
@@ -24,22 +54,51 @@ class NoteHandler {
    * @param {Object} socket - Socket de conexión
    */
   registerHandlers(socket) {
-    socket.on('join_note', (workspaceId, noteId, userData) => {
-      console.log('join_note recibido:', { workspaceId, noteId, userData });
-      this.handleJoinNote(socket, workspaceId, noteId, userData);
+    socket.on('join_note', (workspaceId, noteId, userData, options) => {
+      this.handleJoinNote(socket, workspaceId, noteId, userData, options);
     });
     socket.on('leave_note', (workspaceId, noteId) => {
-      console.log('leave_note recibido:', { workspaceId, noteId });
       this.handleLeaveNote(socket, workspaceId, noteId);
     });
     socket.on('cursor_update', (workspaceId, noteId, cursorData) => {
-      // No logueamos cada actualización de cursor para evitar spam
       this.handleCursorUpdate(socket, workspaceId, noteId, cursorData);
     });
     socket.on('note_content_update', (workspaceId, noteId, content) => {
-      console.log('note_content_update recibido:', { workspaceId, noteId, contentLength: content?.length });
       this.handleContentUpdate(socket, workspaceId, noteId, content);
     });
+    socket.on('note_operation', (workspaceId, noteId, update, ack) => {
+      this.handleOperation(socket, workspaceId, noteId, update, ack);
+    });
+    socket.on('note_resync', (workspaceId, noteId, ack) => {
+      this.handleResync(socket, workspaceId, noteId, ack);
+    });
+    socket.on('create_note_version', (workspaceId, noteId, data, ack) => {
+      this.handleCreateVersion(socket, workspaceId, noteId, data, ack);
+    });
+    socket.on('get_note_versions', (workspaceId, noteId, ack) => {
+      this.getVersions(socket, workspaceId, noteId, ack);
+    });
+    socket.on('get_note_version_diff', (workspaceId, noteId, params, ack) => {
+      this.getVersionDiff(socket, workspaceId, noteId, params, ack);
+    });
+    socket.on('restore_note_version', (workspaceId, noteId, params, ack) => {
+      this.handleRestoreVersion(socket, workspaceId, noteId, params, ack);
+    });
+    socket.on('add_note_comment', (workspaceId, noteId, data, ack) => {
+      this.handleAddComment(socket, workspaceId, noteId, data, ack);
+    });
+    socket.on('reply_note_comment', (workspaceId, noteId, data, ack) => {
+      this.handleReplyComment(socket, workspaceId, noteId, data, ack);
+    });
+    socket.on('resolve_note_comment', (workspaceId, noteId, params, ack) => {
+      this.handleResolveComment(socket, workspaceId, noteId, params, true, ack);
+    });
+    socket.on('reopen_note_comment', (workspaceId, noteId, params, ack) => {
+      this.handleResolveComment(socket, workspaceId, noteId, params, false, ack);
+    });
+    socket.on('get_note_comments', (workspaceId, noteId, ack) => {
+      this.getComments(socket, workspaceId, noteId, ack);
+    });
   }
 
   /**
@@ -47,12 +106,21 @@ class NoteHandler {
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
    * @param {string} noteId - ID de la nota
-   * @param {Object} userData - Datos del usuario
+   * @param {Object} claimedUserData - Datos del usuario enviados por el cliente
+   * @param {Object} [options] - Opciones de sincronización
+   * @param {string} [options.sync='full'] - `patch` para recibir solo las operaciones, sin el
+   *   contenido completo en cada cambio (`note_content_updated`)
+   * @param {string} [options.cursors='single'] - `batch` para recibir los cursores agrupados
+   *   (`cursors_updated`) en lugar de uno por evento (`cursor_updated`)
    */
-  async handleJoinNote(socket, workspaceId, noteId, userData) {
+  async handleJoinNote(socket, workspaceId, noteId, claimedUserData, options) {
     const startTime = Date.now();
     
     try {
+      // La identidad se toma del token, no de los datos del cliente
+      const userData = resolveIdentity(socket, claimedUserData, 'join_note');
+      if (!userData) return;
+      
       logger.info({
         socketId: socket.id,
         userId: userData.id,
@@ -65,6 +133,21 @@ class NoteHandler {
       const roomName = `note:${workspaceId}:${noteId}`;
       socket.join(roomName);
       
+      // Los clientes que no trabajan con operaciones reciben el contenido completo en cada cambio
+      if (options?.sync === 'patch') {
+        socket.leave(this._fullContentRoom(workspaceId, noteId));
+      } else {
+        socket.join(this._fullContentRoom(workspaceId, noteId));
+      }
+      
+      // Los clientes que no piden los cursores agrupados los siguen recibiendo uno a uno
+      const legacyCursors = options?.cursors !== 'batch';
+      if (legacyCursors) {
+        socket.join(this.cursors.legacyRoom(roomName));
+      } else {
+        socket.leave(this.cursors.legacyRoom(roomName));
+      }
+      
       // Guardar usuario en memoria local
       if (!noteUsers.has(noteId)) {
         noteUsers.set(noteId, []);
@@ -76,36 +159,35 @@ class NoteHandler {
       const existingUserIndex = usersList.findIndex(u => u.userData.id === userData.id);
       
       if (existingUserIndex >= 0) {
-        // Actualizar socket.id si el usuario ya existe
+        // Actualizar socket.id si el usuario ya existe; el cursor del socket anterior deja de estar activo
+        if (usersList[existingUserIndex].id !== socket.id) {
+          this.cursors.remove(roomName, noteId, usersList[existingUserIndex].id);
+        }
         usersList[existingUserIndex].id = socket.id;
       } else {
-        // Añadir nuevo usuario
-        usersList.push({ id: socket.id, userData });
+        // Añadir nuevo usuario; el workspace permite salir de la nota al desconectarse
+        usersList.push({ id: socket.id, userData, workspaceId });
       }
       
       // Guardar en Redis
       const redisKey = `${this.REDIS_PREFIX}${workspaceId}:${noteId}:users`;
       await redisService.set(redisKey, usersList);
       
-      // Enviar contenido actual de la nota al usuario
-      let content = noteContents.get(noteId);
-      
-      // Si no está en memoria local, intentar obtener de Redis
-      if (!content) {
-        const redisContentKey = `${this.REDIS_PREFIX}${workspaceId}:${noteId}:content`;
-        content = await redisService.get(redisContentKey);
-        
-        // Si se encontró en Redis, actualizar memoria local
-        if (content) {
-          noteContents.set(noteId, content);
-        }
-      }
-      
-      // Enviar contenido al usuario que se une
+      await this._subscribe();
+
+      // Cargar el documento, aplicando los cambios de otras instancias que aún no se habían recibido
+      const doc = await this.store.load(workspaceId, noteId);
+      this._emitOperations(workspaceId, noteId, doc, socket);
+
+      // Enviar al usuario que se une la instantánea con su revisión, sobre la que hará sus operaciones
       socket.emit('note_content_loaded', {
         noteId,
-        content: content || ''
+        content: doc.content,
+        revision: doc.revision
       });
+
+      // Cursores de los demás usuarios, de esta instancia y de las demás
+      await this.cursors.snapshot(roomName, noteId, socket.id, { legacy: legacyCursors });
       
       // Notificar a todos los usuarios de la nota
       this.io.to(roomName).emit('note_users_updated', {
@@ -163,9 +245,6 @@ class NoteHandler {
         const userIndex = usersList.findIndex(u => u.id === socket.id);
         
         if (userIndex >= 0) {
-          // Guardar datos del usuario antes de eliminarlo
-          const userData = usersList[userIndex].userData;
-          
           // Eliminar al usuario de la lista
           usersList.splice(userIndex, 1);
           
@@ -176,6 +255,8 @@ class NoteHandler {
           // Abandonar la sala
           const roomName = `note:${workspaceId}:${noteId}`;
           socket.leave(roomName);
+          socket.leave(this._fullContentRoom(workspaceId, noteId));
+          socket.leave(this.cursors.legacyRoom(roomName));
           
           // Notificar a todos los usuarios restantes
           this.io.to(roomName).emit('note_users_updated', {
@@ -184,12 +265,7 @@ class NoteHandler {
           });
           
           // Notificar que el cursor de este usuario ya no está activo
-          socket.to(roomName).emit('cursor_updated', {
-            noteId,
-            userId: socket.id,
-            userData,
-            cursor: null // Cursor nulo indica que se debe eliminar
-          });
+          this.cursors.remove(roomName, noteId, socket.id);
           
           logger.info({
             socketId: socket.id,
@@ -218,53 +294,35 @@ class NoteHandler {
 
   /**
    * Maneja el evento de actualización de cursor
+   * Las posiciones se agrupan y se envían a la sala como mucho cada
+   * CURSOR_INTERVAL milisegundos en `cursors_updated`, o en un `cursor_updated`
+   * por cursor a los clientes que no los piden agrupados (ver NoteCursors).
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
    * @param {string} noteId - ID de la nota
-   * @param {Object} cursorData - Datos del cursor
+   * @param {Object|null} cursorData - Cursor o selección ({ anchor, head, revision }), o null para ocultarlo
    */
-  async handleCursorUpdate(socket, workspaceId, noteId, cursorData) {
+  handleCursorUpdate(socket, workspaceId, noteId, cursorData) {
     try {
-      console.log("Cursor update recibido:", {
-        socketId: socket.id,
-        workspaceId,
-        noteId,
-        cursorData
-      });
-      
-      // Buscar el usuario en la nota
-      if (noteUsers.has(noteId)) {
-        const usersList = noteUsers.get(noteId);
-        const user = usersList.find(u => u.id === socket.id);
-        
-        if (!user) {
-          logger.debug({
-            socketId: socket.id,
-            workspaceId,
-            noteId
-          }, 'Usuario no encontrado en la nota para actualización de cursor');
-          return;
-        }
-        
-        // Emitir la actualización del cursor a TODOS los usuarios en la nota (incluyendo al remitente)
-        const roomName = `note:${workspaceId}:${noteId}`;
-        const eventData = {
-          noteId,
-          userId: socket.id,
-          userData: user.userData,
-          cursor: cursorData
-        };
-        
-        // Emitir a todos en la sala, incluyendo al remitente
-        this.io.in(roomName).emit('cursor_updated', eventData);
-        
-        console.log("Cursor updated emitido a todos:", {
-          room: roomName,
-          eventData
-        });
-        
-        metricsService.messageProcessed('cursor_update');
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        logger.debug({
+          socketId: socket.id,
+          workspaceId,
+          noteId
+        }, 'Usuario no encontrado en la nota para actualización de cursor');
+        return;
+      }
+
+      const cursor = parseCursor(cursorData);
+      if (cursor === undefined) {
+        logger.debug({ socketId: socket.id, workspaceId, noteId }, 'Cursor de nota no válido');
+        return;
       }
+
+      this.cursors.update(`note:${workspaceId}:${noteId}`, noteId, socket.id, user.userData, cursor);
+
+      metricsService.messageProcessed('cursor_update');
     } catch (error) {
       logger.error({
         error: error.message,
@@ -282,8 +340,113 @@ class NoteHandler {
     }
   }
 
+  /**
+   * Maneja una operación de texto sobre una revisión de la nota
+   * El servidor la transforma contra los cambios aceptados desde esa revisión y
+   * confirma al remitente la revisión resultante; el resto de usuarios recibe la
+   * operación ya transformada en `note_operation`.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} update - Cambio ({ revision, operation })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, revision } o { ok: false, error }, con
+   *   `resync` ({ noteId, content, revision }) si la revisión no corresponde a la nota)
+   */
+  async handleOperation(socket, workspaceId, noteId, update, ack) {
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota antes de editarla' } });
+        return;
+      }
+
+      const { result, error } = await this._submit(socket, workspaceId, noteId, update?.revision, update?.operation, user);
+      if (error) {
+        logger.debug({ socketId: socket.id, workspaceId, noteId, code: error.code }, 'Operación de nota rechazada');
+
+        // El cliente no tiene la revisión correcta: se le envía el estado actual para que vuelva a empezar
+        if (RESYNC_CODES.includes(error.code)) {
+          const { content, revision } = await this.store.load(workspaceId, noteId);
+          reply({ ok: false, error, resync: { noteId, content, revision } });
+          metricsService.messageProcessed('note_resync');
+          return;
+        }
+
+        reply({ ok: false, error });
+        return;
+      }
+
+      reply({ ok: true, revision: result.revision });
+
+      metricsService.messageProcessed('note_operation', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al aplicar operación de nota');
+
+      metricsService.errorOccurred('note_operation', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al aplicar la operación' } });
+    }
+  }
+
+  /**
+   * Envía al usuario el contenido actual de la nota con su revisión
+   * Lo piden los clientes que detectan un salto en las revisiones recibidas.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Function} [ack] - Callback de confirmación ({ ok, noteId, content, revision } o { ok: false, error })
+   */
+  async handleResync(socket, workspaceId, noteId, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!this._noteUser(socket, workspaceId, noteId)) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota antes de sincronizarla' } });
+        return;
+      }
+
+      const doc = await this.store.load(workspaceId, noteId);
+      this._emitOperations(workspaceId, noteId, doc, socket);
+
+      reply({ ok: true, noteId, content: doc.content, revision: doc.revision });
+
+      metricsService.messageProcessed('note_resync');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al sincronizar nota');
+
+      metricsService.errorOccurred('note_resync', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al sincronizar la nota' } });
+    }
+  }
+
   /**
    * Maneja el evento de actualización de contenido de nota
+   * Compatibilidad con los clientes que envían el contenido completo: el cambio
+   * se convierte en una operación sobre la revisión actual.
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
    * @param {string} noteId - ID de la nota
@@ -291,35 +454,30 @@ class NoteHandler {
    */
   async handleContentUpdate(socket, workspaceId, noteId, content) {
     const startTime = Date.now();
-    
+
     try {
-      // Verificar si hay usuarios en la nota
-      if (noteUsers.has(noteId)) {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (user && typeof content === 'string') {
         logger.info({
           socketId: socket.id,
           workspaceId,
           noteId,
           contentLength: content.length
         }, 'Actualizando contenido de nota');
-        
-        // Guardar el nuevo contenido en memoria local
-        noteContents.set(noteId, content);
-        
-        // Guardar en Redis con TTL de 7 días (604800 segundos)
-        // Esto permite que el contenido persista incluso si se reinicia el servidor
-        const redisKey = `${this.REDIS_PREFIX}${workspaceId}:${noteId}:content`;
-        await redisService.set(redisKey, content, 604800);
-        
-        // Emitir actualización a todos los usuarios en la nota excepto al remitente
-        const roomName = `note:${workspaceId}:${noteId}`;
-        socket.to(roomName).emit('note_content_updated', {
-          noteId,
-          content,
-          updatedBy: socket.id
-        });
-        
+
+        const current = await this.store.load(workspaceId, noteId);
+        this._emitOperations(workspaceId, noteId, current);
+        if (current.content === content) return;
+
+        const operation = diffOperation(current.content, content);
+        const { error } = await this._submit(socket, workspaceId, noteId, current.revision, operation, user);
+        if (error) {
+          socket.emit('error', { message: 'Error al actualizar contenido', details: error.message, code: error.code });
+          return;
+        }
+
         metricsService.messageProcessed('note_content_update', Date.now() - startTime);
-        
+
         logger.info({
           socketId: socket.id,
           workspaceId,
@@ -346,21 +504,851 @@ class NoteHandler {
   }
 
   /**
-   * Maneja la desconexión de un usuario
+   * Guarda a petición del usuario una versión con el contenido actual de la nota
    * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} [data] - Datos de la versión ({ label })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, version } o { ok: false, error })
    */
-  handleDisconnect(socket) {
+  async handleCreateVersion(socket, workspaceId, noteId, data, ack) {
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
     try {
-      // Buscar en qué notas estaba el usuario
-      noteUsers.forEach((users, noteId) => {
-        const userIndex = users.findIndex(u => u.id === socket.id);
-        
-        if (userIndex >= 0) {
-          // Llamar a handleLeaveNote para cada nota
-          // Como no tenemos el workspaceId en este contexto, usamos un valor genérico
-          // Esto podría mejorarse almacenando el workspaceId junto con los datos del usuario
-          const workspaceId = "unknown";
-          this.handleLeaveNote(socket, workspaceId, noteId);
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para guardar versiones' } });
+        return;
+      }
+
+      const label = typeof data?.label === 'string' ? data.label.trim().slice(0, 100) : '';
+      const doc = await this.store.load(workspaceId, noteId);
+      this._emitOperations(workspaceId, noteId, doc);
+
+      const version = await this.versions.save(workspaceId, noteId, {
+        content: doc.content,
+        revision: doc.revision,
+        author: this._author(user),
+        reason: 'manual',
+        label
+      }, await this._contentTtl(workspaceId));
+
+      reply({ ok: true, version });
+
+      metricsService.messageProcessed('create_note_version', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al guardar versión de nota');
+
+      metricsService.errorOccurred('create_note_version', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al guardar la versión' } });
+    }
+  }
+
+  /**
+   * Lista las versiones guardadas de una nota, de la más reciente a la más antigua
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Function} [ack] - Callback de confirmación ({ ok, versions } o { ok: false, error })
+   */
+  async getVersions(socket, workspaceId, noteId, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!this._noteUser(socket, workspaceId, noteId)) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para ver sus versiones' } });
+        return;
+      }
+
+      const versions = await this.versions.list(workspaceId, noteId);
+      reply({ ok: true, noteId, versions });
+
+      metricsService.messageProcessed('get_note_versions');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al obtener versiones de nota');
+
+      metricsService.errorOccurred('get_note_versions', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al obtener las versiones' } });
+    }
+  }
+
+  /**
+   * Compara línea a línea una versión con otra o con el contenido actual
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} params - Versiones a comparar ({ versionId, compareTo }); sin `compareTo`,
+   *   se compara con el contenido actual
+   * @param {Function} [ack] - Callback de confirmación ({ ok, changes, added, removed } o { ok: false, error })
+   */
+  async getVersionDiff(socket, workspaceId, noteId, params, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { versionId, compareTo } = params || {};
+
+    try {
+      if (!this._noteUser(socket, workspaceId, noteId)) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para ver sus versiones' } });
+        return;
+      }
+
+      const version = versionId !== undefined && await this.versions.get(workspaceId, noteId, versionId);
+      const target = compareTo !== undefined && compareTo !== null
+        ? await this.versions.get(workspaceId, noteId, compareTo)
+        : await this.store.load(workspaceId, noteId);
+      if (!version || !target) {
+        reply({ ok: false, error: { code: 'VERSION_NOT_FOUND', message: 'La versión no existe' } });
+        return;
+      }
+
+      const { changes, added, removed } = diffLines(version.content, target.content);
+      reply({
+        ok: true,
+        noteId,
+        versionId: version.version.id,
+        compareTo: target.version ? target.version.id : null,
+        changes,
+        added,
+        removed
+      });
+
+      metricsService.messageProcessed('get_note_version_diff');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al comparar versiones de nota');
+
+      metricsService.errorOccurred('get_note_version_diff', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al comparar las versiones' } });
+    }
+  }
+
+  /**
+   * Restaura el contenido de una versión
+   * Antes se guarda una versión con el contenido actual, de modo que la
+   * restauración también se puede deshacer. El cambio se aplica como una
+   * operación más y toda la sala recibe `note_version_restored` con el contenido.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} params - Versión a restaurar ({ versionId })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, revision } o { ok: false, error })
+   */
+  async handleRestoreVersion(socket, workspaceId, noteId, params, ack) {
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para restaurar versiones' } });
+        return;
+      }
+
+      const version = params?.versionId !== undefined && await this.versions.get(workspaceId, noteId, params.versionId);
+      if (!version) {
+        reply({ ok: false, error: { code: 'VERSION_NOT_FOUND', message: 'La versión no existe' } });
+        return;
+      }
+
+      const roomName = `note:${workspaceId}:${noteId}`;
+      const author = this._author(user);
+      const current = await this.store.load(workspaceId, noteId);
+      this._emitOperations(workspaceId, noteId, current);
+
+      let { revision, content } = current;
+      if (current.content !== version.content) {
+        await this.versions.save(workspaceId, noteId, {
+          content: current.content,
+          revision: current.revision,
+          author,
+          reason: 'restore'
+        }, await this._contentTtl(workspaceId));
+
+        const operation = diffOperation(current.content, version.content);
+        const { result, error } = await this._submit(socket, workspaceId, noteId, current.revision, operation, user);
+        if (error) {
+          reply({ ok: false, error });
+          return;
+        }
+        ({ revision, content } = result);
+      }
+
+      this.io.to(roomName).emit('note_version_restored', {
+        noteId,
+        versionId: version.version.id,
+        content,
+        revision,
+        restoredBy: author
+      });
+
+      reply({ ok: true, revision });
+
+      metricsService.messageProcessed('restore_note_version', Date.now() - startTime);
+
+      logger.info({
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        versionId: version.version.id,
+        revision
+      }, 'Versión de nota restaurada');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al restaurar versión de nota');
+
+      metricsService.errorOccurred('restore_note_version', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al restaurar la versión' } });
+    }
+  }
+
+  /**
+   * Abre un hilo de comentarios sobre un tramo del texto
+   * El tramo se indica en la revisión que conoce el cliente y se lleva a la
+   * revisión actual. Toda la sala recibe `note_comment_added` con el hilo.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} data - Comentario ({ revision, from, to, content })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, thread } o { ok: false, error })
+   */
+  async handleAddComment(socket, workspaceId, noteId, data, ack) {
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para comentarla' } });
+        return;
+      }
+
+      const content = this._commentContent(data);
+      if (!content) {
+        reply({ ok: false, error: { code: 'INVALID_COMMENT', message: `El comentario debe tener entre 1 y ${this.COMMENT_MAX_LENGTH} caracteres` } });
+        return;
+      }
+
+      const { revision, from, to } = data;
+      if (!Number.isSafeInteger(from) || !Number.isSafeInteger(to) || from < 0 || to <= from) {
+        reply({ ok: false, error: { code: 'INVALID_RANGE', message: 'El tramo comentado no es válido' } });
+        return;
+      }
+
+      const { doc, anchors: [anchor] } = await this._currentAnchors(workspaceId, noteId, [{ from, to, revision }]);
+      if (!doc.changes) {
+        reply({ ok: false, error: { code: 'INVALID_REVISION', message: 'La revisión no existe o es demasiado antigua' } });
+        return;
+      }
+      if (anchor.to > doc.content.length) {
+        reply({ ok: false, error: { code: 'INVALID_RANGE', message: 'El tramo comentado no está en la nota' } });
+        return;
+      }
+
+      const { thread, comment } = await this.comments.create(workspaceId, noteId, {
+        anchor,
+        quote: doc.content.slice(anchor.from, anchor.to).slice(0, this.COMMENT_QUOTE_LENGTH),
+        author: this._author(user),
+        content
+      }, await this._contentTtl(workspaceId));
+
+      this.io.to(`note:${workspaceId}:${noteId}`).emit('note_comment_added', {
+        noteId,
+        threadId: thread.id,
+        comment,
+        thread
+      });
+
+      reply({ ok: true, thread });
+
+      metricsService.messageProcessed('add_note_comment', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al comentar nota');
+
+      metricsService.errorOccurred('add_note_comment', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al guardar el comentario' } });
+    }
+  }
+
+  /**
+   * Responde a un hilo de comentarios
+   * Toda la sala recibe `note_comment_added` con la respuesta.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} data - Respuesta ({ threadId, content })
+   * @param {Function} [ack] - Callback de confirmación ({ ok, comment } o { ok: false, error })
+   */
+  async handleReplyComment(socket, workspaceId, noteId, data, ack) {
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para comentarla' } });
+        return;
+      }
+
+      const content = this._commentContent(data);
+      if (!content) {
+        reply({ ok: false, error: { code: 'INVALID_COMMENT', message: `El comentario debe tener entre 1 y ${this.COMMENT_MAX_LENGTH} caracteres` } });
+        return;
+      }
+
+      const thread = typeof data.threadId === 'string' && await this.comments.get(workspaceId, noteId, data.threadId);
+      if (!thread) {
+        reply({ ok: false, error: { code: 'THREAD_NOT_FOUND', message: 'El hilo no existe' } });
+        return;
+      }
+
+      const comment = await this.comments.reply(workspaceId, noteId, thread.id, {
+        author: this._author(user),
+        content
+      }, await this._contentTtl(workspaceId));
+
+      this.io.to(`note:${workspaceId}:${noteId}`).emit('note_comment_added', {
+        noteId,
+        threadId: thread.id,
+        comment
+      });
+
+      reply({ ok: true, comment });
+
+      metricsService.messageProcessed('reply_note_comment', Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al responder comentario de nota');
+
+      metricsService.errorOccurred('reply_note_comment', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al guardar la respuesta' } });
+    }
+  }
+
+  /**
+   * Marca un hilo de comentarios como resuelto o lo vuelve a abrir
+   * Toda la sala recibe `note_comment_resolved` con el nuevo estado.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} params - Hilo ({ threadId })
+   * @param {boolean} resolved - true para resolverlo, false para reabrirlo
+   * @param {Function} [ack] - Callback de confirmación ({ ok, thread } o { ok: false, error })
+   */
+  async handleResolveComment(socket, workspaceId, noteId, params, resolved, ack) {
+    const event = resolved ? 'resolve_note_comment' : 'reopen_note_comment';
+    const startTime = Date.now();
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const user = this._noteUser(socket, workspaceId, noteId);
+      if (!user) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para gestionar sus comentarios' } });
+        return;
+      }
+
+      const stored = typeof params?.threadId === 'string' && await this.comments.get(workspaceId, noteId, params.threadId);
+      if (!stored) {
+        reply({ ok: false, error: { code: 'THREAD_NOT_FOUND', message: 'El hilo no existe' } });
+        return;
+      }
+
+      const author = this._author(user);
+      let thread = stored;
+      if (stored.resolved !== resolved) {
+        thread = await this.comments.setResolved(workspaceId, noteId, stored, resolved, author,
+          await this._contentTtl(workspaceId));
+
+        this.io.to(`note:${workspaceId}:${noteId}`).emit('note_comment_resolved', {
+          noteId,
+          threadId: thread.id,
+          resolved,
+          resolvedBy: thread.resolvedBy,
+          resolvedAt: thread.resolvedAt,
+          changedBy: author
+        });
+      }
+
+      const { anchors: [anchor] } = await this._currentAnchors(workspaceId, noteId, [thread.anchor]);
+      reply({ ok: true, thread: { ...thread, anchor } });
+
+      metricsService.messageProcessed(event, Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al cambiar el estado de un comentario de nota');
+
+      metricsService.errorOccurred(event, {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al actualizar el comentario' } });
+    }
+  }
+
+  /**
+   * Lista los hilos de comentarios de una nota con las anclas en la revisión actual
+   * @param {Object} socket - Socket de conexión
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Function} [ack] - Callback de confirmación ({ ok, noteId, revision, threads } o { ok: false, error })
+   */
+  async getComments(socket, workspaceId, noteId, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!this._noteUser(socket, workspaceId, noteId)) {
+        reply({ ok: false, error: { code: 'NOT_IN_NOTE', message: 'Únete a la nota para ver sus comentarios' } });
+        return;
+      }
+
+      const threads = await this.comments.list(workspaceId, noteId);
+      const { doc, anchors } = await this._currentAnchors(workspaceId, noteId, threads.map(thread => thread.anchor));
+
+      reply({
+        ok: true,
+        noteId,
+        revision: doc.revision,
+        threads: threads.map((thread, i) => ({ ...thread, anchor: anchors[i] }))
+      });
+
+      metricsService.messageProcessed('get_note_comments');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        noteId
+      }, 'Error al obtener comentarios de nota');
+
+      metricsService.errorOccurred('get_note_comments', {
+        socketId: socket.id,
+        workspaceId,
+        noteId,
+        error: error.message
+      });
+
+      reply({ ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error al obtener los comentarios' } });
+    }
+  }
+
+  /**
+   * Crea una nota con un título como contenido inicial
+   * La usan los comandos del chat (`/note`); el workspace recibe `workspace_note_created`.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} data - Datos de la nota ({ title })
+   * @param {Object} createdBy - Usuario que la crea
+   * @returns {Promise<Object>} Nota creada ({ id, workspaceId, title, createdBy, createdAt })
+   */
+  async createNote(workspaceId, { title }, createdBy) {
+    const note = {
+      id: crypto.randomUUID(),
+      workspaceId,
+      title,
+      createdBy: createdBy.email,
+      createdAt: new Date().toISOString()
+    };
+    const content = `# ${title}\n`;
+
+    const { error } = await this.store.submit(workspaceId, note.id, 0, [content], {
+      author: { email: createdBy.email, name: createdBy.name },
+      ttl: await this._contentTtl(workspaceId)
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+    await this._touch(workspaceId, note.id);
+    
+    this.io.to(workspaceId).emit('workspace_note_created', {
+      workspaceId,
+      note,
+      createdBy,
+      timestamp: note.createdAt
+    });
+    
+    logger.info({
+      workspaceId,
+      noteId: note.id,
+      createdBy: createdBy.email
+    }, 'Nota creada');
+    
+    return note;
+  }
+
+  /**
+   * Aplica la política de retención de notas de un workspace
+   * La usa el trabajo de purga de retención. Con `days` se eliminan las notas
+   * que llevan más de ese número de días sin editarse y se ajusta la caducidad
+   * del resto; con `forever` se quita la caducidad de todas.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} policy - Política de retención de notas ({ mode, days? })
+   * @returns {Promise<number>} Número de notas eliminadas
+   */
+  async applyRetention(workspaceId, policy) {
+    const indexKey = this._notesIndexKey(workspaceId);
+    const now = Date.now();
+    const maxAge = policy.mode === 'days' ? policy.days * 24 * 60 * 60 * 1000 : null;
+    let deleted = 0;
+    
+    if (maxAge) {
+      const expired = await redisService.zRangeByScore(indexKey, '-inf', now - maxAge) || [];
+      for (const noteId of expired) {
+        await this.store.delete(workspaceId, noteId);
+        await this.versions.delete(workspaceId, noteId);
+        await this.comments.delete(workspaceId, noteId);
+      }
+      if (expired.length > 0) {
+        await redisService.zRem(indexKey, expired);
+      }
+      deleted = expired.length;
+    }
+    
+    // Ajustar la caducidad de las notas que se conservan a la política actual
+    const kept = await redisService.zRangeByScore(indexKey, '-inf', '+inf') || [];
+    for (const noteId of kept) {
+      if (maxAge) {
+        const updatedAt = await redisService.zScore(indexKey, noteId);
+        if (updatedAt === null) continue;
+        const seconds = Math.max(Math.ceil((updatedAt + maxAge - now) / 1000), 1);
+        await this.store.expire(workspaceId, noteId, seconds);
+        await this.versions.expire(workspaceId, noteId, seconds);
+        await this.comments.expire(workspaceId, noteId, seconds);
+      } else {
+        await this.store.expire(workspaceId, noteId, null);
+        await this.versions.expire(workspaceId, noteId, null);
+        await this.comments.expire(workspaceId, noteId, null);
+      }
+    }
+    
+    return deleted;
+  }
+
+  /**
+   * Aplica una operación de un usuario y la notifica a la sala y a las demás instancias
+   * Antes de la operación se notifican los cambios de otras instancias que esta
+   * aún no había enviado, para que los clientes reciban las revisiones en orden.
+   * @private
+   */
+  async _submit(socket, workspaceId, noteId, revision, operation, user) {
+    const author = this._author(user);
+    const ttl = await this._contentTtl(workspaceId);
+    const { result, error, operations } = await this.store.submit(workspaceId, noteId, revision, operation, {
+      author,
+      ttl
+    });
+
+    const roomName = `note:${workspaceId}:${noteId}`;
+    this._emitOperations(workspaceId, noteId, { operations });
+    if (error) return { error };
+
+    await this._autoVersion(workspaceId, noteId, result, author, ttl);
+    if (result.revision % this.COMMENT_REBASE_INTERVAL === 0) {
+      await this._rebaseComments(workspaceId, noteId);
+    }
+
+    // Solo la operación para quien trabaja con operaciones; el contenido completo para el resto
+    const fullContentRoom = this._fullContentRoom(workspaceId, noteId);
+    socket.to(roomName).except(fullContentRoom).emit('note_operation', {
+      noteId,
+      revision: result.revision,
+      operation: result.operation,
+      author
+    });
+    // Si se han aplicado antes cambios de otras instancias, el remitente tampoco tiene el contenido final
+    const fullContentTarget = operations?.length > 0 ? this.io.to(fullContentRoom) : socket.to(fullContentRoom);
+    fullContentTarget.emit('note_content_updated', {
+      noteId,
+      content: result.content,
+      revision: result.revision,
+      updatedBy: socket.id
+    });
+
+    await this._touch(workspaceId, noteId);
+    if (this.subscribed) {
+      await redisService.publish(this._operationsChannel(), {
+        instanceId: this.instanceId,
+        workspaceId,
+        noteId
+      });
+    }
+
+    return { result };
+  }
+
+  /**
+   * Guarda una versión automática con el contenido anterior a un cambio
+   * Se guarda con el primer cambio tras VERSION_INTERVAL sin versiones y con los
+   * cambios que borran LARGE_DELETE caracteres o más, para poder recuperar el
+   * texto borrado por error.
+   * @private
+   */
+  async _autoVersion(workspaceId, noteId, result, author, ttl) {
+    if (!result.previousContent) return;
+
+    const deleted = result.operation.reduce((total, component) =>
+      typeof component === 'number' && component < 0 ? total - component : total, 0);
+
+    if (deleted < this.LARGE_DELETE && !await this.versions.isDue(workspaceId, noteId, this.VERSION_INTERVAL)) {
+      return;
+    }
+
+    await this.versions.save(workspaceId, noteId, {
+      content: result.previousContent,
+      revision: result.revision - 1,
+      author,
+      reason: 'auto'
+    }, ttl);
+  }
+
+  /**
+   * Lleva anclas de comentarios a la revisión actual de la nota
+   * Se transforman con las operaciones aceptadas desde la revisión de cada
+   * ancla; las de revisiones que ya no están en el historial solo se ajustan a
+   * la longitud del texto. `doc.changes` es null si alguna estaba en ese caso.
+   * @private
+   */
+  async _currentAnchors(workspaceId, noteId, anchors) {
+    const revisions = anchors.map(anchor => anchor.revision);
+    const since = revisions.every(Number.isSafeInteger) ? Math.min(...revisions) : NaN;
+    const doc = await this.store.changesSince(workspaceId, noteId, anchors.length > 0 ? since : Infinity);
+    this._emitOperations(workspaceId, noteId, doc);
+
+    return {
+      doc,
+      anchors: anchors.map(anchor => {
+        if (doc.changes) {
+          const { from, to } = doc.changes.slice(anchor.revision - since).reduce(transformRange, anchor);
+          return { from, to, revision: doc.revision };
+        }
+        const to = Math.min(anchor.to, doc.content.length);
+        return { from: Math.min(anchor.from, to), to, revision: doc.revision };
+      })
+    };
+  }
+
+  /**
+   * Guarda las anclas de los comentarios de una nota en la revisión actual
+   * Se hace cada COMMENT_REBASE_INTERVAL revisiones para que las anclas
+   * guardadas no queden fuera del historial de operaciones. Un fallo no afecta
+   * al cambio que la provoca.
+   * @private
+   */
+  async _rebaseComments(workspaceId, noteId) {
+    try {
+      const threads = await this.comments.list(workspaceId, noteId);
+      if (threads.length === 0) return;
+
+      const { anchors } = await this._currentAnchors(workspaceId, noteId, threads.map(thread => thread.anchor));
+      await this.comments.setAnchors(workspaceId, noteId,
+        Object.fromEntries(threads.map((thread, i) => [thread.id, anchors[i]])));
+    } catch (error) {
+      logger.error({ error: error.message, workspaceId, noteId }, 'Error al actualizar las anclas de los comentarios');
+    }
+  }
+
+  /**
+   * Valida el texto de un comentario
+   * @returns {string|null} Texto sin espacios en los extremos, o null si no es válido
+   * @private
+   */
+  _commentContent(data) {
+    const content = typeof data?.content === 'string' ? data.content.trim() : '';
+    return content && content.length <= this.COMMENT_MAX_LENGTH ? content : null;
+  }
+
+  /**
+   * Datos públicos del usuario de una nota para las operaciones y versiones
+   * @private
+   */
+  _author(user) {
+    return { email: user.userData.email, name: user.userData.name };
+  }
+
+  /**
+   * Notifica operaciones ya aplicadas por otras instancias
+   * Los clientes que reciben el contenido completo solo reciben el resultado final.
+   * @private
+   */
+  _emitOperations(workspaceId, noteId, { operations, content, revision }, exceptSocket = null) {
+    if (!operations || operations.length === 0) return;
+
+    const to = room => (exceptSocket ? exceptSocket.to(room) : this.io.to(room));
+    const fullContentRoom = this._fullContentRoom(workspaceId, noteId);
+
+    for (const entry of operations) {
+      to(`note:${workspaceId}:${noteId}`).except(fullContentRoom).emit('note_operation', {
+        noteId,
+        revision: entry.revision,
+        operation: entry.operation,
+        author: entry.author
+      });
+    }
+    if (content !== undefined) {
+      to(fullContentRoom).emit('note_content_updated', { noteId, content, revision, updatedBy: null });
+    }
+  }
+
+  /**
+   * Recibe el aviso de que otra instancia aceptó cambios en una nota
+   * Los cambios se leen de Redis, de modo que un aviso perdido se recupera con
+   * el siguiente cambio de la nota.
+   * @param {Object} message - Aviso ({ instanceId, workspaceId, noteId })
+   * @returns {Promise<void>}
+   */
+  async receive(message) {
+    if (!message || message.instanceId === this.instanceId) return;
+
+    try {
+      const { workspaceId, noteId } = message;
+      const doc = await this.store.sync(workspaceId, noteId);
+      if (doc) {
+        this._emitOperations(workspaceId, noteId, doc);
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error al recibir cambios de nota de otra instancia');
+    }
+  }
+
+  /**
+   * Se suscribe a los avisos de cambios de otras instancias en cuanto Redis está disponible
+   * @private
+   */
+  async _subscribe() {
+    if (this.subscribed || !redisService.isConnected) return;
+    this.subscribed = await redisService.subscribe(this._operationsChannel(), message => this.receive(message));
+  }
+
+  /**
+   * Devuelve la sala de los sockets de una nota que reciben el contenido completo en cada cambio
+   * @private
+   */
+  _fullContentRoom(workspaceId, noteId) {
+    return `note:${workspaceId}:${noteId}:full`;
+  }
+
+  /**
+   * Devuelve el canal de Redis Pub/Sub de los cambios de las notas
+   * @private
+   */
+  _operationsChannel() {
+    return `${this.REDIS_PREFIX}operations`;
+  }
+
+  /**
+   * Busca al usuario de un socket entre los usuarios de una nota
+   * @private
+   */
+  _noteUser(socket, workspaceId, noteId) {
+    if (!socket.rooms?.has(`note:${workspaceId}:${noteId}`)) return null;
+    return noteUsers.get(noteId)?.find(u => u.id === socket.id) || null;
+  }
+
+  /**
+   * Caducidad del contenido de las notas según la política de retención del workspace
+   * @private
+   */
+  async _contentTtl(workspaceId) {
+    if (!this.retentionPolicies) return this.CONTENT_TTL;
+
+    const { notes } = await this.retentionPolicies.get(workspaceId);
+    return notes.mode === 'days' ? notes.days * 24 * 60 * 60 : null;
+  }
+
+  /**
+   * Indexa una nota por fecha de última edición para poder aplicar la política de retención
+   * @private
+   */
+  async _touch(workspaceId, noteId) {
+    await redisService.zAdd(this._notesIndexKey(workspaceId), Date.now(), noteId);
+  }
+
+  /**
+   * Devuelve la clave del índice de notas de un workspace por fecha de última edición
+   * @private
+   */
+  _notesIndexKey(workspaceId) {
+    return `${this.REDIS_PREFIX}${workspaceId}:notes`;
+  }
+
+  /**
+   * Maneja la desconexión de un usuario
+   * Sale de todas las notas en las que estaba, lo que también elimina sus cursores.
+   * @param {Object} socket - Socket de conexión
+   */
+  handleDisconnect(socket) {
+    try {
+      noteUsers.forEach((users, noteId) => {
+        const user = users.find(u => u.id === socket.id);
+        if (user) {
+          this.handleLeaveNote(socket, user.workspaceId, noteId);
         }
       });
     } catch (error) {
@@ -0,0 +1,268 @@
+/**
+ * Transformación operacional (OT) de texto plano para las notas colaborativas
+ *
+ * Una operación es una lista de componentes que recorre el documento entero:
+ * - número positivo: conservar ese número de caracteres
+ * - string: insertar ese texto
+ * - número negativo: borrar ese número de caracteres
+ * Ej: sobre "hola mundo", `[5, -5, "gente"]` produce "hola gente". Las
+ * longitudes se cuentan en unidades UTF-16, como `String.prototype.length`.
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+/**
+ * Construye operaciones en forma canónica: componentes contiguos del mismo tipo
+ * unidos y, en la misma posición, la inserción antes que el borrado
+ * @private
+ */
+class OperationBuilder {
+  constructor() {
+    this.ops = [];
+  }
+
+  retain(count) {
+    if (count <= 0) return this;
+    const last = this.ops.length - 1;
+    if (isRetain(this.ops[last])) {
+      this.ops[last] += count;
+    } else {
+      this.ops.push(count);
+    }
+    return this;
+  }
+
+  insert(text) {
+    if (!text) return this;
+    const last = this.ops.length - 1;
+    if (isInsert(this.ops[last])) {
+      this.ops[last] += text;
+    } else if (isDelete(this.ops[last])) {
+      if (isInsert(this.ops[last - 1])) {
+        this.ops[last - 1] += text;
+      } else {
+        this.ops.splice(last, 0, text);
+      }
+    } else {
+      this.ops.push(text);
+    }
+    return this;
+  }
+
+  delete(count) {
+    if (count <= 0) return this;
+    const last = this.ops.length - 1;
+    if (isDelete(this.ops[last])) {
+      this.ops[last] -= count;
+    } else {
+      this.ops.push(-count);
+    }
+    return this;
+  }
+
+  build() {
+    // Conservar al final no cambia nada
+    if (isRetain(this.ops[this.ops.length - 1])) this.ops.pop();
+    return this.ops;
+  }
+}
+
+/**
+ * Valida una operación recibida de un cliente y la pasa a forma canónica
+ * @param {*} operation - Operación enviada
+ * @returns {Array|null} Operación canónica o null si no es válida
+ */
+const normalizeOperation = (operation) => {
+  if (!Array.isArray(operation)) return null;
+
+  const builder = new OperationBuilder();
+  for (const component of operation) {
+    if (isInsert(component)) {
+      builder.insert(component);
+    } else if (Number.isSafeInteger(component) && component !== 0) {
+      if (component > 0) builder.retain(component);
+      else builder.delete(-component);
+    } else {
+      return null;
+    }
+  }
+  return builder.build();
+};
+
+/**
+ * Longitud mínima del documento sobre el que se puede aplicar una operación
+ * Las operaciones canónicas no incluyen el tramo final que conservan.
+ * @param {Array} operation - Operación
+ * @returns {number}
+ */
+const baseLength = (operation) => operation.reduce((length, component) => {
+  if (isRetain(component)) return length + component;
+  if (isDelete(component)) return length - component;
+  return length;
+}, 0);
+
+/**
+ * Aplica una operación a un texto
+ * @param {string} content - Texto original
+ * @param {Array} operation - Operación
+ * @returns {string} Texto resultante
+ * @throws {Error} Si la operación recorre más texto del que hay
+ */
+const applyOperation = (content, operation) => {
+  if (baseLength(operation) > content.length) {
+    throw new Error('La operación no corresponde a la longitud del documento');
+  }
+
+  const parts = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(content.slice(index, index + component));
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      parts.push(component);
+    }
+  }
+  parts.push(content.slice(index));
+
+  return parts.join('');
+};
+
+/**
+ * Transforma dos operaciones concurrentes sobre el mismo documento
+ * Devuelve [a', b'] tales que aplicar a y luego b' da lo mismo que aplicar b y
+ * luego a'. Si las dos insertan en la misma posición, el texto de `a` queda
+ * primero: el servidor pasa como `a` la operación que ya había aceptado.
+ * @param {Array} a - Operación aceptada antes
+ * @param {Array} b - Operación concurrente
+ * @returns {[Array, Array]}
+ */
+const transform = (a, b) => {
+  const aPrime = new OperationBuilder();
+  const bPrime = new OperationBuilder();
+  // El tramo final sin recorrer de cada operación se conserva
+  const opsA = [...a];
+  const opsB = [...b];
+  const lengthA = baseLength(a);
+  const lengthB = baseLength(b);
+  if (lengthA < lengthB) opsA.push(lengthB - lengthA);
+  if (lengthB < lengthA) opsB.push(lengthA - lengthB);
+
+  let i = 0;
+  let j = 0;
+  let compA = opsA[i++];
+  let compB = opsB[j++];
+
+  while (compA !== undefined || compB !== undefined) {
+    if (isInsert(compA)) {
+      aPrime.insert(compA);
+      bPrime.retain(compA.length);
+      compA = opsA[i++];
+      continue;
+    }
+    if (isInsert(compB)) {
+      aPrime.retain(compB.length);
+      bPrime.insert(compB);
+      compB = opsB[j++];
+      continue;
+    }
+
+    const lengthCompA = Math.abs(compA);
+    const lengthCompB = Math.abs(compB);
+    const length = Math.min(lengthCompA, lengthCompB);
+
+    if (isRetain(compA) && isRetain(compB)) {
+      aPrime.retain(length);
+      bPrime.retain(length);
+    } else if (isDelete(compA) && isRetain(compB)) {
+      aPrime.delete(length);
+    } else if (isRetain(compA) && isDelete(compB)) {
+      bPrime.delete(length);
+    }
+    // Si las dos borran el mismo tramo, ya no queda nada que borrar
+
+    compA = lengthCompA > length ? Math.sign(compA) * (lengthCompA - length) : opsA[i++];
+    compB = lengthCompB > length ? Math.sign(compB) * (lengthCompB - length) : opsB[j++];
+  }
+
+  return [aPrime.build(), bPrime.build()];
+};
+
+/**
+ * Calcula una operación que convierte un texto en otro
+ * Solo sustituye el tramo entre el prefijo y el sufijo comunes, suficiente para
+ * los clientes que envían el contenido completo.
+ * @param {string} from - Texto original
+ * @param {string} to - Texto nuevo
+ * @returns {Array} Operación
+ */
+const diffOperation = (from, to) => {
+  let prefix = 0;
+  const maxPrefix = Math.min(from.length, to.length);
+  while (prefix < maxPrefix && from[prefix] === to[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (suffix < maxSuffix && from[from.length - 1 - suffix] === to[to.length - 1 - suffix]) suffix++;
+
+  return new OperationBuilder()
+    .retain(prefix)
+    .insert(to.slice(prefix, to.length - suffix))
+    .delete(from.length - suffix - prefix)
+    .build();
+};
+
+/**
+ * Calcula dónde queda una posición del texto tras aplicar una operación
+ * @param {number} position - Posición en el texto original
+ * @param {Array} operation - Operación
+ * @param {boolean} [beforeInserts=false] - Si el texto insertado justo en la posición queda
+ *   antes de ella (la posición avanza) en lugar de después
+ * @returns {number} Posición en el texto resultante
+ */
+const transformPosition = (position, operation, beforeInserts = false) => {
+  let index = 0;
+  let result = position;
+
+  for (const component of operation) {
+    if (index > position) break;
+
+    if (isRetain(component)) {
+      index += component;
+    } else if (isInsert(component)) {
+      if (index < position || beforeInserts) result += component.length;
+    } else {
+      result -= Math.max(Math.min(-component, position - index), 0);
+      index -= component;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Calcula dónde queda un tramo del texto tras aplicar una operación
+ * El texto insertado en los extremos queda fuera del tramo; si se borra todo
+ * el tramo, queda vacío en el punto del borrado.
+ * @param {{from: number, to: number}} range - Tramo en el texto original
+ * @param {Array} operation - Operación
+ * @returns {{from: number, to: number}} Tramo en el texto resultante
+ */
+const transformRange = ({ from, to }, operation) => {
+  const newFrom = transformPosition(from, operation, true);
+  return { from: newFrom, to: Math.max(transformPosition(to, operation), newFrom) };
+};
+
+module.exports = {
+  normalizeOperation,
+  baseLength,
+  applyOperation,
+  transform,
+  diffOperation,
+  transformPosition,
+  transformRange
+};
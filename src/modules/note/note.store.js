@@ -0,0 +1,354 @@
+const redisService = require('../../services/redis');
+const { normalizeOperation, baseLength, applyOperation, transform } = require('./note.ot');
+
+const CATCH_UP_BATCH = 50; // Operaciones que se piden a Redis de una vez al ponerse al día
+const MAX_COMMIT_ATTEMPTS = 5; // Reintentos cuando otra instancia ocupa la misma revisión
+
+/**
+ * Interpreta la instantánea guardada de una nota
+ * Las notas guardadas antes de las revisiones contienen solo el texto.
+ * @private
+ */
+const parseSnapshot = (snapshot) => {
+  if (snapshot === null || snapshot === undefined) {
+    return { content: '', revision: 0 };
+  }
+  if (typeof snapshot === 'object' && typeof snapshot.content === 'string' && Number.isSafeInteger(snapshot.revision)) {
+    return { content: snapshot.content, revision: snapshot.revision };
+  }
+  return { content: typeof snapshot === 'string' ? snapshot : JSON.stringify(snapshot), revision: 0 };
+};
+
+/**
+ * Almacén de documentos de las notas colaborativas
+ *
+ * Cada cambio es una operación de texto (ver note.ot) contra una revisión del
+ * documento. Las operaciones hechas sobre una revisión anterior se transforman
+ * contra las aceptadas desde entonces, así que las ediciones simultáneas se
+ * combinan en lugar de sobrescribirse. Las operaciones se guardan en Redis en un
+ * hash por nota con un campo por revisión: ocuparlo con HSETNX hace de
+ * compare-and-set entre instancias. Además se guarda una instantánea del
+ * documento ({ content, revision }) para cargarlo sin reproducir el historial.
+ * Sin Redis, el documento vive solo en memoria.
+ */
+class NoteStore {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "note:")
+   * @param {Object} [options] - Opciones del almacén
+   * @param {number} [options.historyLimit=200] - Operaciones que se conservan para transformar cambios atrasados
+   * @param {number} [options.maxLength=1000000] - Longitud máxima del contenido de una nota
+   */
+  constructor(prefix, options = {}) {
+    this.prefix = prefix;
+    this.historyLimit = options.historyLimit || 200;
+    this.maxLength = options.maxLength || 1000000;
+    this.documents = new Map(); // `${workspaceId}:${noteId}` -> {content, revision, history}
+    this.queues = new Map(); // `${workspaceId}:${noteId}` -> promesa del último cambio en curso
+  }
+
+  /**
+   * Devuelve la clave de la instantánea de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {string} Clave de Redis
+   */
+  contentKey(workspaceId, noteId) {
+    return `${this.prefix}${workspaceId}:${noteId}:content`;
+  }
+
+  /**
+   * Devuelve la clave del hash de operaciones de una nota (revisión -> operación)
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {string} Clave de Redis
+   */
+  operationsKey(workspaceId, noteId) {
+    return `${this.prefix}${workspaceId}:${noteId}:ops`;
+  }
+
+  /**
+   * Carga el estado actual de una nota
+   * Incluye las operaciones de otras instancias que esta instancia aún no había
+   * aplicado, para notificarlas a sus sockets.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<{content: string, revision: number, operations: Object[]}>}
+   */
+  load(workspaceId, noteId) {
+    return this._enqueue(workspaceId, noteId, async () => {
+      const { doc, operations } = await this._document(workspaceId, noteId);
+      return { content: doc.content, revision: doc.revision, operations };
+    });
+  }
+
+  /**
+   * Se pone al día con las operaciones aceptadas por otras instancias
+   * Solo para las notas que esta instancia tiene cargadas.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<{content: string, revision: number, operations: Object[]}|null>}
+   */
+  async sync(workspaceId, noteId) {
+    if (!this.documents.has(this._documentId(workspaceId, noteId))) return null;
+    return this.load(workspaceId, noteId);
+  }
+
+  /**
+   * Carga el estado actual de una nota con las operaciones aceptadas desde una revisión
+   * Sirve para llevar a la revisión actual posiciones del texto guardadas en una
+   * revisión anterior.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number} revision - Revisión de partida
+   * @returns {Promise<{content: string, revision: number, changes: Array[]|null, operations: Object[]}>}
+   *   `changes` son las operaciones en orden, o null si la revisión ya no está en el historial
+   */
+  changesSince(workspaceId, noteId, revision) {
+    return this._enqueue(workspaceId, noteId, async () => {
+      const { doc, operations } = await this._document(workspaceId, noteId);
+      const entries = doc.history.filter(entry => entry.revision > revision);
+      const complete = Number.isSafeInteger(revision) && revision <= doc.revision &&
+        entries.length === doc.revision - revision;
+
+      return {
+        content: doc.content,
+        revision: doc.revision,
+        changes: complete ? entries.map(entry => entry.operation) : null,
+        operations
+      };
+    });
+  }
+
+  /**
+   * Aplica una operación hecha sobre una revisión de la nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number} baseRevision - Revisión sobre la que se hizo la operación
+   * @param {Array} operation - Operación de texto
+   * @param {Object} [options] - Opciones
+   * @param {Object} [options.author] - Autor del cambio ({ email, name })
+   * @param {number|null} [options.ttl] - Caducidad en segundos de la nota (null para conservarla)
+   * @returns {Promise<{result?: Object, error?: Object, operations?: Object[]}>} La operación
+   *   transformada con su revisión ({ revision, operation, content, previousContent }) o el
+   *   error ({ code, message }), y las operaciones de otras instancias aplicadas antes que ella
+   */
+  async submit(workspaceId, noteId, baseRevision, operation, { author = null, ttl = null } = {}) {
+    const normalized = normalizeOperation(operation);
+    if (!normalized) {
+      return { error: { code: 'INVALID_OPERATION', message: 'Operación no válida' } };
+    }
+    if (!Number.isSafeInteger(baseRevision) || baseRevision < 0) {
+      return { error: { code: 'INVALID_REVISION', message: 'Revisión no válida' } };
+    }
+
+    return this._enqueue(workspaceId, noteId, () =>
+      this._commit(workspaceId, noteId, baseRevision, normalized, { author, ttl }));
+  }
+
+  /**
+   * Cambia la caducidad de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number|null} seconds - Segundos hasta que caduque (null para conservarla)
+   * @returns {Promise<void>}
+   */
+  async expire(workspaceId, noteId, seconds) {
+    for (const key of [this.contentKey(workspaceId, noteId), this.operationsKey(workspaceId, noteId)]) {
+      if (seconds) {
+        await redisService.expire(key, seconds);
+      } else {
+        await redisService.persist(key);
+      }
+    }
+  }
+
+  /**
+   * Elimina una nota con todo su historial
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<void>}
+   */
+  async delete(workspaceId, noteId) {
+    this.documents.delete(this._documentId(workspaceId, noteId));
+    await redisService.delete(this.contentKey(workspaceId, noteId));
+    await redisService.delete(this.operationsKey(workspaceId, noteId));
+  }
+
+  /**
+   * Transforma la operación contra las concurrentes y ocupa la siguiente revisión
+   * @private
+   */
+  async _commit(workspaceId, noteId, baseRevision, operation, { author, ttl }) {
+    const caughtUp = [];
+
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      const { doc, operations } = await this._document(workspaceId, noteId);
+      caughtUp.push(...operations);
+
+      if (baseRevision > doc.revision) {
+        return { error: { code: 'INVALID_REVISION', message: 'La revisión no existe' }, operations: caughtUp };
+      }
+
+      const concurrent = doc.history.filter(entry => entry.revision > baseRevision);
+      if (concurrent.length < doc.revision - baseRevision) {
+        return { error: { code: 'REVISION_TOO_OLD', message: 'La revisión es demasiado antigua' }, operations: caughtUp };
+      }
+
+      let transformed = operation;
+      for (const entry of concurrent) {
+        [, transformed] = transform(entry.operation, transformed);
+      }
+
+      if (baseLength(transformed) > doc.content.length) {
+        return { error: { code: 'REVISION_MISMATCH', message: 'La operación no corresponde al contenido de la revisión' }, operations: caughtUp };
+      }
+
+      const content = applyOperation(doc.content, transformed);
+      if (content.length > this.maxLength) {
+        return { error: { code: 'NOTE_TOO_LARGE', message: `Las notas tienen como máximo ${this.maxLength} caracteres` }, operations: caughtUp };
+      }
+
+      const entry = {
+        revision: doc.revision + 1,
+        operation: transformed,
+        author,
+        timestamp: new Date().toISOString()
+      };
+
+      // false: otra instancia ocupó antes la revisión; al volver a cargar se aplica su operación
+      const claimed = await redisService.hSetNX(
+        this.operationsKey(workspaceId, noteId), String(entry.revision), entry);
+      if (claimed === false) continue;
+
+      const previousContent = doc.content;
+      this._append(doc, entry, content);
+      await this._persist(workspaceId, noteId, doc, ttl);
+
+      return {
+        result: { revision: entry.revision, operation: transformed, content, previousContent },
+        operations: caughtUp
+      };
+    }
+
+    return { error: { code: 'NOTE_BUSY', message: 'La nota está recibiendo demasiados cambios, inténtalo de nuevo' }, operations: caughtUp };
+  }
+
+  /**
+   * Devuelve el documento en memoria, cargándolo o poniéndolo al día desde Redis
+   * @private
+   */
+  async _document(workspaceId, noteId) {
+    const id = this._documentId(workspaceId, noteId);
+    let doc = this.documents.get(id);
+
+    if (!doc) {
+      const snapshot = await redisService.get(this.contentKey(workspaceId, noteId), true, true);
+      doc = { ...parseSnapshot(snapshot), history: [] };
+      doc.history = await this._readHistory(workspaceId, noteId, doc.revision);
+      this.documents.set(id, doc);
+
+      // Quien carga la nota recibe el contenido completo: no hay operaciones que notificar
+      await this._catchUp(workspaceId, noteId, doc);
+      return { doc, operations: [] };
+    }
+
+    const operations = await this._catchUp(workspaceId, noteId, doc);
+    return { doc, operations };
+  }
+
+  /**
+   * Aplica las operaciones guardadas en Redis posteriores a la revisión del documento
+   * @private
+   */
+  async _catchUp(workspaceId, noteId, doc) {
+    const applied = [];
+
+    for (;;) {
+      const fields = Array.from({ length: CATCH_UP_BATCH }, (_, i) => String(doc.revision + i + 1));
+      const entries = await redisService.hmGet(this.operationsKey(workspaceId, noteId), fields);
+      if (!entries) return applied;
+
+      for (const entry of entries) {
+        if (!entry) return applied;
+        this._append(doc, entry, applyOperation(doc.content, entry.operation));
+        applied.push(entry);
+      }
+    }
+  }
+
+  /**
+   * Lee las últimas operaciones hasta una revisión, sin huecos
+   * @private
+   */
+  async _readHistory(workspaceId, noteId, revision) {
+    const from = Math.max(revision - this.historyLimit + 1, 1);
+    if (revision < from) return [];
+
+    const fields = [];
+    for (let r = from; r <= revision; r++) fields.push(String(r));
+
+    const entries = await redisService.hmGet(this.operationsKey(workspaceId, noteId), fields) || [];
+    const history = [];
+    for (let i = entries.length - 1; i >= 0 && entries[i]; i--) {
+      history.unshift({ revision: entries[i].revision, operation: entries[i].operation });
+    }
+    return history;
+  }
+
+  /**
+   * Añade una operación aceptada al documento en memoria
+   * @private
+   */
+  _append(doc, entry, content) {
+    doc.content = content;
+    doc.revision = entry.revision;
+    doc.history.push({ revision: entry.revision, operation: entry.operation });
+    if (doc.history.length > this.historyLimit) {
+      doc.history.shift();
+    }
+  }
+
+  /**
+   * Guarda la instantánea y recorta el historial de operaciones en Redis
+   * @private
+   */
+  async _persist(workspaceId, noteId, doc, ttl) {
+    const operationsKey = this.operationsKey(workspaceId, noteId);
+
+    await redisService.set(this.contentKey(workspaceId, noteId), { content: doc.content, revision: doc.revision }, ttl);
+    if (doc.revision > this.historyLimit) {
+      await redisService.hDel(operationsKey, String(doc.revision - this.historyLimit));
+    }
+    if (ttl) {
+      await redisService.expire(operationsKey, ttl);
+    }
+  }
+
+  /**
+   * Ejecuta los cambios de una misma nota de uno en uno en esta instancia
+   * @private
+   */
+  _enqueue(workspaceId, noteId, task) {
+    const id = this._documentId(workspaceId, noteId);
+    const previous = this.queues.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+
+    this.queues.set(id, current);
+    const cleanup = () => {
+      if (this.queues.get(id) === current) this.queues.delete(id);
+    };
+    current.then(cleanup, cleanup);
+
+    return current;
+  }
+
+  /**
+   * Devuelve el identificador en memoria de una nota
+   * @private
+   */
+  _documentId(workspaceId, noteId) {
+    return `${workspaceId}:${noteId}`;
+  }
+}
+
+module.exports = NoteStore;
@@ -0,0 +1,329 @@
+const redisService = require('../../services/redis');
+
+const MAX_DIFF_EDITS = 2000; // Líneas cambiadas a partir de las que el diff deja de buscar el mínimo
+
+// Un texto vacío no tiene ninguna línea
+const splitLines = text => (text === '' ? [] : text.split('\n'));
+
+/**
+ * Compara dos textos línea a línea (algoritmo de Myers)
+ * Devuelve los tramos en orden, cada uno con sus líneas unidas por saltos de
+ * línea. Si hay demasiados cambios, todo lo que hay entre las líneas iniciales y
+ * finales comunes se da como eliminado y añadido.
+ * @param {string} from - Texto original
+ * @param {string} to - Texto nuevo
+ * @returns {{changes: Array<{type: string, text: string}>, added: number, removed: number}}
+ *   Tramos (`equal`, `removed` o `added`) y número de líneas añadidas y eliminadas
+ */
+const diffLines = (from, to) => {
+  const a = splitLines(from);
+  const b = splitLines(to);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const lines = [];
+  const push = (type, line) => {
+    const last = lines[lines.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else lines.push({ type, lines: [line] });
+  };
+
+  a.slice(0, start).forEach(line => push('equal', line));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  if (middle) {
+    middle.forEach(([type, line]) => push(type, line));
+  } else {
+    a.slice(start, endA).forEach(line => push('removed', line));
+    b.slice(start, endB).forEach(line => push('added', line));
+  }
+  a.slice(endA).forEach(line => push('equal', line));
+
+  const count = type => lines.filter(c => c.type === type).reduce((total, c) => total + c.lines.length, 0);
+  return {
+    changes: lines.map(({ type, lines: chunk }) => ({ type, text: chunk.join('\n') })),
+    added: count('added'),
+    removed: count('removed')
+  };
+};
+
+/**
+ * Busca el camino de edición mínimo entre dos listas de líneas
+ * @returns {Array<[string, string]>|null} Líneas con su tipo, o null si hay más de MAX_DIFF_EDITS cambios
+ * @private
+ */
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = []; // v de cada paso, solo en el rango de diagonales que se consulta
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return backtrack(a, b, trace);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Reconstruye las líneas del camino de edición guardado por myers()
+ * @private
+ */
+const backtrack = (a, b, trace) => {
+  const result = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = k => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      result.push(['equal', a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) result.push(['added', b[--y]]);
+      else result.push(['removed', a[--x]]);
+    }
+  }
+
+  return result.reverse();
+};
+
+/**
+ * Versiones guardadas de las notas colaborativas
+ *
+ * Cada versión es una copia del contenido en una revisión, con el usuario que
+ * la provocó y la fecha. Se guardan en Redis en dos hashes por nota con la
+ * revisión como campo: uno con los datos de cada versión, que se leen enteros
+ * para listarlas, y otro con el contenido. Se conservan las más recientes. Las
+ * versiones que no se pueden guardar en Redis se conservan en memoria.
+ */
+class NoteVersions {
+  /**
+   * @param {string} prefix - Prefijo de las claves en Redis (ej: "note:")
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.limit=50] - Versiones que se conservan por nota
+   */
+  constructor(prefix, options = {}) {
+    this.prefix = prefix;
+    this.limit = options.limit || 50;
+    this.localVersions = new Map(); // `${workspaceId}:${noteId}` -> Map(revisión -> {version, content}) sin Redis
+    this.lastSavedAt = new Map(); // `${workspaceId}:${noteId}` -> ms de la última versión conocida
+  }
+
+  /**
+   * Devuelve la clave del hash con los datos de las versiones de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {string} Clave de Redis
+   */
+  versionsKey(workspaceId, noteId) {
+    return `${this.prefix}${workspaceId}:${noteId}:versions`;
+  }
+
+  /**
+   * Devuelve la clave del hash con el contenido de las versiones de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {string} Clave de Redis
+   */
+  contentsKey(workspaceId, noteId) {
+    return `${this.prefix}${workspaceId}:${noteId}:versions:content`;
+  }
+
+  /**
+   * Guarda una versión de una nota
+   * El ID de la versión es la revisión del contenido. Las versiones automáticas
+   * no sustituyen a una versión ya guardada de la misma revisión.
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {Object} data - Datos de la versión
+   * @param {string} data.content - Contenido
+   * @param {number} data.revision - Revisión del contenido
+   * @param {Object} data.author - Usuario que provocó la versión ({ email, name })
+   * @param {string} data.reason - Motivo (`auto`, `manual` o `restore`)
+   * @param {string} [data.label] - Nombre de la versión
+   * @param {number|null} [ttl] - Caducidad en segundos (null para conservarla)
+   * @returns {Promise<Object|null>} Versión guardada, o null si ya existía una automática
+   */
+  async save(workspaceId, noteId, { content, revision, author, reason, label }, ttl = null) {
+    const id = this._documentId(workspaceId, noteId);
+    const field = String(revision);
+    const version = {
+      id: field,
+      revision,
+      author,
+      reason,
+      ...(label && { label }),
+      length: content.length,
+      timestamp: new Date().toISOString()
+    };
+
+    const versionsKey = this.versionsKey(workspaceId, noteId);
+    const contentsKey = this.contentsKey(workspaceId, noteId);
+    const local = this.localVersions.get(id);
+    let stored;
+    if (reason === 'auto') {
+      stored = await redisService.hSetNX(versionsKey, field, version);
+      if (stored === false || (stored === null && local?.has(field))) return null;
+    } else {
+      stored = await redisService.hSet(versionsKey, field, version);
+    }
+    // El contenido va dentro de un objeto para que no se interprete como JSON al leerlo
+    stored = stored && await redisService.hSet(contentsKey, field, { content });
+
+    // Solo se guarda en memoria lo que no se ha podido guardar en Redis
+    if (!stored) {
+      if (!local) this.localVersions.set(id, new Map());
+      this.localVersions.get(id).set(field, { version, content });
+    }
+    this.lastSavedAt.set(id, Date.now());
+
+    await this._trim(workspaceId, noteId);
+    if (ttl) {
+      await redisService.expire(versionsKey, ttl);
+      await redisService.expire(contentsKey, ttl);
+    }
+
+    return version;
+  }
+
+  /**
+   * Lista las versiones de una nota, de la más reciente a la más antigua
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<Object[]>} Versiones sin su contenido
+   */
+  async list(workspaceId, noteId) {
+    const stored = await redisService.hGetAll(this.versionsKey(workspaceId, noteId));
+    const versions = stored
+      ? Object.values(stored)
+      : Array.from(this.localVersions.get(this._documentId(workspaceId, noteId))?.values() || [], v => v.version);
+
+    return versions.sort((a, b) => b.revision - a.revision);
+  }
+
+  /**
+   * Obtiene una versión con su contenido
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {string} versionId - ID de la versión
+   * @returns {Promise<{version: Object, content: string}|null>}
+   */
+  async get(workspaceId, noteId, versionId) {
+    const field = String(versionId);
+    const [version] = await redisService.hmGet(this.versionsKey(workspaceId, noteId), [field]) || [];
+    if (version) {
+      const [stored] = await redisService.hmGet(this.contentsKey(workspaceId, noteId), [field]) || [];
+      if (typeof stored?.content === 'string') {
+        return { version, content: stored.content };
+      }
+    }
+
+    return this.localVersions.get(this._documentId(workspaceId, noteId))?.get(field) || null;
+  }
+
+  /**
+   * Indica si ha pasado el intervalo indicado desde la última versión de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number} interval - Milisegundos
+   * @returns {Promise<boolean>}
+   */
+  async isDue(workspaceId, noteId, interval) {
+    const id = this._documentId(workspaceId, noteId);
+    if (!this.lastSavedAt.has(id)) {
+      const [latest] = await this.list(workspaceId, noteId);
+      this.lastSavedAt.set(id, latest ? Date.parse(latest.timestamp) : 0);
+    }
+    return Date.now() - this.lastSavedAt.get(id) >= interval;
+  }
+
+  /**
+   * Cambia la caducidad de las versiones de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @param {number|null} seconds - Segundos hasta que caduquen (null para conservarlas)
+   * @returns {Promise<void>}
+   */
+  async expire(workspaceId, noteId, seconds) {
+    for (const key of [this.versionsKey(workspaceId, noteId), this.contentsKey(workspaceId, noteId)]) {
+      if (seconds) {
+        await redisService.expire(key, seconds);
+      } else {
+        await redisService.persist(key);
+      }
+    }
+  }
+
+  /**
+   * Elimina todas las versiones de una nota
+   * @param {string} workspaceId - ID del workspace
+   * @param {string} noteId - ID de la nota
+   * @returns {Promise<void>}
+   */
+  async delete(workspaceId, noteId) {
+    const id = this._documentId(workspaceId, noteId);
+    this.localVersions.delete(id);
+    this.lastSavedAt.delete(id);
+    await redisService.delete(this.versionsKey(workspaceId, noteId));
+    await redisService.delete(this.contentsKey(workspaceId, noteId));
+  }
+
+  /**
+   * Elimina las versiones más antiguas por encima del límite
+   * @private
+   */
+  async _trim(workspaceId, noteId) {
+    const local = this.localVersions.get(this._documentId(workspaceId, noteId));
+    if (local) {
+      const localFields = Array.from(local.keys()).sort((a, b) => Number(b) - Number(a));
+      localFields.slice(this.limit).forEach(field => local.delete(field));
+    }
+
+    const versions = await this.list(workspaceId, noteId);
+    const expired = versions.slice(this.limit).map(version => version.id);
+    if (expired.length > 0) {
+      await redisService.hDel(this.versionsKey(workspaceId, noteId), expired);
+      await redisService.hDel(this.contentsKey(workspaceId, noteId), expired);
+    }
+  }
+
+  /**
+   * Devuelve el identificador en memoria de una nota
+   * @private
+   */
+  _documentId(workspaceId, noteId) {
+    return `${workspaceId}:${noteId}`;
+  }
+}
+
+module.exports = NoteVersions;
+module.exports.diffLines = diffLines;
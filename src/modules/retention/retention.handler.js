@@ -0,0 +1,143 @@
+const logger = require('../../utils/logger');
+const metricsService = require('../../services/metrics');
+const { isWorkspaceAdmin } = require('../../middleware/auth');
+const RetentionJob = require('./retention.job');
+
+/**
+ * Clase para manejar las políticas de retención de datos de los workspaces
+ */
+class RetentionHandler {
+  /**
+   * Inicializa el handler con la instancia de socket.io
+   * @param {Object} io - Instancia de Socket.IO
+   * @param {Object} options - Dependencias
+   * @param {Object} options.policies - Políticas de retención (RetentionPolicies)
+   * @param {Object<string, Function>} options.purgers - Función de purga de cada tipo de datos
+   *   (ver RetentionJob)
+   * @param {number} [options.interval] - Milisegundos entre purgas
+   */
+  constructor(io, { policies, purgers, interval }) {
+    this.io = io;
+    this.policies = policies;
+    // Purga periódica; con varias instancias solo una la ejecuta cada vez
+    this.job = new RetentionJob(policies, { purgers, interval });
+    this.job.start();
+  }
+
+  /**
+   * Registra todos los manejadores de eventos de retención
+   * @param {Object} socket - Socket de conexión
+   */
+  registerHandlers(socket) {
+    socket.on('get_retention_policies', (data) => this.handlePoliciesRequest(socket, 'get_retention_policies', data));
+    socket.on('update_retention_policies', (data) => this.handlePoliciesRequest(socket, 'update_retention_policies', data));
+  }
+
+  /**
+   * Maneja la consulta y la actualización de las políticas de retención
+   * Ambos eventos responden con `retention_policies`.
+   * @param {Object} socket - Socket de conexión
+   * @param {string} event - Evento recibido
+   * @param {Object} data - Datos ({ workspaceId, policies })
+   */
+  async handlePoliciesRequest(socket, event, data) {
+    const startTime = Date.now();
+    const { workspaceId } = data || {};
+
+    try {
+      const { error, result } = event === 'get_retention_policies'
+        ? await this.getPolicies(socket.user, workspaceId)
+        : await this.updatePolicies(socket.user, workspaceId, data?.policies);
+
+      if (error) {
+        socket.emit('error', { message: error.message, code: error.code });
+        return;
+      }
+
+      socket.emit('retention_policies', result);
+
+      metricsService.messageProcessed(event, Date.now() - startTime);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        socketId: socket.id,
+        workspaceId,
+        event
+      }, 'Error al gestionar las políticas de retención');
+
+      metricsService.errorOccurred(event, {
+        socketId: socket.id,
+        error: error.message
+      });
+
+      socket.emit('error', { message: 'Error al gestionar las políticas de retención', details: error.message });
+    }
+  }
+
+  /**
+   * Obtiene las políticas de retención de un workspace (solo administradores)
+   * @param {Object} user - Usuario autenticado
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async getPolicies(user, workspaceId) {
+    const error = this._checkAccess(user, workspaceId);
+    if (error) return { error };
+
+    return { result: { workspaceId, ...(await this.policies.get(workspaceId)) } };
+  }
+
+  /**
+   * Actualiza las políticas de retención de un workspace (solo administradores)
+   * Cada tipo de datos (`chat`, `notes`, `activity`) admite `{ mode: "forever" }`,
+   * `{ mode: "days", days }` o `{ mode: "count", count }` (las notas no admiten
+   * `count`). La nueva política se aplica en segundo plano al momento.
+   * @param {Object} user - Usuario autenticado
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} policies - Políticas a cambiar, por tipo de datos
+   * @returns {Promise<{result?: Object, error?: {status: number, code: string, message: string}}>}
+   */
+  async updatePolicies(user, workspaceId, policies) {
+    const accessError = this._checkAccess(user, workspaceId);
+    if (accessError) return { error: accessError };
+
+    const { policies: updated, error } = await this.policies.set(workspaceId, policies, user.email);
+    if (error) {
+      return { error: { status: 400, code: 'INVALID_RETENTION_POLICY', message: error } };
+    }
+
+    logger.info({
+      workspaceId,
+      updatedBy: user.email,
+      chat: updated.chat,
+      notes: updated.notes,
+      activity: updated.activity
+    }, 'Políticas de retención actualizadas');
+
+    this.job.purgeWorkspace(workspaceId).catch(purgeError => {
+      logger.error({ error: purgeError.message, workspaceId }, 'Error al aplicar las políticas de retención');
+    });
+
+    return { result: { workspaceId, ...updated } };
+  }
+
+  /**
+   * Comprueba que el usuario puede administrar la retención de un workspace
+   * @returns {Object|null} Error ({ status, code, message }) o null si tiene acceso
+   * @private
+   */
+  _checkAccess(user, workspaceId) {
+    if (!user?.email) {
+      return { status: 401, code: 'AUTH_REQUIRED', message: 'Autenticación requerida' };
+    }
+    if (!workspaceId) {
+      return { status: 400, code: 'INVALID_REQUEST', message: 'Falta el workspaceId' };
+    }
+    if (!isWorkspaceAdmin(user, workspaceId)) {
+      return { status: 403, code: 'FORBIDDEN', message: 'Solo los administradores pueden gestionar la retención' };
+    }
+    return null;
+  }
+}
+
+module.exports = RetentionHandler;
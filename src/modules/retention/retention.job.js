@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const redisService = require('../../services/redis');
+const metricsService = require('../../services/metrics');
+const logger = require('../../utils/logger');
+
+/**
+ * Trabajo periódico de purga de datos según las políticas de retención
+ *
+ * Cada tipo de datos tiene una función de purga, que recibe el workspace y su
+ * política y devuelve cuántos elementos eliminó. En cada ejecución se recorren
+ * los workspaces con políticas configuradas; los que usan las de por defecto no
+ * necesitan purga porque sus límites se aplican al escribir. Con varias
+ * instancias, un bloqueo en Redis hace que solo una ejecute cada purga.
+ */
+class RetentionJob {
+  /**
+   * @param {Object} policies - Políticas de retención (RetentionPolicies)
+   * @param {Object} options - Opciones del trabajo
+   * @param {Object<string, Function>} options.purgers - Función de purga de cada tipo de datos:
+   *   (workspaceId, policy) => Promise<number>
+   * @param {number} [options.interval=3600000] - Milisegundos entre purgas
+   */
+  constructor(policies, options) {
+    this.policies = policies;
+    this.purgers = options.purgers;
+    this.interval = options.interval || 3600000;
+    this.instanceId = crypto.randomUUID();
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Devuelve la clave del bloqueo de la purga
+   * @returns {string} Clave de Redis
+   */
+  lockKey() {
+    return `${this.policies.prefix}purge:lock`;
+  }
+
+  /**
+   * Empieza a ejecutar la purga periódicamente
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.run(), this.interval);
+  }
+
+  /**
+   * Deja de ejecutar la purga
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Purga los datos de todos los workspaces con políticas configuradas
+   * No se solapan dos ejecuciones, ni en esta instancia ni entre instancias.
+   * @returns {Promise<Object|null>} Elementos eliminados por tipo de datos, o null si no se ejecutó
+   */
+  async run() {
+    if (this.running) return null;
+
+    // Sin Redis (null) cada instancia purga sus datos locales
+    const lockTtl = Math.max(Math.floor(this.interval / 1000) - 1, 1);
+    const locked = await redisService.setNX(this.lockKey(), this.instanceId, lockTtl);
+    if (locked === false) return null;
+
+    this.running = true;
+    const startTime = Date.now();
+    const deleted = {};
+
+    try {
+      const workspaceIds = await this.policies.listWorkspaces();
+      for (const workspaceId of workspaceIds) {
+        const purged = await this.purgeWorkspace(workspaceId);
+        for (const [type, count] of Object.entries(purged)) {
+          deleted[type] = (deleted[type] || 0) + count;
+        }
+      }
+
+      metricsService.retentionRunCompleted({
+        workspaces: workspaceIds.length,
+        deleted,
+        duration: Date.now() - startTime
+      });
+
+      logger.info({
+        workspaces: workspaceIds.length,
+        deleted,
+        duration: Date.now() - startTime
+      }, 'Purga de retención completada');
+
+      return deleted;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error en la purga de retención');
+      metricsService.errorOccurred('retention_purge', { error: error.message });
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Purga los datos de un workspace según sus políticas
+   * Un fallo en un tipo de datos no impide purgar los demás.
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Object<string, number>>} Elementos eliminados por tipo de datos
+   */
+  async purgeWorkspace(workspaceId) {
+    const policies = await this.policies.get(workspaceId);
+    const deleted = {};
+
+    for (const [type, purge] of Object.entries(this.purgers)) {
+      try {
+        deleted[type] = await purge(workspaceId, policies[type]);
+        metricsService.retentionPurged(type, deleted[type]);
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          workspaceId,
+          type
+        }, 'Error al purgar datos del workspace');
+        metricsService.errorOccurred('retention_purge', { workspaceId, type, error: error.message });
+      }
+    }
+
+    if (Object.values(deleted).some(count => count > 0)) {
+      logger.info({ workspaceId, deleted }, 'Datos purgados por la política de retención');
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = RetentionJob;
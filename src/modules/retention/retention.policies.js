@@ -0,0 +1,148 @@
+const redisService = require('../../services/redis');
+
+const MAX_DAYS = 3650;
+const MAX_COUNT = 1000000;
+
+/**
+ * Tipos de datos con política de retención y modos que admite cada uno
+ * - chat: mensajes de los canales (con sus hilos, reacciones y copias fijadas)
+ * - notes: contenido de las notas colaborativas
+ * - activity: registro de actividad de moderación del chat
+ */
+const DATA_TYPES = {
+  chat: ['forever', 'days', 'count'],
+  notes: ['forever', 'days'],
+  activity: ['forever', 'days', 'count']
+};
+
+/**
+ * Políticas que se aplican si el workspace no ha configurado otras
+ * Reproducen el comportamiento anterior a las políticas configurables.
+ */
+const DEFAULT_POLICIES = {
+  chat: { mode: 'forever' },
+  notes: { mode: 'days', days: 7 },
+  activity: { mode: 'count', count: 1000 }
+};
+
+/**
+ * Valida y normaliza la política de un tipo de datos
+ * `{ mode: "forever" }`, `{ mode: "days", days }` o `{ mode: "count", count }`
+ * @param {string} type - Tipo de datos (chat, notes, activity)
+ * @param {Object} policy - Política enviada por el administrador
+ * @returns {{policy?: Object, error?: string}} Política normalizada o error de validación
+ */
+const normalizePolicy = (type, policy) => {
+  const modes = DATA_TYPES[type];
+  if (!modes) return { error: `Tipo de datos desconocido: ${type}` };
+
+  if (!policy || typeof policy !== 'object' || !modes.includes(policy.mode)) {
+    return { error: `${type}: el modo debe ser ${modes.join(', ')}` };
+  }
+
+  if (policy.mode === 'forever') return { policy: { mode: 'forever' } };
+
+  const [field, max] = policy.mode === 'days' ? ['days', MAX_DAYS] : ['count', MAX_COUNT];
+  const value = Number(policy[field]);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    return { error: `${type}: ${field} debe ser un entero entre 1 y ${max}` };
+  }
+
+  return { policy: { mode: policy.mode, [field]: value } };
+};
+
+/**
+ * Políticas de retención de datos de cada workspace
+ *
+ * Las políticas se guardan en Redis junto con un conjunto de los workspaces que
+ * las han configurado, que es el que recorre el trabajo de purga. Se mantiene
+ * una copia local para seguir funcionando sin Redis.
+ */
+class RetentionPolicies {
+  /**
+   * @param {string} [prefix="retention:"] - Prefijo de las claves en Redis
+   */
+  constructor(prefix = 'retention:') {
+    this.prefix = prefix;
+    this.localPolicies = new Map(); // workspaceId -> políticas
+  }
+
+  /**
+   * Devuelve la clave de las políticas de un workspace
+   * Van bajo "policies:" para no coincidir con las demás claves del prefijo
+   * ("workspaces", "purge:lock") si un workspace tiene ese ID.
+   * @param {string} workspaceId - ID del workspace
+   * @returns {string} Clave de Redis
+   */
+  policiesKey(workspaceId) {
+    return `${this.prefix}policies:${workspaceId}`;
+  }
+
+  /**
+   * Devuelve la clave del conjunto de workspaces con políticas configuradas
+   * @returns {string} Clave de Redis
+   */
+  workspacesKey() {
+    return `${this.prefix}workspaces`;
+  }
+
+  /**
+   * Obtiene las políticas de un workspace, completadas con las de por defecto
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Object>} { chat, notes, activity, updatedBy, updatedAt }
+   */
+  async get(workspaceId) {
+    const stored = await redisService.get(this.policiesKey(workspaceId)) ||
+      this.localPolicies.get(workspaceId);
+
+    return { ...DEFAULT_POLICIES, updatedBy: null, updatedAt: null, ...stored };
+  }
+
+  /**
+   * Actualiza las políticas de un workspace
+   * Solo cambian los tipos de datos incluidos en `policies`.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} policies - Políticas por tipo de datos ({ chat, notes, activity })
+   * @param {string} updatedBy - Email del administrador
+   * @returns {Promise<{policies?: Object, error?: string}>} Políticas guardadas o error de validación
+   */
+  async set(workspaceId, policies, updatedBy) {
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+      return { error: 'Las políticas deben ser un objeto por tipo de datos' };
+    }
+
+    const types = Object.keys(policies);
+    if (types.length === 0) {
+      return { error: `Indica la política de al menos un tipo de datos (${Object.keys(DATA_TYPES).join(', ')})` };
+    }
+
+    const current = await this.get(workspaceId);
+    const updated = { ...current, updatedBy, updatedAt: new Date().toISOString() };
+
+    for (const type of types) {
+      const { policy, error } = normalizePolicy(type, policies[type]);
+      if (error) return { error };
+      updated[type] = policy;
+    }
+
+    this.localPolicies.set(workspaceId, updated);
+    await redisService.set(this.policiesKey(workspaceId), updated);
+    await redisService.sAdd(this.workspacesKey(), workspaceId);
+
+    return { policies: updated };
+  }
+
+  /**
+   * Lista los workspaces que han configurado sus políticas
+   * @returns {Promise<string[]>}
+   */
+  async listWorkspaces() {
+    const stored = await redisService.sMembers(this.workspacesKey());
+    return Array.from(new Set([...(stored || []), ...this.localPolicies.keys()]));
+  }
+}
+
+module.exports = RetentionPolicies;
+module.exports.DATA_TYPES = DATA_TYPES;
+module.exports.DEFAULT_POLICIES = DEFAULT_POLICIES;
+module.exports.normalizePolicy = normalizePolicy;
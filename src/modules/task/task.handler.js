@@ -1,6 +1,7 @@
 const logger = require("../../utils/logger");
 const metricsService = require("../../services/metrics");
 const redisService = require("../../services/redis");
+const { resolveIdentity } = require("../../middleware/auth");
 
 // Almacenamiento en memoria para usuarios viendo la agenda
 const agendaUsers = new Map(); // workspaceId -> Map(socketId -> userData)
@@ -50,12 +51,16 @@ class TaskHandler {
    * Maneja el evento de unirse a la agenda
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
-   * @param {Object} userData - Datos del usuario
+   * @param {Object} claimedUserData - Datos del usuario enviados por el cliente
    */
-  async handleJoinAgenda(socket, workspaceId, userData) {
+  async handleJoinAgenda(socket, workspaceId, claimedUserData) {
     const startTime = Date.now();
 
     try {
+      // La identidad se toma del token, no de los datos del cliente
+      const userData = resolveIdentity(socket, claimedUserData, "join_agenda");
+      if (!userData) return;
+
       logger.info(
         {
           socketId: socket.id,
@@ -220,7 +225,9 @@ class TaskHandler {
     const startTime = Date.now();
 
     try {
-      const { workspaceId, task, createdBy } = taskData;
+      const { workspaceId, task } = taskData;
+      const createdBy = resolveIdentity(socket, taskData.createdBy, "task_created");
+      if (!createdBy) return;
 
       logger.info(
         {
@@ -232,22 +239,7 @@ class TaskHandler {
         "Tarea creada"
       );
 
-      // Emitir a todos los usuarios en la agenda del workspace
-      const roomName = `agenda:${workspaceId}`;
-      socket.to(roomName).emit("task_created", {
-        workspaceId,
-        task,
-        createdBy,
-        timestamp: new Date().toISOString(),
-      });
-
-      // También emitir a todos los usuarios del workspace por si están en otras páginas
-      this.io.to(`workspace:${workspaceId}`).emit("workspace_task_created", {
-        workspaceId,
-        task,
-        createdBy,
-        timestamp: new Date().toISOString(),
-      });
+      this.broadcastTaskCreated(workspaceId, task, createdBy, socket);
 
       metricsService.messageProcessed("task_created", Date.now() - startTime);
     } catch (error) {
@@ -266,6 +258,35 @@ class TaskHandler {
     }
   }
 
+  /**
+   * Notifica la creación de una tarea a la agenda y al workspace
+   * También lo usan los comandos del chat (`/task`).
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} task - Tarea creada
+   * @param {Object} createdBy - Usuario que la creó
+   * @param {Object} [socket] - Socket del autor, que no recibe `task_created`
+   */
+  broadcastTaskCreated(workspaceId, task, createdBy, socket = null) {
+    const timestamp = new Date().toISOString();
+
+    // Emitir a todos los usuarios en la agenda del workspace
+    const roomName = `agenda:${workspaceId}`;
+    (socket ? socket.to(roomName) : this.io.to(roomName)).emit("task_created", {
+      workspaceId,
+      task,
+      createdBy,
+      timestamp,
+    });
+
+    // También emitir a todos los usuarios del workspace por si están en otras páginas
+    this.io.to(`workspace:${workspaceId}`).emit("workspace_task_created", {
+      workspaceId,
+      task,
+      createdBy,
+      timestamp,
+    });
+  }
+
   /**
    * Maneja el evento de tarea actualizada
    * @param {Object} socket - Socket de conexión
@@ -275,7 +296,9 @@ class TaskHandler {
     const startTime = Date.now();
 
     try {
-      const { workspaceId, task, updatedBy, changes } = taskData;
+      const { workspaceId, task, changes } = taskData;
+      const updatedBy = resolveIdentity(socket, taskData.updatedBy, "task_updated");
+      if (!updatedBy) return;
 
       logger.info(
         {
@@ -333,7 +356,9 @@ class TaskHandler {
     const startTime = Date.now();
 
     try {
-      const { workspaceId, taskId, deletedBy } = taskData;
+      const { workspaceId, taskId } = taskData;
+      const deletedBy = resolveIdentity(socket, taskData.deletedBy, "task_deleted");
+      if (!deletedBy) return;
 
       logger.info(
         {
@@ -388,8 +413,9 @@ class TaskHandler {
     const startTime = Date.now();
 
     try {
-      const { workspaceId, taskId, fromStatus, toStatus, task, movedBy } =
-        taskData;
+      const { workspaceId, taskId, fromStatus, toStatus, task } = taskData;
+      const movedBy = resolveIdentity(socket, taskData.movedBy, "task_moved");
+      if (!movedBy) return;
 
       logger.info(
         {
@@ -1,11 +1,15 @@
 const logger = require("../../utils/logger");
 const metricsService = require("../../services/metrics");
 const redisService = require("../../services/redis");
+const { isWorkspaceMember, resolveIdentity } = require("../../middleware/auth");
+const { isClientRoomId } = require("../../utils/rooms");
 
 // Almacenamiento en memoria (se reemplazará gradualmente por Redis)
 const workspaceSockets = {}; // workspaceId -> Map(socketId -> userData)
 const userLastSeen = new Map(); // workspaceId -> Map<userId -> timestamp>
 const pendingDisconnections = new Map(); // socketId -> { userData, workspaceId, timeout }
+const workspaceMembers = new Map(); // workspaceId -> Map<email -> member>
+const userWorkspaces = new Map(); // email -> Set<workspaceId>
 
 /**
  * Clase para manejar eventos relacionados con workspaces
@@ -45,12 +49,43 @@ class WorkspaceHandler {
    * Maneja el evento de unirse a un workspace
    * @param {Object} socket - Socket de conexión
    * @param {string} workspaceId - ID del workspace
-   * @param {Object} userData - Datos del usuario
+   * @param {Object} claimedUserData - Datos del usuario enviados por el cliente
    */
-  async handleJoinWorkspace(socket, workspaceId, userData) {
+  async handleJoinWorkspace(socket, workspaceId, claimedUserData) {
     const startTime = Date.now();
 
     try {
+      // El ID es también el nombre de la sala: no puede ser una sala reservada
+      if (!isClientRoomId(workspaceId)) {
+        socket.emit("error", {
+          message: "ID de workspace no válido",
+          code: "INVALID_WORKSPACE",
+        });
+        return;
+      }
+
+      // La identidad se toma del token, no de los datos del cliente
+      const userData = resolveIdentity(socket, claimedUserData, "join_workspace");
+      if (!userData) return;
+
+      // Solo pueden entrar los miembros según el token
+      if (!isWorkspaceMember(socket.user, workspaceId)) {
+        logger.warn(
+          {
+            socketId: socket.id,
+            email: userData.email,
+            workspaceId,
+          },
+          "Intento de unirse a un workspace sin ser miembro"
+        );
+
+        socket.emit("error", {
+          message: "No eres miembro de este workspace",
+          code: "FORBIDDEN",
+        });
+        return;
+      }
+
       logger.info(
         {
           socketId: socket.id,
@@ -149,6 +184,9 @@ class WorkspaceHandler {
       }
       userLastSeen.get(workspaceId).set(userData.email, new Date());
 
+      // Registrar la pertenencia del usuario al workspace (ya comprobada en el token)
+      await this.recordMember(workspaceId, userData);
+
       // Unir al socket a la sala del workspace
       socket.join(workspaceId);
 
@@ -368,6 +406,96 @@ class WorkspaceHandler {
     }
   }
 
+  /**
+   * Registra a un usuario como miembro de un workspace
+   * A diferencia de la lista de usuarios conectados, la pertenencia se conserva
+   * tras la desconexión para poder notificar a miembros offline. Solo se llama
+   * con usuarios cuya pertenencia ya se ha comprobado en el token.
+   * @param {string} workspaceId - ID del workspace
+   * @param {Object} userData - Datos del usuario
+   */
+  async recordMember(workspaceId, userData) {
+    if (!userData?.email) return;
+
+    const member = {
+      id: userData.id,
+      email: userData.email,
+      name: userData.name,
+      image: userData.image,
+    };
+
+    if (!workspaceMembers.has(workspaceId)) {
+      workspaceMembers.set(workspaceId, new Map());
+    }
+    workspaceMembers.get(workspaceId).set(member.email, member);
+
+    if (!userWorkspaces.has(member.email)) {
+      userWorkspaces.set(member.email, new Set());
+    }
+    userWorkspaces.get(member.email).add(workspaceId);
+
+    await redisService.hSet(
+      `${this.REDIS_PREFIX}${workspaceId}:members`,
+      member.email,
+      member
+    );
+    await redisService.sAdd(
+      `${this.REDIS_PREFIX}member:${member.email}:workspaces`,
+      workspaceId
+    );
+  }
+
+  /**
+   * Obtiene los miembros conocidos de un workspace (conectados o no)
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Array<Object>>} Miembros ({ id, email, name, image })
+   */
+  async getWorkspaceMembers(workspaceId) {
+    const members = await redisService.hGetAll(
+      `${this.REDIS_PREFIX}${workspaceId}:members`
+    );
+
+    if (members) {
+      return Object.values(members);
+    }
+
+    return Array.from(workspaceMembers.get(workspaceId)?.values() || []);
+  }
+
+  /**
+   * Obtiene los usuarios conectados actualmente a un workspace (sin duplicados)
+   * @param {string} workspaceId - ID del workspace
+   * @returns {Promise<Array<Object>>} Datos de los usuarios conectados
+   */
+  async getConnectedUsers(workspaceId) {
+    const workspaceUsers = await redisService.get(
+      `${this.REDIS_PREFIX}${workspaceId}:users`
+    );
+
+    const allUsers = workspaceUsers
+      ? Object.values(workspaceUsers)
+      : Array.from(workspaceSockets[workspaceId]?.values() || []);
+
+    return this.removeDuplicateUsers(allUsers);
+  }
+
+  /**
+   * Obtiene los workspaces a los que pertenece un usuario
+   * @param {string} email - Email del usuario
+   * @returns {Promise<string[]>} IDs de workspace
+   */
+  async getUserWorkspaces(email) {
+    const workspaceIds = await redisService.sMembers(
+      `${this.REDIS_PREFIX}member:${email}:workspaces`
+    );
+
+    if (workspaceIds) {
+      return workspaceIds;
+    }
+
+    return Array.from(userWorkspaces.get(email) || []);
+  }
+
   /**
    * Elimina usuarios duplicados basándose en el email
    * @param {Array} users - Array de usuarios
@@ -68,7 +68,13 @@ class MetricsService {
           connectionSpike: 50, // % de incremento
           inactiveWorkspaces: 7 // días
         }
-      }
+      },
+      retention: {
+        runs: 0,
+        deleted: {}, // tipo de datos -> elementos eliminados desde el arranque
+        lastRun: null // { timestamp, workspaces, deleted, duration }
+      },
+      payloads: {} // protocolo -> { payloads, verboseBytes, encodedBytes }
     };
 
     // Guardar métricas cada minuto para análisis histórico
@@ -540,6 +546,63 @@ class MetricsService {
     logger.error({ type, details }, 'Error registrado en métricas');
   }
 
+  /**
+   * Registra los elementos eliminados por la política de retención
+   * @param {string} type - Tipo de datos (chat, notes, activity)
+   * @param {number} count - Elementos eliminados
+   */
+  retentionPurged(type, count) {
+    this.metrics.retention.deleted[type] = (this.metrics.retention.deleted[type] || 0) + count;
+  }
+
+  /**
+   * Registra una ejecución completa de la purga de retención
+   * @param {Object} summary - Resumen ({ workspaces, deleted, duration })
+   */
+  retentionRunCompleted(summary) {
+    this.metrics.retention.runs++;
+    this.metrics.retention.lastRun = {
+      timestamp: new Date().toISOString(),
+      ...summary
+    };
+  }
+
+  /**
+   * Registra el tamaño de un payload codificado con el protocolo de un cliente
+   * frente a su tamaño en JSON completo
+   * @param {string} protocol - Protocolo (legacy, compact, msgpack)
+   * @param {number} verboseBytes - Bytes del payload en JSON completo
+   * @param {number} encodedBytes - Bytes del payload codificado
+   * @param {number} [recipients=1] - Sockets a los que se envía
+   */
+  payloadEncoded(protocol, verboseBytes, encodedBytes, recipients = 1) {
+    const stats = this.metrics.payloads[protocol] ||
+      (this.metrics.payloads[protocol] = { payloads: 0, verboseBytes: 0, encodedBytes: 0 });
+
+    stats.payloads += recipients;
+    stats.verboseBytes += verboseBytes * recipients;
+    stats.encodedBytes += encodedBytes * recipients;
+  }
+
+  /**
+   * Resume los bytes enviados por protocolo y la proporción codificado/completo
+   * @returns {Object} Estadísticas por protocolo y totales
+   * @private
+   */
+  _payloadsSummary() {
+    const ratio = (encoded, verbose) => (verbose > 0 ? Number((encoded / verbose).toFixed(3)) : null);
+    const summary = { byProtocol: {}, verboseBytes: 0, encodedBytes: 0 };
+
+    for (const [protocol, stats] of Object.entries(this.metrics.payloads)) {
+      summary.byProtocol[protocol] = { ...stats, ratio: ratio(stats.encodedBytes, stats.verboseBytes) };
+      summary.verboseBytes += stats.verboseBytes;
+      summary.encodedBytes += stats.encodedBytes;
+    }
+    summary.ratio = ratio(summary.encodedBytes, summary.verboseBytes);
+
+    return summary;
+  }
+
   /**
    * Guarda un punto histórico de las métricas actuales
    */
@@ -624,6 +687,12 @@ class MetricsService {
         rate: this.metrics.errors.errorRate.toFixed(2) + '%',
         byType: this.metrics.errors.byType
       },
+      retention: {
+        runs: this.metrics.retention.runs,
+        deleted: this.metrics.retention.deleted,
+        lastRun: this.metrics.retention.lastRun
+      },
+      payloads: this._payloadsSummary(),
       alerts: {
         active: this.metrics.alerts.triggered.length > 0,
         recent: this.metrics.alerts.triggered.slice(0, 3) // 3 alertas más recientes
@@ -254,6 +254,37 @@ class RedisService {
     }
   }
 
+  /**
+   * Guarda un valor en Redis solo si la clave no existe
+   * @param {string} key - Clave
+   * @param {*} value - Valor a guardar
+   * @param {number} ttl - Tiempo de expiración en segundos
+   * @returns {Promise<boolean|null>} - true si se guardó, false si la clave ya existía o null si Redis no está disponible
+   */
+  async setNX(key, value, ttl) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const serializedValue =
+        typeof value === "object" ? JSON.stringify(value) : value;
+      const result = await this.client.set(key, serializedValue, {
+        EX: ttl,
+        NX: true,
+      });
+      return result === "OK";
+    } catch (error) {
+      this._handleFailure();
+      logger.error({ error: error.message, key }, "Error al guardar en Redis");
+      return null;
+    }
+  }
+
   /**
    * Obtiene un valor de Redis con soporte de caché local
    * @param {string} key - Clave a buscar
@@ -605,6 +636,33 @@ class RedisService {
     }
   }
 
+  /**
+   * Elimina el tiempo de expiración de una clave
+   * @param {string} key - Clave
+   * @returns {Promise<boolean>} - true si se eliminó correctamente, false si no
+   */
+  async persist(key) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de eliminar expiración en Redis bloqueado"
+      );
+      return false;
+    }
+
+    try {
+      await this.client.persist(key);
+      return true;
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al eliminar expiración en Redis"
+      );
+      return false;
+    }
+  }
+
   /**
    * Busca claves que coincidan con un patrón
    * @param {string} pattern - Patrón de búsqueda (ej: user:*)
@@ -631,6 +689,751 @@ class RedisService {
     }
   }
 
+  /**
+   * Añade una entrada a un stream de Redis
+   * @param {string} key - Clave del stream
+   * @param {Object<string, string>} fields - Campos de la entrada
+   * @param {string} [id="*"] - ID de la entrada (autogenerado por defecto)
+   * @param {number} [maxLength] - Longitud máxima aproximada del stream (recorta las entradas antiguas)
+   * @returns {Promise<string|null>} - ID de la entrada creada o null si hubo error
+   */
+  async xAdd(key, fields, id = "*", maxLength) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en stream de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const options = maxLength
+        ? { TRIM: { strategy: "MAXLEN", strategyModifier: "~", threshold: maxLength } }
+        : undefined;
+      return await this.client.xAdd(key, id, fields, options);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al añadir entrada a stream de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene entradas de un stream en orden ascendente
+   * @param {string} key - Clave del stream
+   * @param {string} start - ID inicial (admite "-" y el prefijo exclusivo "(")
+   * @param {string} end - ID final (admite "+" y el prefijo exclusivo "(")
+   * @param {number} [count] - Número máximo de entradas
+   * @returns {Promise<Array<{id: string, message: Object}>|null>} - Entradas o null si Redis no está disponible
+   */
+  async xRange(key, start, end, count) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de lectura de stream de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.xRange(
+        key,
+        start,
+        end,
+        count ? { COUNT: count } : undefined
+      );
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer stream de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene entradas de un stream en orden descendente
+   * @param {string} key - Clave del stream
+   * @param {string} end - ID más reciente (admite "+" y el prefijo exclusivo "(")
+   * @param {string} start - ID más antiguo (admite "-" y el prefijo exclusivo "(")
+   * @param {number} [count] - Número máximo de entradas
+   * @returns {Promise<Array<{id: string, message: Object}>|null>} - Entradas o null si Redis no está disponible
+   */
+  async xRevRange(key, end, start, count) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de lectura de stream de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.xRevRange(
+        key,
+        end,
+        start,
+        count ? { COUNT: count } : undefined
+      );
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer stream de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Elimina entradas de un stream
+   * @param {string} key - Clave del stream
+   * @param {string|string[]} ids - ID o IDs de las entradas
+   * @returns {Promise<number|null>} - Número de entradas eliminadas o null si hubo error
+   */
+  async xDel(key, ids) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de eliminación en stream de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.xDel(key, ids);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al eliminar entradas de stream de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Recorta un stream por longitud o por ID mínimo
+   * @param {string} key - Clave del stream
+   * @param {string} strategy - "MAXLEN" (conservar las N últimas) o "MINID" (eliminar las anteriores a un ID)
+   * @param {number|string} threshold - Longitud máxima o ID mínimo
+   * @returns {Promise<number|null>} - Número de entradas eliminadas o null si hubo error
+   */
+  async xTrim(key, strategy, threshold) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de recorte de stream de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.xTrim(key, strategy, threshold);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al recortar stream de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Guarda un campo de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @param {string} field - Campo
+   * @param {*} value - Valor a guardar (los objetos se serializan como JSON)
+   * @returns {Promise<boolean>} - true si se guardó correctamente, false si no
+   */
+  async hSet(key, field, value) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, field, circuitOpen: this.circuitOpen },
+        "Intento de escritura en hash de Redis bloqueado"
+      );
+      return false;
+    }
+
+    try {
+      const serializedValue =
+        typeof value === "object" ? JSON.stringify(value) : value;
+      await this.client.hSet(key, field, serializedValue);
+      return true;
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key, field },
+        "Error al guardar en hash de Redis"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Guarda un campo de un hash de Redis solo si no existe
+   * @param {string} key - Clave del hash
+   * @param {string} field - Campo
+   * @param {*} value - Valor a guardar (los objetos se serializan como JSON)
+   * @returns {Promise<boolean|null>} - true si se creó, false si ya existía o null si Redis no está disponible
+   */
+  async hSetNX(key, field, value) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, field, circuitOpen: this.circuitOpen },
+        "Intento de escritura en hash de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const serializedValue =
+        typeof value === "object" ? JSON.stringify(value) : value;
+      return await this.client.hSetNX(key, field, serializedValue);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key, field },
+        "Error al guardar en hash de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene varios campos de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @param {string[]} fields - Campos a obtener
+   * @returns {Promise<Array|null>} - Valores (null para campos inexistentes) o null si Redis no está disponible
+   */
+  async hmGet(key, fields) {
+    if (fields.length === 0) return [];
+
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, fieldsCount: fields.length, circuitOpen: this.circuitOpen },
+        "Intento de lectura de hash de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const values = await this.client.hmGet(key, fields);
+      return values.map((value) => {
+        if (value === null || value === undefined) return null;
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return value;
+        }
+      });
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer hash de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene un campo de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @param {string} field - Campo
+   * @returns {Promise<*>} - Valor almacenado o null si no existe
+   */
+  async hGet(key, field) {
+    const values = await this.hmGet(key, [field]);
+    return values ? values[0] : null;
+  }
+
+  /**
+   * Obtiene todos los campos de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @returns {Promise<Object|null>} - Objeto campo -> valor o null si Redis no está disponible
+   */
+  async hGetAll(key) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de lectura de hash de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const values = await this.client.hGetAll(key);
+      return Object.fromEntries(
+        Object.entries(values).map(([field, value]) => {
+          try {
+            return [field, JSON.parse(value)];
+          } catch (e) {
+            return [field, value];
+          }
+        })
+      );
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer hash de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Elimina campos de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @param {string|string[]} fields - Campo o campos a eliminar
+   * @returns {Promise<boolean>} - true si se eliminaron correctamente, false si no
+   */
+  async hDel(key, fields) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de eliminación en hash de Redis bloqueado"
+      );
+      return false;
+    }
+
+    try {
+      await this.client.hDel(key, fields);
+      return true;
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al eliminar de hash de Redis"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Incrementa de forma atómica un campo numérico de un hash
+   * @param {string} key - Clave del hash
+   * @param {string} field - Campo a incrementar
+   * @param {number} [amount=1] - Cantidad a incrementar
+   * @returns {Promise<number|null>} - Nuevo valor o null si hubo error
+   */
+  async hIncrBy(key, field, amount = 1) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, field, circuitOpen: this.circuitOpen },
+        "Intento de incremento en hash de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.hIncrBy(key, field, amount);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key, field },
+        "Error al incrementar campo de hash en Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Añade miembros a un conjunto de Redis
+   * @param {string} key - Clave del conjunto
+   * @param {string|string[]} members - Miembro o miembros a añadir
+   * @returns {Promise<number|null>} - Número de miembros añadidos o null si hubo error
+   */
+  async sAdd(key, members) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en conjunto de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.sAdd(key, members);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al añadir a conjunto de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Elimina miembros de un conjunto de Redis
+   * @param {string} key - Clave del conjunto
+   * @param {string|string[]} members - Miembro o miembros a eliminar
+   * @returns {Promise<number|null>} - Número de miembros eliminados o null si hubo error
+   */
+  async sRem(key, members) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de eliminación en conjunto de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.sRem(key, members);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al eliminar de conjunto de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene todos los miembros de un conjunto de Redis
+   * @param {string} key - Clave del conjunto
+   * @returns {Promise<string[]|null>} - Miembros o null si Redis no está disponible
+   */
+  async sMembers(key) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de lectura de conjunto de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.sMembers(key);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer conjunto de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene los miembros de varios conjuntos en una sola operación
+   * @param {string[]} keys - Claves de los conjuntos
+   * @returns {Promise<Array<string[]>|null>} - Miembros de cada conjunto o null si Redis no está disponible
+   */
+  async sMembersMulti(keys) {
+    if (keys.length === 0) return [];
+
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { keysCount: keys.length, circuitOpen: this.circuitOpen },
+        "Intento de lectura de conjuntos de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const pipeline = this.client.multi();
+      keys.forEach((key) => pipeline.sMembers(key));
+      return await pipeline.exec();
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message },
+        "Error al leer conjuntos de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Añade valores al final de una lista de Redis
+   * @param {string} key - Clave de la lista
+   * @param {Array} values - Valores a añadir (los objetos se serializan como JSON)
+   * @returns {Promise<number|null>} - Nueva longitud de la lista o null si hubo error
+   */
+  async rPush(key, values) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en lista de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const serializedValues = values.map((value) =>
+        typeof value === "object" ? JSON.stringify(value) : value
+      );
+      return await this.client.rPush(key, serializedValues);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al añadir a lista de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene y elimina de forma atómica todos los elementos de una lista
+   * @param {string} key - Clave de la lista
+   * @returns {Promise<Array|null>} - Elementos de la lista o null si Redis no está disponible
+   */
+  async drainList(key) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de lectura de lista de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      const [values] = await this.client
+        .multi()
+        .lRange(key, 0, -1)
+        .del(key)
+        .exec();
+
+      return values.map((value) => {
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return value;
+        }
+      });
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al vaciar lista de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Añade o actualiza un miembro de un conjunto ordenado
+   * @param {string} key - Clave del conjunto ordenado
+   * @param {number} score - Puntuación del miembro
+   * @param {string} member - Miembro
+   * @returns {Promise<boolean>} - true si se guardó correctamente, false si no
+   */
+  async zAdd(key, score, member) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en conjunto ordenado de Redis bloqueado"
+      );
+      return false;
+    }
+
+    try {
+      await this.client.zAdd(key, { score, value: member });
+      return true;
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al añadir a conjunto ordenado de Redis"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Elimina miembros de un conjunto ordenado
+   * @param {string} key - Clave del conjunto ordenado
+   * @param {string|string[]} members - Miembro o miembros a eliminar
+   * @returns {Promise<number|null>} - Número de miembros eliminados o null si hubo error
+   */
+  async zRem(key, members) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de eliminación en conjunto ordenado de Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.zRem(key, members);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al eliminar de conjunto ordenado de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene los miembros de un conjunto ordenado con puntuación en un rango
+   * @param {string} key - Clave del conjunto ordenado
+   * @param {number|string} min - Puntuación mínima (admite "-inf")
+   * @param {number|string} max - Puntuación máxima (admite "+inf")
+   * @param {number} [count] - Número máximo de miembros
+   * @returns {Promise<string[]|null>} - Miembros en orden ascendente o null si Redis no está disponible
+   */
+  async zRangeByScore(key, min, max, count) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      return null;
+    }
+
+    try {
+      return await this.client.zRangeByScore(
+        key,
+        min,
+        max,
+        count ? { LIMIT: { offset: 0, count } } : undefined
+      );
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer conjunto ordenado de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene la puntuación de un miembro de un conjunto ordenado
+   * @param {string} key - Clave del conjunto ordenado
+   * @param {string} member - Miembro
+   * @returns {Promise<number|null>} - Puntuación o null si no existe o hubo error
+   */
+  async zScore(key, member) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      return null;
+    }
+
+    try {
+      return await this.client.zScore(key, member);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al leer conjunto ordenado de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Guarda varios campos de un hash de Redis
+   * @param {string} key - Clave del hash
+   * @param {Object} values - Campos y valores (los objetos se serializan como JSON)
+   * @returns {Promise<boolean>} - true si se guardó correctamente, false si no
+   */
+  async hSetAll(key, values) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { key, circuitOpen: this.circuitOpen },
+        "Intento de escritura en hash de Redis bloqueado"
+      );
+      return false;
+    }
+
+    try {
+      const serializedValues = Object.fromEntries(
+        Object.entries(values)
+          .filter(([, value]) => value !== undefined && value !== null)
+          .map(([field, value]) => [
+            field,
+            typeof value === "object" ? JSON.stringify(value) : String(value),
+          ])
+      );
+      await this.client.hSet(key, serializedValues);
+      return true;
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, key },
+        "Error al guardar en hash de Redis"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Crea un índice de RediSearch si no existe
+   * @param {string} index - Nombre del índice
+   * @param {Object} schema - Esquema de campos (formato de node-redis)
+   * @param {Object} options - Opciones de FT.CREATE (ON, PREFIX, LANGUAGE...)
+   * @returns {Promise<boolean|null>} - true si el índice está disponible, false si
+   *   Redis no tiene el módulo de búsqueda o null si Redis no está disponible
+   */
+  async ftCreate(index, schema, options) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      return null;
+    }
+
+    try {
+      await this.client.ft.create(index, schema, options);
+      logger.info({ index }, "Índice de búsqueda de Redis creado");
+      return true;
+    } catch (error) {
+      if (/index already exists/i.test(error.message)) {
+        return true;
+      }
+
+      if (/unknown command/i.test(error.message)) {
+        logger.warn(
+          { index },
+          "Módulo de búsqueda de Redis no disponible"
+        );
+        return false;
+      }
+
+      this._handleFailure();
+      logger.error(
+        { error: error.message, index },
+        "Error al crear índice de búsqueda de Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Ejecuta una búsqueda en un índice de RediSearch
+   * @param {string} index - Nombre del índice
+   * @param {string} query - Consulta
+   * @param {Object} [options] - Opciones de FT.SEARCH (LIMIT, SORTBY, RETURN...)
+   * @returns {Promise<{total: number, documents: Array}|null>} - Resultado o null si falla
+   */
+  async ftSearch(index, query, options = {}) {
+    if (!this.isConnected || !this._checkCircuitBreaker()) {
+      logger.warn(
+        { index, circuitOpen: this.circuitOpen },
+        "Intento de búsqueda en Redis bloqueado"
+      );
+      return null;
+    }
+
+    try {
+      return await this.client.ft.search(index, query, options);
+    } catch (error) {
+      this._handleFailure();
+      logger.error(
+        { error: error.message, index },
+        "Error al buscar en Redis"
+      );
+      return null;
+    }
+  }
+
   /**
    * Obtiene métricas del servicio de Redis
    * @returns {Object} - Objeto con métricas
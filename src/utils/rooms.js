@@ -0,0 +1,33 @@
+// Prefijos de las salas que crea el servidor (`user:<email>`, `conversation:<id>`...)
+const RESERVED_ROOM_PREFIXES = ['user', 'conversation', 'channel', 'note', 'agenda', 'workspace'];
+
+/**
+ * Comprueba que un ID enviado por un cliente se pueda usar como sala
+ *
+ * Las salas de workspace y de colección se nombran con los IDs que envía el
+ * cliente. Un ID con ":" o que coincida con uno de los prefijos reservados
+ * daría acceso a salas que el servidor solo asigna tras comprobar permisos
+ * (la sala personal de otro usuario, una conversación privada...).
+ * @param {*} id - ID recibido
+ * @returns {boolean}
+ */
+const isClientRoomId = (id) =>
+  typeof id === 'string' &&
+  id.length > 0 &&
+  !id.includes(':') &&
+  !RESERVED_ROOM_PREFIXES.includes(id.toLowerCase());
+
+/**
+ * Devuelve la sala personal de un usuario
+ * Solo la asigna el servidor al conectar, con el email del token; ningún evento
+ * de cliente permite entrar en la sala personal de otro.
+ * @param {string} email - Email del usuario
+ * @returns {string} Nombre de la sala
+ */
+const personalRoom = (email) => `user:${email}`;
+
+module.exports = {
+  RESERVED_ROOM_PREFIXES,
+  isClientRoomId,
+  personalRoom
+};
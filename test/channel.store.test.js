@@ -0,0 +1,115 @@
+/**
+ * Tests del almacén de canales de chat
+ */
+
+jest.mock("../src/services/redis", () => ({
+  hSet: jest.fn(),
+  hSetNX: jest.fn(),
+  hGet: jest.fn(),
+  hGetAll: jest.fn(),
+  sAdd: jest.fn(),
+  sMembers: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const ChannelStore = require("../src/modules/chat/channel.store");
+const { DEFAULT_CHANNEL, normalizeChannelName } = ChannelStore;
+
+describe("normalizeChannelName", () => {
+  test("debe normalizar nombres a identificadores", () => {
+    expect(normalizeChannelName("#Exam Prep")).toBe("exam-prep");
+    expect(normalizeChannelName("  Álgebra -- Tema 1!  ")).toBe("álgebra-tema-1");
+  });
+
+  test("debe rechazar nombres vacíos o demasiado largos", () => {
+    expect(normalizeChannelName("###")).toBeNull();
+    expect(normalizeChannelName("a".repeat(81))).toBeNull();
+    expect(normalizeChannelName(42)).toBeNull();
+  });
+});
+
+describe("ChannelStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new ChannelStore("chat:");
+    jest.resetAllMocks();
+  });
+
+  test("debe exponer siempre el canal por defecto", async () => {
+    redisService.hGetAll.mockResolvedValue({
+      zeta: { id: "zeta", name: "zeta", archived: false },
+      alfa: { id: "alfa", name: "alfa", archived: false },
+      viejo: { id: "viejo", name: "viejo", archived: true },
+    });
+
+    const channels = await store.list("ws-1");
+
+    expect(channels.map((channel) => channel.id)).toEqual([
+      DEFAULT_CHANNEL,
+      "alfa",
+      "zeta",
+    ]);
+    expect(await store.get("ws-1", DEFAULT_CHANNEL)).toMatchObject({
+      isDefault: true,
+    });
+    expect(redisService.hGet).not.toHaveBeenCalled();
+  });
+
+  test("debe incluir los archivados si se piden", async () => {
+    redisService.hGetAll.mockResolvedValue({
+      viejo: { id: "viejo", name: "viejo", archived: true },
+    });
+
+    const channels = await store.list("ws-1", { includeArchived: true });
+
+    expect(channels.map((channel) => channel.id)).toEqual([
+      DEFAULT_CHANNEL,
+      "viejo",
+    ]);
+  });
+
+  test("debe rechazar canales duplicados", async () => {
+    redisService.hSetNX.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    expect(await store.create("ws-1", { id: "examenes" })).toBe(true);
+    expect(await store.create("ws-1", { id: "examenes" })).toBe(false);
+    expect(await store.create("ws-1", { id: DEFAULT_CHANNEL })).toBe(false);
+    expect(redisService.hSetNX).toHaveBeenCalledWith(
+      "chat:ws-1:channels",
+      "examenes",
+      { id: "examenes" }
+    );
+  });
+
+  test("debe gestionar miembros y tratar el canal por defecto como abierto", async () => {
+    redisService.sAdd.mockResolvedValue(1);
+    redisService.sMembers.mockResolvedValue(["ana@uni.es"]);
+
+    expect(await store.addMember("ws-1", "examenes", "ana@uni.es")).toBe(true);
+    expect(redisService.sAdd).toHaveBeenCalledWith(
+      "chat:ws-1:channel:examenes:members",
+      "ana@uni.es"
+    );
+    expect(await store.isMember("ws-1", "examenes", "ana@uni.es")).toBe(true);
+    expect(await store.isMember("ws-1", "examenes", "luis@uni.es")).toBe(false);
+    expect(await store.isMember("ws-1", DEFAULT_CHANNEL, "luis@uni.es")).toBe(true);
+  });
+
+  test("debe funcionar en memoria si Redis no está disponible", async () => {
+    redisService.hSetNX.mockResolvedValue(null);
+    redisService.hGet.mockResolvedValue(null);
+    redisService.hGetAll.mockResolvedValue(null);
+    redisService.sAdd.mockResolvedValue(null);
+    redisService.sMembers.mockResolvedValue(null);
+
+    expect(await store.create("ws-1", { id: "examenes", name: "examenes" })).toBe(true);
+    expect(await store.create("ws-1", { id: "examenes", name: "examenes" })).toBe(false);
+    expect(await store.get("ws-1", "examenes")).toMatchObject({ id: "examenes" });
+    expect((await store.list("ws-1")).length).toBe(2);
+
+    expect(await store.addMember("ws-1", "examenes", "ana@uni.es")).toBe(true);
+    expect(await store.addMember("ws-1", "examenes", "ana@uni.es")).toBe(false);
+    expect(await store.isMember("ws-1", "examenes", "ana@uni.es")).toBe(true);
+  });
+});
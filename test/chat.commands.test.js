@@ -0,0 +1,138 @@
+/**
+ * Tests de los comandos del chat
+ */
+
+const {
+  CommandRegistry,
+  registerDefaultCommands,
+  parseCommand,
+  splitArguments,
+  parseDueDate,
+} = require("../src/modules/chat/chat.commands");
+
+const user = { email: "ana@uni.es", name: "Ana" };
+
+describe("parseCommand / splitArguments", () => {
+  test("debe detectar comandos al principio del mensaje", () => {
+    expect(parseCommand("/Task  Repasar tema 3 ")).toEqual({
+      name: "task",
+      args: "Repasar tema 3",
+    });
+    expect(parseCommand("/poll")).toEqual({ name: "poll", args: "" });
+    expect(parseCommand("hola /task")).toBeNull();
+    expect(parseCommand("//task no es un comando")).toBeNull();
+  });
+
+  test("debe respetar las comillas en los argumentos", () => {
+    expect(splitArguments('"Which day?" Mon “Next week” \'Tue\'')).toEqual([
+      "Which day?",
+      "Mon",
+      "Next week",
+      "Tue",
+    ]);
+  });
+});
+
+describe("parseDueDate", () => {
+  // Miércoles, 15 de mayo de 2024
+  const now = new Date(2024, 4, 15, 18, 30);
+
+  test("debe reconocer fechas relativas y días de la semana", () => {
+    expect(parseDueDate("hoy", now)).toBe("2024-05-15");
+    expect(parseDueDate("tomorrow", now)).toBe("2024-05-16");
+    expect(parseDueDate("friday", now)).toBe("2024-05-17");
+    expect(parseDueDate("Lunes", now)).toBe("2024-05-20");
+    expect(parseDueDate("wed", now)).toBe("2024-05-15");
+  });
+
+  test("debe reconocer fechas absolutas y rechazar las no válidas", () => {
+    expect(parseDueDate("2024-06-01", now)).toBe("2024-06-01");
+    expect(parseDueDate("3/6/2024", now)).toBe("2024-06-03");
+    expect(parseDueDate("31/02/2024", now)).toBeNull();
+    expect(parseDueDate("pronto", now)).toBeNull();
+  });
+});
+
+describe("comandos por defecto", () => {
+  let registry;
+  let taskHandler;
+  let noteHandler;
+
+  beforeEach(() => {
+    registry = new CommandRegistry();
+    taskHandler = { broadcastTaskCreated: jest.fn() };
+    noteHandler = {
+      createNote: jest.fn(async (workspaceId, { title }) => ({ id: "n1", title })),
+    };
+    registerDefaultCommands(registry, { taskHandler, noteHandler });
+  });
+
+  const run = (name, args) =>
+    registry.get(name).execute({ workspaceId: "ws-1", channelId: "general", user, args });
+
+  test("/task debe crear la tarea y notificarla", async () => {
+    const result = await run("task", "Review chapter 3 due:2024-06-01");
+
+    const [workspaceId, task, createdBy] = taskHandler.broadcastTaskCreated.mock.calls[0];
+    expect(workspaceId).toBe("ws-1");
+    expect(task).toMatchObject({
+      title: "Review chapter 3",
+      dueDate: "2024-06-01",
+      createdBy: "ana@uni.es",
+    });
+    expect(createdBy).toBe(user);
+    expect(result.data).toEqual({
+      taskId: task.id,
+      title: "Review chapter 3",
+      dueDate: "2024-06-01",
+    });
+  });
+
+  test("/task debe rechazar fechas no reconocidas o títulos vacíos", async () => {
+    expect((await run("task", "Algo due:pronto")).error.code).toBe("INVALID_COMMAND");
+    expect((await run("task", "due:friday")).error.code).toBe("INVALID_COMMAND");
+    expect(taskHandler.broadcastTaskCreated).not.toHaveBeenCalled();
+  });
+
+  test("/note debe crear la nota", async () => {
+    const result = await run("note", "Exam summary");
+
+    expect(noteHandler.createNote).toHaveBeenCalledWith(
+      "ws-1",
+      { title: "Exam summary" },
+      user
+    );
+    expect(result.data).toEqual({ noteId: "n1", title: "Exam summary" });
+  });
+
+  test("/poll debe crear una encuesta con al menos dos opciones", async () => {
+    const result = await run("poll", '"Which day?" Mon Tue Mon');
+
+    expect(result.data.poll).toMatchObject({
+      question: "Which day?",
+      options: [
+        { id: "1", text: "Mon" },
+        { id: "2", text: "Tue" },
+      ],
+    });
+    expect((await run("poll", '"Which day?" Mon')).error.code).toBe(
+      "INVALID_COMMAND"
+    );
+  });
+
+  test("debe permitir registrar comandos nuevos", () => {
+    registry.register("Shrug", {
+      usage: "/shrug",
+      description: "¯\\_(ツ)_/¯",
+      execute: () => ({ content: "¯\\_(ツ)_/¯" }),
+    });
+
+    expect(registry.list().map((command) => command.name)).toEqual([
+      "note",
+      "poll",
+      "shrug",
+      "task",
+    ]);
+    expect(registry.get("shrug").execute({}).content).toBe("¯\\_(ツ)_/¯");
+  });
+});
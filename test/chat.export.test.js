@@ -0,0 +1,121 @@
+/**
+ * Tests de los formatos de exportación del chat
+ */
+
+const {
+  createExportFormatter,
+  contentDisposition,
+} = require("../src/modules/chat/chat.export");
+
+const meta = {
+  workspaceId: "ws-1",
+  exportedAt: "2024-05-15T10:00:00.000Z",
+  from: null,
+  to: null,
+};
+
+const edited = {
+  id: "1-0",
+  senderEmail: "ana@uni.es",
+  senderName: "Ana",
+  content: "Hola a todos",
+  timestamp: "2024-05-15T09:00:00.000Z",
+  editedAt: "2024-05-15T09:05:00.000Z",
+  editHistory: [{ content: "Hola", editedAt: "2024-05-15T09:00:00.000Z" }],
+  replyCount: 1,
+};
+
+const reply = {
+  id: "2-0",
+  parentId: "1-0",
+  senderEmail: "luis@uni.es",
+  senderName: "Luis",
+  content: "=SUM(A1:A2), \"ok\"",
+  timestamp: "2024-05-15T09:10:00.000Z",
+};
+
+const deleted = {
+  id: "3-0",
+  senderEmail: "ana@uni.es",
+  content: "",
+  timestamp: "2024-05-15T09:20:00.000Z",
+  deleted: true,
+};
+
+const render = (format, messages) => {
+  const formatter = createExportFormatter(format, meta);
+  return [
+    formatter.start(),
+    formatter.channel({ id: "general", name: "general" }),
+    ...messages.map((message) => formatter.message("general", message)),
+    formatter.end(),
+  ].join("");
+};
+
+describe("createExportFormatter", () => {
+  test("debe generar un JSON válido con las ediciones de cada mensaje", () => {
+    const exported = JSON.parse(render("json", [edited, reply, deleted]));
+
+    expect(exported).toMatchObject({ workspaceId: "ws-1", from: null, to: null });
+    expect(exported.messages).toHaveLength(3);
+    expect(exported.messages[0]).toEqual({
+      id: "1-0",
+      channelId: "general",
+      parentId: null,
+      type: "message",
+      senderEmail: "ana@uni.es",
+      senderName: "Ana",
+      content: "Hola a todos",
+      timestamp: "2024-05-15T09:00:00.000Z",
+      editedAt: "2024-05-15T09:05:00.000Z",
+      editHistory: [{ content: "Hola", editedAt: "2024-05-15T09:00:00.000Z" }],
+      deleted: false,
+    });
+    expect(exported.messages[1].parentId).toBe("1-0");
+    expect(exported.messages[2]).toMatchObject({ deleted: true, content: "" });
+
+    expect(JSON.parse(render("json", [])).messages).toEqual([]);
+  });
+
+  test("debe escapar las celdas CSV y neutralizar fórmulas", () => {
+    const lines = render("csv", [edited, reply]).split("\r\n");
+
+    expect(lines[0]).toBe(
+      "channel,id,parent_id,timestamp,sender_email,sender_name,content,edited_at,edit_history,deleted"
+    );
+    expect(lines[1]).toContain('"[{""content"":""Hola""');
+    expect(lines[2]).toBe(
+      'general,2-0,1-0,2024-05-15T09:10:00.000Z,luis@uni.es,Luis,"\'=SUM(A1:A2), ""ok""",,,false'
+    );
+  });
+
+  test("debe sangrar las respuestas y marcar los mensajes borrados en Markdown", () => {
+    const markdown = render("md", [edited, reply, deleted]);
+
+    expect(markdown).toContain("## #general");
+    expect(markdown).toContain(
+      "- **[2024-05-15T09:00:00.000Z] Ana (ana@uni.es):** Hola a todos\n" +
+        "  - _Editado el 2024-05-15T09:05:00.000Z. Versiones anteriores:_\n" +
+        "    - [2024-05-15T09:00:00.000Z] Hola\n"
+    );
+    expect(markdown).toContain("  - **[2024-05-15T09:10:00.000Z] Luis (luis@uni.es):**");
+    expect(markdown).toContain("_Mensaje borrado_");
+  });
+
+  test("debe rechazar formatos desconocidos", () => {
+    expect(createExportFormatter("xml", meta)).toBeNull();
+  });
+});
+
+describe("contentDisposition", () => {
+  test("debe escapar el nombre del archivo", () => {
+    expect(contentDisposition('chat-ws"; x=1-2024-05-15.csv')).toBe(
+      'attachment; filename="chat-ws___x_1-2024-05-15.csv"; ' +
+        "filename*=UTF-8''chat-ws%22%3B%20x%3D1-2024-05-15.csv"
+    );
+    expect(contentDisposition("chat-Álgebra (1º)-2024-05-15.md")).toBe(
+      'attachment; filename="chat-_lgebra__1__-2024-05-15.md"; ' +
+        "filename*=UTF-8''chat-%C3%81lgebra%20%281%C2%BA%29-2024-05-15.md"
+    );
+  });
+});
@@ -0,0 +1,614 @@
+/**
+ * Tests del handler de chat
+ */
+
+jest.mock("../src/services/redis", () => ({
+  isConnected: false,
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => false),
+  setNX: jest.fn(async () => null),
+  delete: jest.fn(async () => false),
+  expire: jest.fn(async () => false),
+  hGet: jest.fn(async () => null),
+  hSet: jest.fn(async () => false),
+  hSetNX: jest.fn(async () => null),
+  hSetAll: jest.fn(async () => false),
+  hmGet: jest.fn(async () => null),
+  hGetAll: jest.fn(async () => null),
+  hDel: jest.fn(async () => false),
+  hIncrBy: jest.fn(async () => null),
+  sAdd: jest.fn(async () => false),
+  sRem: jest.fn(async () => false),
+  sMembers: jest.fn(async () => null),
+  sMembersMulti: jest.fn(async () => null),
+  xAdd: jest.fn(async () => null),
+  xRange: jest.fn(async () => null),
+  xRevRange: jest.fn(async () => null),
+  xTrim: jest.fn(async () => null),
+  zAdd: jest.fn(async () => false),
+  zRem: jest.fn(async () => false),
+  zRangeByScore: jest.fn(async () => null),
+  publish: jest.fn(async () => false),
+  subscribe: jest.fn(async () => false),
+  ftSearch: jest.fn(async () => null),
+  ftCreate: jest.fn(async () => false),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../src/services/metrics", () => ({
+  messageProcessed: jest.fn(),
+  errorOccurred: jest.fn(),
+}));
+jest.mock("../src/config/config", () => ({
+  jwt: { secret: "test-secret" },
+  auth: { serviceAccounts: [] },
+}));
+
+jest.useFakeTimers();
+
+const redisService = require("../src/services/redis");
+const ChatHandler = require("../src/modules/chat/chat.handler");
+const TaskHandler = require("../src/modules/task/task.handler");
+
+describe("ChatHandler", () => {
+  let events;
+  let handler;
+
+  const members = ["ana@uni.es", "luis@uni.es"].map((email) => ({ email }));
+
+  // Registra cada emisión con la sala (o el socket) de destino
+  const broadcast = (room) => ({
+    to: (other) => broadcast(other),
+    except: () => broadcast(room),
+    emit: (event, payload) => events.push([room, event, payload]),
+  });
+  const io = { to: (room) => broadcast(room) };
+
+  const roles = { "ws-1": "MEMBER", "ws-2": "MEMBER", "ws-3": "MEMBER" };
+
+  const createSocket = (email, workspaceRoles = roles) => ({
+    id: `s-${email}`,
+    user: { id: email, email, name: email.split("@")[0], workspaceRoles },
+    join: jest.fn(),
+    emit: (event, payload) => events.push([`s-${email}`, event, payload]),
+    to: (room) => broadcast(room),
+  });
+
+  const received = (target, event) =>
+    events.filter(([id, name]) => id === target && name === event).map(([, , payload]) => payload);
+  const emitted = (event) =>
+    events.filter(([, name]) => name === event).map(([, , payload]) => payload);
+
+  const send = async (socket, workspaceId, content, extra = {}) => {
+    const ack = jest.fn();
+    await handler.handleNewMessage(socket, { workspaceId, content, ...extra }, ack);
+    return ack.mock.calls[0][0];
+  };
+
+  beforeEach(() => {
+    events = [];
+    handler = new ChatHandler(io, {
+      workspaceHandler: {
+        getWorkspaceMembers: async () => members,
+        getUserWorkspaces: async () => ["ws-1", "ws-ajeno"],
+      },
+    });
+  });
+
+  afterEach(() => {
+    handler.scheduler.stop();
+    jest.clearAllMocks();
+    redisService.hGetAll.mockImplementation(async () => null);
+    redisService.setNX.mockImplementation(async () => null);
+  });
+
+  describe("historial", () => {
+    test("debe rechazar cursores mal formados sin consultar Redis", async () => {
+      const ana = createSocket("ana@uni.es");
+
+      await handler.getMessageHistory(ana, { workspaceId: "ws-1", before: "123" });
+      await handler.getMessageHistory(ana, { workspaceId: "ws-1", after: "-" });
+      await handler.getThread(ana, { workspaceId: "ws-1", parentId: "1-0", before: { $gt: 1 } });
+
+      expect(emitted("error")).toEqual([
+        expect.objectContaining({ code: "INVALID_CURSOR" }),
+        expect.objectContaining({ code: "INVALID_CURSOR" }),
+        expect.objectContaining({ code: "INVALID_CURSOR" }),
+      ]);
+      expect(redisService.xRange).not.toHaveBeenCalled();
+      expect(redisService.xRevRange).not.toHaveBeenCalled();
+    });
+
+    test("debe aceptar IDs de stream como cursores", async () => {
+      const ana = createSocket("ana@uni.es");
+
+      await handler.getMessageHistory(ana, { workspaceId: "ws-1", before: "1700000000000-0" });
+
+      expect(emitted("error")).toEqual([]);
+      expect(redisService.xRevRange).toHaveBeenCalledWith(
+        "chat:ws-1:stream",
+        "(1700000000000-0",
+        "-",
+        expect.any(Number)
+      );
+      expect(emitted("message_history")[0]).toMatchObject({ workspaceId: "ws-1", hasMore: false });
+    });
+
+    test("debe rechazar el historial a quien no es miembro del workspace", async () => {
+      const ajeno = createSocket("ajeno@otra.es", { "ws-9": "MEMBER" });
+
+      await handler.getMessageHistory(ajeno, { workspaceId: "ws-1" });
+
+      expect(received("s-ajeno@otra.es", "error")).toEqual([
+        { message: "No eres miembro de este workspace", code: "FORBIDDEN" },
+      ]);
+      expect(emitted("message_history")).toEqual([]);
+      expect(redisService.xRevRange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("mensajes leídos", () => {
+    test("debe avanzar el puntero de lectura y actualizar los contadores", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      const first = await send(luis, "ws-1", "uno");
+      await send(luis, "ws-1", "dos");
+      await send(luis, "ws-1", "tres");
+
+      expect(received("user:ana@uni.es", "unread_count_updated").map((c) => c.unreadCount)).toEqual([1, 2, 3]);
+
+      await handler.handleMarkRead(ana, { workspaceId: "ws-1", messageId: first.id });
+      await handler.getUnreadCounts(ana);
+
+      expect(received("user:ana@uni.es", "unread_count_updated").pop()).toEqual({
+        workspaceId: "ws-1",
+        channelId: "general",
+        unreadCount: 2,
+        lastReadId: first.id,
+      });
+      expect(received(ana.id, "unread_counts")[0]).toMatchObject({
+        counts: { "ws-1": 2 },
+        channels: { "ws-1": { general: 2 } },
+        cap: 100,
+      });
+    });
+
+    test("debe rechazar IDs que no son mensajes del canal", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      const first = await send(luis, "ws-2", "uno");
+
+      for (const messageId of ["123", 123, "9999999999999-0", { id: first.id }]) {
+        await handler.handleMarkRead(ana, { workspaceId: "ws-2", messageId });
+      }
+
+      expect(received(ana.id, "error")).toEqual(
+        Array(4).fill({ message: "Mensaje no encontrado", code: "MESSAGE_NOT_FOUND" })
+      );
+      expect(received("user:ana@uni.es", "unread_count_updated")).toEqual([
+        { workspaceId: "ws-2", channelId: "general", unreadCount: 1 },
+      ]);
+
+      // El puntero sigue sin fijar: se cuentan todos y los envíos no fallan
+      const ack = await send(luis, "ws-2", "dos");
+      expect(ack).toMatchObject({ ok: true });
+      expect(received("user:ana@uni.es", "unread_count_updated").pop().unreadCount).toBe(2);
+    });
+
+    test("debe ignorar punteros guardados con un formato no válido", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      await send(luis, "ws-3", "uno");
+      redisService.hGetAll.mockImplementation(async (key) =>
+        key === "chat:ws-3:read" ? { "ana@uni.es": 123 } : null
+      );
+
+      const ack = await send(luis, "ws-3", "dos");
+      await handler.getUnreadCounts(ana);
+
+      expect(ack).toMatchObject({ ok: true });
+      expect(received("user:ana@uni.es", "unread_count_updated").pop().unreadCount).toBe(2);
+      expect(received(ana.id, "unread_counts")[0].counts["ws-3"]).toBe(2);
+    });
+
+    test("debe contar solo los workspaces a los que el token da acceso", async () => {
+      const ana = createSocket("ana@uni.es", {});
+
+      await handler.getUnreadCounts(ana);
+
+      expect(received(ana.id, "unread_counts")).toEqual([{ counts: {}, channels: {}, cap: 100 }]);
+    });
+  });
+
+  describe("mensajes programados", () => {
+    const scheduled = (workspaceId, extra = {}) => ({
+      id: "s1",
+      workspaceId,
+      channelId: "general",
+      senderEmail: "ana@uni.es",
+      senderName: "Ana",
+      content: "El examen empieza en 1h",
+      sendAt: new Date().toISOString(),
+      ...extra,
+    });
+
+    test("debe guardar el ID del mensaje antes de difundirlo", async () => {
+      const markPublished = jest.fn(async () => {
+        expect(emitted("new_message")).toEqual([]);
+      });
+
+      const message = await handler._deliverScheduledMessage(scheduled("ws-1"), {
+        retry: false,
+        markPublished,
+      });
+
+      expect(markPublished).toHaveBeenCalledWith(message.id);
+      expect(emitted("new_message")).toEqual([message]);
+      expect(received("user:ana@uni.es", "scheduled_message_sent")).toEqual([
+        { workspaceId: "ws-1", channelId: "general", scheduledId: "s1", messageId: message.id },
+      ]);
+    });
+
+    test("debe difundir sin volver a publicar un mensaje que el intento anterior guardó", async () => {
+      const luis = createSocket("luis@uni.es");
+      const published = await send(luis, "ws-2", "Publicado antes de caer");
+      events = [];
+
+      const message = await handler._deliverScheduledMessage(
+        scheduled("ws-2", { messageId: published.id }),
+        { retry: true, markPublished: jest.fn() }
+      );
+
+      expect(message.id).toBe(published.id);
+      expect(emitted("new_message")).toEqual([message]);
+      expect(received("user:ana@uni.es", "scheduled_message_sent")).toHaveLength(1);
+
+      await handler.getMessageHistory(luis, { workspaceId: "ws-2" });
+      expect(received(luis.id, "message_history")[0].messages).toHaveLength(1);
+    });
+
+    test("debe encontrar el mensaje que el intento anterior publicó sin anotar su ID", async () => {
+      const luis = createSocket("luis@uni.es");
+      const item = scheduled("ws-3", { sendingSince: new Date(Date.now() - 1000).toISOString() });
+      await handler._deliverScheduledMessage(item, { retry: false, markPublished: jest.fn() });
+      await send(luis, "ws-3", "Otro mensaje");
+      events = [];
+
+      const retried = await handler._deliverScheduledMessage(item, { retry: true, markPublished: jest.fn() });
+
+      expect(emitted("new_message")).toEqual([retried]);
+      expect(retried).toMatchObject({ scheduledId: "s1", content: "El examen empieza en 1h" });
+      await handler.getMessageHistory(luis, { workspaceId: "ws-3" });
+      expect(received(luis.id, "message_history")[0].messages).toHaveLength(2);
+    });
+  });
+
+  describe("clientMessageId", () => {
+    const key = "chat:client:ana@uni.es:c-1";
+
+    test("debe confirmar el envío con el ID asignado por el stream", async () => {
+      const ana = createSocket("ana@uni.es");
+      redisService.setNX.mockResolvedValueOnce(true);
+      redisService.xAdd.mockResolvedValueOnce("1700000000000-0");
+
+      const ack = await send(ana, "ws-1", "Hola", { clientMessageId: "c-1" });
+
+      expect(ack).toEqual({
+        ok: true,
+        id: "1700000000000-0",
+        timestamp: expect.any(String),
+        clientMessageId: "c-1",
+      });
+      expect(redisService.setNX).toHaveBeenCalledWith(key, { pending: true }, 30);
+      expect(redisService.set).toHaveBeenCalledWith(
+        key,
+        { id: "1700000000000-0", timestamp: ack.timestamp },
+        24 * 60 * 60
+      );
+    });
+
+    test("debe responder a un reenvío con el mismo ID sin publicarlo otra vez", async () => {
+      const ana = createSocket("ana@uni.es");
+      redisService.setNX.mockResolvedValueOnce(false);
+      redisService.get.mockResolvedValueOnce({ id: "1700000000000-0", timestamp: "2024-05-01T10:00:00.000Z" });
+
+      const ack = await send(ana, "ws-1", "Hola", { clientMessageId: "c-1" });
+
+      expect(ack).toEqual({
+        ok: true,
+        duplicate: true,
+        clientMessageId: "c-1",
+        id: "1700000000000-0",
+        timestamp: "2024-05-01T10:00:00.000Z",
+      });
+      expect(redisService.xAdd).not.toHaveBeenCalled();
+      expect(emitted("new_message")).toEqual([]);
+    });
+
+    test("debe rechazar un reenvío mientras el primero se procesa", async () => {
+      const ana = createSocket("ana@uni.es");
+      redisService.setNX.mockResolvedValueOnce(false);
+      redisService.get.mockResolvedValueOnce({ pending: true });
+
+      const ack = await send(ana, "ws-1", "Hola", { clientMessageId: "c-1" });
+
+      expect(ack).toEqual({
+        ok: false,
+        error: { code: "DUPLICATE_IN_PROGRESS", message: "El mensaje ya se está procesando" },
+      });
+      expect(redisService.xAdd).not.toHaveBeenCalled();
+      expect(redisService.delete).not.toHaveBeenCalled();
+    });
+
+    test("debe liberar la reserva si el mensaje se rechaza", async () => {
+      const ana = createSocket("ana@uni.es");
+      redisService.setNX.mockResolvedValue(true);
+
+      const rejected = await send(ana, "ws-1", "Hola", { clientMessageId: "c-1", parentId: "1-0" });
+      const forbidden = await send(ana, "ws-1", "Hola", { clientMessageId: "c-1", channelId: "privado" });
+
+      expect(rejected.error.code).toBe("PARENT_NOT_FOUND");
+      expect(forbidden.error.code).toBe("CHANNEL_NOT_FOUND");
+      expect(redisService.delete.mock.calls).toEqual([[key], [key]]);
+      expect(redisService.set).not.toHaveBeenCalledWith(key, expect.anything(), expect.anything());
+    });
+
+    test("debe deduplicar en memoria si Redis no está disponible", async () => {
+      const ana = createSocket("ana@uni.es");
+
+      const first = await send(ana, "ws-1", "Hola", { clientMessageId: "c-local" });
+      const retry = await send(ana, "ws-1", "Hola", { clientMessageId: "c-local" });
+
+      expect(first).toMatchObject({ ok: true, clientMessageId: "c-local" });
+      expect(retry).toEqual({ ...first, duplicate: true });
+      expect(emitted("new_message")).toHaveLength(1);
+    });
+  });
+
+  describe("edición y borrado", () => {
+    const admin = () => createSocket("admin@uni.es", { "ws-1": "ADMIN" });
+
+    test("debe permitir editar solo al remitente o a un administrador", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      const { id } = await send(luis, "ws-1", "Hola");
+
+      await handler.handleEditMessage(ana, { workspaceId: "ws-1", messageId: id, content: "Adiós" });
+      await handler.handleEditMessage(luis, { workspaceId: "ws-1", messageId: id, content: "Hola a todos" });
+      await handler.handleEditMessage(admin(), { workspaceId: "ws-1", messageId: id, content: "Hola a todas" });
+
+      expect(received(ana.id, "error")).toEqual([
+        { message: "No tienes permiso para modificar este mensaje" },
+      ]);
+      expect(received("ws-1", "message_edited")).toEqual([
+        expect.objectContaining({ id, content: "Hola a todos", editedBy: "luis@uni.es" }),
+        expect.objectContaining({ id, content: "Hola a todas", editedBy: "admin@uni.es" }),
+      ]);
+      expect(received("ws-1", "message_edited")[1].editHistory.map((edit) => edit.content)).toEqual([
+        "Hola",
+        "Hola a todos",
+      ]);
+    });
+
+    test("debe dejar una marca de borrado que ya no se puede modificar", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      const { id } = await send(luis, "ws-1", "Hola");
+
+      await handler.handleDeleteMessage(ana, { workspaceId: "ws-1", messageId: id });
+      await handler.handleDeleteMessage(admin(), { workspaceId: "ws-1", messageId: id });
+      await handler.handleEditMessage(luis, { workspaceId: "ws-1", messageId: id, content: "Otra vez" });
+
+      expect(received(ana.id, "error")).toEqual([
+        { message: "No tienes permiso para modificar este mensaje" },
+      ]);
+      expect(received("ws-1", "message_deleted")).toEqual([
+        expect.objectContaining({ workspaceId: "ws-1", messageId: id, deletedBy: "admin@uni.es" }),
+      ]);
+      expect(received(luis.id, "error")).toEqual([{ message: "Mensaje no encontrado" }]);
+
+      await handler.getMessageHistory(luis, { workspaceId: "ws-1" });
+      expect(received(luis.id, "message_history")[0].messages).toEqual([
+        expect.objectContaining({ id, content: "", deleted: true }),
+      ]);
+    });
+  });
+
+  describe("hilos", () => {
+    test("debe colgar las respuestas del mensaje raíz y notificar a sus seguidores", async () => {
+      const ana = createSocket("ana@uni.es");
+      const luis = createSocket("luis@uni.es");
+      const root = await send(ana, "ws-3", "¿Quién trae el proyector?");
+      const reply = await send(luis, "ws-3", "Yo", { parentId: root.id });
+      const nested = await send(ana, "ws-3", "Gracias", { parentId: reply.id });
+
+      expect(received("ws-3", "thread_updated").map((update) => update.replyCount)).toEqual([1, 2]);
+      expect(received("ws-3", "thread_updated")[1]).toMatchObject({ workspaceId: "ws-3", parentId: root.id });
+      expect(received("user:ana@uni.es", "thread_reply")).toEqual([
+        expect.objectContaining({ parentId: root.id, message: expect.objectContaining({ id: reply.id }) }),
+      ]);
+      expect(received("user:luis@uni.es", "thread_reply")).toEqual([
+        expect.objectContaining({ parentId: root.id, message: expect.objectContaining({ id: nested.id }) }),
+      ]);
+
+      await handler.getThread(luis, { workspaceId: "ws-3", parentId: root.id });
+
+      const [thread] = received(luis.id, "thread_messages");
+      expect(thread.parent).toMatchObject({ id: root.id, replyCount: 2 });
+      expect(thread.messages.map((message) => [message.id, message.parentId])).toEqual([
+        [reply.id, root.id],
+        [nested.id, root.id],
+      ]);
+    });
+
+    test("debe rechazar respuestas y consultas de hilos inexistentes", async () => {
+      const ana = createSocket("ana@uni.es");
+
+      const ack = await send(ana, "ws-3", "Hola", { parentId: "1-0" });
+      await handler.getThread(ana, { workspaceId: "ws-3", parentId: "1-0" });
+
+      expect(ack.error.code).toBe("PARENT_NOT_FOUND");
+      expect(received(ana.id, "thread_messages")).toEqual([]);
+      expect(received(ana.id, "error").pop()).toEqual({ message: "Mensaje padre no encontrado" });
+    });
+  });
+
+  describe("reacciones", () => {
+    test("debe difundir solo las reacciones que cambian", async () => {
+      const ana = createSocket("ana@uni.es");
+      const { id } = await send(ana, "ws-1", "¡Aprobado!");
+      const reaction = { workspaceId: "ws-1", messageId: id, emoji: "🎉" };
+      redisService.sAdd.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+      redisService.sRem.mockResolvedValueOnce(1);
+
+      await handler.handleReaction(ana, reaction, true);
+      await handler.handleReaction(ana, reaction, true);
+      await handler.handleReaction(ana, reaction, false);
+
+      expect(redisService.sAdd).toHaveBeenCalledWith(
+        `chat:ws-1:reactions:${id}`,
+        JSON.stringify(["🎉", "ana@uni.es"])
+      );
+      expect(received("ws-1", "message_reactions_updated")).toEqual([
+        { w: "ws-1", ch: "general", i: id, r: "🎉", e: "ana@uni.es", a: "add" },
+        { w: "ws-1", ch: "general", i: id, r: "🎉", e: "ana@uni.es", a: "remove" },
+      ]);
+    });
+
+    test("debe rechazar reacciones a mensajes borrados", async () => {
+      const ana = createSocket("ana@uni.es");
+      const { id } = await send(ana, "ws-1", "Hola");
+      await handler.handleDeleteMessage(ana, { workspaceId: "ws-1", messageId: id });
+
+      await handler.handleReaction(ana, { workspaceId: "ws-1", messageId: id, emoji: "👍" }, true);
+
+      expect(received(ana.id, "error")).toEqual([{ message: "Mensaje no encontrado" }]);
+      expect(emitted("message_reactions_updated")).toEqual([]);
+    });
+  });
+
+  describe("mensajes fijados", () => {
+    test("debe difundir la lista de pins al fijar y desfijar", async () => {
+      const ana = createSocket("ana@uni.es");
+      const { id } = await send(ana, "ws-2", "Fecha del examen: 12 de junio");
+
+      await handler.handlePin(ana, { workspaceId: "ws-2", messageId: id }, true);
+      await handler.handlePin(ana, { workspaceId: "ws-2", messageId: id }, true);
+      await handler.handlePin(ana, { workspaceId: "ws-2", messageId: id }, false);
+
+      const updates = received("ws-2", "pins_updated");
+      expect(updates).toHaveLength(2);
+      expect(updates[0]).toMatchObject({
+        workspaceId: "ws-2",
+        channelId: "general",
+        limit: handler.PINS_LIMIT,
+        action: "pin",
+        messageId: id,
+        by: "ana@uni.es",
+        pins: [expect.objectContaining({ messageId: id, message: expect.objectContaining({ id }) })],
+      });
+      expect(updates[1]).toMatchObject({ action: "unpin", messageId: id, pins: [] });
+    });
+
+    test("debe rechazar fijar más mensajes que el máximo por canal", async () => {
+      const ana = createSocket("ana@uni.es");
+      handler.PINS_LIMIT = 1;
+      const first = await send(ana, "ws-2", "uno");
+      const second = await send(ana, "ws-2", "dos");
+
+      await handler.handlePin(ana, { workspaceId: "ws-2", messageId: first.id }, true);
+      await handler.handlePin(ana, { workspaceId: "ws-2", messageId: second.id }, true);
+
+      expect(received(ana.id, "error")).toEqual([
+        { message: "No se pueden fijar más de 1 mensajes", code: "PIN_LIMIT_REACHED" },
+      ]);
+      expect(received("ws-2", "pins_updated")).toHaveLength(1);
+    });
+  });
+
+  describe("acceso al workspace", () => {
+    test("debe rechazar a quien no es miembro en el canal por defecto", async () => {
+      const ana = createSocket("ana@uni.es");
+      const ajeno = createSocket("ajeno@otra.es", {});
+      const { id } = await send(ana, "ws-1", "Solo para el grupo");
+      events = [];
+
+      const ack = await send(ajeno, "ws-1", "Hola");
+      await handler.getThread(ajeno, { workspaceId: "ws-1", parentId: id });
+      await handler.handleReaction(ajeno, { workspaceId: "ws-1", messageId: id, emoji: "👍" }, true);
+      await handler.handlePin(ajeno, { workspaceId: "ws-1", messageId: id }, true);
+
+      expect(ack).toEqual({
+        ok: false,
+        error: { code: "FORBIDDEN", message: "No eres miembro de este workspace" },
+      });
+      expect(received(ajeno.id, "error")).toEqual(
+        Array(4).fill({ message: "No eres miembro de este workspace", code: "FORBIDDEN" })
+      );
+      expect(events.filter(([target]) => target !== ajeno.id)).toEqual([]);
+    });
+
+    test("debe cerrar los canales a quien pierde el rol en el workspace", async () => {
+      const luis = createSocket("luis@uni.es");
+      await handler.handleCreateChannel(luis, { workspaceId: "ws-2", name: "proyecto" });
+      expect((await send(luis, "ws-2", "Hola", { channelId: "proyecto" })).ok).toBe(true);
+
+      const expired = createSocket("luis@uni.es", { "ws-1": "MEMBER" });
+      events = [];
+      const ack = await send(expired, "ws-2", "Sigo aquí", { channelId: "proyecto" });
+      await handler.getMessageHistory(expired, { workspaceId: "ws-2", channelId: "proyecto" });
+
+      expect(ack.error.code).toBe("FORBIDDEN");
+      expect(emitted("new_message")).toEqual([]);
+      expect(emitted("message_history")).toEqual([]);
+    });
+  });
+
+  describe("moderación", () => {
+    test("debe guardar en el registro el contenido ya redactado", async () => {
+      const ana = createSocket("ana@uni.es");
+      await handler.moderation.setConfig(
+        "ws-3",
+        [{ type: "regex_redact", pattern: "\\d{8}[A-Z]", replacement: "[DNI]" }],
+        "admin@uni.es"
+      );
+
+      const ack = await send(ana, "ws-3", "Mi DNI es 12345678Z");
+
+      expect(ack.ok).toBe(true);
+      expect(emitted("new_message")[0].content).toBe("Mi DNI es [DNI]");
+      const { entries } = await handler.moderation.getLog("ws-3");
+      expect(entries).toEqual([
+        expect.objectContaining({ action: "redacted", rules: ["regex_redact"], content: "Mi DNI es [DNI]" }),
+      ]);
+      expect(JSON.stringify(entries)).not.toContain("12345678Z");
+    });
+  });
+
+  describe("comandos", () => {
+    test("debe crear la tarea de /task con los eventos del módulo de tareas", async () => {
+      const ana = createSocket("ana@uni.es");
+      handler = new ChatHandler(io, {
+        workspaceHandler: { getWorkspaceMembers: async () => members },
+        taskHandler: new TaskHandler(io),
+      });
+
+      const ack = await send(ana, "ws-2", "/task Repasar tema 3 due:2024-06-01");
+
+      expect(ack.ok).toBe(true);
+      const [created] = received("agenda:ws-2", "task_created");
+      expect(created).toMatchObject({
+        workspaceId: "ws-2",
+        task: { title: "Repasar tema 3", dueDate: "2024-06-01", status: "TODO", createdBy: "ana@uni.es" },
+      });
+      expect(received("workspace:ws-2", "workspace_task_created")).toEqual([created]);
+      expect(received("ws-2", "new_message")).toEqual([
+        expect.objectContaining({ type: "system", system: expect.objectContaining({ command: "task", taskId: created.task.id }) }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests de la moderación de mensajes del chat
+ */
+
+jest.mock("../src/services/redis", () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  xAdd: jest.fn(),
+  xRevRange: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const ChatModeration = require("../src/modules/chat/chat.moderation");
+const { normalizeRules, applyRules, registerRule } = ChatModeration;
+
+const moderate = (rules, content) =>
+  applyRules(normalizeRules(rules).rules, content);
+
+describe("normalizeRules", () => {
+  test("debe normalizar las reglas válidas", () => {
+    expect(
+      normalizeRules([
+        { type: "blocklist", words: ["Tonto", "tonto", " "] },
+        { type: "links", allowedDomains: ["*.uni.es"] },
+        { type: "max_length", limit: "500" },
+      ]).rules
+    ).toEqual([
+      { type: "blocklist", words: ["tonto"], action: "reject" },
+      { type: "links", allowedDomains: ["uni.es"] },
+      { type: "max_length", limit: 500 },
+    ]);
+  });
+
+  test("debe rechazar tipos desconocidos y configuraciones no válidas", () => {
+    expect(normalizeRules([{ type: "spam" }]).error).toBeDefined();
+    expect(normalizeRules([{ type: "max_length", limit: 0 }]).error).toBeDefined();
+    expect(
+      normalizeRules([{ type: "regex_redact", pattern: "(" }]).error
+    ).toBeDefined();
+    expect(
+      normalizeRules([{ type: "regex_redact", pattern: "a", flags: "g" }]).error
+    ).toBeDefined();
+    expect(normalizeRules("nada").error).toBeDefined();
+  });
+
+  test.each(["(a+)+$", "(a|aa)*", "(\\w+\\s?)*", "((ab)*c){2,}", "(a)\\1"])(
+    "debe rechazar la expresión regular %p por su coste",
+    (pattern) => {
+      expect(normalizeRules([{ type: "regex_redact", pattern }]).error).toBeDefined();
+    }
+  );
+
+  test("debe admitir repeticiones que no se anidan", () => {
+    const rules = [
+      { type: "regex_redact", pattern: "(\\d{4}-)?\\d{8}" },
+      { type: "regex_redact", pattern: "[(a+)]+" },
+      { type: "regex_redact", pattern: "\\(a+\\)+" },
+    ];
+
+    expect(normalizeRules(rules).error).toBeUndefined();
+  });
+});
+
+describe("applyRules", () => {
+  test("debe rechazar palabras bloqueadas sin distinguir acentos", () => {
+    const result = moderate(
+      [{ type: "blocklist", words: ["cabron"] }],
+      "Eres un CABRÓN"
+    );
+
+    expect(result.rejected).toMatchObject({
+      rule: "blocklist",
+      code: "MESSAGE_BLOCKED",
+    });
+    expect(moderate([{ type: "blocklist", words: ["cabron"] }], "cabronazo").rejected).toBeNull();
+  });
+
+  test("debe encadenar redacciones en orden", () => {
+    const result = moderate(
+      [
+        { type: "blocklist", words: ["tonto"], action: "redact" },
+        { type: "regex_redact", pattern: "\\d{8}[A-Z]", replacement: "[DNI]" },
+      ],
+      "No seas tonto, mi DNI es 12345678z"
+    );
+
+    expect(result.content).toBe("No seas *****, mi DNI es [DNI]");
+    expect(result.actions).toEqual([
+      { rule: "blocklist", action: "redacted" },
+      { rule: "regex_redact", action: "redacted" },
+    ]);
+    expect(result.rejected).toBeNull();
+  });
+
+  test("debe bloquear enlaces salvo a dominios permitidos", () => {
+    const rules = [{ type: "links", allowedDomains: ["uni.es"] }];
+
+    expect(moderate(rules, "Mira https://campus.uni.es/tema1").rejected).toBeNull();
+    expect(moderate(rules, "Mira www.ejemplo.com").rejected).toMatchObject({
+      code: "LINKS_NOT_ALLOWED",
+    });
+  });
+
+  test("debe rechazar el mensaje si la expresión regular tarda demasiado", () => {
+    // Una regla guardada antes de validar el coste de las expresiones
+    const result = applyRules(
+      [{ type: "regex_redact", pattern: "(a+)+$", flags: "", replacement: "x" }],
+      `${"a".repeat(40)}b`
+    );
+
+    expect(result.rejected).toMatchObject({
+      rule: "regex_redact",
+      code: "MODERATION_TIMEOUT",
+    });
+  });
+
+  test("debe detener la cadena en el primer rechazo", () => {
+    const result = moderate(
+      [
+        { type: "max_length", limit: 5 },
+        { type: "regex_redact", pattern: "hola" },
+      ],
+      "hola a todos"
+    );
+
+    expect(result.rejected.code).toBe("MESSAGE_TOO_LONG");
+    expect(result.content).toBe("hola a todos");
+  });
+
+  test("debe admitir tipos de regla registrados", () => {
+    registerRule("no_shouting", {
+      normalize: () => ({}),
+      apply: (content) => ({ content: content.toLowerCase() }),
+    });
+
+    expect(moderate([{ type: "no_shouting" }], "HOLA").content).toBe("hola");
+  });
+});
+
+describe("ChatModeration", () => {
+  let moderation;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    moderation = new ChatModeration("chat:", { logLimit: 2 });
+  });
+
+  test("debe guardar la configuración y aplicarla a los mensajes", async () => {
+    const { config } = await moderation.setConfig(
+      "ws-1",
+      [{ type: "max_length", limit: 3 }],
+      "admin@uni.es"
+    );
+
+    expect(redisService.set).toHaveBeenCalledWith("chat:ws-1:moderation", config);
+    expect(config.updatedBy).toBe("admin@uni.es");
+
+    redisService.get.mockResolvedValue(null);
+    expect((await moderation.moderate("ws-1", "hola")).rejected).toMatchObject({
+      code: "MESSAGE_TOO_LONG",
+    });
+    expect((await moderation.moderate("ws-2", "hola")).actions).toEqual([]);
+  });
+
+  test("debe leer la configuración de Redis sin pasar por la caché local", async () => {
+    redisService.get.mockResolvedValue({ rules: [{ type: "max_length", limit: 3 }] });
+
+    expect((await moderation.moderate("ws-1", "hola")).rejected).not.toBeNull();
+    expect(redisService.get).toHaveBeenCalledWith("chat:ws-1:moderation", true, true);
+  });
+
+  test("debe mantener el registro en memoria si Redis no está disponible", async () => {
+    redisService.xAdd.mockResolvedValue(null);
+    redisService.xRevRange.mockResolvedValue(null);
+
+    await moderation.log("ws-1", { action: "rejected", content: "uno" });
+    await moderation.log("ws-1", { action: "redacted", content: "dos" });
+    const last = await moderation.log("ws-1", { action: "rejected", content: "tres" });
+
+    const { entries, hasMore } = await moderation.getLog("ws-1", { limit: 1 });
+    expect(entries).toEqual([last]);
+    expect(hasMore).toBe(true);
+
+    const older = await moderation.getLog("ws-1", { before: last.id, limit: 5 });
+    expect(older.entries.map((entry) => entry.content)).toEqual(["dos"]);
+  });
+
+  test("debe leer el registro del stream de Redis", async () => {
+    redisService.xRevRange.mockResolvedValue([
+      { id: "2-0", message: { data: JSON.stringify({ action: "rejected" }) } },
+    ]);
+
+    expect(await moderation.getLog("ws-1")).toEqual({
+      entries: [{ id: "2-0", action: "rejected" }],
+      hasMore: false,
+    });
+    expect(redisService.xRevRange).toHaveBeenCalledWith(
+      "chat:ws-1:moderation:log",
+      "+",
+      "-",
+      51
+    );
+  });
+});
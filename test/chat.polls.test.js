@@ -0,0 +1,92 @@
+/**
+ * Tests de las encuestas del chat
+ */
+
+const {
+  normalizePoll,
+  getPoll,
+  isPollClosed,
+  validateVote,
+  tallyVotes,
+} = require("../src/modules/chat/chat.polls");
+
+const now = Date.parse("2024-05-15T10:00:00.000Z");
+
+describe("normalizePoll", () => {
+  test("debe normalizar la encuesta y descartar las opciones repetidas", () => {
+    const { poll } = normalizePoll({
+      question: " ¿Qué día? ",
+      options: ["Lunes", "Martes ", "Lunes"],
+      multiple: true,
+      closesAt: "2024-05-16T10:00:00.000Z",
+    }, now);
+
+    expect(poll).toEqual({
+      question: "¿Qué día?",
+      options: [
+        { id: "1", text: "Lunes" },
+        { id: "2", text: "Martes" },
+      ],
+      multiple: true,
+      anonymous: false,
+      closesAt: "2024-05-16T10:00:00.000Z",
+    });
+  });
+
+  test("debe rechazar encuestas incompletas o con un cierre no válido", () => {
+    expect(normalizePoll({ question: "", options: ["a", "b"] }, now).error).toBeDefined();
+    expect(normalizePoll({ question: "¿?", options: ["a", "a"] }, now).error).toBeDefined();
+    expect(normalizePoll({ question: "¿?", options: ["a", 3] }, now).error).toBeDefined();
+    expect(normalizePoll({ question: "¿?", options: ["a", "b"], closesAt: now - 1 }, now).error).toBeDefined();
+    expect(normalizePoll({ question: "¿?", options: ["a", "b"], closesAt: "mañana" }, now).error).toBeDefined();
+  });
+});
+
+describe("votos", () => {
+  const poll = getPoll({
+    poll: {
+      question: "¿Qué día?",
+      options: [{ id: "1", text: "Lunes" }, { id: "2", text: "Martes" }],
+      closesAt: "2024-05-16T10:00:00.000Z",
+    },
+  });
+
+  test("debe leer también las encuestas del comando /poll", () => {
+    const commandPoll = getPoll({
+      type: "system",
+      system: { command: "poll", poll: { id: "p1", question: "¿?", options: [] } },
+    });
+
+    expect(commandPoll).toMatchObject({ id: "p1", multiple: false, anonymous: false, closesAt: null });
+    expect(getPoll({ content: "Hola" })).toBeNull();
+  });
+
+  test("debe cerrar la encuesta al llegar su cierre", () => {
+    expect(isPollClosed(poll, now)).toBe(false);
+    expect(isPollClosed(poll, Date.parse(poll.closesAt))).toBe(true);
+    expect(isPollClosed({ ...poll, closesAt: null }, now)).toBe(false);
+  });
+
+  test("debe validar las opciones elegidas según el tipo de encuesta", () => {
+    expect(validateVote(poll, ["2", "2"])).toEqual({ optionIds: ["2"] });
+    expect(validateVote(poll, [])).toEqual({ optionIds: [] });
+    expect(validateVote(poll, ["1", "2"]).error).toBeDefined();
+    expect(validateVote({ ...poll, multiple: true }, ["1", "2"])).toEqual({ optionIds: ["1", "2"] });
+    expect(validateVote(poll, ["3"]).error).toBeDefined();
+    expect(validateVote(poll, "1").error).toBeDefined();
+  });
+
+  test("debe contar los votos y ocultar los votantes en las encuestas anónimas", () => {
+    const votes = { "ana@uni.es": ["1"], "luis@uni.es": ["2"], "eva@uni.es": ["1"], "old@uni.es": ["9"] };
+
+    expect(tallyVotes(poll, votes)).toEqual({
+      counts: { 1: 2, 2: 1 },
+      totalVoters: 3,
+      voters: { 1: ["ana@uni.es", "eva@uni.es"], 2: ["luis@uni.es"] },
+    });
+    expect(tallyVotes({ ...poll, anonymous: true }, votes)).toEqual({
+      counts: { 1: 2, 2: 1 },
+      totalVoters: 3,
+    });
+  });
+});
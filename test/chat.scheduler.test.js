@@ -0,0 +1,222 @@
+/**
+ * Tests del planificador de mensajes programados
+ */
+
+jest.mock("../src/services/redis", () => ({
+  hSet: jest.fn(),
+  hGet: jest.fn(),
+  hmGet: jest.fn(),
+  hDel: jest.fn(),
+  sAdd: jest.fn(),
+  sRem: jest.fn(),
+  sMembers: jest.fn(),
+  zAdd: jest.fn(),
+  zRem: jest.fn(),
+  zRangeByScore: jest.fn(),
+  setNX: jest.fn(),
+  get: jest.fn(),
+  expire: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const MessageScheduler = require("../src/modules/chat/chat.scheduler");
+
+const item = (overrides = {}) => ({
+  id: "s1",
+  workspaceId: "ws-1",
+  channelId: "general",
+  senderEmail: "tutor@uni.es",
+  content: "El examen empieza en 1h",
+  sendAt: new Date(Date.now() - 1000).toISOString(),
+  status: "scheduled",
+  attempts: 0,
+  ...overrides,
+});
+
+describe("MessageScheduler", () => {
+  let deliver;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    deliver = jest.fn(async (scheduled) => ({ id: "1-0", scheduledId: scheduled.id }));
+    scheduler = new MessageScheduler("chat:", { deliver, maxAttempts: 2 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("debe guardar el mensaje en la cola de Redis", async () => {
+    redisService.hSet.mockResolvedValue(true);
+    const sendAt = new Date(Date.now() + 60000).toISOString();
+
+    const scheduled = await scheduler.schedule({ workspaceId: "ws-1", content: "Hola", sendAt });
+
+    expect(scheduled).toMatchObject({ status: "scheduled", attempts: 0 });
+    expect(redisService.zAdd).toHaveBeenCalledWith(
+      "chat:scheduled:queue",
+      Date.parse(sendAt),
+      scheduled.id
+    );
+    expect(redisService.sAdd).toHaveBeenCalledWith("chat:ws-1:scheduled", scheduled.id);
+  });
+
+  test("debe enviar cada mensaje una sola vez entre instancias", async () => {
+    const other = new MessageScheduler("chat:", { deliver });
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    redisService.hGet.mockResolvedValue(item());
+
+    await scheduler.processDue();
+    await other.processDue();
+
+    expect(deliver).toHaveBeenCalledTimes(1);
+    expect(deliver).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "s1", status: "sending", attempts: 1 }),
+      expect.objectContaining({ retry: false })
+    );
+    expect(redisService.zRem).toHaveBeenCalledWith("chat:scheduled:queue", "s1");
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:scheduled:items", "s1");
+  });
+
+  test("debe avisar del reintento de un envío que quedó a medias", async () => {
+    const sendingSince = new Date(Date.now() - 60000).toISOString();
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValue(true);
+    redisService.hGet.mockResolvedValue(item({ status: "sending", attempts: 1, sendingSince }));
+
+    await scheduler.processDue();
+
+    // Se conserva la fecha del primer intento para buscar lo que llegó a publicar
+    expect(deliver).toHaveBeenCalledWith(
+      expect.objectContaining({ attempts: 2, sendingSince }),
+      expect.objectContaining({ retry: true })
+    );
+  });
+
+  test("debe guardar en el programado el ID del mensaje publicado", async () => {
+    deliver.mockImplementation(async (scheduled, { markPublished }) => {
+      await markPublished("1-0");
+      return { id: "1-0" };
+    });
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValue(true);
+    redisService.hGet.mockResolvedValue(item());
+
+    await scheduler.processDue();
+
+    expect(redisService.hSet).toHaveBeenLastCalledWith(
+      "chat:scheduled:items",
+      "s1",
+      expect.objectContaining({ status: "sending", messageId: "1-0" })
+    );
+  });
+
+  test("debe renovar el bloqueo mientras dura el envío", async () => {
+    jest.useFakeTimers();
+    let finish;
+    deliver.mockImplementation(() => new Promise((resolve) => { finish = resolve; }));
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValue(true);
+    redisService.hGet.mockResolvedValue(item());
+    redisService.get.mockImplementation(async () => scheduler.instanceId);
+
+    const processing = scheduler.processDue();
+    while (!finish) await Promise.resolve();
+    jest.advanceTimersByTime(45000);
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+
+    expect(redisService.get).toHaveBeenCalledWith("chat:scheduled:lock:s1", false, true);
+    expect(redisService.expire.mock.calls).toEqual([
+      ["chat:scheduled:lock:s1", 30],
+      ["chat:scheduled:lock:s1", 30],
+      ["chat:scheduled:lock:s1", 30],
+      ["chat:scheduled:lock:s1", 30],
+    ]);
+
+    finish({ id: "1-0" });
+    await processing;
+    jest.advanceTimersByTime(45000);
+    expect(redisService.expire).toHaveBeenCalledTimes(4);
+  });
+
+  test("no debe renovar un bloqueo que ya tiene otra instancia", async () => {
+    jest.useFakeTimers();
+    let finish;
+    deliver.mockImplementation(() => new Promise((resolve) => { finish = resolve; }));
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValue(true);
+    redisService.hGet.mockResolvedValue(item());
+    redisService.get.mockResolvedValue("otra-instancia");
+
+    const processing = scheduler.processDue();
+    while (!finish) await Promise.resolve();
+    jest.advanceTimersByTime(10000);
+    for (let i = 0; i < 10; i++) await Promise.resolve();
+
+    expect(redisService.get).toHaveBeenCalledTimes(1);
+    expect(redisService.expire).not.toHaveBeenCalled();
+
+    finish({ id: "1-0" });
+    await processing;
+  });
+
+  test("debe reintentar los envíos fallidos hasta el máximo de intentos", async () => {
+    deliver.mockRejectedValue(new Error("Redis caído"));
+    redisService.zRangeByScore.mockResolvedValue(["s1"]);
+    redisService.setNX.mockResolvedValue(true);
+    redisService.hGet.mockResolvedValueOnce(item());
+
+    await scheduler.processDue();
+    expect(redisService.hDel).not.toHaveBeenCalled();
+
+    redisService.hGet.mockResolvedValueOnce(item({ status: "sending", attempts: 1 }));
+    await scheduler.processDue();
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:scheduled:items", "s1");
+  });
+
+  test("no debe cancelar un mensaje que se está enviando", async () => {
+    redisService.hGet.mockResolvedValue(item());
+    redisService.setNX.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    expect(await scheduler.cancel("s1")).toBe("sending");
+    expect(await scheduler.cancel("s1")).toBe("cancelled");
+    expect(redisService.zRem).toHaveBeenCalledTimes(1);
+
+    redisService.hGet.mockResolvedValue(null);
+    expect(await scheduler.cancel("s1")).toBe("not_found");
+  });
+
+  test("debe funcionar en memoria si Redis no está disponible", async () => {
+    redisService.hSet.mockResolvedValue(false);
+    redisService.sMembers.mockResolvedValue(null);
+    redisService.zRangeByScore.mockResolvedValue(null);
+
+    const later = await scheduler.schedule({
+      workspaceId: "ws-1",
+      sendAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    const due = await scheduler.schedule({
+      workspaceId: "ws-1",
+      sendAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    expect((await scheduler.list("ws-1")).map((scheduled) => scheduled.id)).toEqual([
+      due.id,
+      later.id,
+    ]);
+
+    await scheduler.processDue();
+
+    expect(deliver).toHaveBeenCalledTimes(1);
+    expect((await scheduler.list("ws-1")).map((scheduled) => scheduled.id)).toEqual([
+      later.id,
+    ]);
+  });
+});
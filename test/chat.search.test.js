@@ -0,0 +1,245 @@
+/**
+ * Tests del índice de búsqueda de mensajes del chat
+ */
+
+jest.mock("../src/services/redis", () => ({
+  ftCreate: jest.fn(),
+  ftSearch: jest.fn(),
+  hSetAll: jest.fn(),
+  delete: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const ChatSearchIndex = require("../src/modules/chat/chat.search");
+const { tokenize, findHighlights } = ChatSearchIndex;
+
+const message = (id, content, extra = {}) => ({
+  id,
+  workspaceId: "ws-1",
+  senderEmail: "ana@uni.es",
+  senderName: "Ana",
+  content,
+  timestamp: `2024-05-0${id.charAt(0)}T10:00:00.000Z`,
+  ...extra,
+});
+
+describe("tokenize / findHighlights", () => {
+  test("debe normalizar mayúsculas y acentos", () => {
+    expect(tokenize("Canción del EXAMEN, examen")).toEqual([
+      "cancion",
+      "del",
+      "examen",
+    ]);
+  });
+
+  test("debe resaltar las palabras que empiezan por un término", () => {
+    expect(findHighlights("Mañana repaso de Álgebra", ["algeb", "man"])).toEqual([
+      [0, 6],
+      [17, 24],
+    ]);
+  });
+});
+
+describe("ChatSearchIndex (índice en memoria)", () => {
+  let searchIndex;
+  const channelIds = ["general", "examenes"];
+
+  beforeEach(async () => {
+    jest.resetAllMocks();
+    redisService.ftCreate.mockResolvedValue(false);
+
+    searchIndex = new ChatSearchIndex("chat:");
+    await searchIndex.index(message("1-0", "Repasamos el examen de álgebra"));
+    await searchIndex.index(
+      message("2-0", "El examen es el lunes", {
+        channelId: "examenes",
+        senderEmail: "luis@uni.es",
+      })
+    );
+    await searchIndex.index(message("3-0", "¿Quién trae apuntes?"));
+  });
+
+  test("debe buscar por prefijo y ordenar por fecha descendente", async () => {
+    const { results, total } = await searchIndex.search("ws-1", {
+      query: "exam",
+      channelIds,
+    });
+
+    expect(total).toBe(2);
+    expect(results.map((result) => result.messageId)).toEqual(["2-0", "1-0"]);
+    expect(results[1].highlights).toEqual([[13, 19]]);
+    expect(redisService.ftSearch).not.toHaveBeenCalled();
+  });
+
+  test("debe exigir todos los términos de la consulta", async () => {
+    const { results } = await searchIndex.search("ws-1", {
+      query: "examen algebra",
+      channelIds,
+    });
+
+    expect(results.map((result) => result.messageId)).toEqual(["1-0"]);
+  });
+
+  test("debe filtrar por canal, remitente y fechas", async () => {
+    const search = (params) =>
+      searchIndex.search("ws-1", { query: "examen", channelIds, ...params });
+
+    expect((await search({ channelIds: ["general"] })).total).toBe(1);
+    expect((await search({ sender: "luis@uni.es" })).results[0].messageId).toBe(
+      "2-0"
+    );
+    expect(
+      (await search({ from: Date.parse("2024-05-02T00:00:00.000Z") })).total
+    ).toBe(1);
+    expect(
+      (await search({ to: Date.parse("2024-05-01T23:59:59.000Z") })).total
+    ).toBe(1);
+  });
+
+  test("debe paginar los resultados", async () => {
+    const { results, total } = await searchIndex.search("ws-1", {
+      query: "examen",
+      channelIds,
+      offset: 1,
+      limit: 1,
+    });
+
+    expect(total).toBe(2);
+    expect(results.map((result) => result.messageId)).toEqual(["1-0"]);
+  });
+
+  test("debe actualizar el índice al editar y borrar mensajes", async () => {
+    await searchIndex.index(message("1-0", "Repasamos geometría"));
+    await searchIndex.index(
+      message("2-0", "", { channelId: "examenes", deleted: true })
+    );
+
+    expect(
+      (await searchIndex.search("ws-1", { query: "examen", channelIds })).total
+    ).toBe(0);
+    expect(
+      (await searchIndex.search("ws-1", { query: "geometria", channelIds })).total
+    ).toBe(1);
+  });
+
+  test("debe descartar los mensajes más antiguos al superar el límite", async () => {
+    const smallIndex = new ChatSearchIndex("chat:", { localLimit: 2 });
+    await smallIndex.index(message("1-0", "examen uno"));
+    await smallIndex.index(message("2-0", "examen dos"));
+    await smallIndex.index(message("3-0", "examen tres"));
+
+    const { results } = await smallIndex.search("ws-1", {
+      query: "examen",
+      channelIds,
+    });
+    expect(results.map((result) => result.messageId)).toEqual(["3-0", "2-0"]);
+  });
+
+  test("debe cargar los mensajes guardados en la primera búsqueda del workspace", async () => {
+    const backfill = jest.fn(async function* (workspaceId) {
+      yield message("1-0", "examen antiguo", { workspaceId });
+      yield message("2-0", "examen editado antes", { workspaceId });
+      yield message("3-0", "", { workspaceId, deleted: true });
+    });
+    const backfilledIndex = new ChatSearchIndex("chat:", { backfill });
+    await backfilledIndex.index(message("2-0", "examen editado"));
+
+    const first = await backfilledIndex.search("ws-1", { query: "examen", channelIds });
+    const second = await backfilledIndex.search("ws-1", { query: "antes", channelIds });
+
+    expect(backfill).toHaveBeenCalledTimes(1);
+    expect(first.results.map((result) => [result.messageId, result.content])).toEqual([
+      ["2-0", "examen editado"],
+      ["1-0", "examen antiguo"],
+    ]);
+    expect(second.total).toBe(0);
+  });
+
+  test("debe reintentar la carga si falla y buscar en lo ya indexado", async () => {
+    const backfill = jest
+      .fn()
+      .mockImplementationOnce(() => {
+        throw new Error("Redis no disponible");
+      })
+      .mockImplementationOnce(async function* () {
+        yield message("1-0", "examen antiguo");
+      });
+    const backfilledIndex = new ChatSearchIndex("chat:", { backfill });
+    await backfilledIndex.index(message("2-0", "examen nuevo"));
+
+    const first = await backfilledIndex.search("ws-1", { query: "examen", channelIds });
+    const second = await backfilledIndex.search("ws-1", { query: "examen", channelIds });
+
+    expect(first.total).toBe(1);
+    expect(second.total).toBe(2);
+  });
+
+  test("debe recargar el índice para ver lo que escriben otras instancias", async () => {
+    const backfill = jest
+      .fn()
+      .mockImplementationOnce(async function* () {
+        yield message("1-0", "examen uno");
+      })
+      .mockImplementationOnce(async function* () {
+        // Otra instancia borró el primero y publicó uno nuevo
+        yield message("1-0", "", { deleted: true });
+        yield message("2-0", "examen dos");
+      });
+    const backfilledIndex = new ChatSearchIndex("chat:", { backfill, refreshInterval: 0 });
+
+    const first = await backfilledIndex.search("ws-1", { query: "examen", channelIds });
+    const second = await backfilledIndex.search("ws-1", { query: "examen", channelIds });
+
+    expect(backfill).toHaveBeenCalledTimes(2);
+    expect(first.results.map((result) => result.messageId)).toEqual(["1-0"]);
+    expect(second.results.map((result) => result.messageId)).toEqual(["2-0"]);
+    expect(second.results[0]).not.toHaveProperty("seq");
+  });
+});
+
+describe("ChatSearchIndex (RediSearch)", () => {
+  test("debe guardar documentos y delegar la búsqueda en Redis", async () => {
+    jest.resetAllMocks();
+    redisService.ftCreate.mockResolvedValue(true);
+    redisService.ftSearch.mockResolvedValue({
+      total: 1,
+      documents: [
+        {
+          id: "chat:search:ws-1:general:1-0",
+          value: {
+            messageId: "1-0",
+            workspaceId: "ws-1",
+            channelId: "general",
+            senderEmail: "ana@uni.es",
+            content: "Examen mañana",
+            timestamp: "2024-05-01T10:00:00.000Z",
+          },
+        },
+      ],
+    });
+
+    const searchIndex = new ChatSearchIndex("chat:");
+    await searchIndex.index(message("1-0", "Examen mañana"));
+
+    expect(redisService.hSetAll).toHaveBeenCalledWith(
+      "chat:search:ws-1:general:1-0",
+      expect.objectContaining({ text: "examen manana", channelId: "general" })
+    );
+
+    const { results } = await searchIndex.search("ws-1", {
+      query: "examen",
+      channelIds: ["general"],
+      sender: "ana@uni.es",
+    });
+
+    const [, query] = redisService.ftSearch.mock.calls[0];
+    expect(query).toContain("@workspaceId:{ws\\-1}");
+    expect(query).toContain("@text:(examen*)");
+    expect(query).toContain("@senderEmail:{ana\\@uni\\.es}");
+    expect(results[0]).toMatchObject({ messageId: "1-0", highlights: [[0, 6]] });
+  });
+});
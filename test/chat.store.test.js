@@ -0,0 +1,367 @@
+/**
+ * Tests del almacén de mensajes de chat basado en Redis Streams
+ */
+
+jest.mock("../src/services/redis", () => ({
+  get: jest.fn(),
+  setNX: jest.fn(),
+  xAdd: jest.fn(),
+  xRange: jest.fn(),
+  xRevRange: jest.fn(),
+  hSet: jest.fn(),
+  hSetNX: jest.fn(),
+  hGet: jest.fn(),
+  hGetAll: jest.fn(),
+  hDel: jest.fn(),
+  hmGet: jest.fn(),
+  hIncrBy: jest.fn(),
+  xDel: jest.fn(),
+  sAdd: jest.fn(),
+  sRem: jest.fn(),
+  sMembersMulti: jest.fn(),
+  delete: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const ChatStore = require("../src/modules/chat/chat.store");
+const { compareStreamIds } = ChatStore;
+
+const entry = (id) => ({ id, message: { type: "message" } });
+const body = (id, content) => ({ id, content });
+
+describe("ChatStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new ChatStore("chat:");
+    jest.resetAllMocks();
+  });
+
+  test("debe usar el ID del stream como ID del mensaje", async () => {
+    redisService.xAdd.mockResolvedValue("1700000000000-0");
+
+    const message = await store.append("ws-1", { content: "Hola" });
+
+    expect(redisService.xAdd).toHaveBeenCalledWith("chat:ws-1:stream", {
+      type: "message",
+    });
+    expect(redisService.hSet).toHaveBeenCalledWith(
+      "chat:ws-1:bodies",
+      "1700000000000-0",
+      message
+    );
+    expect(message).toEqual({ content: "Hola", id: "1700000000000-0" });
+  });
+
+  test("debe devolver la página más reciente en orden cronológico", async () => {
+    redisService.xRevRange.mockResolvedValue([entry("3-0"), entry("2-0"), entry("1-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([body("2-0", "b"), body("3-0", "c")])
+      .mockResolvedValueOnce([null, null, null, null]);
+
+    const page = await store.getPage("ws-1", { limit: 2 });
+
+    expect(redisService.xRevRange).toHaveBeenCalledWith("chat:ws-1:stream", "+", "-", 3);
+    expect(redisService.hmGet).toHaveBeenCalledWith("chat:ws-1:bodies", ["2-0", "3-0"]);
+    expect(page.messages.map((m) => m.id)).toEqual(["2-0", "3-0"]);
+    expect(page.hasMore).toBe(true);
+  });
+
+  test("debe paginar con cursores exclusivos", async () => {
+    redisService.xRevRange.mockResolvedValue([entry("1-0")]);
+    redisService.xRange.mockResolvedValue([entry("3-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([body("1-0", "a")])
+      .mockResolvedValueOnce([null, null])
+      .mockResolvedValueOnce([body("3-0", "c")])
+      .mockResolvedValueOnce([null, null]);
+
+    const older = await store.getPage("ws-1", { before: "2-0", limit: 2 });
+    const newer = await store.getPage("ws-1", { after: "2-0", limit: 2 });
+
+    expect(redisService.xRevRange).toHaveBeenCalledWith("chat:ws-1:stream", "(2-0", "-", 3);
+    expect(redisService.xRange).toHaveBeenCalledWith("chat:ws-1:stream", "(2-0", "+", 3);
+    expect(older).toEqual({ messages: [{ content: "a", id: "1-0" }], hasMore: false });
+    expect(newer).toEqual({ messages: [{ content: "c", id: "3-0" }], hasMore: false });
+  });
+
+  test("debe omitir los mensajes cuyo cuerpo ya no existe", async () => {
+    redisService.xRevRange.mockResolvedValue([entry("2-0"), entry("1-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([null, body("2-0", "b")])
+      .mockResolvedValueOnce([null, null]);
+
+    const page = await store.getPage("ws-1");
+
+    expect(page.messages).toEqual([body("2-0", "b")]);
+  });
+
+  test("debe indexar las respuestas en el hilo y resumirlas en el mensaje raíz", async () => {
+    redisService.xAdd.mockResolvedValue("2-0");
+    redisService.hIncrBy.mockResolvedValue(3);
+
+    await store.append(
+      "ws-1",
+      { content: "respuesta", parentId: "1-0", timestamp: "2024-01-01T00:00:00.000Z" },
+      { threadId: "1-0" }
+    );
+
+    expect(redisService.xAdd).toHaveBeenCalledWith("chat:ws-1:thread:1-0", { type: "message" });
+    expect(redisService.hIncrBy).toHaveBeenCalledWith("chat:ws-1:threads", "1-0:count");
+    expect(redisService.hSet).toHaveBeenCalledWith(
+      "chat:ws-1:threads",
+      "1-0:last",
+      "2024-01-01T00:00:00.000Z"
+    );
+
+    redisService.xRevRange.mockResolvedValue([entry("1-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([body("1-0", "raíz")])
+      .mockResolvedValueOnce([3, "2024-01-01T00:00:00.000Z"]);
+
+    const page = await store.getPage("ws-1");
+
+    expect(redisService.hmGet).toHaveBeenLastCalledWith("chat:ws-1:threads", [
+      "1-0:count",
+      "1-0:last",
+    ]);
+    expect(page.messages).toEqual([
+      { ...body("1-0", "raíz"), replyCount: 3, lastReplyAt: "2024-01-01T00:00:00.000Z" },
+    ]);
+  });
+
+  test("debe recorrer el historial por lotes con cursores exclusivos", async () => {
+    redisService.xRange
+      .mockResolvedValueOnce([entry("1-0"), entry("2-0")])
+      .mockResolvedValueOnce([entry("3-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([body("1-0", "uno"), null])
+      .mockResolvedValueOnce([null, null])
+      .mockResolvedValueOnce([body("3-0", "tres")])
+      .mockResolvedValueOnce([null, null]);
+
+    const messages = [];
+    for await (const message of store.iterate("ws-1", { from: 1, batchSize: 2 })) {
+      messages.push(message);
+    }
+
+    expect(messages).toEqual([body("1-0", "uno"), body("3-0", "tres")]);
+    expect(redisService.xRange).toHaveBeenNthCalledWith(1, "chat:ws-1:stream", "1", "+", 2);
+    expect(redisService.xRange).toHaveBeenNthCalledWith(2, "chat:ws-1:stream", "(2-0", "+", 2);
+  });
+
+  test("debe purgar los mensajes antiguos con sus hilos, reacciones y pins", async () => {
+    redisService.xRange
+      .mockResolvedValueOnce([entry("1-0"), entry("2-0")])
+      .mockResolvedValueOnce([entry("1-1")]);
+    redisService.hmGet.mockResolvedValue(["1", null]);
+    redisService.xDel.mockResolvedValue(2);
+    const onRemoved = jest.fn();
+
+    const removed = await store.purgeBefore("ws-1", "2-0", { batchSize: 10, onRemoved });
+
+    expect(removed).toBe(3);
+    expect(redisService.xRange).toHaveBeenNthCalledWith(1, "chat:ws-1:stream", "-", "2-0", 10);
+    expect(redisService.delete).toHaveBeenCalledWith("chat:ws-1:thread:1-0");
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:ws-1:bodies", ["1-0", "2-0", "1-1"]);
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:ws-1:pins", ["1-0", "2-0"]);
+    expect(redisService.xDel).toHaveBeenCalledWith("chat:ws-1:stream", ["1-0", "2-0"]);
+    expect(onRemoved).toHaveBeenCalledWith(["1-0", "2-0", "1-1"]);
+  });
+
+  test("debe agregar las reacciones por emoji al cargar el historial", async () => {
+    redisService.sAdd.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+    expect(await store.addReaction("ws-1", "1-0", "👍", "a@example.com")).toBe(true);
+    expect(await store.addReaction("ws-1", "1-0", "👍", "a@example.com")).toBe(false);
+    expect(redisService.sAdd).toHaveBeenCalledWith(
+      "chat:ws-1:reactions:1-0",
+      JSON.stringify(["👍", "a@example.com"])
+    );
+
+    redisService.xRevRange.mockResolvedValue([entry("1-0")]);
+    redisService.hmGet
+      .mockResolvedValueOnce([body("1-0", "a")])
+      .mockResolvedValueOnce([null, null]);
+    redisService.sMembersMulti.mockResolvedValue([
+      [
+        JSON.stringify(["👍", "a@example.com"]),
+        JSON.stringify(["👍", "b@example.com"]),
+        JSON.stringify(["🎉", "a@example.com"]),
+      ],
+    ]);
+
+    const page = await store.getPage("ws-1");
+
+    expect(page.messages[0].reactions).toEqual({
+      "👍": ["a@example.com", "b@example.com"],
+      "🎉": ["a@example.com"],
+    });
+  });
+
+  test("debe guardar el voto de cada usuario en su propio campo de la encuesta", async () => {
+    await store.setPollVote("ws-1", "1-0", "a@example.com", ["2"]);
+    await store.setPollVote("ws-1", "1-0", "b@example.com", []);
+
+    expect(redisService.hSet).toHaveBeenCalledWith("chat:ws-1:poll:1-0", "a@example.com", ["2"]);
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:ws-1:poll:1-0", "b@example.com");
+
+    redisService.hGetAll.mockResolvedValueOnce({ "a@example.com": ["2"], "c@example.com": ["1"] });
+    expect(await store.getPollVotes("ws-1", "1-0")).toEqual({
+      "a@example.com": ["2"],
+      "c@example.com": ["1"],
+    });
+
+    // Sin Redis se usan los votos recibidos por esta instancia
+    redisService.hGetAll.mockResolvedValueOnce(null);
+    expect(await store.getPollVotes("ws-1", "1-0")).toEqual({ "a@example.com": ["2"] });
+  });
+
+  test("debe sobrescribir el cuerpo de un mensaje existente", async () => {
+    redisService.xAdd.mockResolvedValue("1-0");
+    redisService.hGet.mockResolvedValue(null);
+    const message = await store.append("ws-1", { content: "a" });
+
+    await store.saveMessage("ws-1", { ...message, content: "b" });
+
+    expect(redisService.hSet).toHaveBeenLastCalledWith("chat:ws-1:bodies", "1-0", {
+      id: "1-0",
+      content: "b",
+    });
+    expect(await store.getMessage("ws-1", "1-0")).toEqual({ id: "1-0", content: "b" });
+  });
+
+  test("debe usar el buffer local si Redis no está disponible", async () => {
+    redisService.xAdd.mockResolvedValue(null);
+    redisService.xRevRange.mockResolvedValue(null);
+    redisService.xRange.mockResolvedValue(null);
+    redisService.hGet.mockResolvedValue(null);
+
+    const first = await store.append("ws-1", { content: "a" });
+    const second = await store.append("ws-1", { content: "b" });
+
+    expect(compareStreamIds(first.id, second.id)).toBeLessThan(0);
+    expect(redisService.hSet).not.toHaveBeenCalled();
+    expect(await store.getMessage("ws-1", first.id)).toEqual(first);
+
+    const latest = await store.getPage("ws-1", { limit: 1 });
+    expect(latest.messages.map((m) => m.content)).toEqual(["b"]);
+    expect(latest.hasMore).toBe(true);
+
+    const newer = await store.getPage("ws-1", { after: first.id });
+    expect(newer.messages.map((m) => m.content)).toEqual(["b"]);
+  });
+
+  test("debe limitar los mensajes fijados entre instancias", async () => {
+    const pin = (messageId) => ({
+      messageId,
+      pinnedAt: `2024-05-0${messageId.charAt(0)}T10:00:00.000Z`,
+      message: body(messageId, "fijado"),
+    });
+    redisService.hSetNX.mockResolvedValueOnce(true).mockResolvedValueOnce(true);
+    redisService.hGetAll
+      .mockResolvedValueOnce({ "1-0": pin("1-0") })
+      .mockResolvedValueOnce({ "1-0": pin("1-0"), "2-0": pin("2-0") });
+
+    expect(await store.addPin("ws-1", pin("1-0"), 1)).toBe("added");
+    expect(await store.addPin("ws-1", pin("2-0"), 1)).toBe("limit");
+    expect(redisService.hDel).toHaveBeenCalledWith("chat:ws-1:pins", "2-0");
+
+    redisService.hSetNX.mockResolvedValueOnce(false);
+    expect(await store.addPin("ws-1", pin("1-0"), 1)).toBe("exists");
+  });
+
+  test("debe conservar los mensajes fijados sin Redis aunque salgan del buffer", async () => {
+    const smallStore = new ChatStore("chat:", { localLimit: 1 });
+    redisService.xAdd.mockResolvedValue(null);
+    redisService.hSetNX.mockResolvedValue(null);
+    redisService.hGet.mockResolvedValue(null);
+    redisService.hGetAll.mockResolvedValue(null);
+
+    const pinned = await smallStore.append("ws-1", { content: "importante" });
+    await smallStore.addPin(
+      "ws-1",
+      { messageId: pinned.id, pinnedAt: new Date().toISOString(), message: pinned },
+      10
+    );
+    await smallStore.append("ws-1", { content: "otro" });
+
+    expect(await smallStore.getMessage("ws-1", pinned.id)).toBeNull();
+    expect((await smallStore.getPins("ws-1"))[0].message.content).toBe("importante");
+
+    await smallStore.updatePinnedMessage("ws-1", { ...pinned, content: "editado" });
+    expect((await smallStore.getPins("ws-1"))[0].message.content).toBe("editado");
+
+    expect(await smallStore.removePin("ws-1", pinned.id)).toBe(true);
+    expect(await smallStore.getPins("ws-1")).toEqual([]);
+  });
+
+  describe("historial antiguo", () => {
+    const legacy = [
+      { id: "1700000000000", content: "uno", timestamp: "2023-11-14T22:13:20.000Z" },
+      { id: "1700000000000", content: "dos", timestamp: "2023-11-14T22:13:20.000Z" },
+      { id: "1700000005000", content: "tres", timestamp: "2023-11-14T22:13:25.000Z" },
+    ];
+
+    beforeEach(() => {
+      redisService.isConnected = true;
+      redisService.get.mockResolvedValue(legacy);
+      redisService.setNX.mockResolvedValue(true);
+      redisService.hSet.mockResolvedValue(true);
+      redisService.xAdd.mockImplementation((key, fields, id) => Promise.resolve(id));
+    });
+
+    afterEach(() => {
+      delete redisService.isConnected;
+    });
+
+    test("debe importar una vez el array JSON al stream antes de leer", async () => {
+      redisService.xRevRange.mockResolvedValue([]);
+
+      await store.getPage("ws-1");
+      await store.append("ws-1", { content: "nuevo" });
+
+      expect(redisService.get).toHaveBeenCalledTimes(1);
+      expect(redisService.get).toHaveBeenCalledWith("chat:ws-1:messages", true, true);
+      expect(redisService.xAdd.mock.calls.slice(0, 3).map((call) => call[2])).toEqual([
+        "1700000000000-0",
+        "1700000000000-1",
+        "1700000005000-0",
+      ]);
+      expect(redisService.hSet).toHaveBeenCalledWith("chat:ws-1:bodies", "1700000000000-1", {
+        ...legacy[1],
+        id: "1700000000000-1",
+      });
+      expect(redisService.delete).toHaveBeenCalledWith("chat:ws-1:messages");
+      expect(redisService.delete).toHaveBeenCalledWith("chat:ws-1:messages:import");
+    });
+
+    test("debe continuar una importación interrumpida sin duplicar mensajes", async () => {
+      redisService.xRevRange.mockResolvedValueOnce([entry("1700000000000-1")]);
+
+      await store.importLegacy("ws-1");
+
+      expect(redisService.xAdd).toHaveBeenCalledTimes(1);
+      expect(redisService.xAdd).toHaveBeenCalledWith(
+        "chat:ws-1:stream",
+        { type: "message" },
+        "1700000005000-0"
+      );
+    });
+
+    test("debe reintentar la importación si Redis falla a mitad", async () => {
+      redisService.xRevRange.mockResolvedValue([]);
+      redisService.xAdd.mockResolvedValueOnce(null);
+
+      await store.importLegacy("ws-1");
+      expect(redisService.delete).not.toHaveBeenCalledWith("chat:ws-1:messages");
+
+      await store.importLegacy("ws-1");
+      expect(redisService.delete).toHaveBeenCalledWith("chat:ws-1:messages");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests del estado de "escribiendo" del chat
+ */
+
+jest.mock("../src/services/redis", () => ({
+  isConnected: true,
+  publish: jest.fn(),
+  subscribe: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  error: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const TypingTracker = require("../src/modules/chat/chat.typing");
+
+const scope = { channelId: "general", room: "ws-1" };
+const ana = { email: "ana@uni.es", name: "Ana" };
+
+describe("TypingTracker", () => {
+  let io;
+  let emit;
+  let tracker;
+  let now;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    tracker = new TypingTracker(io, { channel: "chat:typing", ttl: 5000, throttle: 2000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("debe notificar como mucho una vez por intervalo", () => {
+    tracker.typing(scope, ana);
+    now += 500;
+    expect(tracker.refresh("ws-1", ana.email)).toBe(true);
+    tracker.typing(scope, ana);
+
+    expect(emit).toHaveBeenCalledTimes(1);
+    expect(emit).toHaveBeenCalledWith("user_typing", { ...ana, channelId: "general" });
+
+    now += 2000;
+    tracker.typing(scope, ana);
+    expect(emit).toHaveBeenCalledTimes(2);
+  });
+
+  test("debe caducar los usuarios sin actividad", async () => {
+    tracker.typing(scope, ana);
+    now += 1500;
+    tracker.refresh("ws-1", ana.email);
+
+    now += 4000;
+    await tracker.tick();
+    expect(emit).not.toHaveBeenCalledWith("user_stop_typing", expect.anything());
+
+    now += 1000;
+    await tracker.tick();
+    expect(emit).toHaveBeenCalledWith("user_stop_typing", { ...ana, channelId: "general" });
+    expect(tracker.rooms.size).toBe(0);
+  });
+
+  test("debe enviar los cambios a otras instancias en un solo mensaje", async () => {
+    redisService.subscribe.mockResolvedValue(true);
+    const luis = { email: "luis@uni.es", name: "Luis" };
+
+    tracker.typing(scope, ana);
+    tracker.typing(scope, luis);
+    tracker.stopTyping(scope, ana);
+    tracker.stopTyping(scope, ana);
+    await tracker.tick();
+
+    expect(redisService.publish).toHaveBeenCalledTimes(1);
+    expect(redisService.publish).toHaveBeenCalledWith("chat:typing", {
+      instanceId: tracker.instanceId,
+      events: [
+        { type: "typing", room: "ws-1", channelId: "general", ...luis },
+        { type: "stop", room: "ws-1", channelId: "general", ...ana },
+      ],
+    });
+
+    await tracker.tick();
+    expect(redisService.publish).toHaveBeenCalledTimes(1);
+  });
+
+  test("debe aplicar los cambios de otras instancias e ignorar los propios", () => {
+    const events = [{ type: "typing", room: "ws-1", channelId: "general", ...ana }];
+
+    tracker.receive({ instanceId: tracker.instanceId, events });
+    expect(emit).not.toHaveBeenCalled();
+
+    tracker.receive({ instanceId: "otra", events });
+    expect(emit).toHaveBeenCalledWith("user_typing", { ...ana, channelId: "general" });
+
+    tracker.stopAll(ana.email);
+    expect(emit).toHaveBeenLastCalledWith("user_stop_typing", { ...ana, channelId: "general" });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests de las conversaciones privadas
+ */
+
+jest.mock("../src/services/redis", () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => false),
+  sAdd: jest.fn(async () => false),
+  sMembers: jest.fn(async () => null),
+  hSet: jest.fn(async () => false),
+  hmGet: jest.fn(async () => null),
+  xAdd: jest.fn(async () => null),
+  xRange: jest.fn(async () => null),
+  xRevRange: jest.fn(async () => null),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../src/services/metrics", () => ({
+  messageProcessed: jest.fn(),
+  errorOccurred: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const ConversationHandler = require("../src/modules/conversation/conversation.handler");
+
+describe("ConversationHandler", () => {
+  let events;
+  let handler;
+
+  const members = ["ana@uni.es", "luis@uni.es", "eva@uni.es"].map((email) => ({ email }));
+
+  const io = {
+    to: (room) => ({
+      emit: (event, payload) => events.push([room, event, payload]),
+    }),
+  };
+
+  const createSocket = (email) => {
+    const socket = {
+      id: `s-${email}`,
+      user: { id: email, email, name: email.split("@")[0] },
+      rooms: new Set(),
+      join: (room) => socket.rooms.add(room),
+      leave: (room) => socket.rooms.delete(room),
+      emit: (event, payload) => events.push([socket.id, event, payload]),
+    };
+    return socket;
+  };
+
+  const received = (target, event) =>
+    events.filter(([id, name]) => id === target && name === event).map(([, , payload]) => payload);
+
+  beforeEach(() => {
+    events = [];
+    handler = new ConversationHandler(io, {
+      workspaceHandler: { getWorkspaceMembers: async () => members },
+    });
+  });
+
+  test("debe crear una conversación 1:1 y unir al creador a su sala", async () => {
+    const ana = createSocket("ana@uni.es");
+
+    await handler.handleStartConversation(ana, { workspaceId: "ws-1", participants: ["luis@uni.es"] });
+
+    const [{ conversation }] = received(ana.id, "conversation_started");
+    expect(conversation).toMatchObject({
+      workspaceId: "ws-1",
+      participants: ["ana@uni.es", "luis@uni.es"],
+      createdBy: "ana@uni.es",
+    });
+    expect(conversation.id).toMatch(/^dm_[0-9a-f]{40}$/);
+    expect(ana.rooms.has(`conversation:${conversation.id}`)).toBe(true);
+    expect(received("user:luis@uni.es", "conversation_created")).toEqual([{ conversation }]);
+  });
+
+  test("debe rechazar participantes que no son miembros del workspace", async () => {
+    const ana = createSocket("ana@uni.es");
+
+    await handler.handleStartConversation(ana, { workspaceId: "ws-1", participants: ["intruso@x.es"] });
+
+    expect(received(ana.id, "conversation_started")).toEqual([]);
+    expect(received(ana.id, "error")).toEqual([
+      expect.objectContaining({ details: ["intruso@x.es"] }),
+    ]);
+  });
+
+  test("debe enviar mensajes a la sala y avisar a cada participante", async () => {
+    const ana = createSocket("ana@uni.es");
+    await handler.handleStartConversation(ana, { workspaceId: "ws-1", participants: ["eva@uni.es"] });
+    const [{ conversation }] = received(ana.id, "conversation_started");
+
+    await handler.handleSendDirectMessage(ana, { conversationId: conversation.id, content: "Hola" });
+
+    const [message] = received(`conversation:${conversation.id}`, "direct_message");
+    expect(message).toMatchObject({ conversationId: conversation.id, senderEmail: "ana@uni.es", content: "Hola" });
+    for (const email of ["ana@uni.es", "eva@uni.es"]) {
+      expect(received(`user:${email}`, "conversation_updated")).toEqual([
+        { conversationId: conversation.id, lastMessage: expect.objectContaining({ id: message.id, content: "Hola" }) },
+      ]);
+    }
+  });
+
+  test("debe leer la conversación sin caché y conservar el último mensaje más reciente", async () => {
+    const ana = createSocket("ana@uni.es");
+    await handler.handleStartConversation(ana, { workspaceId: "ws-4", participants: ["luis@uni.es"] });
+    const [{ conversation }] = received(ana.id, "conversation_started");
+    const lastKey = `conversation:${conversation.id}:last`;
+    // Otra instancia ya guardó un mensaje posterior
+    const newer = { id: "9999999999999-0", senderEmail: "luis@uni.es", content: "Después", timestamp: "2286-11-20T17:46:39.999Z" };
+    redisService.get.mockImplementation(async (key) => (key === lastKey ? newer : null));
+
+    try {
+      await handler.handleSendDirectMessage(ana, { conversationId: conversation.id, content: "Antes" });
+    } finally {
+      redisService.get.mockImplementation(async () => null);
+    }
+
+    expect(redisService.get).toHaveBeenCalledWith(`conversation:${conversation.id}:meta`, true, true);
+    expect(redisService.get).toHaveBeenCalledWith(lastKey, true, true);
+    expect(redisService.set).not.toHaveBeenCalledWith(lastKey, expect.anything());
+    expect(received("user:luis@uni.es", "conversation_updated")).toEqual([
+      { conversationId: conversation.id, lastMessage: newer },
+    ]);
+  });
+
+  test("debe listar solo las conversaciones del usuario, la más reciente primero", async () => {
+    const luis = createSocket("luis@uni.es");
+    await handler.handleStartConversation(luis, { workspaceId: "ws-2", participants: ["ana@uni.es"] });
+    await handler.handleStartConversation(luis, { workspaceId: "ws-2", participants: ["eva@uni.es"] });
+    const [first, second] = received(luis.id, "conversation_started").map((event) => event.conversation);
+    await handler.handleSendDirectMessage(luis, { conversationId: first.id, content: "Hola" });
+
+    await handler.handleGetConversations(luis, { workspaceId: "ws-2" });
+    const eva = createSocket("eva@uni.es");
+    await handler.handleGetConversations(eva, { workspaceId: "ws-2" });
+
+    expect(received(luis.id, "conversations")[0].conversations.map((c) => c.id)).toEqual([first.id, second.id]);
+    expect(received(eva.id, "conversations")[0].conversations.map((c) => c.id)).toEqual([second.id]);
+  });
+
+  test("debe rechazar a quien no participa en la conversación", async () => {
+    const ana = createSocket("ana@uni.es");
+    await handler.handleStartConversation(ana, { workspaceId: "ws-3", participants: ["luis@uni.es"] });
+    const [{ conversation }] = received(ana.id, "conversation_started");
+    const eva = createSocket("eva@uni.es");
+
+    await handler.handleJoinConversation(eva, { conversationId: conversation.id });
+    await handler.handleSendDirectMessage(eva, { conversationId: conversation.id, content: "Hola" });
+    await handler.handleGetConversationHistory(eva, { conversationId: conversation.id });
+
+    expect(eva.rooms.size).toBe(0);
+    expect(received(eva.id, "error")).toEqual([
+      { message: "Conversación no encontrada" },
+      { message: "Conversación no encontrada" },
+      { message: "Conversación no encontrada" },
+    ]);
+    expect(received(`conversation:${conversation.id}`, "direct_message")).toEqual([]);
+    expect(received(eva.id, "conversation_history")).toEqual([]);
+  });
+});
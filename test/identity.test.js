@@ -0,0 +1,114 @@
+/**
+ * Tests de la resolución de identidad a partir del usuario autenticado
+ */
+
+jest.mock("../src/services/redis", () => ({}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../src/config/config", () => ({
+  jwt: { secret: "test-secret" },
+  auth: { serviceAccounts: ["bot@uni.es"] },
+}));
+
+jest.useFakeTimers();
+
+const jwt = require("jsonwebtoken");
+const {
+  resolveIdentity,
+  parseDevelopmentToken,
+  isWorkspaceMember,
+  isWorkspaceAdmin,
+} = require("../src/middleware/auth");
+
+const buildSocket = (user) => ({
+  id: "socket-1",
+  user,
+  emit: jest.fn(),
+});
+
+describe("resolveIdentity", () => {
+  test("debe completar la identidad con los datos del token", () => {
+    const socket = buildSocket({ id: "u1", email: "ana@uni.es" });
+
+    expect(
+      resolveIdentity(socket, { name: "Ana", image: "a.png" }, "join_note")
+    ).toEqual({ id: "u1", email: "ana@uni.es", name: "Ana", image: "a.png" });
+    expect(resolveIdentity(socket, undefined, "task_created")).toMatchObject({
+      id: "u1",
+      email: "ana@uni.es",
+    });
+  });
+
+  test("debe preferir el nombre del token al enviado por el cliente", () => {
+    const socket = buildSocket({ id: "u1", email: "ana@uni.es", name: "Ana G." });
+
+    expect(resolveIdentity(socket, { name: "Otro" }, "new_message").name).toBe(
+      "Ana G."
+    );
+  });
+
+  test("debe rechazar identidades que no coinciden", () => {
+    const socket = buildSocket({ id: "u1", email: "ana@uni.es" });
+
+    expect(
+      resolveIdentity(socket, { email: "luis@uni.es" }, "new_message")
+    ).toBeNull();
+    expect(resolveIdentity(socket, { id: "u2" }, "join_workspace")).toBeNull();
+    expect(socket.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "IDENTITY_MISMATCH" })
+    );
+  });
+
+  test("debe exigir un usuario autenticado", () => {
+    const socket = buildSocket(undefined);
+
+    expect(resolveIdentity(socket, { email: "ana@uni.es" }, "x")).toBeNull();
+    expect(socket.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "AUTH_REQUIRED" })
+    );
+  });
+
+  test("debe permitir suplantar solo a cuentas de servicio autorizadas", () => {
+    const bot = buildSocket({ id: "b1", email: "bot@uni.es", serviceAccount: true });
+    const unlisted = buildSocket({
+      id: "b2",
+      email: "otro-bot@uni.es",
+      serviceAccount: true,
+    });
+
+    expect(
+      resolveIdentity(bot, { email: "luis@uni.es", name: "Luis" }, "new_message")
+    ).toEqual({ email: "luis@uni.es", name: "Luis", actedBy: "bot@uni.es" });
+    expect(
+      resolveIdentity(unlisted, { email: "luis@uni.es" }, "new_message")
+    ).toBeNull();
+  });
+});
+
+describe("parseDevelopmentToken", () => {
+  test("debe hacer miembro de cualquier workspace al usuario sin roles", () => {
+    const user = parseDevelopmentToken("u1.ana@uni.es.Ana");
+
+    expect(user).toMatchObject({ id: "u1", email: "ana@uni.es", name: "Ana" });
+    expect(isWorkspaceMember(user, "ws-1")).toBe(true);
+    expect(isWorkspaceAdmin(user, "ws-1")).toBe(false);
+    expect(Object.keys(user.workspaceRoles)).toEqual([]);
+  });
+
+  test("debe respetar los claims de un JWT sin verificarlo", () => {
+    const token = jwt.sign(
+      { id: "u1", email: "ana@uni.es", workspaceRoles: { "ws-1": "ADMIN" } },
+      "otro-secreto"
+    );
+    const user = parseDevelopmentToken(token);
+
+    expect(user).toMatchObject({ id: "u1", email: "ana@uni.es" });
+    expect(isWorkspaceAdmin(user, "ws-1")).toBe(true);
+    expect(isWorkspaceMember(user, "ws-2")).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests del parser de menciones del chat
+ */
+
+const { parseMentions } = require("../src/modules/chat/mentions");
+
+describe("parseMentions", () => {
+  const members = [
+    { email: "ana@uni.es", name: "Ana" },
+    { email: "ana.garcia@uni.es", name: "Ana García" },
+    { email: "luis@uni.es", name: "Luis" },
+    { email: "sin-nombre@uni.es" },
+  ];
+
+  test("debe resolver menciones por email", () => {
+    expect(parseMentions("Hola @luis@uni.es, ¿vienes?", members)).toEqual([
+      { email: "luis@uni.es", name: "Luis" },
+    ]);
+  });
+
+  test("debe resolver menciones por nombre prefiriendo el más largo", () => {
+    expect(parseMentions("@Ana García y @ana revisad esto", members)).toEqual([
+      { email: "ana.garcia@uni.es", name: "Ana García" },
+      { email: "ana@uni.es", name: "Ana" },
+    ]);
+  });
+
+  test("debe exigir un límite de palabra tras el nombre", () => {
+    expect(parseMentions("@Luisa no es miembro", members)).toEqual([]);
+    expect(parseMentions("gracias @Luis!", members)).toEqual([
+      { email: "luis@uni.es", name: "Luis" },
+    ]);
+  });
+
+  test("debe ignorar emails desconocidos y eliminar duplicados", () => {
+    expect(
+      parseMentions("@otro@uni.es @sin-nombre@uni.es @SIN-NOMBRE@uni.es", members)
+    ).toEqual([{ email: "sin-nombre@uni.es", name: null }]);
+  });
+
+  test("debe devolver una lista vacía sin menciones", () => {
+    expect(parseMentions("sin menciones", members)).toEqual([]);
+    expect(parseMentions("@Ana", [])).toEqual([]);
+  });
+});
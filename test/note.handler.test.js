@@ -0,0 +1,294 @@
+/**
+ * Tests de la sincronización de notas por operaciones
+ */
+
+jest.mock("../src/services/redis", () => ({
+  isConnected: false,
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => false),
+  hSetNX: jest.fn(async () => null),
+  hSet: jest.fn(async () => false),
+  hSetAll: jest.fn(async () => false),
+  hmGet: jest.fn(async () => null),
+  hGetAll: jest.fn(async () => null),
+  hDel: jest.fn(),
+  expire: jest.fn(),
+  zAdd: jest.fn(),
+  publish: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../src/services/metrics", () => ({
+  messageProcessed: jest.fn(),
+  errorOccurred: jest.fn(),
+}));
+jest.mock("../src/config/config", () => ({
+  jwt: { secret: "test-secret" },
+  auth: { serviceAccounts: [] },
+}));
+
+jest.useFakeTimers();
+
+const redisService = require("../src/services/redis");
+const NoteHandler = require("../src/modules/note/note.handler");
+
+describe("NoteHandler", () => {
+  let events;
+  let sockets;
+  let handler;
+
+  // Entrega las emisiones a los sockets de las salas, como haría Socket.IO
+  const broadcast = (rooms, except = [], exceptSocket = null) => ({
+    except: (room) => broadcast(rooms, [...except, ...[].concat(room)], exceptSocket),
+    emit: (event, payload) => {
+      for (const socket of sockets) {
+        if (socket === exceptSocket) continue;
+        if (!rooms.some(room => socket.rooms.has(room))) continue;
+        if (except.some(room => socket.rooms.has(room))) continue;
+        events.push([socket.id, event, payload]);
+      }
+    },
+  });
+
+  const createSocket = (id, email) => {
+    const socket = {
+      id,
+      user: { id: email, email, name: email.split("@")[0] },
+      rooms: new Set([id]),
+      join: (room) => socket.rooms.add(room),
+      leave: (room) => socket.rooms.delete(room),
+      emit: (event, payload) => events.push([id, event, payload]),
+      to: (room) => broadcast([room], [], socket),
+    };
+    sockets.push(socket);
+    return socket;
+  };
+
+  const received = (socketId, event) =>
+    events.filter(([id, name]) => id === socketId && name === event).map(([, , payload]) => payload);
+
+  beforeEach(() => {
+    events = [];
+    sockets = [];
+    handler = new NoteHandler({ to: (room) => broadcast([room]) });
+  });
+
+  test("debe enviar solo la operación a los clientes que sincronizan por operaciones", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    const eva = createSocket("s-eva", "eva@uni.es");
+    await handler.handleJoinNote(ana, "ws-1", "n-patch", {}, { sync: "patch" });
+    await handler.handleJoinNote(luis, "ws-1", "n-patch", {}, { sync: "patch" });
+    await handler.handleJoinNote(eva, "ws-1", "n-patch", {});
+
+    const ack = jest.fn();
+    await handler.handleOperation(ana, "ws-1", "n-patch", { revision: 0, operation: ["hola"] }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ ok: true, revision: 1 });
+    expect(received("s-luis", "note_operation")).toEqual([
+      { noteId: "n-patch", revision: 1, operation: ["hola"], author: { email: "ana@uni.es", name: "ana" } },
+    ]);
+    expect(received("s-luis", "note_content_updated")).toEqual([]);
+    expect(received("s-eva", "note_operation")).toEqual([]);
+    expect(received("s-eva", "note_content_updated")).toEqual([
+      { noteId: "n-patch", content: "hola", revision: 1, updatedBy: "s-ana" },
+    ]);
+    expect(received("s-ana", "note_operation")).toEqual([]);
+  });
+
+  test("debe responder con el estado actual si la revisión no corresponde", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    await handler.handleJoinNote(ana, "ws-1", "n-resync", {}, { sync: "patch" });
+    await handler.handleOperation(ana, "ws-1", "n-resync", { revision: 0, operation: ["hola"] }, jest.fn());
+
+    const ack = jest.fn();
+    await handler.handleOperation(ana, "ws-1", "n-resync", { revision: 7, operation: ["x"] }, ack);
+    await handler.handleOperation(ana, "ws-1", "n-resync", { revision: 1, operation: [9, "x"] }, ack);
+
+    const resync = { noteId: "n-resync", content: "hola", revision: 1 };
+    expect(ack).toHaveBeenNthCalledWith(1, expect.objectContaining({ ok: false, resync }));
+    expect(ack.mock.calls[1][0]).toMatchObject({ ok: false, error: { code: "REVISION_MISMATCH" }, resync });
+
+    const resyncAck = jest.fn();
+    await handler.handleResync(ana, "ws-1", "n-resync", resyncAck);
+    expect(resyncAck).toHaveBeenCalledWith({ ok: true, ...resync });
+  });
+
+  test("debe rechazar las operaciones de quien no se ha unido a la nota", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const ack = jest.fn();
+
+    await handler.handleOperation(ana, "ws-1", "n-ajena", { revision: 0, operation: ["x"] }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: expect.objectContaining({ code: "NOT_IN_NOTE" }) });
+  });
+
+  test("debe mantener los comentarios sobre su texto cuando cambia la nota", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    await handler.handleJoinNote(ana, "ws-1", "n-comments", {}, { sync: "patch" });
+    await handler.handleJoinNote(luis, "ws-1", "n-comments", {}, { sync: "patch" });
+    await handler.handleOperation(ana, "ws-1", "n-comments", { revision: 0, operation: ["hola mundo"] }, jest.fn());
+
+    // Luis comenta "mundo" en la revisión 1 mientras Ana escribe delante en la revisión 2
+    await handler.handleOperation(ana, "ws-1", "n-comments", { revision: 1, operation: [5, "gran "] }, jest.fn());
+    const ack = jest.fn();
+    await handler.handleAddComment(luis, "ws-1", "n-comments", { revision: 1, from: 5, to: 10, content: " ¿Seguro? " }, ack);
+
+    const { thread } = ack.mock.calls[0][0];
+    expect(thread).toMatchObject({
+      anchor: { from: 10, to: 15, revision: 2 },
+      quote: "mundo",
+      resolved: false,
+      comments: [{ content: "¿Seguro?", author: { email: "luis@uni.es", name: "luis" } }],
+    });
+    expect(received("s-ana", "note_comment_added")).toEqual([
+      { noteId: "n-comments", threadId: thread.id, comment: thread.comments[0], thread },
+    ]);
+
+    await handler.handleOperation(ana, "ws-1", "n-comments", { revision: 2, operation: [-5] }, jest.fn());
+    await handler.handleReplyComment(ana, "ws-1", "n-comments", { threadId: thread.id, content: "Sí" }, jest.fn());
+    await handler.handleResolveComment(ana, "ws-1", "n-comments", { threadId: thread.id }, true, jest.fn());
+
+    expect(received("s-luis", "note_comment_resolved")).toEqual([
+      expect.objectContaining({ noteId: "n-comments", threadId: thread.id, resolved: true, resolvedBy: { email: "ana@uni.es", name: "ana" } }),
+    ]);
+
+    const listAck = jest.fn();
+    await handler.getComments(luis, "ws-1", "n-comments", listAck);
+    const [listed] = listAck.mock.calls[0][0].threads;
+    expect(listed.anchor).toEqual({ from: 5, to: 10, revision: 3 });
+    expect(listed.resolved).toBe(true);
+    expect(listed.comments.map(comment => comment.content)).toEqual(["¿Seguro?", "Sí"]);
+  });
+
+  test("debe rechazar comentarios sin texto o fuera de la nota", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    await handler.handleJoinNote(ana, "ws-1", "n-invalid-comments", {}, { sync: "patch" });
+    await handler.handleOperation(ana, "ws-1", "n-invalid-comments", { revision: 0, operation: ["hola"] }, jest.fn());
+
+    const ack = jest.fn();
+    await handler.handleAddComment(ana, "ws-1", "n-invalid-comments", { revision: 1, from: 0, to: 4, content: "  " }, ack);
+    await handler.handleAddComment(ana, "ws-1", "n-invalid-comments", { revision: 1, from: 2, to: 9, content: "x" }, ack);
+    await handler.handleAddComment(ana, "ws-1", "n-invalid-comments", { revision: 5, from: 0, to: 4, content: "x" }, ack);
+    await handler.handleReplyComment(ana, "ws-1", "n-invalid-comments", { threadId: "t-1", content: "x" }, ack);
+
+    expect(ack.mock.calls.map(([response]) => response.error.code)).toEqual([
+      "INVALID_COMMENT",
+      "INVALID_RANGE",
+      "INVALID_REVISION",
+      "THREAD_NOT_FOUND",
+    ]);
+  });
+
+  test("debe agrupar los cursores de una nota sin devolvérselos a quien los mueve", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    await handler.handleJoinNote(ana, "ws-1", "n-cursors", {}, { sync: "patch", cursors: "batch" });
+    await handler.handleJoinNote(luis, "ws-1", "n-cursors", {}, { sync: "patch", cursors: "batch" });
+
+    handler.handleCursorUpdate(ana, "ws-1", "n-cursors", { anchor: 1 });
+    handler.handleCursorUpdate(ana, "ws-1", "n-cursors", { anchor: 2, head: 6, revision: 0 });
+    handler.handleCursorUpdate(ana, "ws-1", "n-cursors", { anchor: 3, head: 7, revision: 0 });
+    handler.handleCursorUpdate(luis, "ws-1", "n-cursors", { anchor: 0 });
+    handler.handleCursorUpdate(luis, "ws-1", "n-cursors", { anchor: -1 });
+
+    expect(received("s-luis", "cursors_updated")).toEqual([
+      {
+        noteId: "n-cursors",
+        cursors: [{ userId: "s-ana", userData: ana.user, color: expect.stringMatching(/^#[0-9a-f]{6}$/), cursor: { anchor: 1, head: 1 } }],
+      },
+    ]);
+
+    // Los cambios del intervalo se envían juntos al terminar, con la última posición de cada uno
+    jest.advanceTimersByTime(handler.CURSOR_INTERVAL);
+    const [, batch] = received("s-luis", "cursors_updated");
+    expect(batch.cursors.map(({ userId, cursor }) => [userId, cursor])).toEqual([
+      ["s-ana", { anchor: 3, head: 7, revision: 0 }],
+    ]);
+    expect(received("s-ana", "cursors_updated")).toEqual([
+      { noteId: "n-cursors", cursors: [expect.objectContaining({ userId: "s-luis", cursor: { anchor: 0, head: 0 } })] },
+    ]);
+  });
+
+  test("debe eliminar los cursores de un usuario al desconectarse", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    await handler.handleJoinNote(ana, "ws-2", "n-disconnect", {}, { sync: "patch", cursors: "batch" });
+    await handler.handleJoinNote(luis, "ws-2", "n-disconnect", {}, { sync: "patch", cursors: "batch" });
+    handler.handleCursorUpdate(luis, "ws-2", "n-disconnect", { anchor: 0, head: 4 });
+    jest.advanceTimersByTime(handler.CURSOR_INTERVAL);
+
+    luis.rooms = new Set();
+    handler.handleDisconnect(luis);
+    await Promise.resolve();
+
+    const updates = received("s-ana", "cursors_updated");
+    expect(updates[updates.length - 1].cursors).toEqual([expect.objectContaining({ userId: "s-luis", cursor: null })]);
+    expect(received("s-ana", "note_users_updated").pop().users).toEqual([ana.user]);
+
+    const eva = createSocket("s-eva", "eva@uni.es");
+    await handler.handleJoinNote(eva, "ws-2", "n-disconnect", {});
+    expect(received("s-eva", "cursors_updated")).toEqual([]);
+  });
+
+  test("debe enviar un cursor_updated por cursor a los clientes que no los piden agrupados", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    const eva = createSocket("s-eva", "eva@uni.es");
+    await handler.handleJoinNote(ana, "ws-3", "n-legacy", {}, { cursors: "batch" });
+    await handler.handleJoinNote(luis, "ws-3", "n-legacy", {});
+    await handler.handleJoinNote(eva, "ws-3", "n-legacy", {});
+
+    handler.handleCursorUpdate(ana, "ws-3", "n-legacy", { anchor: 1 });
+    handler.handleCursorUpdate(luis, "ws-3", "n-legacy", { anchor: 2 });
+    jest.advanceTimersByTime(handler.CURSOR_INTERVAL);
+
+    expect(received("s-eva", "cursor_updated").map(({ userId, cursor }) => [userId, cursor])).toEqual([
+      ["s-ana", { anchor: 1, head: 1 }],
+      ["s-luis", { anchor: 2, head: 2 }],
+    ]);
+    expect(received("s-luis", "cursor_updated")).toEqual([
+      { noteId: "n-legacy", userId: "s-ana", userData: ana.user, color: expect.any(String), cursor: { anchor: 1, head: 1 } },
+    ]);
+    expect(received("s-eva", "cursors_updated")).toEqual([]);
+    expect(received("s-ana", "cursors_updated").flatMap(({ cursors }) => cursors.map((entry) => entry.userId))).toEqual([
+      "s-luis",
+    ]);
+    expect(received("s-ana", "cursor_updated")).toEqual([]);
+  });
+
+  test("debe pedir a las demás instancias sus cursores al unirse y responder a sus peticiones", async () => {
+    const ana = createSocket("s-ana", "ana@uni.es");
+    const luis = createSocket("s-luis", "luis@uni.es");
+    handler.cursors.subscribed = true;
+
+    await handler.handleJoinNote(ana, "ws-4", "n-snapshot", {}, { cursors: "batch" });
+    expect(redisService.publish).toHaveBeenLastCalledWith("note:cursors", {
+      instanceId: handler.cursors.instanceId,
+      room: "note:ws-4:n-snapshot",
+      noteId: "n-snapshot",
+      snapshotFor: { socketId: "s-ana", legacy: false },
+    });
+
+    // Otra instancia responde con sus cursores solo para quien se une
+    const remote = { userId: "s-remoto", userData: { id: "eva@uni.es" }, color: "#000075", cursor: { anchor: 4, head: 4 } };
+    await handler.handleJoinNote(luis, "ws-4", "n-snapshot", {}, { cursors: "batch" });
+    handler.cursors.receive({ instanceId: "otra", room: "note:ws-4:n-snapshot", noteId: "n-snapshot", cursors: [remote], to: { socketId: "s-ana", legacy: false } });
+    expect(received("s-ana", "cursors_updated")).toEqual([{ noteId: "n-snapshot", cursors: [remote] }]);
+    expect(received("s-luis", "cursors_updated")).toEqual([]);
+
+    // Y esta instancia responde a las peticiones de las demás
+    handler.handleCursorUpdate(ana, "ws-4", "n-snapshot", { anchor: 0 });
+    handler.cursors.receive({ instanceId: "otra", room: "note:ws-4:n-snapshot", noteId: "n-snapshot", snapshotFor: { socketId: "s-remoto", legacy: true } });
+    await Promise.resolve();
+    expect(redisService.publish).toHaveBeenLastCalledWith("note:cursors", expect.objectContaining({
+      cursors: [expect.objectContaining({ userId: "s-ana" })],
+      to: { socketId: "s-remoto", legacy: true },
+    }));
+  });
+});
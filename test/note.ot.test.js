@@ -0,0 +1,181 @@
+/**
+ * Tests de la edición concurrente de notas (transformación operacional)
+ */
+
+jest.mock("../src/services/redis", () => {
+  const values = new Map();
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    values,
+    hashes,
+    get: jest.fn(async (key) => values.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      values.set(key, value);
+      return true;
+    }),
+    hSetNX: jest.fn(async (key, field, value) => {
+      if (hash(key).has(field)) return false;
+      hash(key).set(field, value);
+      return true;
+    }),
+    hmGet: jest.fn(async (key, fields) => fields.map(field => hash(key).get(field) ?? null)),
+    hDel: jest.fn(async (key, field) => hash(key).delete(field)),
+    expire: jest.fn(),
+    persist: jest.fn(),
+    delete: jest.fn(async (key) => {
+      values.delete(key);
+      hashes.delete(key);
+      return true;
+    }),
+  };
+});
+
+const redisService = require("../src/services/redis");
+const {
+  normalizeOperation,
+  applyOperation,
+  transform,
+  diffOperation,
+  transformPosition,
+  transformRange,
+} = require("../src/modules/note/note.ot");
+const NoteStore = require("../src/modules/note/note.store");
+
+describe("operaciones de texto", () => {
+  test("debe normalizar las operaciones y rechazar componentes no válidos", () => {
+    expect(normalizeOperation([2, 3, "a", "b", -1, -1, 4])).toEqual([5, "ab", -2]);
+    expect(normalizeOperation([1, -2, "x"])).toEqual([1, "x", -2]);
+    expect(normalizeOperation([0])).toBeNull();
+    expect(normalizeOperation([1.5])).toBeNull();
+    expect(normalizeOperation("hola")).toBeNull();
+  });
+
+  test("debe aplicar una operación y rechazar las que no caben en el texto", () => {
+    expect(applyOperation("hola mundo", [5, -5, "gente"])).toBe("hola gente");
+    expect(() => applyOperation("hola", [5, "x"])).toThrow();
+  });
+
+  test("debe converger al transformar operaciones concurrentes", () => {
+    const cases = [
+      ["hola mundo", [4, " a todo el"], [5, -5, "gente"]],
+      ["hola mundo", [-5], [3, -4, "X"]],
+      ["abc", [1, "X"], [1, "Y"]],
+      ["abcdef", [1, -4], [2, -2, "Z"]],
+      ["", ["a"], ["b"]],
+    ];
+
+    for (const [text, a, b] of cases) {
+      const [aPrime, bPrime] = transform(a, b);
+      expect(applyOperation(applyOperation(text, a), bPrime))
+        .toBe(applyOperation(applyOperation(text, b), aPrime));
+    }
+
+    // En la misma posición, el texto de la operación aceptada antes queda primero
+    const [, bPrime] = transform([1, "X"], [1, "Y"]);
+    expect(applyOperation("aXbc", bPrime)).toBe("aXYbc");
+  });
+
+  test("debe calcular la operación entre dos versiones del texto", () => {
+    expect(diffOperation("hola mundo", "hola gente")).toEqual([5, "gente", -5]);
+    expect(diffOperation("aaa", "aaaa")).toEqual([3, "a"]);
+    expect(diffOperation("abc", "")).toEqual([-3]);
+    expect(applyOperation("hola mundo", diffOperation("hola mundo", "adiós mundo"))).toBe("adiós mundo");
+  });
+
+  test("debe llevar posiciones y tramos del texto a través de una operación", () => {
+    expect(transformPosition(5, [2, "ab"])).toBe(7);
+    expect(transformPosition(5, [5, "ab"])).toBe(5);
+    expect(transformPosition(5, [5, "ab"], true)).toBe(7);
+    expect(transformPosition(5, [3, -4])).toBe(3);
+
+    // "hola mundo": el tramo "mundo" no crece con lo que se escribe en sus extremos
+    expect(transformRange({ from: 5, to: 10 }, [5, "gran "])).toEqual({ from: 10, to: 15 });
+    expect(transformRange({ from: 5, to: 10 }, [10, "!"])).toEqual({ from: 5, to: 10 });
+    expect(transformRange({ from: 5, to: 10 }, [7, -1, "N"])).toEqual({ from: 5, to: 10 });
+    expect(transformRange({ from: 5, to: 10 }, [3, -8])).toEqual({ from: 3, to: 3 });
+  });
+});
+
+describe("NoteStore", () => {
+  beforeEach(() => {
+    redisService.values.clear();
+    redisService.hashes.clear();
+  });
+
+  test("debe combinar los cambios hechos sobre la misma revisión", async () => {
+    const store = new NoteStore("note:");
+    await store.submit("ws-1", "n1", 0, ["hola mundo"]);
+
+    const first = await store.submit("ws-1", "n1", 1, [4, " a todo el"]);
+    const second = await store.submit("ws-1", "n1", 1, [5, -5, "gente"]);
+
+    expect(first.result.revision).toBe(2);
+    expect(second.result).toMatchObject({ revision: 3, operation: [15, "gente", -5] });
+    expect(await store.load("ws-1", "n1")).toMatchObject({
+      content: "hola a todo el gente",
+      revision: 3,
+    });
+    expect(redisService.values.get("note:ws-1:n1:content")).toEqual({
+      content: "hola a todo el gente",
+      revision: 3,
+    });
+  });
+
+  test("debe rechazar revisiones inexistentes u operaciones que no encajan", async () => {
+    const store = new NoteStore("note:");
+    await store.submit("ws-1", "n1", 0, ["hola"]);
+
+    expect((await store.submit("ws-1", "n1", 5, ["x"])).error.code).toBe("INVALID_REVISION");
+    expect((await store.submit("ws-1", "n1", 1, [10, "x"])).error.code).toBe("REVISION_MISMATCH");
+    expect((await store.submit("ws-1", "n1", 1, [0])).error.code).toBe("INVALID_OPERATION");
+  });
+
+  test("debe rechazar las revisiones más antiguas que el historial", async () => {
+    const store = new NoteStore("note:", { historyLimit: 2 });
+    for (let revision = 0; revision < 4; revision++) {
+      await store.submit("ws-1", "n1", revision, ["x"]);
+    }
+
+    expect((await store.submit("ws-1", "n1", 1, ["y"])).error.code).toBe("REVISION_TOO_OLD");
+    expect((await store.submit("ws-1", "n1", 2, ["y"])).result.revision).toBe(5);
+  });
+
+  test("debe transformar contra los cambios de otra instancia y notificarlos", async () => {
+    const instanceA = new NoteStore("note:");
+    const instanceB = new NoteStore("note:");
+    await instanceA.submit("ws-1", "n1", 0, ["abc"]);
+    expect(await instanceB.load("ws-1", "n1")).toMatchObject({ content: "abc", revision: 1, operations: [] });
+
+    await instanceA.submit("ws-1", "n1", 1, [3, "!"]);
+    const { result, operations } = await instanceB.submit("ws-1", "n1", 1, ["¡"]);
+
+    expect(result.revision).toBe(3);
+    expect(result.content).toBe("¡abc!");
+    expect(operations).toEqual([expect.objectContaining({ revision: 2, operation: [3, "!"] })]);
+    expect(await instanceA.sync("ws-1", "n1")).toMatchObject({
+      content: "¡abc!",
+      operations: [expect.objectContaining({ revision: 3, operation: ["¡"] })],
+    });
+  });
+
+  test("debe devolver las operaciones aceptadas desde una revisión", async () => {
+    const store = new NoteStore("note:", { historyLimit: 2 });
+    for (const operation of [["a"], [1, "b"], [2, "c"]]) {
+      await store.submit("ws-1", "n1", (await store.load("ws-1", "n1")).revision, operation);
+    }
+
+    expect(await store.changesSince("ws-1", "n1", 1)).toMatchObject({
+      content: "abc",
+      revision: 3,
+      changes: [[1, "b"], [2, "c"]],
+    });
+    expect((await store.changesSince("ws-1", "n1", 3)).changes).toEqual([]);
+    expect((await store.changesSince("ws-1", "n1", 0)).changes).toBeNull();
+    expect((await store.changesSince("ws-1", "n1", 4)).changes).toBeNull();
+  });
+});
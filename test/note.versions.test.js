@@ -0,0 +1,123 @@
+/**
+ * Tests del historial de versiones de las notas
+ */
+
+jest.mock("../src/services/redis", () => {
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+
+  return {
+    hashes,
+    hSet: jest.fn(async (key, field, value) => {
+      hash(key).set(field, value);
+      return true;
+    }),
+    hSetNX: jest.fn(async (key, field, value) => {
+      if (hash(key).has(field)) return false;
+      hash(key).set(field, value);
+      return true;
+    }),
+    hmGet: jest.fn(async (key, fields) => fields.map(field => hash(key).get(field) ?? null)),
+    hGetAll: jest.fn(async (key) => Object.fromEntries(hash(key))),
+    hDel: jest.fn(async (key, fields) => [].concat(fields).forEach(field => hash(key).delete(field))),
+    expire: jest.fn(),
+    persist: jest.fn(),
+    delete: jest.fn(async (key) => hashes.delete(key)),
+  };
+});
+
+const redisService = require("../src/services/redis");
+const NoteVersions = require("../src/modules/note/note.versions");
+
+const { diffLines } = NoteVersions;
+const ana = { email: "ana@uni.es", name: "Ana" };
+
+describe("diffLines", () => {
+  test("debe devolver las líneas añadidas, eliminadas y sin cambios en orden", () => {
+    const from = "# Tema 1\nIntroducción\nEjemplo A\nResumen";
+    const to = "# Tema 1\nIntroducción breve\nEjemplo A\nEjemplo B\nResumen";
+
+    expect(diffLines(from, to)).toEqual({
+      changes: [
+        { type: "equal", text: "# Tema 1" },
+        { type: "removed", text: "Introducción" },
+        { type: "added", text: "Introducción breve" },
+        { type: "equal", text: "Ejemplo A" },
+        { type: "added", text: "Ejemplo B" },
+        { type: "equal", text: "Resumen" },
+      ],
+      added: 2,
+      removed: 1,
+    });
+  });
+
+  test("debe comparar textos sin líneas en común", () => {
+    expect(diffLines("a\nb", "c")).toEqual({
+      changes: [
+        { type: "removed", text: "a\nb" },
+        { type: "added", text: "c" },
+      ],
+      added: 1,
+      removed: 2,
+    });
+    expect(diffLines("", "nueva")).toEqual({
+      changes: [{ type: "added", text: "nueva" }],
+      added: 1,
+      removed: 0,
+    });
+    expect(diffLines("igual", "igual")).toEqual({
+      changes: [{ type: "equal", text: "igual" }],
+      added: 0,
+      removed: 0,
+    });
+  });
+});
+
+describe("NoteVersions", () => {
+  let versions;
+
+  beforeEach(() => {
+    redisService.hashes.clear();
+    versions = new NoteVersions("note:", { limit: 2 });
+  });
+
+  test("debe guardar versiones con su autor y devolverlas de la más reciente a la más antigua", async () => {
+    await versions.save("ws-1", "n1", { content: "{\"a\":1}", revision: 3, author: ana, reason: "manual", label: "Antes del examen" });
+    await versions.save("ws-1", "n1", { content: "hola", revision: 5, author: ana, reason: "auto" });
+
+    const list = await versions.list("ws-1", "n1");
+    expect(list.map(v => v.id)).toEqual(["5", "3"]);
+    expect(list[1]).toMatchObject({ revision: 3, author: ana, reason: "manual", label: "Antes del examen", length: 7 });
+    expect(list[1].timestamp).toEqual(expect.any(String));
+
+    expect(await versions.get("ws-1", "n1", "3")).toMatchObject({ content: "{\"a\":1}" });
+    expect(await versions.get("ws-1", "n1", "9")).toBeNull();
+  });
+
+  test("no debe sustituir una versión existente por una automática", async () => {
+    await versions.save("ws-1", "n1", { content: "hola", revision: 3, author: ana, reason: "restore" });
+
+    expect(await versions.save("ws-1", "n1", { content: "otra", revision: 3, author: ana, reason: "auto" })).toBeNull();
+    expect((await versions.get("ws-1", "n1", "3")).version.reason).toBe("restore");
+  });
+
+  test("debe conservar solo las versiones más recientes", async () => {
+    for (const revision of [1, 2, 3]) {
+      await versions.save("ws-1", "n1", { content: `v${revision}`, revision, author: ana, reason: "manual" });
+    }
+
+    expect((await versions.list("ws-1", "n1")).map(v => v.id)).toEqual(["3", "2"]);
+    expect(await versions.get("ws-1", "n1", "1")).toBeNull();
+  });
+
+  test("debe indicar cuándo toca una versión automática", async () => {
+    expect(await versions.isDue("ws-1", "n1", 60000)).toBe(true);
+
+    await versions.save("ws-1", "n1", { content: "hola", revision: 1, author: ana, reason: "auto" });
+    expect(await versions.isDue("ws-1", "n1", 60000)).toBe(false);
+    expect(await new NoteVersions("note:").isDue("ws-1", "n1", 60000)).toBe(false);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Tests de la negociación de protocolo y de la codificación de payloads
+ */
+
+jest.mock("../src/services/metrics", () => ({
+  payloadEncoded: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  warn: jest.fn(),
+}));
+
+const notepack = require("notepack.io");
+const metricsService = require("../src/services/metrics");
+const { LEGACY_ENCODERS, compressMessage } = require("../src/modules/chat/chat.codec");
+const {
+  SHORT_KEYS,
+  compactPayload,
+  expandPayload,
+  encodeArgs,
+  decodeArgs,
+  negotiateProtocol,
+  installProtocols,
+} = require("../src/middleware/protocol");
+
+const message = {
+  id: "1700000000000-0",
+  workspaceId: "ws-1",
+  channelId: "general",
+  senderEmail: "ana@uni.es",
+  senderName: "Ana",
+  content: "Hola",
+  timestamp: "2024-01-01T00:00:00.000Z",
+  mentions: [{ email: "luis@uni.es", name: "Luis" }],
+};
+
+describe("Esquema compacto", () => {
+  test("debe usar un nombre corto distinto para cada campo", () => {
+    const shorts = Object.values(SHORT_KEYS);
+    expect(new Set(shorts).size).toBe(shorts.length);
+  });
+
+  test("debe acortar los campos conocidos en cualquier nivel", () => {
+    expect(compactPayload({ messages: [message], hasMore: false })).toEqual({
+      ms: [{
+        i: message.id,
+        w: "ws-1",
+        ch: "general",
+        se: "ana@uni.es",
+        sn: "Ana",
+        c: "Hola",
+        t: message.timestamp,
+        m: [{ e: "luis@uni.es", n: "Luis" }],
+      }],
+      hm: false,
+    });
+  });
+
+  test("debe recuperar el payload original, también con campos que coinciden con un nombre corto", () => {
+    const payload = {
+      counts: { i: 2, "~x": 1, content: 3 },
+      data: { c: "libre", tags: ["a"] },
+      createdAt: new Date("2024-01-01T00:00:00.000Z"),
+      missing: undefined,
+    };
+
+    expect(expandPayload(compactPayload(payload))).toEqual({
+      counts: { i: 2, "~x": 1, content: 3 },
+      data: { c: "libre", tags: ["a"] },
+      createdAt: "2024-01-01T00:00:00.000Z",
+    });
+  });
+});
+
+describe("Codificación de argumentos", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("debe mantener el formato anterior para los clientes sin protocolo", () => {
+    const encoded = encodeArgs("legacy", "new_message", [message], { legacyEncoders: LEGACY_ENCODERS });
+
+    expect(encoded).toEqual([compressMessage(message)]);
+    expect(metricsService.payloadEncoded).toHaveBeenCalledWith(
+      "legacy",
+      expect.any(Number),
+      expect.any(Number),
+      1
+    );
+  });
+
+  test("debe dejar sin cambios los eventos sin conversión y el protocolo json", () => {
+    const payload = { workspaceId: "ws-1" };
+
+    expect(encodeArgs("legacy", "user_typing", [payload], { legacyEncoders: LEGACY_ENCODERS })[0]).toBe(payload);
+    expect(encodeArgs("json", "new_message", [message], { legacyEncoders: LEGACY_ENCODERS })[0]).toBe(message);
+    expect(metricsService.payloadEncoded).not.toHaveBeenCalled();
+  });
+
+  test("debe codificar en MessagePack y registrar la proporción de bytes", () => {
+    const [buffer] = encodeArgs("msgpack", "new_message", [message], { recipients: 3 });
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(decodeArgs("msgpack", [buffer])).toEqual([message]);
+
+    const [protocol, verboseBytes, encodedBytes, recipients] = metricsService.payloadEncoded.mock.calls[0];
+    expect(protocol).toBe("msgpack");
+    expect(encodedBytes).toBe(buffer.length);
+    expect(encodedBytes).toBeLessThan(verboseBytes);
+    expect(recipients).toBe(3);
+  });
+
+  test("debe expandir los payloads compactos recibidos y respetar los acks", () => {
+    const ack = jest.fn();
+
+    expect(decodeArgs("compact", [{ w: "ws-1", c: "Hola" }, ack])).toEqual([
+      { workspaceId: "ws-1", content: "Hola" },
+      ack,
+    ]);
+  });
+
+  test("debe negociar el protocolo pedido en el handshake", () => {
+    const negotiate = (handshake) => {
+      const socket = { id: "s-1", data: {}, handshake: { auth: {}, query: {}, ...handshake } };
+      negotiateProtocol(socket, jest.fn());
+      return socket.data.protocol;
+    };
+
+    expect(negotiate({})).toBe("legacy");
+    expect(negotiate({ auth: { protocol: "msgpack" } })).toBe("msgpack");
+    expect(negotiate({ query: { protocol: "compact" } })).toBe("compact");
+    expect(negotiate({ auth: { protocol: "xml" } })).toBe("json");
+  });
+});
+
+describe("installProtocols", () => {
+  let namespace;
+  let broadcast;
+  let io;
+
+  const connect = (protocol) => {
+    const packet = jest.fn();
+    const socket = {
+      id: `socket-${protocol}`,
+      data: { protocol },
+      emit: jest.fn(),
+      once: jest.fn(),
+      use: jest.fn(),
+      packet,
+      client: { writeToEngine: jest.fn() },
+    };
+    namespace.sockets.push(socket);
+    namespace.listeners.connection(socket);
+    return { socket, send: packet };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    broadcast = jest.fn();
+    namespace = {
+      name: "/",
+      sockets: [],
+      listeners: {},
+      on: jest.fn((event, listener) => {
+        namespace.listeners[event] = listener;
+      }),
+    };
+    namespace.adapter = {
+      broadcast,
+      apply: (opts, callback) => namespace.sockets.forEach(callback),
+      encoder: { encode: jest.fn(packet => [packet]) },
+    };
+    io = { of: () => namespace };
+    installProtocols(io, { legacyEncoders: LEGACY_ENCODERS });
+  });
+
+  test("debe mantener el camino habitual del adapter si nadie ha negociado protocolo", () => {
+    connect("legacy");
+
+    namespace.adapter.broadcast({ type: 2, data: ["new_message", message] }, { rooms: new Set(["room"]) });
+
+    expect(broadcast).toHaveBeenCalledWith(
+      { type: 2, data: ["new_message", compressMessage(message)] },
+      { rooms: new Set(["room"]) }
+    );
+  });
+
+  test("debe codificar una vez por protocolo las emisiones a una sala", () => {
+    const legacy = connect("legacy");
+    const compact = connect("compact");
+    const msgpack = connect("msgpack");
+    const otherMsgpack = connect("msgpack");
+
+    namespace.adapter.broadcast({ type: 2, data: ["new_message", message] }, { rooms: new Set(["room"]) });
+
+    expect(broadcast).not.toHaveBeenCalled();
+    expect(namespace.adapter.encoder.encode).toHaveBeenCalledTimes(3);
+
+    const written = ({ socket }) => socket.client.writeToEngine.mock.calls[0][0][0].data;
+    expect(written(legacy)).toEqual(["new_message", compressMessage(message)]);
+    expect(written(compact)).toEqual(["new_message", compactPayload(message)]);
+    expect(notepack.decode(written(msgpack)[1])).toEqual(compactPayload(message));
+    expect(written(otherMsgpack)).toBe(written(msgpack));
+  });
+
+  test("debe confirmar el protocolo en JSON y codificar los envíos y acks del socket", () => {
+    const { socket, send } = connect("compact");
+
+    expect(socket.emit).toHaveBeenCalledWith("protocol", { protocol: "compact", version: 1, keys: SHORT_KEYS });
+
+    socket.packet({ type: 2, data: ["channel_joined", { workspaceId: "ws-1" }] });
+    socket.packet({ type: 3, id: 7, data: [{ messageId: "1-0" }] });
+
+    expect(send.mock.calls[0][0].data).toEqual(["channel_joined", { w: "ws-1" }]);
+    expect(send.mock.calls[1][0]).toEqual({ type: 3, id: 7, data: [{ mi: "1-0" }] });
+  });
+
+  test("debe decodificar los eventos recibidos y rechazar los que no son válidos", () => {
+    const { socket } = connect("msgpack");
+    const [middleware] = socket.use.mock.calls[0];
+    const next = jest.fn();
+    const ack = jest.fn();
+
+    const packet = ["send_message", notepack.encode({ w: "ws-1", c: "Hola" }), ack];
+    middleware(packet, next);
+
+    expect(packet).toEqual(["send_message", { workspaceId: "ws-1", content: "Hola" }, ack]);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    middleware(["send_message", Buffer.from([0xc1])], next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(socket.emit).toHaveBeenCalledWith("error", expect.objectContaining({ code: "INVALID_PAYLOAD" }));
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests de las políticas de retención y su trabajo de purga
+ */
+
+jest.mock("../src/services/redis", () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  sAdd: jest.fn(),
+  sMembers: jest.fn(),
+  setNX: jest.fn(),
+}));
+jest.mock("../src/services/metrics", () => ({
+  retentionPurged: jest.fn(),
+  retentionRunCompleted: jest.fn(),
+  errorOccurred: jest.fn(),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+const redisService = require("../src/services/redis");
+const metricsService = require("../src/services/metrics");
+const RetentionPolicies = require("../src/modules/retention/retention.policies");
+const RetentionJob = require("../src/modules/retention/retention.job");
+const { normalizePolicy, DEFAULT_POLICIES } = RetentionPolicies;
+
+describe("normalizePolicy", () => {
+  test("debe normalizar los modos válidos", () => {
+    expect(normalizePolicy("chat", { mode: "count", count: "500", days: 3 })).toEqual({
+      policy: { mode: "count", count: 500 },
+    });
+    expect(normalizePolicy("notes", { mode: "days", days: 30 })).toEqual({
+      policy: { mode: "days", days: 30 },
+    });
+    expect(normalizePolicy("activity", { mode: "forever", days: 3 })).toEqual({
+      policy: { mode: "forever" },
+    });
+  });
+
+  test("debe rechazar modos, valores y tipos no válidos", () => {
+    expect(normalizePolicy("notes", { mode: "count", count: 5 }).error).toBeDefined();
+    expect(normalizePolicy("chat", { mode: "days", days: 0 }).error).toBeDefined();
+    expect(normalizePolicy("chat", { mode: "days", days: 1.5 }).error).toBeDefined();
+    expect(normalizePolicy("files", { mode: "forever" }).error).toBeDefined();
+    expect(normalizePolicy("chat", null).error).toBeDefined();
+  });
+});
+
+describe("RetentionPolicies", () => {
+  let policies;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    policies = new RetentionPolicies();
+  });
+
+  test("debe usar las políticas por defecto si el workspace no las ha configurado", async () => {
+    redisService.get.mockResolvedValue(null);
+
+    expect(await policies.get("ws-1")).toMatchObject(DEFAULT_POLICIES);
+  });
+
+  test("debe cambiar solo los tipos de datos indicados", async () => {
+    redisService.get.mockResolvedValue(null);
+
+    const { policies: updated } = await policies.set(
+      "ws-1",
+      { chat: { mode: "days", days: 90 } },
+      "admin@uni.es"
+    );
+
+    expect(updated).toMatchObject({
+      chat: { mode: "days", days: 90 },
+      notes: DEFAULT_POLICIES.notes,
+      updatedBy: "admin@uni.es",
+    });
+    expect(redisService.set).toHaveBeenCalledWith("retention:policies:ws-1", updated);
+    expect(redisService.sAdd).toHaveBeenCalledWith("retention:workspaces", "ws-1");
+
+    expect((await policies.set("ws-1", {}, "admin@uni.es")).error).toBeDefined();
+    expect(
+      (await policies.set("ws-1", { chat: { mode: "weeks" } }, "admin@uni.es")).error
+    ).toBeDefined();
+  });
+});
+
+describe("RetentionJob", () => {
+  let policies;
+  let purgers;
+  let job;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    policies = new RetentionPolicies();
+    purgers = {
+      chat: jest.fn().mockResolvedValue(3),
+      notes: jest.fn().mockRejectedValue(new Error("fallo")),
+      activity: jest.fn().mockResolvedValue(0),
+    };
+    job = new RetentionJob(policies, { purgers, interval: 60000 });
+  });
+
+  test("debe purgar cada workspace configurado y registrar lo eliminado", async () => {
+    redisService.setNX.mockResolvedValue(true);
+    redisService.sMembers.mockResolvedValue(["ws-1", "ws-2"]);
+    redisService.get.mockResolvedValue({ chat: { mode: "count", count: 10 } });
+
+    const deleted = await job.run();
+
+    expect(redisService.setNX).toHaveBeenCalledWith("retention:purge:lock", job.instanceId, 59);
+    expect(purgers.chat).toHaveBeenCalledWith("ws-1", { mode: "count", count: 10 });
+    expect(purgers.activity).toHaveBeenCalledWith("ws-2", DEFAULT_POLICIES.activity);
+    // Un fallo en un tipo de datos no impide purgar los demás
+    expect(deleted).toEqual({ chat: 6, activity: 0 });
+    expect(metricsService.retentionPurged).toHaveBeenCalledWith("chat", 3);
+    expect(metricsService.errorOccurred).toHaveBeenCalledTimes(2);
+    expect(metricsService.retentionRunCompleted).toHaveBeenCalledWith(
+      expect.objectContaining({ workspaces: 2, deleted })
+    );
+  });
+
+  test("no debe ejecutarse si otra instancia tiene el bloqueo", async () => {
+    redisService.setNX.mockResolvedValue(false);
+
+    expect(await job.run()).toBeNull();
+    expect(purgers.chat).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests de la entrada a workspaces
+ */
+
+jest.mock("../src/services/redis", () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => false),
+  hSet: jest.fn(async () => false),
+  hGetAll: jest.fn(async () => null),
+  sAdd: jest.fn(async () => false),
+}));
+jest.mock("../src/utils/logger", () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../src/services/metrics", () => ({
+  messageProcessed: jest.fn(),
+  errorOccurred: jest.fn(),
+  userJoinedWorkspace: jest.fn(),
+}));
+jest.mock("../src/config/config", () => ({
+  jwt: { secret: "test-secret" },
+  auth: { serviceAccounts: [] },
+}));
+
+jest.useFakeTimers();
+
+const redisService = require("../src/services/redis");
+const WorkspaceHandler = require("../src/modules/workspace/workspace.handler");
+
+describe("WorkspaceHandler", () => {
+  let handler;
+
+  const io = { to: () => ({ emit: jest.fn() }) };
+
+  const createSocket = (email) => ({
+    id: `s-${email}`,
+    user: { id: email, email, workspaceRoles: { "ws-1": "MEMBER" } },
+    join: jest.fn(),
+    emit: jest.fn(),
+  });
+
+  beforeEach(() => {
+    handler = new WorkspaceHandler(io);
+    jest.clearAllMocks();
+  });
+
+  test("debe unir al socket a la sala del workspace", async () => {
+    const ana = createSocket("ana@uni.es");
+
+    await handler.handleJoinWorkspace(ana, "ws-1", {});
+
+    expect(ana.join).toHaveBeenCalledWith("ws-1");
+    expect(redisService.hSet).toHaveBeenCalledWith(
+      "workspace:ws-1:members",
+      "ana@uni.es",
+      expect.objectContaining({ email: "ana@uni.es" })
+    );
+  });
+
+  test("debe rechazar a quien el token no da acceso sin registrarlo como miembro", async () => {
+    const ana = createSocket("ana@uni.es");
+
+    await handler.handleJoinWorkspace(ana, "ws-2", {});
+
+    expect(ana.join).not.toHaveBeenCalled();
+    expect(ana.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "FORBIDDEN" })
+    );
+    expect(redisService.hSet).not.toHaveBeenCalled();
+    expect(await handler.getWorkspaceMembers("ws-2")).toEqual([]);
+  });
+
+  test.each([
+    "user:luis@uni.es",
+    "conversation:dm_0123456789abcdef",
+    "channel:ws-1:privado",
+    "note:ws-1:n-1",
+    "user",
+    "",
+    undefined,
+    { id: "ws-1" },
+  ])("debe rechazar el ID reservado o no válido %p", async (workspaceId) => {
+    const ana = createSocket("ana@uni.es");
+
+    await handler.handleJoinWorkspace(ana, workspaceId, {});
+
+    expect(ana.join).not.toHaveBeenCalled();
+    expect(ana.emit).toHaveBeenCalledWith(
+      "error",
+      expect.objectContaining({ code: "INVALID_WORKSPACE" })
+    );
+  });
+});